@@ -0,0 +1,117 @@
+import crypto from 'node:crypto';
+
+// ── Collaborative page state ───────────────────────────────────────────────────
+// The server is the single sequencer for a page being edited together: every op
+// is applied to the room's canvas JSON in arrival order and then relayed, so
+// all clients converge on the same document. Ops address objects by their
+// `objectId`, never by stack index.
+//
+// Conflict rules
+//   add     rejected if the id already exists
+//   modify  carries only the top-level props that changed; the last writer (in
+//           server order) wins per property, so one user moving a textbox while
+//           another retypes it keeps both edits. Text and styles are single
+//           properties: concurrent typing in one textbox keeps the later edit.
+//   remove  wins over any modify that reaches the server after it
+//   order   the full stacking order, last writer wins; objects it doesn't list
+//           (added concurrently) stay on top in their current order
+// A client holds back remote changes to props it has unacknowledged ops on:
+// anything it receives before the ack was sequenced before its own op.
+//
+// This module has no I/O so the rules can be driven directly by a harness.
+
+export const OP_KINDS = ['add', 'modify', 'remove', 'order'];
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isObjectId = (v) => typeof v === 'string' && v.length > 0 && v.length <= 64;
+
+// Gives every object in a canvas a stable objectId; true if any were missing
+export function assignObjectIds(doc) {
+    let changed = false;
+    doc?.objects?.forEach((o) => {
+        if (!isObjectId(o.objectId)) {
+            o.objectId = crypto.randomUUID();
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+// Embedded images must be base64 in one of the types the server re-encodes;
+// anything else in a src has to be a plain string (a URL)
+const EMBEDDED_IMAGE = /^data:image\/(png|jpeg|gif|webp);base64,/;
+const isValidSource = (src) => typeof src === 'string' && (!src.startsWith('data:') || EMBEDDED_IMAGE.test(src));
+
+// True if the object, or any object grouped inside it, has a src it shouldn't
+function hasInvalidSource(node) {
+    if (Array.isArray(node)) return node.some(hasInvalidSource);
+    if (!isPlainObject(node)) return false;
+    if ('src' in node && !isValidSource(node.src)) return true;
+    return hasInvalidSource(node.objects);
+}
+
+// Shape check for an op from a client; returns an error message or null
+export function validateOp(op) {
+    if (!isPlainObject(op) || !OP_KINDS.includes(op.kind)) return 'Unknown op';
+    if (op.kind === 'order') {
+        return Array.isArray(op.ids) && op.ids.every(isObjectId) ? null : 'order needs ids';
+    }
+    if (!isObjectId(op.id)) return 'Missing object id';
+    if (op.kind === 'add') {
+        if (!isPlainObject(op.object) || op.object.objectId !== op.id) return 'add needs the object';
+        if (op.index !== undefined && !Number.isInteger(op.index)) return 'Invalid index';
+        if (hasInvalidSource(op.object)) return 'Invalid image source';
+    }
+    if (op.kind === 'modify') {
+        if (!isPlainObject(op.props) || 'objectId' in op.props) return 'modify needs props';
+        if (hasInvalidSource(op.props)) return 'Invalid image source';
+    }
+    return null;
+}
+
+// Room state for one page, whose objects already carry ids (assignObjectIds).
+// apply(op) returns { op } as it should be relayed (index clamped, order made
+// complete), or { rejected: reason } when the rules drop it.
+export function createRoomState(doc) {
+    const state = isPlainObject(doc) ? doc : {};
+    if (!Array.isArray(state.objects)) state.objects = [];
+
+    const indexOf = (id) => state.objects.findIndex(o => o.objectId === id);
+
+    const apply = (op) => {
+        switch (op.kind) {
+            case 'add': {
+                if (indexOf(op.id) !== -1) return { rejected: 'exists' };
+                const index = Math.min(Math.max(op.index ?? state.objects.length, 0), state.objects.length);
+                state.objects.splice(index, 0, op.object);
+                return { op: { ...op, index } };
+            }
+            case 'modify': {
+                const i = indexOf(op.id);
+                if (i === -1) return { rejected: 'missing' };
+                Object.assign(state.objects[i], op.props);
+                return { op };
+            }
+            case 'remove': {
+                const i = indexOf(op.id);
+                if (i === -1) return { rejected: 'missing' };
+                state.objects.splice(i, 1);
+                return { op };
+            }
+            case 'order': {
+                const byId = new Map(state.objects.map(o => [o.objectId, o]));
+                const listed = [...new Set(op.ids)].filter(id => byId.has(id));
+                const rest = state.objects.filter(o => !listed.includes(o.objectId));
+                state.objects = [...listed.map(id => byId.get(id)), ...rest];
+                return { op: { ...op, ids: state.objects.map(o => o.objectId) } };
+            }
+            default:
+                return { rejected: 'unknown' };
+        }
+    };
+
+    return {
+        get doc() { return state; },
+        apply,
+    };
+}
@@ -0,0 +1,97 @@
+// ── Offline support ───────────────────────────────────────────────────────────
+// Caches the app shell, fonts and media so /journal opens without a network
+// connection. Edits made offline are kept by the editor itself (offlineStore.js)
+// and replayed to the server; this worker only serves what was seen before.
+//
+//   navigations      network first, falling back to the cached shell
+//   /assets/*        cache first (Vite fingerprints every build file)
+//   fonts            cache first (Google Fonts CSS and font files)
+//   /api/media/*     cache first (content-addressed, never changes)
+//   other GET /api   network first, falling back to the last response
+const VERSION = 'v2';
+const SHELL_CACHE = `poentry-shell-${VERSION}`;
+const ASSET_CACHE = `poentry-assets-${VERSION}`;
+// Account data; both are cleared by the app on logout
+const API_CACHE = 'poentry-api';
+const MEDIA_CACHE = 'poentry-media';
+const SHELL = ['/', '/index.html', '/vite.svg'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Every file of the build, listed by the precache plugin in vite.config.js.
+// A new build changes this script, which is what installs the new worker.
+try {
+  self.importScripts('/sw-precache.js');
+} catch {
+  self.PRECACHE = []; // not served from a build
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(Promise.all([
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)),
+    caches.open(ASSET_CACHE).then(cache => cache.addAll(self.PRECACHE)),
+  ]));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, ASSET_CACHE, API_CACHE, MEDIA_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Opaque cross-origin font responses can't be checked, but are still usable
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      cache.put(fallbackUrl ?? request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(fallbackUrl ?? request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+  // Account archives are large one-off downloads; never cache them
+  if (url.pathname.startsWith('/api/account/')) return;
+  // Event streams never end, so there's nothing to cache
+  if (url.pathname === '/api/notifications/stream') return;
+
+  if (request.mode === 'navigate') {
+    // Every route is the same single-page app
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+  } else if (url.pathname.startsWith('/api/media/')) {
+    event.respondWith(cacheFirst(request, MEDIA_CACHE));
+  } else if (url.pathname.startsWith('/api/') && url.pathname !== '/api/collab') {
+    event.respondWith(networkFirst(request, API_CACHE));
+  }
+});
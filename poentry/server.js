@@ -3,13 +3,81 @@ import express from 'express';
 import session from 'express-session';
 import connectSqlite3 from 'connect-sqlite3';
 import cors from 'cors';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import crypto from 'node:crypto';
+import process from 'node:process';
+import { Buffer } from 'node:buffer';
+import { pipeline } from 'node:stream/promises';
 import Database from 'better-sqlite3';
+import busboy from 'busboy';
+import sharp from 'sharp';
+import { WebSocketServer } from 'ws';
 import { OAuth2Client } from 'google-auth-library';
+import { assignObjectIds, createRoomState, validateOp } from './collab.js';
+import { ZipError, createZipWriter, openZip } from './zip.js';
 
 // ── Configuration ──────────────────────────────────────────────────────────────
 const PORT = 3001;
+const CLIENT_ORIGIN = 'http://localhost:5173';
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || 'YOUR_GOOGLE_CLIENT_ID';
 const SESSION_SECRET = process.env.SESSION_SECRET || 'poentry-dev-secret-change-in-production';
+const REVISION_COALESCE_WINDOW = '-10 minutes'; // autosaves within this window share one revision
+const REVISION_LIMIT = 50; // revisions kept per page
+const MEDIA_DIR = process.env.MEDIA_DIR || './media';
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const MAX_AUDIO_BYTES = 50 * 1024 * 1024;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const IMAGE_FORMATS = ['png', 'jpeg', 'gif', 'webp']; // what sharp must detect in the bytes
+// WebP derivatives generated for every uploaded image (longest side, quality)
+const IMAGE_VARIANTS = {
+    full: { size: 2400, quality: 85 }, // placed on canvases
+    card: { size: 800, quality: 80 }, // discovery & profile cards (entry thumbnails)
+    thumb: { size: 240, quality: 70 }, // image library sidebar
+};
+const AUDIO_TYPES = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/ogg', 'audio/webm', 'audio/mp4', 'audio/aac'];
+const COLLAB_SAVE_DELAY = 2000; // ms a shared page's edits wait before being written
+const COLLAB_MAX_MESSAGE = 2 * 1024 * 1024;
+const PEER_COLORS = ['#e8642b', '#7c6aef', '#2b8ae8', '#1fa67a', '#d6336c', '#f0a500'];
+const ARCHIVE_FORMAT = 'poentry-account';
+const ARCHIVE_SCHEMA_VERSION = 1; // bump when the archive layout changes; import reads every version up to it
+const MAX_ARCHIVE_BYTES = 1024 * 1024 * 1024;
+const ACCOUNT_DELETION_GRACE = '+14 days'; // how long a deletion request can still be cancelled
+const ACCOUNT_PURGE_INTERVAL = 60 * 60 * 1000; // ms between sweeps for accounts past their grace period
+const ARCHIVE_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+const MAX_COMMENT_LENGTH = 500; // characters in a sticky note
+const MAX_NOTE_ROTATION = 6; // degrees either way
+const PAGE_W = 8.5 * 180; // journal page size in canvas pixels (mirrors src/journalCanvas.js)
+const PAGE_H = 11 * 180;
+const NOTE_W = 180; // sticky note size in page pixels (mirrors src/journalCanvas.js)
+const NOTE_H = 100;
+const NOTE_COLORS = ['#d4f59f', '#f5d49f', '#9fd4f5', '#f59fd4', '#d49ff5', '#f5f59f'];
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'inappropriate', 'other'];
+const MAX_REPORT_DETAILS = 1000;
+const NOTE_REACTIONS = ['❤️', '😂', '😮', '😢', '👏', '🔥'];
+const COMMENT_PAGE_SIZE = 50; // notes per page of GET /api/entries/:id/comments (at most 100)
+const REPLY_PREVIEW = 3; // replies sent along with each note; the rest are fetched on demand
+const NOTIFICATION_TYPES = ['like', 'bookmark', 'comment', 'reply', 'mention', 'follow'];
+const NOTIFICATION_PAGE_SIZE = 50; // notifications per page of GET /api/notifications, before grouping
+const FEED_PAGE_SIZE = 20; // entries per page of GET /api/entries (at most 50)
+const FEED_GRAVITY = 1.8; // how fast an entry's score in the ranked feeds decays with age
+const FEED_WINDOW = '-30 days'; // how far back the ranked feeds look for entries
+const FEED_SNAPSHOT_SIZE = 500; // entries a ranked feed holds at most
+const FEED_SNAPSHOT_TTL = '-6 hours'; // how long a ranked feed's later pages can still be fetched
+const MAX_TAGS = 10; // per entry
+const MAX_TAG_LENGTH = 30;
+const TRENDING_WINDOW = '-7 days'; // publishes and likes this recent count toward trending tags
+const TRENDING_TAGS = 10;
+const SEARCH_PAGE_SIZE = 20; // results per page of GET /api/entries/search (at most 50)
+const MAX_MENTIONS = 10; // @usernames notified per note
+const NOTIFICATION_HEARTBEAT = 25 * 1000; // ms between keep-alive comments on notification streams
+const SAVED_PAGE_SIZE = 24; // bookmarks per page of GET /api/bookmarks (at most 50)
+const COLLECTION_VISIBILITIES = ['public', 'private'];
+const MAX_COLLECTIONS = 50; // per user
+const MAX_COLLECTION_ENTRIES = 200;
+const MAX_COLLECTION_NAME = 60;
+const MAX_COLLECTION_DESCRIPTION = 500;
 
 // ── Database setup ─────────────────────────────────────────────────────────────
 const db = new Database('./poentry.db');
@@ -27,6 +95,7 @@ db.exec(`
     created_at   DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
+  -- Legacy single page per user, superseded by journals/journal_pages
   CREATE TABLE IF NOT EXISTS canvases (
     id          INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id     INTEGER NOT NULL UNIQUE REFERENCES users(id),
@@ -97,12 +166,247 @@ db.exec(`
     position INTEGER NOT NULL DEFAULT 0,
     UNIQUE(user_id, entry_id)
   );
+
+  CREATE TABLE IF NOT EXISTS follows (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    follower_id  INTEGER NOT NULL REFERENCES users(id),
+    following_id INTEGER NOT NULL REFERENCES users(id),
+    created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(follower_id, following_id),
+    CHECK(follower_id != following_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_follows_following ON follows(following_id);
+
+  CREATE TABLE IF NOT EXISTS journals (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id    INTEGER NOT NULL REFERENCES users(id),
+    title      TEXT NOT NULL DEFAULT 'My Journal',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS journal_pages (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    journal_id  INTEGER NOT NULL REFERENCES journals(id) ON DELETE CASCADE,
+    position    INTEGER NOT NULL DEFAULT 0,
+    canvas_json TEXT NOT NULL DEFAULT '{}',
+    updated_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_journal_pages_journal ON journal_pages(journal_id, position);
+
+  CREATE TABLE IF NOT EXISTS page_revisions (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id      INTEGER NOT NULL REFERENCES journal_pages(id) ON DELETE CASCADE,
+    canvas_json  TEXT NOT NULL,
+    object_count INTEGER NOT NULL DEFAULT 0,
+    created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_page_revisions_page ON page_revisions(page_id, id);
+
+  -- Uploaded files, stored on disk by SHA-256 (see "Media store"); one row per owner
+  CREATE TABLE IF NOT EXISTS media (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id    INTEGER NOT NULL REFERENCES users(id),
+    hash       TEXT NOT NULL,
+    size       INTEGER NOT NULL,
+    mime_type  TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, hash)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_media_hash ON media(hash);
+
+  -- Co-authors invited to edit a page alongside its journal's owner
+  CREATE TABLE IF NOT EXISTS page_collaborators (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id    INTEGER NOT NULL REFERENCES journal_pages(id) ON DELETE CASCADE,
+    user_id    INTEGER NOT NULL REFERENCES users(id),
+    invited_by INTEGER NOT NULL REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(page_id, user_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_page_collaborators_user ON page_collaborators(user_id);
+
+  -- What a published entry showed before each republish
+  CREATE TABLE IF NOT EXISTS entry_versions (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id     INTEGER NOT NULL REFERENCES published_entries(id) ON DELETE CASCADE,
+    canvas_json  TEXT NOT NULL,
+    thumbnail    TEXT,
+    page_count   INTEGER NOT NULL DEFAULT 1,
+    published_at DATETIME NOT NULL,
+    replaced_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_entry_versions_entry ON entry_versions(entry_id, id);
+
+  -- One report per person per sticky note
+  CREATE TABLE IF NOT EXISTS comment_reports (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    comment_id  INTEGER NOT NULL REFERENCES entry_comments(id) ON DELETE CASCADE,
+    reporter_id INTEGER NOT NULL REFERENCES users(id),
+    reason      TEXT NOT NULL,
+    details     TEXT DEFAULT '',
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(comment_id, reporter_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS comment_reactions (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    comment_id INTEGER NOT NULL REFERENCES entry_comments(id) ON DELETE CASCADE,
+    user_id    INTEGER NOT NULL REFERENCES users(id),
+    emoji      TEXT NOT NULL,
+    UNIQUE(comment_id, user_id, emoji)
+  );
+
+  -- Something another user did to one of yours: liked or bookmarked an entry,
+  -- left or answered a note, mentioned you, followed you. Rows go with the
+  -- entry or note they point at.
+  CREATE TABLE IF NOT EXISTS notifications (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id    INTEGER NOT NULL REFERENCES users(id),
+    actor_id   INTEGER NOT NULL REFERENCES users(id),
+    type       TEXT NOT NULL,
+    entry_id   INTEGER REFERENCES published_entries(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES entry_comments(id) ON DELETE CASCADE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    read_at    DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, id);
+
+  -- Entries a user has looked at, so "For you" can skip them
+  CREATE TABLE IF NOT EXISTS entry_views (
+    user_id  INTEGER NOT NULL REFERENCES users(id),
+    entry_id INTEGER NOT NULL REFERENCES published_entries(id) ON DELETE CASCADE,
+    seen_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, entry_id)
+  );
+
+  -- A ranked feed (Popular, For you) in the order it was scored for a viewer's
+  -- first page. Later pages read on from here, so they stay put whatever
+  -- happens to likes, notes and bookmarks in the meantime.
+  CREATE TABLE IF NOT EXISTS feed_snapshots (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id    INTEGER NOT NULL REFERENCES users(id),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_feed_snapshots_created ON feed_snapshots(created_at);
+
+  CREATE TABLE IF NOT EXISTS feed_snapshot_entries (
+    snapshot_id INTEGER NOT NULL REFERENCES feed_snapshots(id) ON DELETE CASCADE,
+    position    INTEGER NOT NULL,
+    entry_id    INTEGER NOT NULL REFERENCES published_entries(id) ON DELETE CASCADE,
+    score       REAL NOT NULL,
+    PRIMARY KEY (snapshot_id, position)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_feed_snapshot_entries_entry ON feed_snapshot_entries(entry_id);
+
+  -- Topics authors file their entries under, normalized (see normalizeTag)
+  CREATE TABLE IF NOT EXISTS tags (
+    id   INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE
+  );
+
+  CREATE TABLE IF NOT EXISTS entry_tags (
+    entry_id INTEGER NOT NULL REFERENCES published_entries(id) ON DELETE CASCADE,
+    tag_id   INTEGER NOT NULL REFERENCES tags(id),
+    PRIMARY KEY (entry_id, tag_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_entry_tags_tag ON entry_tags(tag_id, entry_id);
+
+  -- Full-text index of published entries, one row per entry (rowid = entry id).
+  -- body is the text typed on the entry's canvases.
+  CREATE VIRTUAL TABLE IF NOT EXISTS entry_search USING fts5(
+    title, description, author, body,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  -- Notification types a user has turned off; everything else is on
+  CREATE TABLE IF NOT EXISTS notification_mutes (
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    type    TEXT NOT NULL,
+    PRIMARY KEY (user_id, type)
+  );
+
+  -- Named, ordered sets of a user's bookmarks. Public ones can be shared as an
+  -- anthology page.
+  CREATE TABLE IF NOT EXISTS collections (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id     INTEGER NOT NULL REFERENCES users(id),
+    name        TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    visibility  TEXT NOT NULL DEFAULT 'private',
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_collections_user ON collections(user_id);
+
+  CREATE TABLE IF NOT EXISTS collection_entries (
+    collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+    entry_id      INTEGER NOT NULL REFERENCES published_entries(id) ON DELETE CASCADE,
+    position      INTEGER NOT NULL,
+    added_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, entry_id)
+  );
 `);
 
 // Add bio column if it doesn't exist (safe migration)
 try { db.exec('ALTER TABLE users ADD COLUMN bio TEXT DEFAULT ""'); } catch (e) { /* already exists */ }
 try { db.exec('ALTER TABLE users ADD COLUMN banner_url TEXT DEFAULT ""'); } catch (e) { /* already exists */ }
 try { db.exec('ALTER TABLE users ADD COLUMN custom_avatar TEXT DEFAULT ""'); } catch (e) { /* already exists */ }
+try { db.exec('ALTER TABLE published_entries ADD COLUMN journal_id INTEGER REFERENCES journals(id) ON DELETE SET NULL'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE published_entries ADD COLUMN page_count INTEGER NOT NULL DEFAULT 1'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE user_images ADD COLUMN media_id INTEGER REFERENCES media(id)'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE user_audio ADD COLUMN media_id INTEGER REFERENCES media(id)'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE journal_pages ADD COLUMN revision INTEGER NOT NULL DEFAULT 0'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE users ADD COLUMN deletion_requested_at DATETIME'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE users ADD COLUMN deleted_at DATETIME'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE published_entries ADD COLUMN page_id INTEGER REFERENCES journal_pages(id) ON DELETE SET NULL'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE published_entries ADD COLUMN updated_at DATETIME'); } catch { /* already exists */ }
+try { db.exec("ALTER TABLE published_entries ADD COLUMN comment_policy TEXT NOT NULL DEFAULT 'everyone'"); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE entry_comments ADD COLUMN edited_at DATETIME'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE entry_comments ADD COLUMN hidden_at DATETIME'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE entry_comments ADD COLUMN page INTEGER NOT NULL DEFAULT 0'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE entry_likes ADD COLUMN liked_at DATETIME'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE entry_bookmarks ADD COLUMN saved_at DATETIME'); } catch { /* already exists */ }
+try { db.exec('ALTER TABLE entry_comments ADD COLUMN parent_id INTEGER REFERENCES entry_comments(id) ON DELETE CASCADE'); } catch { /* already exists */ }
+db.exec('CREATE INDEX IF NOT EXISTS idx_entry_comments_thread ON entry_comments(entry_id, parent_id, created_at)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_published_entries_created ON published_entries(created_at)');
+
+// Notes pinned before a note's size was kept on the page, or left on pages that
+// a republish removed
+db.prepare(`
+    UPDATE entry_comments SET pos_x = MIN(pos_x, @maxX), pos_y = MIN(pos_y, @maxY)
+    WHERE pos_x > @maxX OR pos_y > @maxY
+`).run({ maxX: PAGE_W - NOTE_W, maxY: PAGE_H - NOTE_H });
+db.exec(`
+    UPDATE entry_comments SET page = (SELECT page_count - 1 FROM published_entries e WHERE e.id = entry_comments.entry_id)
+    WHERE page >= (SELECT page_count FROM published_entries e WHERE e.id = entry_comments.entry_id)
+`);
+
+// Move each legacy single-page canvas into a default journal (runs once per user)
+db.transaction(() => {
+    const legacy = db.prepare(`
+        SELECT c.user_id, c.canvas_json, c.updated_at FROM canvases c
+        WHERE NOT EXISTS (SELECT 1 FROM journals j WHERE j.user_id = c.user_id)
+    `).all();
+    const insertJournal = db.prepare('INSERT INTO journals (user_id) VALUES (?)');
+    const insertPage = db.prepare('INSERT INTO journal_pages (journal_id, position, canvas_json, updated_at) VALUES (?, 0, ?, ?)');
+    for (const row of legacy) {
+        const { lastInsertRowid } = insertJournal.run(row.user_id);
+        insertPage.run(lastInsertRowid, row.canvas_json, row.updated_at);
+    }
+})();
 
 // ── Prepared statements ────────────────────────────────────────────────────────
 const stmts = {
@@ -116,91 +420,506 @@ const stmts = {
     findUserById: db.prepare('SELECT * FROM users WHERE id = ?'),
     findUserByUsername: db.prepare('SELECT id FROM users WHERE username = ?'),
     setUsername: db.prepare('UPDATE users SET username = ? WHERE id = ?'),
-    getCanvas: db.prepare('SELECT canvas_json, updated_at FROM canvases WHERE user_id = ?'),
-    upsertCanvas: db.prepare(`
-    INSERT INTO canvases (user_id, canvas_json, updated_at)
-    VALUES (?, ?, datetime('now'))
-    ON CONFLICT(user_id) DO UPDATE SET canvas_json = excluded.canvas_json, updated_at = datetime('now')
-  `),
-    // Image statements
+
+    // Journal & page statements
+    getUserJournals: db.prepare(`
+        SELECT j.*, (SELECT COUNT(*) FROM journal_pages WHERE journal_id = j.id) AS page_count
+        FROM journals j
+        WHERE j.user_id = ?
+        ORDER BY j.updated_at DESC
+    `),
+    getJournal: db.prepare('SELECT * FROM journals WHERE id = ? AND user_id = ?'),
+    insertJournal: db.prepare('INSERT INTO journals (user_id, title) VALUES (?, ?)'),
+    renameJournal: db.prepare("UPDATE journals SET title = ?, updated_at = datetime('now') WHERE id = ?"),
+    touchJournal: db.prepare("UPDATE journals SET updated_at = datetime('now') WHERE id = ?"),
+    deleteJournal: db.prepare('DELETE FROM journals WHERE id = ?'),
+    getJournalPages: db.prepare('SELECT id, position, updated_at FROM journal_pages WHERE journal_id = ? ORDER BY position ASC'),
+    getJournalPagesFull: db.prepare('SELECT id, position, canvas_json, updated_at FROM journal_pages WHERE journal_id = ? ORDER BY position ASC'),
+    getPageCount: db.prepare('SELECT COUNT(*) as cnt FROM journal_pages WHERE journal_id = ?'),
+    getPageForUser: db.prepare(`
+        SELECT p.* FROM journal_pages p
+        JOIN journals j ON p.journal_id = j.id
+        WHERE p.id = ? AND j.user_id = ?
+    `),
+    // Owner or invited co-author; owner_id tells them apart
+    getPageForMember: db.prepare(`
+        SELECT p.*, j.user_id AS owner_id FROM journal_pages p
+        JOIN journals j ON p.journal_id = j.id
+        WHERE p.id = @pageId AND (
+            j.user_id = @userId OR
+            EXISTS (SELECT 1 FROM page_collaborators c WHERE c.page_id = p.id AND c.user_id = @userId)
+        )
+    `),
+    getPageVersion: db.prepare('SELECT canvas_json, revision, updated_at FROM journal_pages WHERE id = ?'),
+    insertPage: db.prepare('INSERT INTO journal_pages (journal_id, position, canvas_json) VALUES (?, ?, ?)'),
+    shiftPages: db.prepare('UPDATE journal_pages SET position = position + ? WHERE journal_id = ? AND position >= ?'),
+    setPagePosition: db.prepare('UPDATE journal_pages SET position = ? WHERE id = ? AND journal_id = ?'),
+    // Every write bumps the page's revision, which saves are checked against
+    updatePage: db.prepare(`
+        UPDATE journal_pages SET canvas_json = ?, revision = revision + 1, updated_at = datetime('now')
+        WHERE id = ?
+        RETURNING revision, updated_at
+    `),
+    updatePageIfRevision: db.prepare(`
+        UPDATE journal_pages SET canvas_json = ?, revision = revision + 1, updated_at = datetime('now')
+        WHERE id = ? AND revision = ?
+        RETURNING revision, updated_at
+    `),
+    deletePage: db.prepare('DELETE FROM journal_pages WHERE id = ?'),
+
+    // Revision statements
+    getLatestRevision: db.prepare(`
+        SELECT id, canvas_json, object_count, created_at >= datetime('now', ?) AS recent
+        FROM page_revisions
+        WHERE page_id = ?
+        ORDER BY id DESC
+        LIMIT 1
+    `),
+    insertRevision: db.prepare('INSERT INTO page_revisions (page_id, canvas_json, object_count) VALUES (?, ?, ?)'),
+    updateRevision: db.prepare("UPDATE page_revisions SET canvas_json = ?, object_count = ?, updated_at = datetime('now') WHERE id = ?"),
+    pruneRevisions: db.prepare(`
+        DELETE FROM page_revisions
+        WHERE page_id = ? AND id NOT IN (
+            SELECT id FROM page_revisions WHERE page_id = ? ORDER BY id DESC LIMIT ?
+        )
+    `),
+    getPageRevisions: db.prepare(`
+        SELECT id, object_count, created_at, updated_at
+        FROM page_revisions
+        WHERE page_id = ?
+        ORDER BY id DESC
+    `),
+    getRevision: db.prepare('SELECT * FROM page_revisions WHERE id = ? AND page_id = ?'),
+
+    // Collaborator statements
+    getPageCollaborators: db.prepare(`
+        SELECT u.id, u.username, u.display_name, u.avatar_url, u.custom_avatar, c.created_at
+        FROM page_collaborators c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.page_id = ?
+        ORDER BY c.created_at ASC
+    `),
+    insertCollaborator: db.prepare('INSERT OR IGNORE INTO page_collaborators (page_id, user_id, invited_by) VALUES (?, ?, ?)'),
+    deleteCollaborator: db.prepare('DELETE FROM page_collaborators WHERE page_id = ? AND user_id = ?'),
+    getSharedPages: db.prepare(`
+        SELECT p.id, p.position, p.updated_at, j.title AS journal_title,
+               u.username, u.display_name
+        FROM page_collaborators c
+        JOIN journal_pages p ON c.page_id = p.id
+        JOIN journals j ON p.journal_id = j.id
+        JOIN users u ON j.user_id = u.id
+        WHERE c.user_id = ?
+        ORDER BY p.updated_at DESC
+    `),
+
+    // Media statements
+    insertMedia: db.prepare('INSERT OR IGNORE INTO media (user_id, hash, size, mime_type) VALUES (?, ?, ?, ?)'),
+    getUserMedia: db.prepare('SELECT * FROM media WHERE user_id = ? AND hash = ?'),
+    getMediaByHash: db.prepare('SELECT hash, mime_type FROM media WHERE hash = ? LIMIT 1'),
+
+    // Image statements (blob bytes live in the media store; image_data is legacy)
     insertImage: db.prepare(
-        'INSERT INTO user_images (user_id, image_data, thumbnail, filename, mime_type) VALUES (?, ?, ?, ?, ?)'
+        "INSERT INTO user_images (user_id, media_id, image_data, thumbnail, filename, mime_type) VALUES (?, ?, '', ?, ?, ?)"
     ),
-    getUserImages: db.prepare(
-        'SELECT id, thumbnail, filename, mime_type, created_at FROM user_images WHERE user_id = ? ORDER BY created_at DESC'
-    ),
-    getImageById: db.prepare('SELECT * FROM user_images WHERE id = ? AND user_id = ?'),
+    getUserImages: db.prepare(`
+        SELECT i.id, i.thumbnail, i.filename, i.mime_type, i.created_at, m.hash
+        FROM user_images i
+        JOIN media m ON i.media_id = m.id
+        WHERE i.user_id = ?
+        ORDER BY i.created_at DESC
+    `),
+    getImageById: db.prepare(`
+        SELECT i.*, m.hash FROM user_images i
+        JOIN media m ON i.media_id = m.id
+        WHERE i.id = ? AND i.user_id = ?
+    `),
+    getImageByMedia: db.prepare(`
+        SELECT i.*, m.hash FROM user_images i
+        JOIN media m ON i.media_id = m.id
+        WHERE i.user_id = ? AND i.media_id = ?
+    `),
+    setImageVariants: db.prepare("UPDATE user_images SET media_id = ?, thumbnail = ?, mime_type = 'image/webp' WHERE id = ?"),
     deleteImage: db.prepare('DELETE FROM user_images WHERE id = ? AND user_id = ?'),
 
     // Audio statements
     insertAudio: db.prepare(
-        'INSERT INTO user_audio (user_id, audio_data, filename, mime_type) VALUES (?, ?, ?, ?)'
+        "INSERT INTO user_audio (user_id, media_id, audio_data, filename, mime_type) VALUES (?, ?, '', ?, ?)"
     ),
-    getUserAudioFiles: db.prepare(
-        'SELECT id, filename, mime_type, created_at FROM user_audio WHERE user_id = ? ORDER BY created_at DESC'
-    ),
-    getAudioById: db.prepare('SELECT * FROM user_audio WHERE id = ? AND user_id = ?'),
+    getUserAudioFiles: db.prepare(`
+        SELECT a.id, a.filename, a.mime_type, a.created_at, m.hash
+        FROM user_audio a
+        JOIN media m ON a.media_id = m.id
+        WHERE a.user_id = ?
+        ORDER BY a.created_at DESC
+    `),
+    getAudioById: db.prepare(`
+        SELECT a.*, m.hash FROM user_audio a
+        JOIN media m ON a.media_id = m.id
+        WHERE a.id = ? AND a.user_id = ?
+    `),
+    getAudioByMedia: db.prepare(`
+        SELECT a.*, m.hash FROM user_audio a
+        JOIN media m ON a.media_id = m.id
+        WHERE a.user_id = ? AND a.media_id = ?
+    `),
     deleteAudio: db.prepare('DELETE FROM user_audio WHERE id = ? AND user_id = ?'),
+    // Audio uploaded by anyone who can edit the page
+    getPageAudio: db.prepare(`
+        SELECT a.*, m.hash FROM user_audio a
+        JOIN media m ON a.media_id = m.id
+        WHERE a.id = @audioId AND (
+            a.user_id = @ownerId OR
+            a.user_id IN (SELECT user_id FROM page_collaborators WHERE page_id = @pageId)
+        )
+    `),
 
     // Published entries statements
-    insertEntry: db.prepare(
-        'INSERT INTO published_entries (user_id, title, description, thumbnail, canvas_json, visibility) VALUES (?, ?, ?, ?, ?, ?)'
+    getEntryThumbnail: db.prepare('SELECT thumbnail FROM published_entries WHERE id = ?'),
+    setEntryThumbnail: db.prepare('UPDATE published_entries SET thumbnail = ? WHERE id = ?'),
+    insertEntry: db.prepare(`
+        INSERT INTO published_entries (user_id, title, description, thumbnail, canvas_json, visibility, journal_id, page_id, page_count)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    getOwnEntry: db.prepare('SELECT * FROM published_entries WHERE id = ? AND user_id = ?'),
+    updateEntryDetails: db.prepare('UPDATE published_entries SET title = ?, description = ?, visibility = ?, comment_policy = ? WHERE id = ?'),
+    updateEntryContent: db.prepare(`
+        UPDATE published_entries
+        SET canvas_json = ?, thumbnail = ?, page_count = ?, journal_id = ?, page_id = ?, updated_at = datetime('now')
+        WHERE id = ?
+        RETURNING updated_at
+    `),
+    // Notes on pages a republished entry no longer has go to its last page
+    moveNotesOffRemovedPages: db.prepare(
+        'UPDATE entry_comments SET page = @pageCount - 1 WHERE entry_id = @entryId AND page >= @pageCount'
     ),
-    getPublicEntries: db.prepare(`
+    deleteEntry: db.prepare('DELETE FROM published_entries WHERE id = ?'),
+
+    // Tag statements
+    getEntryTags: db.prepare(`
+        SELECT t.name FROM entry_tags et
+        JOIN tags t ON et.tag_id = t.id
+        WHERE et.entry_id = ?
+        ORDER BY t.name
+    `).pluck(),
+    insertTag: db.prepare('INSERT INTO tags (name) VALUES (?) ON CONFLICT (name) DO UPDATE SET name = name RETURNING id'),
+    insertEntryTag: db.prepare('INSERT OR IGNORE INTO entry_tags (entry_id, tag_id) VALUES (?, ?)'),
+    clearEntryTags: db.prepare('DELETE FROM entry_tags WHERE entry_id = ?'),
+    // Tag names starting with @prefix, most used first. Only public entries and
+    // the viewer's own count, so private entries don't give their tags away.
+    suggestTags: db.prepare(`
+        SELECT t.name, COUNT(*) AS uses
+        FROM tags t
+        JOIN entry_tags et ON et.tag_id = t.id
+        JOIN published_entries pe ON pe.id = et.entry_id
+        WHERE t.name LIKE @prefix || '%' AND (pe.visibility = 'public' OR pe.user_id = @viewerId)
+        GROUP BY t.id
+        ORDER BY uses DESC, t.name
+        LIMIT 10
+    `),
+    // Each public entry published in the window scores 3 for its tags, each
+    // like in the window 1
+    getTrendingTags: db.prepare(`
+        WITH activity AS (
+            SELECT et.tag_id, 3 AS weight
+            FROM entry_tags et
+            JOIN published_entries pe ON pe.id = et.entry_id
+            JOIN users u ON pe.user_id = u.id
+            WHERE pe.visibility = 'public' AND u.deletion_requested_at IS NULL
+              AND pe.created_at >= datetime('now', @window)
+            UNION ALL
+            SELECT et.tag_id, 1
+            FROM entry_likes l
+            JOIN entry_tags et ON et.entry_id = l.entry_id
+            JOIN published_entries pe ON pe.id = l.entry_id
+            JOIN users u ON pe.user_id = u.id
+            WHERE pe.visibility = 'public' AND u.deletion_requested_at IS NULL
+              AND l.liked_at >= datetime('now', @window)
+        )
+        SELECT t.name, SUM(a.weight) AS score
+        FROM activity a
+        JOIN tags t ON t.id = a.tag_id
+        GROUP BY t.id
+        ORDER BY score DESC, t.name
+        LIMIT @limit
+    `),
+    // Same visibility as search; @following limits it to authors the viewer follows
+    getTaggedEntries: db.prepare(`
         SELECT pe.*, u.username, u.display_name, u.avatar_url, u.custom_avatar,
                (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
-               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id) AS comment_count
-        FROM published_entries pe
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count,
+               COUNT(*) OVER () AS total
+        FROM tags t
+        JOIN entry_tags et ON et.tag_id = t.id
+        JOIN published_entries pe ON pe.id = et.entry_id
         JOIN users u ON pe.user_id = u.id
-        WHERE pe.visibility = 'public'
+        WHERE t.name = @tag AND u.deletion_requested_at IS NULL
+          AND (pe.visibility = 'public' OR (pe.visibility = 'friends' AND (
+              pe.user_id = @viewerId OR
+              EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id)
+          )))
+          AND (@following = 0 OR EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id))
         ORDER BY pe.created_at DESC
-        LIMIT ? OFFSET ?
+        LIMIT @limit OFFSET @offset
+    `),
+
+    getEntryForIndex: db.prepare(`
+        SELECT pe.id, pe.title, pe.description, pe.canvas_json, u.username, u.display_name
+        FROM published_entries pe
+        JOIN users u ON pe.user_id = u.id
+        WHERE pe.id = ?
+    `),
+    getUnindexedEntryIds: db.prepare('SELECT id FROM published_entries WHERE id NOT IN (SELECT rowid FROM entry_search)').pluck(),
+    getUserEntryIds: db.prepare('SELECT id FROM published_entries WHERE user_id = ?').pluck(),
+    indexEntry: db.prepare('INSERT INTO entry_search (rowid, title, description, author, body) VALUES (?, ?, ?, ?, ?)'),
+    unindexEntry: db.prepare('DELETE FROM entry_search WHERE rowid = ?'),
+    // Ranked by bm25 with title and author matches weighing most. Same
+    // visibility as the feeds: public entries, plus friends-only ones by
+    // people the viewer follows (or by the viewer); @following limits it to
+    // the latter's authors.
+    searchEntries: db.prepare(`
+        SELECT pe.*, u.username, u.display_name, u.avatar_url, u.custom_avatar,
+               (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count,
+               m.title_highlight, m.snippet, COUNT(*) OVER () AS total
+        FROM (
+            SELECT rowid AS entry_id, bm25(entry_search, 10.0, 3.0, 6.0, 1.0) AS rank,
+                   highlight(entry_search, 0, char(2), char(3)) AS title_highlight,
+                   snippet(entry_search, -1, char(2), char(3), '…', 16) AS snippet
+            FROM entry_search
+            WHERE entry_search MATCH @query
+        ) m
+        JOIN published_entries pe ON pe.id = m.entry_id
+        JOIN users u ON pe.user_id = u.id
+        WHERE u.deletion_requested_at IS NULL
+          AND (pe.visibility = 'public' OR (pe.visibility = 'friends' AND (
+              pe.user_id = @viewerId OR
+              EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id)
+          )))
+          AND (@following = 0 OR EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id))
+        ORDER BY m.rank, pe.created_at DESC
+        LIMIT @limit OFFSET @offset
+    `),
+    insertEntryVersion: db.prepare(
+        'INSERT INTO entry_versions (entry_id, canvas_json, thumbnail, page_count, published_at) VALUES (?, ?, ?, ?, ?)'
+    ),
+    getEntryVersions: db.prepare(`
+        SELECT id, thumbnail, page_count, published_at, replaced_at
+        FROM entry_versions
+        WHERE entry_id = ?
+        ORDER BY id DESC
+    `),
+    // Entries published from a journal, or from one of its pages
+    getJournalEntries: db.prepare(`
+        SELECT id, title, description, visibility, journal_id, page_id, page_count, created_at, updated_at
+        FROM published_entries
+        WHERE user_id = @userId AND (
+            journal_id = @journalId OR
+            page_id IN (SELECT id FROM journal_pages WHERE journal_id = @journalId)
+        )
+        ORDER BY created_at DESC
+    `),
+    // The newest-first feeds:
+    //   public (@following = 0) — public entries; with a @tag, also the
+    //     friends-only ones the viewer can see
+    //   friends (@following = 1) — public and friends-only entries by people
+    //     the viewer follows
+    // Keyset pagination on (created_at, id): a page continues past
+    // @cursorCreatedAt/@cursorId, towards older entries or, with @newer,
+    // towards newer ones (returned oldest first).
+    getFeedEntries: db.prepare(`
+        SELECT pe.*, u.username, u.display_name, u.avatar_url, u.custom_avatar,
+               (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count
+        FROM published_entries pe
+        JOIN users u ON pe.user_id = u.id
+        WHERE u.deletion_requested_at IS NULL
+          AND CASE
+              WHEN @following THEN pe.visibility IN ('public', 'friends') AND
+                  EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id)
+              WHEN @tag IS NOT NULL THEN pe.visibility = 'public' OR (pe.visibility = 'friends' AND (
+                  pe.user_id = @viewerId OR
+                  EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id)
+              ))
+              ELSE pe.visibility = 'public'
+          END
+          AND (@tag IS NULL OR EXISTS (
+              SELECT 1 FROM entry_tags et JOIN tags t ON t.id = et.tag_id
+              WHERE et.entry_id = pe.id AND t.name = @tag
+          ))
+          AND (@cursorId IS NULL
+              OR (@newer AND (pe.created_at, pe.id) > (@cursorCreatedAt, @cursorId))
+              OR (NOT @newer AND (pe.created_at, pe.id) < (@cursorCreatedAt, @cursorId)))
+        ORDER BY CASE WHEN @newer THEN pe.created_at END, CASE WHEN @newer THEN pe.id END,
+                 pe.created_at DESC, pe.id DESC
+        LIMIT @limit
+    `),
+    // Scores the ranked feeds into snapshot @snapshotId, best first. Only
+    // entries from the last @window are scored; an entry scores
+    // 1 + likes + 2 × notes + 3 × bookmarks, divided by (hours old + 2) ^ @gravity.
+    //   popular (@personal = 0) — public entries by that score
+    //   for you (@personal = 1) — also friends-only entries by people the
+    //     viewer follows, minus their own and ones they've seen, with each
+    //     score multiplied by 1 + the viewer's likes + 2 × their bookmarks of
+    //     the author's entries
+    rankFeedSnapshot: db.prepare(`
+        INSERT INTO feed_snapshot_entries (snapshot_id, position, entry_id, score)
+        SELECT @snapshotId, ROW_NUMBER() OVER (ORDER BY score DESC, id DESC), id, score FROM (
+            SELECT pe.id,
+                   (1 + (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id)
+                      + 2 * (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL)
+                      + 3 * (SELECT COUNT(*) FROM entry_bookmarks WHERE entry_id = pe.id))
+                   / pow((julianday('now') - julianday(pe.created_at)) * 24 + 2, @gravity)
+                   * CASE WHEN @personal THEN 1
+                        + (SELECT COUNT(*) FROM entry_likes l JOIN published_entries a ON l.entry_id = a.id
+                           WHERE a.user_id = pe.user_id AND l.user_id = @viewerId)
+                        + 2 * (SELECT COUNT(*) FROM entry_bookmarks b JOIN published_entries a ON b.entry_id = a.id
+                               WHERE a.user_id = pe.user_id AND b.user_id = @viewerId)
+                     ELSE 1 END AS score
+            FROM published_entries pe
+            JOIN users u ON pe.user_id = u.id
+            WHERE pe.created_at >= datetime('now', @window)
+              AND u.deletion_requested_at IS NULL
+              AND (pe.visibility = 'public' OR (
+                  @personal AND pe.visibility = 'friends' AND
+                  EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id)
+              ))
+              AND NOT (@personal AND (
+                  pe.user_id = @viewerId OR
+                  EXISTS (SELECT 1 FROM entry_views WHERE user_id = @viewerId AND entry_id = pe.id)
+              ))
+        )
+        ORDER BY score DESC, id DESC
+        LIMIT @size
+    `),
+    insertFeedSnapshot: db.prepare('INSERT INTO feed_snapshots (user_id) VALUES (?)'),
+    findFeedSnapshot: db.prepare(`
+        SELECT id, (SELECT MAX(position) FROM feed_snapshot_entries WHERE snapshot_id = id) AS size
+        FROM feed_snapshots WHERE id = ? AND user_id = ? AND created_at >= datetime('now', ?)
+    `),
+    pruneFeedSnapshots: db.prepare("DELETE FROM feed_snapshots WHERE created_at < datetime('now', ?)"),
+    // The snapshot's entries in positions @afterPosition + 1 to @untilPosition
+    // that the viewer can still see
+    getSnapshotEntries: db.prepare(`
+        SELECT pe.*, u.username, u.display_name, u.avatar_url, u.custom_avatar, s.position,
+               (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count
+        FROM feed_snapshot_entries s
+        JOIN published_entries pe ON pe.id = s.entry_id
+        JOIN users u ON pe.user_id = u.id
+        WHERE s.snapshot_id = @snapshotId AND s.position > @afterPosition AND s.position <= @untilPosition
+          AND u.deletion_requested_at IS NULL
+          AND (pe.visibility = 'public' OR (pe.visibility = 'friends' AND (
+              pe.user_id = @viewerId OR
+              EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id)
+          )))
+        ORDER BY s.position
+    `),
+    recordEntryView: db.prepare(`
+        INSERT INTO entry_views (user_id, entry_id) VALUES (?, ?)
+        ON CONFLICT (user_id, entry_id) DO UPDATE SET seen_at = CURRENT_TIMESTAMP
     `),
     getEntryById: db.prepare(`
         SELECT pe.*, u.username, u.display_name, u.avatar_url, u.custom_avatar,
                (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
-               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id) AS comment_count
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count
         FROM published_entries pe
         JOIN users u ON pe.user_id = u.id
         WHERE pe.id = ?
     `),
     getEntryComments: db.prepare(`
-        SELECT ec.*, u.username, u.display_name, u.avatar_url, u.custom_avatar
+        SELECT ec.*, u.username, u.display_name, u.avatar_url, u.custom_avatar,
+               (SELECT COUNT(*) FROM comment_reports WHERE comment_id = ec.id) AS report_count
         FROM entry_comments ec
         JOIN users u ON ec.user_id = u.id
         WHERE ec.entry_id = ?
-        ORDER BY ec.created_at ASC
+        ORDER BY ec.created_at ASC, ec.id ASC
     `),
     insertComment: db.prepare(
-        'INSERT INTO entry_comments (entry_id, user_id, content, color, pos_x, pos_y, rotation) VALUES (?, ?, ?, ?, ?, ?, ?)'
+        'INSERT INTO entry_comments (entry_id, user_id, parent_id, content, color, pos_x, pos_y, rotation, page) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ),
+    // A page of an entry's notes, or of one note's replies, as @viewerId may
+    // see them (hidden ones only to their writer and the entry's author)
+    getCommentThreads: db.prepare(`
+        SELECT ec.*, u.username, u.display_name, u.avatar_url, u.custom_avatar,
+               (SELECT COUNT(*) FROM comment_reports WHERE comment_id = ec.id) AS report_count,
+               (SELECT COUNT(*) FROM entry_comments r
+                WHERE r.parent_id = ec.id AND (r.hidden_at IS NULL OR @viewerId IN (r.user_id, @ownerId))) AS reply_count
+        FROM entry_comments ec
+        JOIN users u ON ec.user_id = u.id
+        WHERE ec.entry_id = @entryId AND ec.parent_id IS @parentId
+          AND (ec.hidden_at IS NULL OR @viewerId IN (ec.user_id, @ownerId))
+          AND (@cursorId IS NULL OR (ec.created_at, ec.id) > (@cursorCreatedAt, @cursorId))
+        ORDER BY ec.created_at ASC, ec.id ASC
+        LIMIT @limit
+    `),
+    countCommentThreads: db.prepare(`
+        SELECT COUNT(*) AS count FROM entry_comments ec
+        WHERE ec.entry_id = @entryId AND ec.parent_id IS @parentId
+          AND (ec.hidden_at IS NULL OR @viewerId IN (ec.user_id, @ownerId))
+    `),
+    getCommentWithAuthor: db.prepare(`
+        SELECT ec.*, u.username, u.display_name, u.avatar_url, u.custom_avatar,
+               (SELECT COUNT(*) FROM comment_reports WHERE comment_id = ec.id) AS report_count
+        FROM entry_comments ec
+        JOIN users u ON ec.user_id = u.id
+        WHERE ec.id = ?
+    `),
+    getCommentReactions: db.prepare(`
+        SELECT emoji, COUNT(*) AS count, MAX(user_id = ?) AS reacted
+        FROM comment_reactions WHERE comment_id = ?
+        GROUP BY emoji ORDER BY MIN(id)
+    `),
+    findReaction: db.prepare('SELECT id FROM comment_reactions WHERE comment_id = ? AND user_id = ? AND emoji = ?'),
+    insertReaction: db.prepare('INSERT INTO comment_reactions (comment_id, user_id, emoji) VALUES (?, ?, ?)'),
+    deleteReaction: db.prepare('DELETE FROM comment_reactions WHERE comment_id = ? AND user_id = ? AND emoji = ?'),
+    getEntryComment: db.prepare('SELECT * FROM entry_comments WHERE id = ? AND entry_id = ?'),
+    updateComment: db.prepare("UPDATE entry_comments SET content = ?, color = ?, edited_at = datetime('now') WHERE id = ?"),
+    // Replies keep their place with the note they answer
+    moveComment: db.prepare(`
+        UPDATE entry_comments
+        SET pos_x = @posX, pos_y = @posY, page = @page, rotation = CASE WHEN id = @id THEN @rotation ELSE rotation END
+        WHERE id = @id OR parent_id = @id
+    `),
+    setCommentHidden: db.prepare("UPDATE entry_comments SET hidden_at = CASE WHEN ? THEN COALESCE(hidden_at, datetime('now')) END WHERE id = ?"),
+    deleteComment: db.prepare('DELETE FROM entry_comments WHERE id = ?'),
+    insertCommentReport: db.prepare(
+        'INSERT OR IGNORE INTO comment_reports (comment_id, reporter_id, reason, details) VALUES (?, ?, ?, ?)'
     ),
     findLike: db.prepare('SELECT id FROM entry_likes WHERE entry_id = ? AND user_id = ?'),
-    insertLike: db.prepare('INSERT INTO entry_likes (entry_id, user_id) VALUES (?, ?)'),
+    insertLike: db.prepare("INSERT INTO entry_likes (entry_id, user_id, liked_at) VALUES (?, ?, datetime('now'))"),
     deleteLike: db.prepare('DELETE FROM entry_likes WHERE entry_id = ? AND user_id = ?'),
     findBookmark: db.prepare('SELECT id FROM entry_bookmarks WHERE entry_id = ? AND user_id = ?'),
-    insertBookmark: db.prepare('INSERT INTO entry_bookmarks (entry_id, user_id) VALUES (?, ?)'),
+    insertBookmark: db.prepare("INSERT INTO entry_bookmarks (entry_id, user_id, saved_at) VALUES (?, ?, datetime('now'))"),
     deleteBookmark: db.prepare('DELETE FROM entry_bookmarks WHERE entry_id = ? AND user_id = ?'),
 
     // Profile statements
-    getProfileByUsername: db.prepare('SELECT id, username, display_name, avatar_url, bio, banner_url, custom_avatar, created_at FROM users WHERE username = ?'),
+    getProfileByUsername: db.prepare(`
+        SELECT id, username, display_name, avatar_url, bio, banner_url, custom_avatar, created_at, deletion_requested_at
+        FROM users WHERE username = ?
+    `),
     getUserEntries: db.prepare(`
-        SELECT pe.id, pe.title, pe.description, pe.thumbnail, pe.visibility, pe.created_at,
+        SELECT pe.id, pe.title, pe.description, pe.thumbnail, pe.visibility, pe.comment_policy, pe.page_count, pe.created_at, pe.updated_at,
                (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
-               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id) AS comment_count
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count
         FROM published_entries pe
         WHERE pe.user_id = ?
         ORDER BY pe.created_at DESC
     `),
-    getUserPublicEntries: db.prepare(`
-        SELECT pe.id, pe.title, pe.description, pe.thumbnail, pe.visibility, pe.created_at,
+    getUserVisibleEntries: db.prepare(`
+        SELECT pe.id, pe.title, pe.description, pe.thumbnail, pe.visibility, pe.page_count, pe.created_at, pe.updated_at,
                (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
-               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id) AS comment_count
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count
         FROM published_entries pe
-        WHERE pe.user_id = ? AND pe.visibility = 'public'
+        WHERE pe.user_id = @ownerId AND (
+            pe.visibility = 'public' OR (
+                pe.visibility = 'friends' AND
+                EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = @ownerId)
+            )
+        )
         ORDER BY pe.created_at DESC
     `),
     getPinnedEntries: db.prepare(`
-        SELECT pin.position, pe.id, pe.title, pe.thumbnail, pe.created_at
+        SELECT pin.position, pe.id, pe.user_id, pe.title, pe.thumbnail, pe.visibility, pe.created_at
         FROM pinned_entries pin
         JOIN published_entries pe ON pin.entry_id = pe.id
         WHERE pin.user_id = ?
@@ -213,19 +932,530 @@ const stmts = {
     updateBio: db.prepare('UPDATE users SET bio = ? WHERE id = ?'),
     updateBanner: db.prepare('UPDATE users SET banner_url = ? WHERE id = ?'),
     updateCustomAvatar: db.prepare('UPDATE users SET custom_avatar = ? WHERE id = ?'),
+
+    // Follow statements
+    findFollow: db.prepare('SELECT id FROM follows WHERE follower_id = ? AND following_id = ?'),
+    insertFollow: db.prepare('INSERT OR IGNORE INTO follows (follower_id, following_id) VALUES (?, ?)'),
+    deleteFollow: db.prepare('DELETE FROM follows WHERE follower_id = ? AND following_id = ?'),
+    getFollowerCount: db.prepare('SELECT COUNT(*) as cnt FROM follows WHERE following_id = ?'),
+    getFollowingCount: db.prepare('SELECT COUNT(*) as cnt FROM follows WHERE follower_id = ?'),
+    getFollowers: db.prepare(`
+        SELECT u.id, u.username, u.display_name, u.avatar_url, u.custom_avatar, f.created_at
+        FROM follows f
+        JOIN users u ON f.follower_id = u.id
+        WHERE f.following_id = ?
+        ORDER BY f.created_at DESC
+    `),
+    getFollowing: db.prepare(`
+        SELECT u.id, u.username, u.display_name, u.avatar_url, u.custom_avatar, f.created_at
+        FROM follows f
+        JOIN users u ON f.following_id = u.id
+        WHERE f.follower_id = ?
+        ORDER BY f.created_at DESC
+    `),
+
+    // Bookmark & collection statements
+    // The viewer's bookmarks they can still open, most recently saved first
+    getSavedEntries: db.prepare(`
+        SELECT pe.*, u.username, u.display_name, u.avatar_url, u.custom_avatar, b.saved_at,
+               (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count,
+               COUNT(*) OVER () AS total
+        FROM entry_bookmarks b
+        JOIN published_entries pe ON pe.id = b.entry_id
+        JOIN users u ON pe.user_id = u.id
+        WHERE b.user_id = @viewerId AND (pe.user_id = @viewerId OR (u.deletion_requested_at IS NULL AND (
+            pe.visibility IN ('public', 'unlisted') OR (
+                pe.visibility = 'friends' AND
+                EXISTS (SELECT 1 FROM follows WHERE follower_id = @viewerId AND following_id = pe.user_id)
+            )
+        )))
+        ORDER BY b.saved_at DESC, b.id DESC
+        LIMIT @limit OFFSET @offset
+    `),
+    getEntryCollectionIds: db.prepare(`
+        SELECT ce.collection_id FROM collection_entries ce
+        JOIN collections c ON c.id = ce.collection_id
+        WHERE ce.entry_id = ? AND c.user_id = ?
+    `).pluck(),
+    getCollection: db.prepare(`
+        SELECT c.*, u.username, u.display_name, u.avatar_url, u.custom_avatar, u.deletion_requested_at
+        FROM collections c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.id = ?
+    `),
+    getOwnCollection: db.prepare('SELECT * FROM collections WHERE id = ? AND user_id = ?'),
+    getUserCollections: db.prepare(`
+        SELECT * FROM collections
+        WHERE user_id = @ownerId AND (@all OR visibility = 'public')
+        ORDER BY updated_at DESC, id DESC
+    `),
+    countUserCollections: db.prepare('SELECT COUNT(*) FROM collections WHERE user_id = ?').pluck(),
+    // Every entry in a collection, in its order; callers drop those the viewer can't open
+    getCollectionEntries: db.prepare(`
+        SELECT pe.*, u.username, u.display_name, u.avatar_url, u.custom_avatar, ce.added_at,
+               (SELECT COUNT(*) FROM entry_likes WHERE entry_id = pe.id) AS like_count,
+               (SELECT COUNT(*) FROM entry_comments WHERE entry_id = pe.id AND hidden_at IS NULL) AS comment_count
+        FROM collection_entries ce
+        JOIN published_entries pe ON pe.id = ce.entry_id
+        JOIN users u ON pe.user_id = u.id
+        WHERE ce.collection_id = ?
+        ORDER BY ce.position, ce.added_at
+    `),
+    getCollectionEntryIds: db.prepare('SELECT entry_id FROM collection_entries WHERE collection_id = ? ORDER BY position, added_at').pluck(),
+    insertCollection: db.prepare('INSERT INTO collections (user_id, name, description, visibility) VALUES (?, ?, ?, ?)'),
+    updateCollection: db.prepare(`
+        UPDATE collections SET name = @name, description = @description, visibility = @visibility, updated_at = datetime('now')
+        WHERE id = @id
+    `),
+    touchCollection: db.prepare("UPDATE collections SET updated_at = datetime('now') WHERE id = ?"),
+    deleteCollection: db.prepare('DELETE FROM collections WHERE id = ?'),
+    insertCollectionEntry: db.prepare(`
+        INSERT OR IGNORE INTO collection_entries (collection_id, entry_id, position)
+        SELECT @collectionId, @entryId, COALESCE(MAX(position), -1) + 1 FROM collection_entries WHERE collection_id = @collectionId
+    `),
+    deleteCollectionEntry: db.prepare('DELETE FROM collection_entries WHERE collection_id = ? AND entry_id = ?'),
+    setCollectionEntryPosition: db.prepare('UPDATE collection_entries SET position = ? WHERE collection_id = ? AND entry_id = ?'),
+    // Unsaving an entry takes it out of the user's collections too
+    deleteBookmarkFromCollections: db.prepare(`
+        DELETE FROM collection_entries
+        WHERE entry_id = ? AND collection_id IN (SELECT id FROM collections WHERE user_id = ?)
+    `),
+    importCollection: db.prepare('INSERT INTO collections (user_id, name, description, visibility, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)'),
+
+    // Notification statements
+    insertNotification: db.prepare(
+        'INSERT INTO notifications (user_id, actor_id, type, entry_id, comment_id) VALUES (?, ?, ?, ?, ?)'
+    ),
+    deleteNotification: db.prepare('DELETE FROM notifications WHERE user_id = ? AND actor_id = ? AND type = ? AND entry_id IS ?'),
+    // Actors whose accounts are on their way out drop out of everyone's lists
+    getNotifications: db.prepare(`
+        SELECT n.id, n.type, n.entry_id, n.comment_id, n.created_at, n.read_at,
+               a.username, a.display_name, a.avatar_url, a.custom_avatar,
+               pe.title AS entry_title, ec.content AS comment_content
+        FROM notifications n
+        JOIN users a ON n.actor_id = a.id
+        LEFT JOIN published_entries pe ON n.entry_id = pe.id
+        LEFT JOIN entry_comments ec ON n.comment_id = ec.id
+        WHERE n.user_id = ? AND n.id < ? AND a.deletion_requested_at IS NULL
+        ORDER BY n.id DESC
+        LIMIT ?
+    `),
+    countUnreadNotifications: db.prepare(`
+        SELECT COUNT(*) AS cnt FROM notifications n
+        JOIN users a ON n.actor_id = a.id
+        WHERE n.user_id = ? AND n.read_at IS NULL AND a.deletion_requested_at IS NULL
+    `),
+    markNotificationRead: db.prepare("UPDATE notifications SET read_at = datetime('now') WHERE id = ? AND user_id = ? AND read_at IS NULL"),
+    markAllNotificationsRead: db.prepare("UPDATE notifications SET read_at = datetime('now') WHERE user_id = ? AND read_at IS NULL"),
+    getNotificationMutes: db.prepare('SELECT type FROM notification_mutes WHERE user_id = ?'),
+    findNotificationMute: db.prepare('SELECT 1 FROM notification_mutes WHERE user_id = ? AND type = ?'),
+    insertNotificationMute: db.prepare('INSERT OR IGNORE INTO notification_mutes (user_id, type) VALUES (?, ?)'),
+    deleteNotificationMute: db.prepare('DELETE FROM notification_mutes WHERE user_id = ? AND type = ?'),
+
+    // Account archive statements
+    getAccountContentCounts: db.prepare(`
+        SELECT (SELECT COUNT(*) FROM published_entries WHERE user_id = @userId) AS entries,
+               (SELECT COUNT(*) FROM user_images WHERE user_id = @userId) AS images,
+               (SELECT COUNT(*) FROM user_audio WHERE user_id = @userId) AS audio
+    `),
+    getUserEntriesFull: db.prepare('SELECT * FROM published_entries WHERE user_id = ? ORDER BY created_at ASC'),
+    getEntryLikers: db.prepare(`
+        SELECT u.username, u.display_name FROM entry_likes l
+        JOIN users u ON l.user_id = u.id
+        WHERE l.entry_id = ?
+    `),
+    getEntryBookmarkers: db.prepare(`
+        SELECT u.username, u.display_name FROM entry_bookmarks b
+        JOIN users u ON b.user_id = u.id
+        WHERE b.entry_id = ?
+    `),
+    getUserBookmarks: db.prepare(`
+        SELECT pe.id, pe.title, u.username FROM entry_bookmarks b
+        JOIN published_entries pe ON b.entry_id = pe.id
+        JOIN users u ON pe.user_id = u.id
+        WHERE b.user_id = ?
+    `),
+    importJournal: db.prepare('INSERT INTO journals (user_id, title, created_at, updated_at) VALUES (?, ?, ?, ?)'),
+    importPage: db.prepare('INSERT INTO journal_pages (journal_id, position, canvas_json, updated_at) VALUES (?, ?, ?, ?)'),
+    importImage: db.prepare(
+        "INSERT INTO user_images (user_id, media_id, image_data, thumbnail, filename, mime_type, created_at) VALUES (?, ?, '', ?, ?, ?, ?)"
+    ),
+    importAudio: db.prepare(
+        "INSERT INTO user_audio (user_id, media_id, audio_data, filename, mime_type, created_at) VALUES (?, ?, '', ?, ?, ?)"
+    ),
+    importEntry: db.prepare(`
+        INSERT INTO published_entries
+            (user_id, title, description, thumbnail, canvas_json, visibility, comment_policy, journal_id, page_id, page_count, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    getEntryVersionsFull: db.prepare('SELECT * FROM entry_versions WHERE entry_id = ? ORDER BY id ASC'),
+    importEntryVersion: db.prepare(
+        'INSERT INTO entry_versions (entry_id, canvas_json, thumbnail, page_count, published_at, replaced_at) VALUES (?, ?, ?, ?, ?, ?)'
+    ),
+    importComment: db.prepare(
+        `INSERT INTO entry_comments (entry_id, user_id, parent_id, content, color, pos_x, pos_y, rotation, page, created_at, edited_at, hidden_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ),
+    getCommentReactors: db.prepare(`
+        SELECT r.emoji, u.username, u.display_name FROM comment_reactions r
+        JOIN users u ON r.user_id = u.id
+        WHERE r.comment_id = ?
+        ORDER BY r.id
+    `),
+    importReaction: db.prepare('INSERT OR IGNORE INTO comment_reactions (comment_id, user_id, emoji) VALUES (?, ?, ?)'),
+    importLike: db.prepare('INSERT OR IGNORE INTO entry_likes (entry_id, user_id) VALUES (?, ?)'),
+    importBookmark: db.prepare('INSERT OR IGNORE INTO entry_bookmarks (entry_id, user_id) VALUES (?, ?)'),
+
+    // Account deletion statements
+    requestDeletion: db.prepare("UPDATE users SET deletion_requested_at = datetime('now') WHERE id = ? AND deletion_requested_at IS NULL"),
+    cancelDeletion: db.prepare('UPDATE users SET deletion_requested_at = NULL WHERE id = ? AND deletion_requested_at IS NOT NULL'),
+    getDeletionDate: db.prepare('SELECT datetime(deletion_requested_at, ?) AS deletes_at FROM users WHERE id = ? AND deletion_requested_at IS NOT NULL'),
+    getAccountsDue: db.prepare(`
+        SELECT id FROM users
+        WHERE deletion_requested_at IS NOT NULL AND deleted_at IS NULL
+          AND datetime(deletion_requested_at, ?) <= datetime('now')
+    `),
+    getUserMediaHashes: db.prepare('SELECT hash FROM media WHERE user_id = ?'),
+    // Canvases of other accounts that show media, with whose they are
+    getOthersMediaCanvases: db.prepare(`
+        SELECT owner_id, canvas_json FROM (
+            SELECT j.user_id AS owner_id, p.canvas_json FROM journal_pages p
+            JOIN journals j ON p.journal_id = j.id
+            UNION ALL
+            SELECT j.user_id, r.canvas_json FROM page_revisions r
+            JOIN journal_pages p ON r.page_id = p.id
+            JOIN journals j ON p.journal_id = j.id
+            UNION ALL
+            SELECT e.user_id, e.canvas_json FROM published_entries e
+            UNION ALL
+            SELECT e.user_id, v.canvas_json FROM entry_versions v
+            JOIN published_entries e ON v.entry_id = e.id
+        )
+        WHERE owner_id != ? AND canvas_json LIKE '%/api/media/%'
+    `),
+    handOverMedia: db.prepare(`
+        INSERT OR IGNORE INTO media (user_id, hash, size, mime_type)
+        SELECT ?, hash, size, mime_type FROM media WHERE user_id = ? AND hash = ?
+    `),
+    getUserPageIds: db.prepare('SELECT p.id FROM journal_pages p JOIN journals j ON p.journal_id = j.id WHERE j.user_id = ?'),
+    // Order matters: rows go before the rows they reference
+    purgeAccountRows: [
+        'DELETE FROM user_images WHERE user_id = ?',
+        'DELETE FROM user_audio WHERE user_id = ?',
+        'DELETE FROM entry_search WHERE rowid IN (SELECT id FROM published_entries WHERE user_id = ?)',
+        'DELETE FROM published_entries WHERE user_id = ?', // comments, likes, bookmarks & pins of them cascade
+        'DELETE FROM journals WHERE user_id = ?', // pages, revisions & co-authors cascade
+        'DELETE FROM canvases WHERE user_id = ?',
+        'DELETE FROM page_collaborators WHERE user_id = ?',
+        'DELETE FROM entry_likes WHERE user_id = ?',
+        'DELETE FROM entry_bookmarks WHERE user_id = ?',
+        'DELETE FROM collections WHERE user_id = ?', // their entries cascade
+        'DELETE FROM pinned_entries WHERE user_id = ?',
+        'DELETE FROM comment_reports WHERE reporter_id = ?',
+        'DELETE FROM comment_reactions WHERE user_id = ?',
+        'DELETE FROM entry_views WHERE user_id = ?',
+        'DELETE FROM feed_snapshots WHERE user_id = ?', // their entries cascade
+        'DELETE FROM notifications WHERE ? IN (user_id, actor_id)',
+        'DELETE FROM notification_mutes WHERE user_id = ?',
+        'DELETE FROM follows WHERE ? IN (follower_id, following_id)',
+        'DELETE FROM media WHERE user_id = ?',
+    ].map(sql => db.prepare(sql)),
+    // What's left is a row with no personal data for the user's comments to point at
+    tombstoneUser: db.prepare(`
+        UPDATE users SET google_id = 'deleted:' || id, username = NULL, display_name = NULL, avatar_url = NULL,
+                         bio = '', banner_url = '', custom_avatar = '', deletion_requested_at = NULL,
+                         deleted_at = datetime('now')
+        WHERE id = ?
+    `),
 };
 
+// ── Media store ────────────────────────────────────────────────────────────────
+// Uploaded bytes live on disk under MEDIA_DIR, named by their SHA-256
+// (media/ab/ab12…), so identical files are stored once. The media table records
+// which users own which hashes; image and audio rows point at their media row.
+fs.mkdirSync(path.join(MEDIA_DIR, 'tmp'), { recursive: true });
+
+const mediaPath = (hash) => path.join(MEDIA_DIR, hash.slice(0, 2), hash);
+const mediaUrl = (hash) => `/api/media/${hash}`;
+
+// Moves a fully written temp file to its content address
+function commitMediaFile(tmpPath, hash) {
+    const dest = mediaPath(hash);
+    if (fs.existsSync(dest)) {
+        fs.rmSync(tmpPath, { force: true });
+        return;
+    }
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.renameSync(tmpPath, dest);
+}
+
+// The user's media row for these bytes, created on their first upload of them
+function ownMedia(userId, hash, size, mimeType) {
+    stmts.insertMedia.run(userId, hash, size, mimeType);
+    return stmts.getUserMedia.get(userId, hash);
+}
+
+function storeMediaBytes(userId, bytes, mimeType) {
+    const hash = crypto.createHash('sha256').update(bytes).digest('hex');
+    if (!fs.existsSync(mediaPath(hash))) {
+        const tmpPath = path.join(MEDIA_DIR, 'tmp', crypto.randomUUID());
+        fs.writeFileSync(tmpPath, bytes);
+        commitMediaFile(tmpPath, hash);
+    }
+    return ownMedia(userId, hash, bytes.length, mimeType);
+}
+
+// null for anything that isn't a decodable data URL (including bad % escapes)
+function decodeDataUrl(dataUrl) {
+    const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(dataUrl || '');
+    if (!match) return null;
+    try {
+        return {
+            mimeType: match[1] || 'application/octet-stream',
+            bytes: match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3])),
+        };
+    } catch {
+        return null;
+    }
+}
+
+function storeDataUrl(userId, dataUrl, types) {
+    const decoded = decodeDataUrl(dataUrl);
+    return decoded && types.includes(decoded.mimeType) && storeMediaBytes(userId, decoded.bytes, decoded.mimeType);
+}
+
+// Embedded images get the same treatment as uploads: only IMAGE_TYPES, and the
+// bytes are decoded and re-encoded rather than stored as the client sent them
+async function storeEmbeddedImage(userId, dataUrl) {
+    const decoded = decodeDataUrl(dataUrl);
+    if (!decoded || !IMAGE_TYPES.includes(decoded.mimeType)) {
+        throw new UploadError(415, 'Embedded images must be PNG, JPEG, GIF or WebP');
+    }
+    const { full } = await storeImageVariants(userId, decoded.bytes, ['full']);
+    return mediaUrl(full.media.hash);
+}
+
+// Points the embedded data URL images of a canvas (or { pages: [...] }) at a
+// re-encoded copy in the media store. Throws an UploadError for an embedded
+// file that isn't an image.
+async function storeEmbeddedImages(node, userId) {
+    const embedded = [];
+    forEachCanvasObject(node, (o) => {
+        if (typeof o.src === 'string' && o.src.startsWith('data:')) embedded.push(o);
+    });
+    for (const o of embedded) o.src = await storeEmbeddedImage(userId, o.src);
+}
+
+// Points the images of a canvas at media URLs: library images (imageId) at the
+// library's current copy, embedded ones as storeEmbeddedImages does
+async function resolveImageSources(node, userId) {
+    forEachCanvasObject(node, (o) => {
+        if (o.imageId === undefined) return;
+        const image = stmts.getImageById.get(o.imageId, userId);
+        if (image) o.src = mediaUrl(image.hash);
+    });
+    await storeEmbeddedImages(node, userId);
+}
+
+// Moves base64 blobs saved before the media store existed onto disk (runs until
+// nothing is left to move). Rows are fetched one at a time; they can be large.
+db.transaction(() => {
+    const blobTables = [
+        { table: 'user_images', column: 'image_data', types: IMAGE_TYPES },
+        { table: 'user_audio', column: 'audio_data', types: AUDIO_TYPES },
+    ];
+    for (const { table, column, types } of blobTables) {
+        const ids = db.prepare(`SELECT id FROM ${table} WHERE media_id IS NULL`).pluck().all();
+        const getRow = db.prepare(`SELECT user_id, ${column} AS data FROM ${table} WHERE id = ?`);
+        const setMedia = db.prepare(`UPDATE ${table} SET media_id = ?, ${column} = '' WHERE id = ?`);
+        for (const id of ids) {
+            const row = getRow.get(id);
+            const media = storeDataUrl(row.user_id, row.data, types);
+            if (media) setMedia.run(media.id, id);
+            else console.warn(`Skipping ${table} #${id}: not a supported data URL`);
+        }
+    }
+})();
+
+class UploadError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Streams the file part named `field` of a multipart request to a temp file,
+// hashing it on the way. Other text parts are returned as `fields`. The caller
+// either commits `tmpPath` to the media store or deletes it.
+function receiveUpload(req, { field, types, maxBytes }) {
+    return new Promise((resolve, reject) => {
+        let parser;
+        try {
+            parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: maxBytes } });
+        } catch {
+            reject(new UploadError(400, 'Expected a multipart/form-data upload'));
+            return;
+        }
+
+        const fields = {};
+        let file = null;
+        let failure = null;
+        const discard = () => file && fs.rmSync(file.tmpPath, { force: true });
+
+        parser.on('field', (name, value) => { fields[name] = value; });
+        parser.on('file', (name, stream, info) => {
+            if (name !== field || file) {
+                stream.resume();
+                return;
+            }
+            if (!types.includes(info.mimeType)) {
+                failure = new UploadError(415, `Unsupported file type: ${info.mimeType}`);
+                stream.resume();
+                return;
+            }
+            const tmpPath = path.join(MEDIA_DIR, 'tmp', crypto.randomUUID());
+            const hasher = crypto.createHash('sha256');
+            let size = 0;
+            stream.on('data', (chunk) => {
+                hasher.update(chunk);
+                size += chunk.length;
+            });
+            stream.on('limit', () => { failure = new UploadError(413, 'File is too large'); });
+            const written = pipeline(stream, fs.createWriteStream(tmpPath)).then(() => ({
+                hash: hasher.digest('hex'),
+                size,
+            }));
+            written.catch(() => { }); // awaited on 'close'; don't leave it unhandled on parser errors
+            file = { tmpPath, written, filename: info.filename, mimeType: info.mimeType };
+        });
+        parser.on('close', async () => {
+            try {
+                if (!file) throw failure || new UploadError(400, `Missing ${field} file`);
+                const { hash, size } = await file.written;
+                if (failure) throw failure;
+                if (size === 0) throw new UploadError(400, 'File is empty');
+                resolve({ tmpPath: file.tmpPath, hash, size, mimeType: file.mimeType, filename: file.filename, fields });
+            } catch (err) {
+                discard();
+                reject(err);
+            }
+        });
+        parser.on('error', () => {
+            discard();
+            reject(new UploadError(400, 'Malformed upload'));
+        });
+        req.pipe(parser);
+    });
+}
+
+// ── Image derivatives ──────────────────────────────────────────────────────────
+// Images are never stored as uploaded. Each requested variant is re-encoded as
+// WebP, turned upright per its EXIF orientation and written without any of the
+// source metadata (EXIF, GPS, camera serials). Encoding is deterministic, so
+// the same upload always lands on the same hashes and dedupes as before.
+async function storeImageVariants(userId, input, names) {
+    let meta;
+    try {
+        meta = await sharp(input).metadata();
+    } catch {
+        throw new UploadError(415, 'File is not a readable image');
+    }
+    if (!IMAGE_FORMATS.includes(meta.format)) throw new UploadError(415, `Unsupported image format: ${meta.format}`);
+
+    // Every frame of an animated GIF or WebP, not just the first
+    const options = { animated: meta.format === 'gif' || meta.format === 'webp' };
+    const variants = {};
+    for (const name of names) {
+        const { size, quality } = IMAGE_VARIANTS[name];
+        const { data, info } = await sharp(input, options)
+            .rotate()
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality })
+            .toBuffer({ resolveWithObject: true });
+        variants[name] = { media: storeMediaBytes(userId, data, 'image/webp'), width: info.width, height: info.height };
+    }
+    return variants;
+}
+
+// Moves images still embedded in saved canvases into the media store. Runs in
+// the background after startup; a row that can't be converted is left as it is.
+async function migrateEmbeddedImages() {
+    const canvasTables = [
+        { table: 'journal_pages', owner: 'SELECT j.user_id FROM journals j WHERE j.id = t.journal_id' },
+        {
+            table: 'page_revisions',
+            owner: 'SELECT j.user_id FROM journal_pages p JOIN journals j ON p.journal_id = j.id WHERE p.id = t.page_id',
+        },
+        { table: 'published_entries', owner: 'SELECT t.user_id' },
+    ];
+    for (const { table, owner } of canvasTables) {
+        const ids = db.prepare(`SELECT id FROM ${table} WHERE canvas_json LIKE '%"src":"data:%'`).pluck().all();
+        const getRow = db.prepare(`SELECT (${owner}) AS user_id, t.canvas_json FROM ${table} t WHERE t.id = ?`);
+        const setJSON = db.prepare(`UPDATE ${table} SET canvas_json = ? WHERE id = ?`);
+        for (const id of ids) {
+            try {
+                const row = getRow.get(id);
+                const json = JSON.parse(row.canvas_json);
+                await resolveImageSources(json, row.user_id);
+                setJSON.run(JSON.stringify(json), id);
+            } catch (err) {
+                console.warn(`Could not move the images of ${table} #${id}:`, err.message);
+            }
+        }
+    }
+}
+
+// Regenerates derivatives for images uploaded before the server made them:
+// library rows still holding a client-made thumbnail, and entries whose
+// thumbnail is an embedded PNG. Runs in the background after startup.
+async function backfillImageVariants() {
+    const images = db.prepare(`
+        SELECT i.id, i.user_id, m.hash FROM user_images i
+        JOIN media m ON i.media_id = m.id
+        WHERE i.thumbnail NOT LIKE '/api/media/%' OR i.mime_type != 'image/webp'
+    `).all();
+    for (const img of images) {
+        try {
+            const { full, thumb } = await storeImageVariants(img.user_id, mediaPath(img.hash), ['full', 'thumb']);
+            stmts.setImageVariants.run(full.media.id, mediaUrl(thumb.media.hash), img.id);
+        } catch (err) {
+            console.warn(`Could not derive variants for image #${img.id}:`, err.message);
+        }
+    }
+
+    const entries = db.prepare("SELECT id, user_id FROM published_entries WHERE thumbnail LIKE 'data:%'").all();
+    for (const entry of entries) {
+        try {
+            const { thumbnail } = stmts.getEntryThumbnail.get(entry.id);
+            const decoded = decodeDataUrl(thumbnail);
+            if (!decoded) throw new Error('not a data URL');
+            const { card } = await storeImageVariants(entry.user_id, decoded.bytes, ['card']);
+            stmts.setEntryThumbnail.run(mediaUrl(card.media.hash), entry.id);
+        } catch (err) {
+            console.warn(`Could not derive a thumbnail for entry #${entry.id}:`, err.message);
+        }
+    }
+}
+
+function sendUploadError(res, err, message) {
+    if (err instanceof UploadError) return res.status(err.status).json({ error: err.message });
+    console.error(`${message}:`, err);
+    res.status(500).json({ error: message });
+}
+
 // ── Express app ────────────────────────────────────────────────────────────────
 const app = express();
 const SQLiteStore = connectSqlite3(session);
 
 app.use(cors({
-    origin: 'http://localhost:5173',
+    origin: CLIENT_ORIGIN,
     credentials: true,
 }));
-app.use(express.json({ limit: '50mb' })); // canvas JSON with embedded images can be large
+app.use(express.json({ limit: '50mb' })); // publish still sends a full-page PNG thumbnail
 
-app.use(session({
+// Shared with the collaboration socket, which authenticates by the same cookie
+const sessionMiddleware = session({
     store: new SQLiteStore({ db: 'sessions.db', dir: '.' }),
     secret: SESSION_SECRET,
     resave: false,
@@ -236,7 +1466,8 @@ app.use(session({
         sameSite: 'lax',
         secure: false, // set true in production with HTTPS
     },
-}));
+});
+app.use(sessionMiddleware);
 
 // ── Auth middleware ─────────────────────────────────────────────────────────────
 function requireAuth(req, res, next) {
@@ -244,14 +1475,87 @@ function requireAuth(req, res, next) {
     next();
 }
 
-// ── Google OAuth ───────────────────────────────────────────────────────────────
-const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
+// ── Entry access control ───────────────────────────────────────────────────────
+// public   — everyone, listed in feeds and on the profile
+// friends  — the author and their followers
+// unlisted — anyone with the link, never listed
+// private  — the author only
+// While its account waits to be deleted, an author's entries are theirs alone.
+const VISIBILITIES = ['public', 'friends', 'unlisted', 'private'];
 
-app.post('/api/auth/google', async (req, res) => {
-    const { credential } = req.body;
-    if (!credential) return res.status(400).json({ error: 'Missing credential' });
+function canViewEntry(entry, viewerId) {
+    if (!entry) return false;
+    if (entry.user_id === viewerId) return true;
+    if (stmts.getDeletionDate.get(ACCOUNT_DELETION_GRACE, entry.user_id)) return false;
+    switch (entry.visibility) {
+        case 'public':
+        case 'unlisted':
+            return true;
+        case 'friends':
+            return !!viewerId && !!stmts.findFollow.get(viewerId, entry.user_id);
+        default:
+            return false;
+    }
+}
 
-    try {
+// Whether the entry may be listed to the viewer (on profiles, in collections),
+// not just opened: unlisted entries only ever show up for their author
+function canListEntry(entry, viewerId) {
+    return canViewEntry(entry, viewerId) && (entry.visibility !== 'unlisted' || entry.user_id === viewerId);
+}
+
+// Loads the entry named by req.params[param] into req.entry. Entries the viewer
+// may not see are reported as missing so their existence isn't leaked.
+function requireEntryAccess(param = 'id') {
+    return (req, res, next) => {
+        const entry = stmts.getEntryById.get(req.params[param]);
+        if (!canViewEntry(entry, req.session.userId)) return res.status(404).json({ error: 'Entry not found' });
+        req.entry = entry;
+        next();
+    };
+}
+
+// Who may leave sticky notes on an entry, set by its author:
+// everyone  — anyone who can see the entry
+// followers — the author's followers
+// off       — nobody (existing notes stay up)
+const COMMENT_POLICIES = ['everyone', 'followers', 'off'];
+
+// Why the viewer can't leave a note on a visible entry, or null if they can
+function commentBlock(entry, viewerId) {
+    if (entry.user_id === viewerId) return null;
+    if (entry.comment_policy === 'off') return 'Comments are turned off';
+    if (entry.comment_policy === 'followers' && !stmts.findFollow.get(viewerId, entry.user_id)) {
+        return 'Only followers can leave notes';
+    }
+    return null;
+}
+
+// Managing an entry (editing, republishing, unpublishing) is its author's alone
+function requireEntryOwner(req, res, next) {
+    const entry = stmts.getOwnEntry.get(req.params.id, req.session.userId);
+    if (!entry) return res.status(404).json({ error: 'Entry not found' });
+    req.entry = entry;
+    next();
+}
+
+// ── Google OAuth ───────────────────────────────────────────────────────────────
+const googleClient = new OAuth2Client(GOOGLE_CLIENT_ID);
+
+// deletesAt is set while the account is scheduled for deletion
+const toAuthUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    displayName: user.display_name,
+    avatarUrl: user.custom_avatar || user.avatar_url,
+    deletesAt: stmts.getDeletionDate.get(ACCOUNT_DELETION_GRACE, user.id)?.deletes_at ?? null,
+});
+
+app.post('/api/auth/google', async (req, res) => {
+    const { credential } = req.body;
+    if (!credential) return res.status(400).json({ error: 'Missing credential' });
+
+    try {
         const ticket = await googleClient.verifyIdToken({
             idToken: credential,
             audience: GOOGLE_CLIENT_ID,
@@ -270,12 +1574,7 @@ app.post('/api/auth/google', async (req, res) => {
         }
 
         req.session.userId = user.id;
-        res.json({
-            id: user.id,
-            username: user.username,
-            displayName: user.display_name,
-            avatarUrl: user.custom_avatar || user.avatar_url,
-        });
+        res.json(toAuthUser(user));
     } catch (err) {
         console.error('Google auth error:', err);
         res.status(401).json({ error: 'Invalid credential' });
@@ -284,13 +1583,8 @@ app.post('/api/auth/google', async (req, res) => {
 
 app.get('/api/auth/me', requireAuth, (req, res) => {
     const user = stmts.findUserById.get(req.session.userId);
-    if (!user) return res.status(401).json({ error: 'User not found' });
-    res.json({
-        id: user.id,
-        username: user.username,
-        displayName: user.display_name,
-        avatarUrl: user.custom_avatar || user.avatar_url,
-    });
+    if (!user || user.deleted_at) return res.status(401).json({ error: 'User not found' });
+    res.json(toAuthUser(user));
 });
 
 app.post('/api/auth/logout', (req, res) => {
@@ -326,67 +1620,399 @@ app.post('/api/username', requireAuth, (req, res) => {
 
     try {
         stmts.setUsername.run(username.toLowerCase(), req.session.userId);
+        stmts.getUserEntryIds.all(req.session.userId).forEach(reindexEntry);
         res.json({ username: username.toLowerCase() });
     } catch (err) {
         res.status(409).json({ error: 'Username already taken' });
     }
 });
 
-// ── Canvas persistence ─────────────────────────────────────────────────────────
-app.get('/api/canvas', requireAuth, (req, res) => {
-    const row = stmts.getCanvas.get(req.session.userId);
-    if (!row) return res.json({ canvasJSON: null });
-    res.json({ canvasJSON: JSON.parse(row.canvas_json), updatedAt: row.updated_at });
+// ── Journals & pages ──────────────────────────────────────────────────────────
+const toJournal = (j) => ({
+    id: j.id,
+    title: j.title,
+    pageCount: j.page_count,
+    createdAt: j.created_at,
+    updatedAt: j.updated_at,
 });
 
-app.put('/api/canvas', requireAuth, (req, res) => {
-    const { canvasJSON } = req.body;
-    if (!canvasJSON) return res.status(400).json({ error: 'Missing canvasJSON' });
+const toPageList = (journalId) => stmts.getJournalPages.all(journalId).map(p => ({
+    id: p.id,
+    position: p.position,
+    updatedAt: p.updated_at,
+}));
+
+// Creates a journal with a single blank page
+const createJournal = db.transaction((userId, title) => {
+    const { lastInsertRowid } = stmts.insertJournal.run(userId, title);
+    stmts.insertPage.run(lastInsertRowid, 0, '{}');
+    return lastInsertRowid;
+});
+
+// Inserts a page at `position`, shifting the pages after it along
+const insertPageAt = db.transaction((journalId, position, canvasJSON) => {
+    stmts.shiftPages.run(1, journalId, position);
+    const { lastInsertRowid } = stmts.insertPage.run(journalId, position, canvasJSON);
+    stmts.touchJournal.run(journalId);
+    return lastInsertRowid;
+});
+
+const removePage = db.transaction((page) => {
+    stmts.deletePage.run(page.id);
+    stmts.shiftPages.run(-1, page.journal_id, page.position + 1);
+    stmts.touchJournal.run(page.journal_id);
+});
+
+// Snapshots a page save. The latest revision always mirrors the page and
+// absorbs autosaves for REVISION_COALESCE_WINDOW; a save that removes objects
+// (or `force`) starts a new one so the state before it stays restorable.
+const recordRevision = db.transaction((pageId, json, objectCount, force = false) => {
+    const latest = stmts.getLatestRevision.get(REVISION_COALESCE_WINDOW, pageId);
+    if (latest && latest.canvas_json === json) return;
+
+    const destructive = latest && objectCount < latest.object_count;
+    if (latest && latest.recent && !destructive && !force) {
+        stmts.updateRevision.run(json, objectCount, latest.id);
+    } else {
+        stmts.insertRevision.run(pageId, json, objectCount);
+        stmts.pruneRevisions.run(pageId, pageId, REVISION_LIMIT);
+    }
+});
+
+const countObjects = (canvasJSON) => (Array.isArray(canvasJSON?.objects) ? canvasJSON.objects.length : 0);
+
+const reorderPages = db.transaction((journalId, pageIds) => {
+    pageIds.forEach((id, position) => stmts.setPagePosition.run(position, id, journalId));
+    stmts.touchJournal.run(journalId);
+});
+
+function requireJournalOwner(req, res, next) {
+    const journal = stmts.getJournal.get(req.params.id, req.session.userId);
+    if (!journal) return res.status(404).json({ error: 'Journal not found' });
+    req.journal = journal;
+    next();
+}
+
+function requirePageOwner(req, res, next) {
+    const page = stmts.getPageForUser.get(req.params.id, req.session.userId);
+    if (!page) return res.status(404).json({ error: 'Page not found' });
+    req.page = page;
+    next();
+}
+
+// Owner or co-author. Co-authors can open and edit the page itself; reshaping
+// the journal (page order, deletion, history) stays with the owner.
+function requirePageMember(req, res, next) {
+    const page = stmts.getPageForMember.get({ pageId: req.params.id, userId: req.session.userId });
+    if (!page) return res.status(404).json({ error: 'Page not found' });
+    req.page = page;
+    next();
+}
+
+app.get('/api/journals', requireAuth, (req, res) => {
+    let journals = stmts.getUserJournals.all(req.session.userId);
+    // Every user has at least one journal to write in
+    if (journals.length === 0) {
+        createJournal(req.session.userId, 'My Journal');
+        journals = stmts.getUserJournals.all(req.session.userId);
+    }
+    res.json({ journals: journals.map(toJournal) });
+});
+
+app.post('/api/journals', requireAuth, (req, res) => {
+    const title = (typeof req.body.title === 'string' && req.body.title.trim()) || 'Untitled Journal';
+    const id = createJournal(req.session.userId, title.slice(0, 100));
+    res.json({ journal: toJournal({ ...stmts.getJournal.get(id, req.session.userId), page_count: 1 }), pages: toPageList(id) });
+});
+
+app.get('/api/journals/:id', requireAuth, requireJournalOwner, (req, res) => {
+    const pages = toPageList(req.journal.id);
+    res.json({ journal: toJournal({ ...req.journal, page_count: pages.length }), pages });
+});
+
+// Entries published from this journal or its pages, which the editor can republish
+app.get('/api/journals/:id/entries', requireAuth, requireJournalOwner, (req, res) => {
+    const entries = stmts.getJournalEntries.all({ userId: req.session.userId, journalId: req.journal.id });
+    res.json({
+        entries: entries.map(e => ({
+            id: e.id,
+            title: e.title,
+            description: e.description,
+            visibility: e.visibility,
+            journalId: e.journal_id,
+            pageId: e.page_id,
+            pageCount: e.page_count,
+            createdAt: e.created_at,
+            updatedAt: e.updated_at,
+            tags: stmts.getEntryTags.all(e.id),
+        })),
+    });
+});
 
-    stmts.upsertCanvas.run(req.session.userId, JSON.stringify(canvasJSON));
+app.patch('/api/journals/:id', requireAuth, requireJournalOwner, (req, res) => {
+    const { title } = req.body;
+    if (typeof title !== 'string' || !title.trim()) return res.status(400).json({ error: 'Invalid title' });
+    stmts.renameJournal.run(title.trim().slice(0, 100), req.journal.id);
     res.json({ ok: true });
 });
 
-// ── Images ─────────────────────────────────────────────────────────────────────
-app.post('/api/images', requireAuth, (req, res) => {
-    const { imageData, filename, mimeType } = req.body;
-    if (!imageData) return res.status(400).json({ error: 'Missing imageData' });
+app.delete('/api/journals/:id', requireAuth, requireJournalOwner, (req, res) => {
+    stmts.getJournalPages.all(req.journal.id).forEach(p => closeRoom(p.id));
+    stmts.deleteJournal.run(req.journal.id);
+    res.json({ ok: true });
+});
+
+app.post('/api/journals/:id/pages', requireAuth, requireJournalOwner, (req, res) => {
+    const { cnt } = stmts.getPageCount.get(req.journal.id);
+    const position = Number.isInteger(req.body.position)
+        ? Math.min(Math.max(req.body.position, 0), cnt)
+        : cnt;
+    const id = insertPageAt(req.journal.id, position, '{}');
+    res.json({ pageId: id, pages: toPageList(req.journal.id) });
+});
+
+app.put('/api/journals/:id/pages/order', requireAuth, requireJournalOwner, (req, res) => {
+    const { pageIds } = req.body;
+    const current = stmts.getJournalPages.all(req.journal.id).map(p => p.id);
+    const valid = Array.isArray(pageIds) &&
+        pageIds.length === current.length &&
+        current.every(id => pageIds.includes(id));
+    if (!valid) return res.status(400).json({ error: 'pageIds must list every page of the journal once' });
 
-    // Generate a small thumbnail (we store the data URL as-is for the thumbnail;
-    // the client sends a pre-generated thumbnail alongside the full image)
-    const thumbnail = req.body.thumbnail || imageData;
+    reorderPages(req.journal.id, pageIds);
+    res.json({ pages: toPageList(req.journal.id) });
+});
+
+const toPageVersion = (page) => ({
+    canvasJSON: JSON.parse(page.canvas_json),
+    revision: page.revision,
+    updatedAt: page.updated_at,
+});
+
+app.get('/api/pages/:id', requireAuth, requirePageMember, (req, res) => {
+    // A page open for collaboration may be ahead of what's been written
+    flushRoom(req.page.id);
+    res.json(toPageVersion(stmts.getPageVersion.get(req.page.id)));
+});
+
+// Saves from a client that isn't connected to the page's room; anyone in the
+// room is reset to this version. A save carrying the baseRevision it was made
+// from is refused with 409 and the current version if the page moved on since.
+app.put('/api/pages/:id', requireAuth, requirePageMember, async (req, res) => {
+    const { canvasJSON, baseRevision } = req.body;
+    if (!canvasJSON) return res.status(400).json({ error: 'Missing canvasJSON' });
+    if (baseRevision !== undefined && !Number.isInteger(baseRevision)) {
+        return res.status(400).json({ error: 'baseRevision must be an integer' });
+    }
 
+    // Older clients still embed pasted images; keep their bytes in the media store
     try {
-        const info = stmts.insertImage.run(
-            req.session.userId,
-            imageData,
-            thumbnail,
-            filename || 'pasted-image',
-            mimeType || 'image/png'
-        );
-        res.json({
-            id: info.lastInsertRowid,
-            thumbnail,
-            filename: filename || 'pasted-image',
-            mimeType: mimeType || 'image/png',
+        await resolveImageSources(canvasJSON, req.session.userId);
+    } catch (err) {
+        return sendUploadError(res, err, 'Failed to store embedded images');
+    }
+    assignObjectIds(canvasJSON);
+    const json = JSON.stringify(canvasJSON);
+    // Live edits not yet written count as a newer revision
+    flushRoom(req.page.id);
+    const saved = baseRevision === undefined
+        ? stmts.updatePage.get(json, req.page.id)
+        : stmts.updatePageIfRevision.get(json, req.page.id, baseRevision);
+    if (!saved) {
+        return res.status(409).json({
+            error: 'This page was changed somewhere else',
+            ...toPageVersion(stmts.getPageVersion.get(req.page.id)),
         });
+    }
+    stmts.touchJournal.run(req.page.journal_id);
+    recordRevision(req.page.id, json, countObjects(canvasJSON));
+    resetRoom(req.page.id, canvasJSON, saved.revision);
+    res.json({ ok: true, revision: saved.revision, updatedAt: saved.updated_at });
+});
+
+// ── Page revisions ────────────────────────────────────────────────────────────
+app.get('/api/pages/:id/revisions', requireAuth, requirePageOwner, (req, res) => {
+    flushRoom(req.page.id);
+    res.json({
+        revisions: stmts.getPageRevisions.all(req.page.id).map(r => ({
+            id: r.id,
+            objectCount: r.object_count,
+            createdAt: r.created_at,
+            updatedAt: r.updated_at,
+        })),
+    });
+});
+
+app.get('/api/pages/:id/revisions/:revisionId', requireAuth, requirePageOwner, (req, res) => {
+    const revision = stmts.getRevision.get(req.params.revisionId, req.page.id);
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    res.json({ canvasJSON: JSON.parse(revision.canvas_json), updatedAt: revision.updated_at });
+});
+
+app.post('/api/pages/:id/revisions/:revisionId/restore', requireAuth, requirePageOwner, (req, res) => {
+    const revision = stmts.getRevision.get(req.params.revisionId, req.page.id);
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+    // Keep what's being replaced as its own revision, then record the restore
+    flushRoom(req.page.id);
+    const current = stmts.getPageVersion.get(req.page.id);
+    recordRevision(req.page.id, current.canvas_json, countObjects(JSON.parse(current.canvas_json)), true);
+    const saved = stmts.updatePage.get(revision.canvas_json, req.page.id);
+    stmts.touchJournal.run(req.page.journal_id);
+    recordRevision(req.page.id, revision.canvas_json, revision.object_count, true);
+    resetRoom(req.page.id, JSON.parse(revision.canvas_json), saved.revision);
+    res.json({ canvasJSON: JSON.parse(revision.canvas_json), revision: saved.revision, updatedAt: saved.updated_at });
+});
+
+app.post('/api/pages/:id/duplicate', requireAuth, requirePageOwner, (req, res) => {
+    const room = rooms.get(req.page.id);
+    const json = room ? JSON.stringify(room.state.doc) : req.page.canvas_json;
+    const id = insertPageAt(req.page.journal_id, req.page.position + 1, json);
+    res.json({ pageId: id, pages: toPageList(req.page.journal_id) });
+});
+
+app.delete('/api/pages/:id', requireAuth, requirePageOwner, (req, res) => {
+    const { cnt } = stmts.getPageCount.get(req.page.journal_id);
+    if (cnt <= 1) return res.status(400).json({ error: 'A journal needs at least one page' });
+
+    closeRoom(req.page.id);
+    removePage(req.page);
+    res.json({ pages: toPageList(req.page.journal_id) });
+});
+
+// ── Page collaborators ────────────────────────────────────────────────────────
+const toCollaborator = (u) => ({
+    id: u.id,
+    username: u.username,
+    displayName: u.display_name,
+    avatarUrl: u.custom_avatar || u.avatar_url,
+});
+
+const collaboratorList = (pageId) => stmts.getPageCollaborators.all(pageId).map(toCollaborator);
+
+app.get('/api/pages/:id/collaborators', requireAuth, requirePageMember, (req, res) => {
+    res.json({ collaborators: collaboratorList(req.page.id) });
+});
+
+// Invites a co-author by username; only the journal's owner shares its pages
+app.post('/api/pages/:id/collaborators', requireAuth, requirePageOwner, (req, res) => {
+    const username = typeof req.body.username === 'string' ? req.body.username.trim().replace(/^@/, '') : '';
+    const invitee = username && stmts.findUserByUsername.get(username);
+    if (!invitee) return res.status(404).json({ error: 'User not found' });
+    if (invitee.id === req.session.userId) return res.status(400).json({ error: 'You already own this page' });
+
+    stmts.insertCollaborator.run(req.page.id, invitee.id, req.session.userId);
+    res.json({ collaborators: collaboratorList(req.page.id) });
+});
+
+// The owner can remove anyone; a co-author can leave
+app.delete('/api/pages/:id/collaborators/:userId', requireAuth, requirePageMember, (req, res) => {
+    const userId = Number(req.params.userId);
+    if (req.page.owner_id !== req.session.userId && userId !== req.session.userId) {
+        return res.status(403).json({ error: 'Only the owner can remove collaborators' });
+    }
+    const result = stmts.deleteCollaborator.run(req.page.id, userId);
+    if (result.changes === 0) return res.status(404).json({ error: 'Collaborator not found' });
+
+    removeFromRoom(req.page.id, userId);
+    res.json({ collaborators: collaboratorList(req.page.id) });
+});
+
+// Pages other users have invited the signed-in user to
+app.get('/api/shared-pages', requireAuth, (req, res) => {
+    res.json({
+        pages: stmts.getSharedPages.all(req.session.userId).map(p => ({
+            id: p.id,
+            position: p.position,
+            journalTitle: p.journal_title,
+            owner: { username: p.username, displayName: p.display_name },
+            updatedAt: p.updated_at,
+        })),
+    });
+});
+
+// Audio placed on a shared page may have been uploaded by any of its members
+app.get('/api/pages/:id/audio/:audioId', requireAuth, requirePageMember, (req, res) => {
+    const audio = stmts.getPageAudio.get({ audioId: req.params.audioId, ownerId: req.page.owner_id, pageId: req.page.id });
+    if (!audio) return res.status(404).json({ error: 'Audio not found' });
+    res.json(toAudio(audio));
+});
+
+// ── Media ──────────────────────────────────────────────────────────────────────
+// Hashes are unguessable and only appear in canvases the viewer was allowed to
+// load, so any signed-in user may fetch media by hash. Bytes at a hash never
+// change, which makes them safe to cache forever. sendFile handles Range
+// requests (audio seeking) and If-None-Match against the hash ETag.
+app.get('/api/media/:hash', requireAuth, (req, res) => {
+    const media = /^[0-9a-f]{64}$/.test(req.params.hash) && stmts.getMediaByHash.get(req.params.hash);
+    if (!media) return res.status(404).json({ error: 'Media not found' });
+
+    // Only images and audio are shown inline; anything else (older rows) is a
+    // download, and the sandbox keeps even an inline file from running script
+    const inline = [...IMAGE_TYPES, ...AUDIO_TYPES].includes(media.mime_type);
+    res.set({
+        'Content-Type': inline ? media.mime_type : 'application/octet-stream',
+        'Content-Disposition': inline ? 'inline' : `attachment; filename="${media.hash}"`,
+        'Content-Security-Policy': 'sandbox',
+        'ETag': `"${media.hash}"`,
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff',
+    });
+    res.sendFile(path.resolve(mediaPath(media.hash)), { lastModified: false }, (err) => {
+        if (!err || res.headersSent) return;
+        if (err.status === 416) return res.status(416).set(err.headers).end();
+        res.status(404).json({ error: 'Media not found' });
+    });
+});
+
+// ── Images ─────────────────────────────────────────────────────────────────────
+const toImage = (img) => ({
+    id: img.id,
+    url: mediaUrl(img.hash),
+    thumbnail: img.thumbnail,
+    filename: img.filename,
+    mimeType: img.mime_type,
+    createdAt: img.created_at,
+});
+
+// multipart/form-data: `image` file. The library entry points at the full-size
+// WebP derivative; re-uploading an image already in the library returns that entry.
+app.post('/api/images', requireAuth, async (req, res) => {
+    let upload;
+    try {
+        upload = await receiveUpload(req, { field: 'image', types: IMAGE_TYPES, maxBytes: MAX_IMAGE_BYTES });
+        const userId = req.session.userId;
+        const { full, thumb } = await storeImageVariants(userId, upload.tmpPath, ['full', 'thumb']);
+        const existing = stmts.getImageByMedia.get(userId, full.media.id);
+        if (existing) return res.json(toImage(existing));
+
+        const { lastInsertRowid } = stmts.insertImage.run(
+            userId,
+            full.media.id,
+            mediaUrl(thumb.media.hash),
+            upload.filename || 'pasted-image',
+            'image/webp'
+        );
+        res.json(toImage(stmts.getImageById.get(lastInsertRowid, userId)));
     } catch (err) {
-        console.error('Image upload error:', err);
-        res.status(500).json({ error: 'Failed to save image' });
+        sendUploadError(res, err, 'Failed to save image');
+    } finally {
+        if (upload) fs.rmSync(upload.tmpPath, { force: true });
     }
 });
 
 app.get('/api/images', requireAuth, (req, res) => {
     const images = stmts.getUserImages.all(req.session.userId);
-    res.json({ images });
+    res.json({ images: images.map(toImage) });
 });
 
 app.get('/api/images/:id', requireAuth, (req, res) => {
     const image = stmts.getImageById.get(req.params.id, req.session.userId);
     if (!image) return res.status(404).json({ error: 'Image not found' });
-    res.json({ imageData: image.image_data, mimeType: image.mime_type });
+    res.json(toImage(image));
 });
 
+// Only removes the library entry: canvases may still show the bytes
 app.delete('/api/images/:id', requireAuth, (req, res) => {
     const result = stmts.deleteImage.run(req.params.id, req.session.userId);
     if (result.changes === 0) return res.status(404).json({ error: 'Image not found' });
@@ -394,37 +2020,48 @@ app.delete('/api/images/:id', requireAuth, (req, res) => {
 });
 
 // ── Audio ──────────────────────────────────────────────────────────────────────
-app.post('/api/audio', requireAuth, (req, res) => {
-    const { audioData, filename, mimeType } = req.body;
-    if (!audioData) return res.status(400).json({ error: 'Missing audioData' });
+const toAudio = (a) => ({
+    id: a.id,
+    url: mediaUrl(a.hash),
+    filename: a.filename,
+    mimeType: a.mime_type,
+    createdAt: a.created_at,
+});
 
+// multipart/form-data: `audio` file
+app.post('/api/audio', requireAuth, async (req, res) => {
+    let upload;
     try {
-        const info = stmts.insertAudio.run(
-            req.session.userId,
-            audioData,
-            filename || 'audio.mp3',
-            mimeType || 'audio/mpeg'
+        upload = await receiveUpload(req, { field: 'audio', types: AUDIO_TYPES, maxBytes: MAX_AUDIO_BYTES });
+        commitMediaFile(upload.tmpPath, upload.hash);
+        const userId = req.session.userId;
+        const media = ownMedia(userId, upload.hash, upload.size, upload.mimeType);
+        const existing = stmts.getAudioByMedia.get(userId, media.id);
+        if (existing) return res.json(toAudio(existing));
+
+        const { lastInsertRowid } = stmts.insertAudio.run(
+            userId,
+            media.id,
+            upload.filename || 'audio.mp3',
+            upload.mimeType
         );
-        res.json({
-            id: info.lastInsertRowid,
-            filename: filename || 'audio.mp3',
-            mimeType: mimeType || 'audio/mpeg',
-        });
+        res.json(toAudio(stmts.getAudioById.get(lastInsertRowid, userId)));
     } catch (err) {
-        console.error('Audio upload error:', err);
-        res.status(500).json({ error: 'Failed to save audio' });
+        sendUploadError(res, err, 'Failed to save audio');
+    } finally {
+        if (upload) fs.rmSync(upload.tmpPath, { force: true });
     }
 });
 
 app.get('/api/audio', requireAuth, (req, res) => {
     const audioFiles = stmts.getUserAudioFiles.all(req.session.userId);
-    res.json({ audioFiles });
+    res.json({ audioFiles: audioFiles.map(toAudio) });
 });
 
 app.get('/api/audio/:id', requireAuth, (req, res) => {
     const audio = stmts.getAudioById.get(req.params.id, req.session.userId);
     if (!audio) return res.status(404).json({ error: 'Audio not found' });
-    res.json({ audioData: audio.audio_data, mimeType: audio.mime_type });
+    res.json(toAudio(audio));
 });
 
 app.delete('/api/audio/:id', requireAuth, (req, res) => {
@@ -433,20 +2070,230 @@ app.delete('/api/audio/:id', requireAuth, (req, res) => {
     res.json({ ok: true });
 });
 
+// ── Tags ───────────────────────────────────────────────────────────────────────
+// Tags are stored normalized: lower case, no leading '#', words joined by
+// hyphens, letters, digits and hyphens only — so "#Road Trip" and "road_trip"
+// are the same topic. An entry keeps at most MAX_TAGS.
+function normalizeTag(value) {
+    if (typeof value !== 'string') return '';
+    return value
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/^#+/, '')
+        .replace(/[\s_]+/g, '-')
+        .replace(/[^\p{L}\p{N}-]/gu, '')
+        .replace(/-{2,}/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+// Reads body.tags into a list of distinct normalized tags. Returns { error }
+// for a bad request.
+function readTags(value) {
+    if (!Array.isArray(value)) return { error: 'Tags must be a list' };
+    const tags = [...new Set(value.map(normalizeTag).filter(Boolean))];
+    if (tags.length > MAX_TAGS) return { error: `An entry can have at most ${MAX_TAGS} tags` };
+    return { tags };
+}
+
+const setEntryTags = db.transaction((entryId, tags) => {
+    stmts.clearEntryTags.run(entryId);
+    for (const name of tags) stmts.insertEntryTag.run(entryId, stmts.insertTag.get(name).id);
+});
+
+// Query: ?q=<prefix> — autocomplete for the publish modal
+app.get('/api/tags', requireAuth, (req, res) => {
+    const prefix = normalizeTag(req.query.q ?? '');
+    const tags = stmts.suggestTags.all({ prefix, viewerId: req.session.userId });
+    res.json({ tags: tags.map(t => ({ name: t.name, uses: t.uses })) });
+});
+
+app.get('/api/tags/trending', requireAuth, (req, res) => {
+    const tags = stmts.getTrendingTags.all({ window: TRENDING_WINDOW, limit: TRENDING_TAGS });
+    res.json({ tags: tags.map(t => ({ name: t.name, score: t.score })) });
+});
+
+// A topic page: the entries filed under a tag that the viewer can see, newest
+// first. Query: ?limit=&offset=
+app.get('/api/tags/:tag', requireAuth, (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(404).json({ error: 'Tag not found' });
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const entries = stmts.getTaggedEntries.all({ tag, viewerId: req.session.userId, following: 0, limit, offset });
+    const total = entries[0]?.total ?? 0;
+    res.json({
+        tag,
+        entryCount: total,
+        entries: entries.map(e => toFeedEntry(e, req.session.userId)),
+        hasMore: offset + entries.length < total,
+    });
+});
+
+// ── Entry search ───────────────────────────────────────────────────────────────
+// entry_search is kept in step with published_entries by hand: every route that
+// publishes, edits or removes an entry calls reindexEntry() or unindexEntry.
+// Entries published before the index existed are added at startup.
+const SEARCH_TEXT_TYPES = ['textbox', 'i-text', 'text'];
+
+// The words typed on an entry's canvases, one text object per line
+function canvasText(canvasJSON) {
+    const lines = [];
+    try {
+        forEachCanvasObject(JSON.parse(canvasJSON), (o) => {
+            if (SEARCH_TEXT_TYPES.includes(String(o.type).toLowerCase()) && typeof o.text === 'string') lines.push(o.text);
+        });
+    } catch { /* unreadable canvas: index the rest */ }
+    return lines.join('\n');
+}
+
+function reindexEntry(entryId) {
+    stmts.unindexEntry.run(entryId);
+    const e = stmts.getEntryForIndex.get(entryId);
+    if (!e) return;
+    const author = [e.username, e.display_name].filter(Boolean).join(' ');
+    stmts.indexEntry.run(e.id, e.title, e.description ?? '', author, canvasText(e.canvas_json));
+}
+
+db.transaction(() => stmts.getUnindexedEntryIds.all().forEach(reindexEntry))();
+
+// Turns what someone typed into an FTS5 query: every word has to match, the
+// last one as a prefix so results show up while typing. Quotes and operators
+// count as plain text.
+function toSearchQuery(text) {
+    const words = String(text ?? '').match(/[\p{L}\p{N}_]+/gu) ?? [];
+    return words.slice(0, 10).map((w, i, all) => `"${w}"${i === all.length - 1 ? '*' : ''}`).join(' ');
+}
+
+// Splits highlight()/snippet() output (matches between \x02 and \x03) into
+// [{ text, match }] runs, so clients never render markup from entries
+const toHighlightRuns = (marked) => (marked ?? '')
+    .split('\u0002')
+    .flatMap((part, i) => {
+        if (i === 0) return [{ text: part, match: false }];
+        const [match, rest = ''] = part.split('\u0003');
+        return [{ text: match, match: true }, { text: rest, match: false }];
+    })
+    .filter(run => run.text);
+
+// Query: ?q=<text>&filter=friends&limit=&offset=
+app.get('/api/entries/search', requireAuth, (req, res) => {
+    const query = toSearchQuery(req.query.q);
+    if (!query) return res.status(400).json({ error: 'Missing search text' });
+    const limit = Math.min(parseInt(req.query.limit) || SEARCH_PAGE_SIZE, 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const rows = stmts.searchEntries.all({
+        query,
+        viewerId: req.session.userId,
+        following: req.query.filter === 'friends' ? 1 : 0,
+        limit,
+        offset,
+    });
+    const total = rows[0]?.total ?? 0;
+    res.json({
+        entries: rows.map(e => ({
+            ...toFeedEntry(e, req.session.userId),
+            titleHighlight: toHighlightRuns(e.title_highlight),
+            snippet: toHighlightRuns(e.snippet),
+        })),
+        total,
+        hasMore: offset + rows.length < total,
+    });
+});
+
 // ── Published Entries (Discovery) ─────────────────────────────────────────────
-app.post('/api/entries/publish', requireAuth, (req, res) => {
-    const { title, description, thumbnail, canvasJSON, visibility } = req.body;
-    if (!canvasJSON) return res.status(400).json({ error: 'Missing canvasJSON' });
+// What an entry shows: a whole journal ({ journalId }) bundled as
+// { pages: [canvas, ...] } from its saved pages, or a single canvas
+// ({ canvasJSON }, with the `pageId` it was drawn on). Returns { status, error }
+// for a bad request.
+function publishSource(body, userId) {
+    const { canvasJSON, journalId, pageId } = body;
+    if (journalId) {
+        const journal = stmts.getJournal.get(journalId, userId);
+        if (!journal) return { status: 404, error: 'Journal not found' };
+        stmts.getJournalPages.all(journal.id).forEach(p => flushRoom(p.id));
+        const pages = stmts.getJournalPagesFull.all(journal.id);
+        return { doc: { pages: pages.map(p => JSON.parse(p.canvas_json)) }, pageCount: pages.length, journal, page: null };
+    }
+    if (!canvasJSON) return { status: 400, error: 'Missing canvasJSON' };
+
+    let doc = canvasJSON;
+    if (typeof doc === 'string') {
+        try {
+            doc = JSON.parse(doc);
+        } catch {
+            return { status: 400, error: 'Invalid canvasJSON' };
+        }
+    }
+    const page = pageId ? stmts.getPageForUser.get(pageId, userId) : null;
+    return { doc, pageCount: 1, journal: null, page };
+}
+
+// The client sends a full-page PNG snapshot; keep a card-sized WebP of it
+async function storeEntryThumbnail(userId, thumbnail) {
+    const decoded = decodeDataUrl(thumbnail);
+    if (!decoded) throw new UploadError(400, 'Thumbnail must be a data URL');
+    const { card } = await storeImageVariants(userId, decoded.bytes, ['card']);
+    return mediaUrl(card.media.hash);
+}
+
+// What feeds and search results show of an entry, with whether the viewer has
+// liked or bookmarked it
+const toFeedEntry = (e, viewerId) => ({
+    id: e.id,
+    userId: e.user_id,
+    title: e.title,
+    description: e.description,
+    thumbnail: e.thumbnail,
+    visibility: e.visibility,
+    pageCount: e.page_count,
+    createdAt: e.created_at,
+    updatedAt: e.updated_at,
+    username: e.username,
+    displayName: e.display_name,
+    avatarUrl: e.custom_avatar || e.avatar_url,
+    likeCount: e.like_count,
+    commentCount: e.comment_count,
+    commentPolicy: e.comment_policy,
+    canComment: !commentBlock(e, viewerId),
+    liked: !!stmts.findLike.get(e.id, viewerId),
+    bookmarked: !!stmts.findBookmark.get(e.id, viewerId),
+    tags: stmts.getEntryTags.all(e.id),
+});
+
+app.post('/api/entries/publish', requireAuth, async (req, res) => {
+    const { title, description, thumbnail, visibility } = req.body;
+    if (visibility && !VISIBILITIES.includes(visibility)) return res.status(400).json({ error: 'Invalid visibility' });
+    const { tags, error: tagError } = readTags(req.body.tags ?? []);
+    if (tagError) return res.status(400).json({ error: tagError });
+
+    const source = publishSource(req.body, req.session.userId);
+    if (source.error) return res.status(source.status).json({ error: source.error });
+    let thumbnailUrl = null;
+    try {
+        // Snapshot library images as they are now, so the entry never changes under readers
+        await resolveImageSources(source.doc, req.session.userId);
+        if (thumbnail) thumbnailUrl = await storeEntryThumbnail(req.session.userId, thumbnail);
+    } catch (err) {
+        return sendUploadError(res, err, 'Failed to process images');
+    }
 
     try {
         const info = stmts.insertEntry.run(
             req.session.userId,
-            title || 'Untitled',
+            title || source.journal?.title || 'Untitled',
             description || '',
-            thumbnail || null,
-            typeof canvasJSON === 'string' ? canvasJSON : JSON.stringify(canvasJSON),
-            visibility || 'public'
+            thumbnailUrl,
+            JSON.stringify(source.doc),
+            visibility || 'public',
+            source.journal?.id ?? null,
+            source.page?.id ?? null,
+            source.pageCount
         );
+        setEntryTags(info.lastInsertRowid, tags);
+        reindexEntry(info.lastInsertRowid);
         res.json({ id: info.lastInsertRowid, ok: true });
     } catch (err) {
         console.error('Publish error:', err);
@@ -454,39 +2301,148 @@ app.post('/api/entries/publish', requireAuth, (req, res) => {
     }
 });
 
+// Feed cursors say where a page ended. The newest-first feeds' hold the last
+// entry's createdAt and id (plus newer: true when paging back towards the
+// top); the ranked feeds' hold the viewer's snapshot and the position in it
+// the page ended at. Pages of notes use the createdAt/id form.
+const FEED_CURSOR_FIELDS = {
+    createdAt: (value) => typeof value === 'string',
+    id: Number.isInteger,
+    snapshot: Number.isInteger,
+    position: Number.isInteger,
+};
+
+const encodeFeedCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// The cursor, if it decodes and has every one of fields
+function decodeFeedCursor(value, fields) {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString());
+        return fields.every(field => FEED_CURSOR_FIELDS[field](cursor?.[field])) ? cursor : null;
+    } catch {
+        return null;
+    }
+}
+
+// Ranks a feed for the viewer into a new snapshot, clearing out expired ones
+const takeFeedSnapshot = db.transaction((viewerId, personal) => {
+    stmts.pruneFeedSnapshots.run(FEED_SNAPSHOT_TTL);
+    const snapshotId = stmts.insertFeedSnapshot.run(viewerId).lastInsertRowid;
+    stmts.rankFeedSnapshot.run({
+        snapshotId,
+        viewerId,
+        personal: personal ? 1 : 0,
+        gravity: FEED_GRAVITY,
+        window: FEED_WINDOW,
+        size: FEED_SNAPSHOT_SIZE,
+    });
+    return snapshotId;
+});
+
+// Query: ?filter= picks the feed
+//   public  — newest public entries (the default)
+//   friends — newest entries from people the viewer follows, including their friends-only ones
+//   popular, foryou — ranked (see rankFeedSnapshot), as they stood at the
+//     first page; a cursor into a snapshot that has expired gets a 410
+// ?tag= narrows public and friends to one tag. Every page's nextCursor, while
+// there may be more, fetches the next as ?cursor=.
+// ?around=:id opens public or friends at that entry: up to half a page either
+// side of it, and a prevCursor that fetches the newer ones before those (whose
+// page has its own prevCursor).
 app.get('/api/entries', requireAuth, (req, res) => {
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = parseInt(req.query.offset) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || FEED_PAGE_SIZE, 50);
+    const { filter } = req.query;
+    const viewerId = req.session.userId;
+    const ranked = filter === 'popular' || filter === 'foryou';
+
+    let cursor = null;
+    if (req.query.cursor !== undefined) {
+        cursor = decodeFeedCursor(req.query.cursor, ranked ? ['snapshot', 'position'] : ['createdAt', 'id']);
+        if (!cursor) return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
     try {
-        const entries = stmts.getPublicEntries.all(limit, offset);
-        // Check like/bookmark status for the current user
-        const enriched = entries.map(e => ({
-            id: e.id,
-            userId: e.user_id,
-            title: e.title,
-            description: e.description,
-            thumbnail: e.thumbnail,
-            visibility: e.visibility,
-            createdAt: e.created_at,
-            username: e.username,
-            displayName: e.display_name,
-            avatarUrl: e.custom_avatar || e.avatar_url,
-            likeCount: e.like_count,
-            commentCount: e.comment_count,
-            liked: !!stmts.findLike.get(e.id, req.session.userId),
-            bookmarked: !!stmts.findBookmark.get(e.id, req.session.userId),
-        }));
-        res.json({ entries: enriched });
+        if (ranked) {
+            const snapshotId = cursor
+                ? cursor.snapshot
+                : takeFeedSnapshot(viewerId, filter === 'foryou');
+            const snapshot = stmts.findFeedSnapshot.get(snapshotId, viewerId, FEED_SNAPSHOT_TTL);
+            if (!snapshot) return res.status(410).json({ error: 'This feed has expired; reload it' });
+            const afterPosition = cursor?.position ?? 0;
+            // A page covers the next `limit` positions, less any entries that
+            // have since been deleted or hidden from the viewer
+            const untilPosition = afterPosition + limit;
+            const entries = stmts.getSnapshotEntries.all({ snapshotId, viewerId, afterPosition, untilPosition });
+            return res.json({
+                entries: entries.map(e => toFeedEntry(e, viewerId)),
+                nextCursor: untilPosition < (snapshot.size ?? 0)
+                    ? encodeFeedCursor({ snapshot: snapshotId, position: untilPosition })
+                    : null,
+            });
+        }
+
+        const feed = {
+            viewerId,
+            following: filter === 'friends' ? 1 : 0,
+            tag: req.query.tag !== undefined ? normalizeTag(req.query.tag) : null,
+        };
+        // Up to size entries past `from`, newest first either way
+        const page = (from, newer, size) => {
+            const entries = stmts.getFeedEntries.all({
+                ...feed,
+                newer: newer ? 1 : 0,
+                cursorCreatedAt: from?.created_at ?? null,
+                cursorId: from?.id ?? null,
+                limit: size,
+            });
+            return newer ? entries.reverse() : entries;
+        };
+        const cursorAt = (e, newer) => encodeFeedCursor({ createdAt: e.created_at, id: e.id, ...(newer && { newer: true }) });
+        const toResponse = (entries) => entries.map(e => toFeedEntry(e, viewerId));
+
+        if (req.query.around !== undefined) {
+            const target = stmts.getEntryById.get(req.query.around);
+            if (!canViewEntry(target, viewerId)) return res.status(404).json({ error: 'Entry not found' });
+            const half = Math.max(Math.floor(limit / 2), 1);
+            const newer = page(target, true, half);
+            const older = page(target, false, half);
+            return res.json({
+                entries: toResponse([...newer, target, ...older]),
+                prevCursor: newer.length === half ? cursorAt(newer[0], true) : null,
+                nextCursor: older.length === half ? cursorAt(older.at(-1), false) : null,
+            });
+        }
+
+        const from = cursor && { created_at: cursor.createdAt, id: cursor.id };
+        if (cursor?.newer) {
+            const entries = page(from, true, limit);
+            return res.json({
+                entries: toResponse(entries),
+                prevCursor: entries.length === limit ? cursorAt(entries[0], true) : null,
+            });
+        }
+        const entries = page(from, false, limit);
+        res.json({
+            entries: toResponse(entries),
+            nextCursor: entries.length === limit ? cursorAt(entries.at(-1), false) : null,
+        });
     } catch (err) {
         console.error('List entries error:', err);
         res.status(500).json({ error: 'Failed to list entries' });
     }
 });
 
-app.get('/api/entries/:id', requireAuth, (req, res) => {
-    const entry = stmts.getEntryById.get(req.params.id);
-    if (!entry) return res.status(404).json({ error: 'Entry not found' });
+// Marks an entry seen (Discovery calls this as it shows one), so "For you"
+// moves on to others
+app.post('/api/entries/:id/view', requireAuth, requireEntryAccess(), (req, res) => {
+    if (req.entry.user_id !== req.session.userId) stmts.recordEntryView.run(req.session.userId, req.entry.id);
+    res.json({ ok: true });
+});
+
+app.get('/api/entries/:id', requireAuth, requireEntryAccess(), (req, res) => {
+    const entry = req.entry;
+    // Opening an entry to read counts as seeing it
+    if (entry.user_id !== req.session.userId) stmts.recordEntryView.run(req.session.userId, entry.id);
 
     res.json({
         id: entry.id,
@@ -496,95 +2452,442 @@ app.get('/api/entries/:id', requireAuth, (req, res) => {
         thumbnail: entry.thumbnail,
         canvasJSON: entry.canvas_json,
         visibility: entry.visibility,
+        pageCount: entry.page_count,
         createdAt: entry.created_at,
+        updatedAt: entry.updated_at,
         username: entry.username,
         displayName: entry.display_name,
         avatarUrl: entry.custom_avatar || entry.avatar_url,
         likeCount: entry.like_count,
         commentCount: entry.comment_count,
+        commentPolicy: entry.comment_policy,
+        canComment: !commentBlock(entry, req.session.userId),
         liked: !!stmts.findLike.get(entry.id, req.session.userId),
         bookmarked: !!stmts.findBookmark.get(entry.id, req.session.userId),
+        tags: stmts.getEntryTags.all(entry.id),
     });
 });
 
-app.get('/api/entries/:id/comments', requireAuth, (req, res) => {
-    const comments = stmts.getEntryComments.all(req.params.id);
-    res.json({
-        comments: comments.map(c => ({
-            id: c.id,
-            content: c.content,
-            color: c.color,
-            posX: c.pos_x,
-            posY: c.pos_y,
-            rotation: c.rotation,
-            createdAt: c.created_at,
-            username: c.username,
-            displayName: c.display_name,
-            avatarUrl: c.custom_avatar || c.avatar_url,
-        })),
-    });
+// Title, description, visibility and who may comment; the published pages
+// stay as they are
+app.patch('/api/entries/:id', requireAuth, requireEntryOwner, (req, res) => {
+    const { title, description, visibility, commentPolicy } = req.body;
+    const { tags, error: tagError } = req.body.tags !== undefined ? readTags(req.body.tags) : {};
+    if (tagError) return res.status(400).json({ error: tagError });
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) return res.status(400).json({ error: 'Invalid title' });
+    if (description !== undefined && typeof description !== 'string') return res.status(400).json({ error: 'Invalid description' });
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility)) return res.status(400).json({ error: 'Invalid visibility' });
+    if (commentPolicy !== undefined && !COMMENT_POLICIES.includes(commentPolicy)) return res.status(400).json({ error: 'Invalid commentPolicy' });
+
+    stmts.updateEntryDetails.run(
+        title?.trim() ?? req.entry.title,
+        description ?? req.entry.description,
+        visibility ?? req.entry.visibility,
+        commentPolicy ?? req.entry.comment_policy,
+        req.entry.id
+    );
+    if (tags) setEntryTags(req.entry.id, tags);
+    reindexEntry(req.entry.id);
+    res.json({ ok: true });
 });
 
-app.post('/api/entries/:id/comments', requireAuth, (req, res) => {
-    const { content, color, posX, posY, rotation } = req.body;
-    if (!content) return res.status(400).json({ error: 'Missing content' });
+// Unpublishing takes the entry's comments, likes, bookmarks, pins and past
+// versions with it
+app.delete('/api/entries/:id', requireAuth, requireEntryOwner, (req, res) => {
+    stmts.unindexEntry.run(req.entry.id);
+    stmts.deleteEntry.run(req.entry.id);
+    res.json({ ok: true });
+});
 
-    const COLORS = ['#d4f59f', '#f5d49f', '#9fd4f5', '#f59fd4', '#d49ff5', '#f5f59f'];
-    const noteColor = color || COLORS[Math.floor(Math.random() * COLORS.length)];
-    const noteRotation = rotation ?? (Math.random() * 12 - 6); // -6° to +6°
-    const noteX = posX ?? (Math.random() * 300);
-    const noteY = posY ?? (Math.random() * 150);
+const republishEntry = db.transaction((entry, json, thumbnail, source) => {
+    stmts.insertEntryVersion.run(entry.id, entry.canvas_json, entry.thumbnail, entry.page_count, entry.updated_at ?? entry.created_at);
+    const updated = stmts.updateEntryContent.get(
+        json,
+        thumbnail,
+        source.pageCount,
+        source.journal?.id ?? null,
+        source.page?.id ?? null,
+        entry.id
+    );
+    stmts.moveNotesOffRemovedPages.run({ entryId: entry.id, pageCount: source.pageCount });
+    reindexEntry(entry.id);
+    return updated;
+});
 
+// Same body as publishing (minus the details). Swaps in the author's current
+// draft and thumbnail; what the entry showed until now is kept in
+// entry_versions. Comments, likes and bookmarks stay with the entry.
+app.post('/api/entries/:id/republish', requireAuth, requireEntryOwner, async (req, res) => {
+    const source = publishSource(req.body, req.session.userId);
+    if (source.error) return res.status(source.status).json({ error: source.error });
+    let thumbnailUrl = req.entry.thumbnail;
     try {
-        const info = stmts.insertComment.run(
-            req.params.id,
-            req.session.userId,
-            content,
-            noteColor,
-            noteX,
-            noteY,
-            noteRotation
-        );
-        const user = stmts.findUserById.get(req.session.userId);
-        res.json({
-            id: info.lastInsertRowid,
-            content,
-            color: noteColor,
-            posX: noteX,
-            posY: noteY,
-            rotation: noteRotation,
-            username: user.username,
-            displayName: user.display_name,
-        });
+        await resolveImageSources(source.doc, req.session.userId);
+        if (req.body.thumbnail) thumbnailUrl = await storeEntryThumbnail(req.session.userId, req.body.thumbnail);
     } catch (err) {
-        console.error('Comment error:', err);
-        res.status(500).json({ error: 'Failed to add comment' });
+        return sendUploadError(res, err, 'Failed to process images');
     }
+
+    const updated = republishEntry(req.entry, JSON.stringify(source.doc), thumbnailUrl, source);
+    res.json({ ok: true, pageCount: source.pageCount, updatedAt: updated.updated_at });
 });
 
-app.post('/api/entries/:id/like', requireAuth, (req, res) => {
-    const existing = stmts.findLike.get(req.params.id, req.session.userId);
-    if (existing) {
-        stmts.deleteLike.run(req.params.id, req.session.userId);
-        res.json({ liked: false });
-    } else {
-        try {
-            stmts.insertLike.run(req.params.id, req.session.userId);
-            res.json({ liked: true });
+app.get('/api/entries/:id/versions', requireAuth, requireEntryOwner, (req, res) => {
+    const versions = stmts.getEntryVersions.all(req.entry.id);
+    res.json({
+        versions: versions.map(v => ({
+            id: v.id,
+            thumbnail: v.thumbnail,
+            pageCount: v.page_count,
+            publishedAt: v.published_at,
+            replacedAt: v.replaced_at,
+        })),
+    });
+});
+
+// ── Sticky-note comments ───────────────────────────────────────────────────────
+// Commenters can edit and delete their own notes. The entry's author can hide
+// or delete any note on it and sees how often each has been reported; hidden
+// notes show only to the author and whoever wrote them.
+//
+// Notes are threads one level deep: a reply hangs off a note on the page
+// (replying to a reply answers the same note) and goes wherever it goes.
+// Anyone who can see a note can react to it with one of NOTE_REACTIONS.
+const toComment = (c, viewerId, entryOwnerId) => ({
+    id: c.id,
+    userId: c.user_id,
+    parentId: c.parent_id,
+    content: c.content,
+    color: c.color,
+    posX: c.pos_x,
+    posY: c.pos_y,
+    rotation: c.rotation,
+    page: c.page,
+    createdAt: c.created_at,
+    editedAt: c.edited_at,
+    hidden: !!c.hidden_at,
+    ...(viewerId === entryOwnerId && { reportCount: c.report_count }),
+    reactions: stmts.getCommentReactions.all(viewerId, c.id).map(r => ({ emoji: r.emoji, count: r.count, reacted: !!r.reacted })),
+    username: c.username,
+    displayName: c.display_name,
+    avatarUrl: c.custom_avatar || c.avatar_url,
+});
+
+// One page of notes (parentId null) or of a note's replies, for the viewer,
+// oldest first. query.cursor, an earlier page's nextCursor, continues after
+// that page's last note, so notes posted or deleted since don't shift what
+// comes next. Returns { error } for a cursor that doesn't decode.
+function commentPage(entry, viewerId, parentId, query) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || COMMENT_PAGE_SIZE, 1), 100);
+    let after = null;
+    if (query.cursor !== undefined) {
+        after = decodeFeedCursor(query.cursor, ['createdAt', 'id']);
+        if (!after) return { error: 'Invalid cursor' };
+    }
+    const params = { entryId: entry.id, parentId, viewerId, ownerId: entry.user_id };
+    const rows = stmts.getCommentThreads.all({
+        ...params,
+        limit: limit + 1,
+        cursorCreatedAt: after?.createdAt ?? null,
+        cursorId: after?.id ?? null,
+    });
+    const hasMore = rows.length > limit;
+    if (hasMore) rows.pop();
+    const last = rows.at(-1);
+    const { count } = stmts.countCommentThreads.get(params);
+    return {
+        rows,
+        total: count,
+        hasMore,
+        nextCursor: hasMore ? encodeFeedCursor({ createdAt: last.created_at, id: last.id }) : null,
+    };
+}
+
+// Note text as stored: control characters dropped, line breaks normalized and
+// at most one blank line in a row. Returns null if nothing is left.
+function cleanNoteContent(value) {
+    if (typeof value !== 'string') return null;
+    const text = value
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, ' ')
+        // Control characters and the bidi overrides that could flip surrounding text
+        .replace(/(?!\n)\p{Cc}|[\u202A-\u202E\u2066-\u2069]/gu, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    return text || null;
+}
+
+// Where a note sits: the page coordinates of its top-left corner on one of the
+// entry's pages (0-based), and its tilt. Fields the body leaves out keep their
+// `current` values. Returns { error } if any of the note would land off the page.
+function readNotePlacement(body, entry, current) {
+    const { posX = current.posX, posY = current.posY, rotation = current.rotation, page = current.page } = body;
+    const maxX = PAGE_W - NOTE_W;
+    const maxY = PAGE_H - NOTE_H;
+    if (!Number.isFinite(posX) || posX < 0 || posX > maxX) return { error: `posX must be between 0 and ${maxX}` };
+    if (!Number.isFinite(posY) || posY < 0 || posY > maxY) return { error: `posY must be between 0 and ${maxY}` };
+    if (!Number.isFinite(rotation) || Math.abs(rotation) > MAX_NOTE_ROTATION) {
+        return { error: `rotation must be between -${MAX_NOTE_ROTATION} and ${MAX_NOTE_ROTATION}` };
+    }
+    if (!Number.isInteger(page) || page < 0 || page >= entry.page_count) return { error: 'page must be one of the entry\'s pages' };
+    return { posX, posY, rotation, page };
+}
+
+// Loads the note named by :commentId on req.entry into req.comment
+function requireComment(req, res, next) {
+    const comment = stmts.getEntryComment.get(req.params.commentId, req.entry.id);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    const isOwner = req.entry.user_id === req.session.userId;
+    if (comment.hidden_at && !isOwner && comment.user_id !== req.session.userId) {
+        return res.status(404).json({ error: 'Comment not found' });
+    }
+    req.comment = comment;
+    next();
+}
+
+// Notes oldest first, ?limit= at a time and the next page from ?cursor=
+// (nextCursor), each with its first few replies and a repliesCursor for the
+// rest; total counts the entry's notes (not replies) the viewer can see
+app.get('/api/entries/:id/comments', requireAuth, requireEntryAccess(), (req, res) => {
+    const viewerId = req.session.userId;
+    const { rows, total, hasMore, nextCursor, error } = commentPage(req.entry, viewerId, null, req.query);
+    if (error) return res.status(400).json({ error });
+    res.json({
+        comments: rows.map((c) => {
+            const replies = commentPage(req.entry, viewerId, c.id, { limit: REPLY_PREVIEW });
+            return {
+                ...toComment(c, viewerId, req.entry.user_id),
+                replyCount: c.reply_count,
+                replies: replies.rows.map(r => toComment(r, viewerId, req.entry.user_id)),
+                repliesCursor: replies.nextCursor,
+            };
+        }),
+        total,
+        hasMore,
+        nextCursor,
+    });
+});
+
+// The rest of a note's replies, ?limit= at a time from ?cursor= (the note's
+// repliesCursor, then each page's nextCursor)
+app.get('/api/entries/:id/comments/:commentId/replies', requireAuth, requireEntryAccess(), requireComment, (req, res) => {
+    const viewerId = req.session.userId;
+    const { rows, total, hasMore, nextCursor, error } = commentPage(req.entry, viewerId, req.comment.id, req.query);
+    if (error) return res.status(400).json({ error });
+    res.json({
+        replies: rows.map(r => toComment(r, viewerId, req.entry.user_id)),
+        total,
+        hasMore,
+        nextCursor,
+    });
+});
+
+// Toggles the viewer's reaction, like entry likes
+app.post('/api/entries/:id/comments/:commentId/reactions', requireAuth, requireEntryAccess(), requireComment, (req, res) => {
+    const { emoji } = req.body;
+    if (!NOTE_REACTIONS.includes(emoji)) return res.status(400).json({ error: 'Invalid reaction' });
+
+    const existing = stmts.findReaction.get(req.comment.id, req.session.userId, emoji);
+    if (existing) stmts.deleteReaction.run(req.comment.id, req.session.userId, emoji);
+    else stmts.insertReaction.run(req.comment.id, req.session.userId, emoji);
+    res.json({
+        reacted: !existing,
+        reactions: stmts.getCommentReactions.all(req.session.userId, req.comment.id)
+            .map(r => ({ emoji: r.emoji, count: r.count, reacted: !!r.reacted })),
+    });
+});
+
+// Audio placed on a published page, readable by anyone who can see the entry
+app.get('/api/entries/:id/audio/:audioId', requireAuth, requireEntryAccess(), (req, res) => {
+    const audio = stmts.getAudioById.get(req.params.audioId, req.entry.user_id);
+    if (!audio) return res.status(404).json({ error: 'Audio not found' });
+    res.json(toAudio(audio));
+});
+
+// Without a position the note lands somewhere near the top of the first page.
+// With a parentId it's a reply, placed with the note it answers.
+app.post('/api/entries/:id/comments', requireAuth, requireEntryAccess(), (req, res) => {
+    const { color, parentId } = req.body;
+    const blocked = commentBlock(req.entry, req.session.userId);
+    if (blocked) return res.status(403).json({ error: blocked });
+
+    let parent = null;
+    let answering = null; // whose note or reply this answers
+    if (parentId !== undefined && parentId !== null) {
+        const canSee = (note) => note && (!note.hidden_at || [note.user_id, req.entry.user_id].includes(req.session.userId));
+        parent = stmts.getEntryComment.get(parentId, req.entry.id);
+        if (!canSee(parent)) return res.status(404).json({ error: 'Comment not found' });
+        answering = parent.user_id;
+        // An answer to a reply joins the thread of the note at its top, which
+        // has to be there for the viewer too
+        if (parent.parent_id) parent = stmts.getEntryComment.get(parent.parent_id, req.entry.id);
+        if (!canSee(parent)) return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const content = cleanNoteContent(req.body.content);
+    if (!content) return res.status(400).json({ error: 'Missing content' });
+    if (content.length > MAX_COMMENT_LENGTH) {
+        return res.status(400).json({ error: `Notes are limited to ${MAX_COMMENT_LENGTH} characters` });
+    }
+    if (color !== undefined && !NOTE_COLORS.includes(color)) return res.status(400).json({ error: 'Invalid color' });
+
+    const noteColor = color || NOTE_COLORS[Math.floor(Math.random() * NOTE_COLORS.length)];
+    const placement = parent
+        ? { posX: parent.pos_x, posY: parent.pos_y, rotation: 0, page: parent.page }
+        : readNotePlacement(req.body, req.entry, {
+            posX: Math.random() * 300,
+            posY: Math.random() * 150,
+            rotation: Math.random() * MAX_NOTE_ROTATION * 2 - MAX_NOTE_ROTATION,
+            page: 0,
+        });
+    if (placement.error) return res.status(400).json({ error: placement.error });
+
+    try {
+        const info = stmts.insertComment.run(
+            req.entry.id,
+            req.session.userId,
+            parent?.id ?? null,
+            content,
+            noteColor,
+            placement.posX,
+            placement.posY,
+            placement.rotation,
+            placement.page
+        );
+        const commentId = info.lastInsertRowid;
+        // Whoever was answered hears about a reply, the entry's author about the rest
+        const notified = new Set([req.session.userId]);
+        for (const [userId, type] of [[answering, 'reply'], [req.entry.user_id, 'comment']]) {
+            if (!userId || notified.has(userId)) continue;
+            notified.add(userId);
+            notify(userId, req.session.userId, type, { entryId: req.entry.id, commentId });
+        }
+        notifyMentions(content, req.entry, req.session.userId, commentId, notified);
+
+        const user = stmts.findUserById.get(req.session.userId);
+        res.json({
+            id: commentId,
+            userId: user.id,
+            parentId: parent?.id ?? null,
+            content,
+            color: noteColor,
+            ...placement,
+            editedAt: null,
+            hidden: false,
+            reactions: [],
+            ...(!parent && { replyCount: 0, replies: [], repliesCursor: null }),
+            username: user.username,
+            displayName: user.display_name,
+        });
+    } catch (err) {
+        console.error('Comment error:', err);
+        res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+// The note's author rewrites it or picks another color; they and the entry's
+// author can move it around the entry's pages. Moving doesn't mark it edited.
+app.patch('/api/entries/:id/comments/:commentId', requireAuth, requireEntryAccess(), requireComment, (req, res) => {
+    const { color } = req.body;
+    const isWriter = req.comment.user_id === req.session.userId;
+    const rewrites = req.body.content !== undefined || color !== undefined;
+    const moves = ['posX', 'posY', 'rotation', 'page'].some(key => req.body[key] !== undefined);
+    if (rewrites && !isWriter) return res.status(403).json({ error: 'Only its author can edit a note' });
+    if (moves && !isWriter && req.entry.user_id !== req.session.userId) {
+        return res.status(403).json({ error: 'Not allowed to move this note' });
+    }
+    if (moves && req.comment.parent_id) return res.status(400).json({ error: 'Replies move with the note they answer' });
+
+    let content = req.comment.content;
+    if (req.body.content !== undefined) {
+        content = cleanNoteContent(req.body.content);
+        if (!content) return res.status(400).json({ error: 'Missing content' });
+        if (content.length > MAX_COMMENT_LENGTH) {
+            return res.status(400).json({ error: `Notes are limited to ${MAX_COMMENT_LENGTH} characters` });
+        }
+    }
+    if (color !== undefined && !NOTE_COLORS.includes(color)) return res.status(400).json({ error: 'Invalid color' });
+    const placement = moves && readNotePlacement(req.body, req.entry, {
+        posX: req.comment.pos_x,
+        posY: req.comment.pos_y,
+        rotation: req.comment.rotation,
+        page: req.comment.page,
+    });
+    if (placement?.error) return res.status(400).json({ error: placement.error });
+
+    if (rewrites) stmts.updateComment.run(content, color ?? req.comment.color, req.comment.id);
+    if (placement) stmts.moveComment.run({ ...placement, id: req.comment.id });
+    res.json(toComment(stmts.getCommentWithAuthor.get(req.comment.id), req.session.userId, req.entry.user_id));
+});
+
+// The note's author or the entry's author takes it down
+app.delete('/api/entries/:id/comments/:commentId', requireAuth, requireEntryAccess(), requireComment, (req, res) => {
+    if (req.comment.user_id !== req.session.userId && req.entry.user_id !== req.session.userId) {
+        return res.status(403).json({ error: 'Not allowed to delete this note' });
+    }
+    stmts.deleteComment.run(req.comment.id);
+    res.json({ ok: true });
+});
+
+// Hiding is the entry author's softer option: the note stays, out of sight
+app.post('/api/entries/:id/comments/:commentId/hide', requireAuth, requireEntryAccess(), requireComment, (req, res) => {
+    if (req.entry.user_id !== req.session.userId) {
+        return res.status(403).json({ error: 'Only the entry author can hide notes' });
+    }
+    stmts.setCommentHidden.run(1, req.comment.id);
+    res.json({ hidden: true });
+});
+
+app.delete('/api/entries/:id/comments/:commentId/hide', requireAuth, requireEntryAccess(), requireComment, (req, res) => {
+    if (req.entry.user_id !== req.session.userId) {
+        return res.status(403).json({ error: 'Only the entry author can hide notes' });
+    }
+    stmts.setCommentHidden.run(0, req.comment.id);
+    res.json({ hidden: false });
+});
+
+// Reporting again replaces nothing; each person counts once per note
+app.post('/api/entries/:id/comments/:commentId/report', requireAuth, requireEntryAccess(), requireComment, (req, res) => {
+    const { reason, details = '' } = req.body;
+    if (req.comment.user_id === req.session.userId) return res.status(400).json({ error: "You can't report your own note" });
+    if (!REPORT_REASONS.includes(reason)) return res.status(400).json({ error: 'Invalid reason' });
+    if (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS) {
+        return res.status(400).json({ error: `Details are limited to ${MAX_REPORT_DETAILS} characters` });
+    }
+
+    stmts.insertCommentReport.run(req.comment.id, req.session.userId, reason, details.trim());
+    res.json({ ok: true });
+});
+
+app.post('/api/entries/:id/like', requireAuth, requireEntryAccess(), (req, res) => {
+    const existing = stmts.findLike.get(req.entry.id, req.session.userId);
+    if (existing) {
+        stmts.deleteLike.run(req.entry.id, req.session.userId);
+        unnotify(req.entry.user_id, req.session.userId, 'like', req.entry.id);
+        res.json({ liked: false });
+    } else {
+        try {
+            stmts.insertLike.run(req.entry.id, req.session.userId);
+            notify(req.entry.user_id, req.session.userId, 'like', { entryId: req.entry.id });
+            res.json({ liked: true });
         } catch (err) {
             res.json({ liked: false });
         }
     }
 });
 
-app.post('/api/entries/:id/bookmark', requireAuth, (req, res) => {
-    const existing = stmts.findBookmark.get(req.params.id, req.session.userId);
+app.post('/api/entries/:id/bookmark', requireAuth, requireEntryAccess(), (req, res) => {
+    const existing = stmts.findBookmark.get(req.entry.id, req.session.userId);
     if (existing) {
-        stmts.deleteBookmark.run(req.params.id, req.session.userId);
+        stmts.deleteBookmark.run(req.entry.id, req.session.userId);
+        stmts.deleteBookmarkFromCollections.run(req.entry.id, req.session.userId);
+        unnotify(req.entry.user_id, req.session.userId, 'bookmark', req.entry.id);
         res.json({ bookmarked: false });
     } else {
         try {
-            stmts.insertBookmark.run(req.params.id, req.session.userId);
+            stmts.insertBookmark.run(req.entry.id, req.session.userId);
+            notify(req.entry.user_id, req.session.userId, 'bookmark', { entryId: req.entry.id });
             res.json({ bookmarked: true });
         } catch (err) {
             res.json({ bookmarked: false });
@@ -594,40 +2897,52 @@ app.post('/api/entries/:id/bookmark', requireAuth, (req, res) => {
 
 // ── Profile ───────────────────────────────────────────────────────────────────
 app.get('/api/profile/:username', (req, res) => {
-    const profile = stmts.getProfileByUsername.get(req.params.username);
-    if (!profile) return res.status(404).json({ error: 'User not found' });
-
-    const isOwn = req.session?.userId === profile.id;
+    const { deletion_requested_at: leaving, ...profile } = stmts.getProfileByUsername.get(req.params.username) ?? {};
+    const viewerId = req.session?.userId ?? null;
+    const isOwn = viewerId === profile.id;
+    // A profile scheduled for deletion is already gone for everyone else
+    if (!profile.id || (leaving && !isOwn)) return res.status(404).json({ error: 'User not found' });
 
-    // Get entries (all if own profile, only public otherwise)
+    // Get entries (all if own profile, otherwise what the viewer is allowed to see)
     const entries = isOwn
         ? stmts.getUserEntries.all(profile.id)
-        : stmts.getUserPublicEntries.all(profile.id);
+        : stmts.getUserVisibleEntries.all({ ownerId: profile.id, viewerId });
 
-    // Get pinned entries
-    const pinned = stmts.getPinnedEntries.all(profile.id);
+    // Get pinned entries, hiding any that aren't listed to the viewer (as above)
+    const pinned = stmts.getPinnedEntries.all(profile.id)
+        .filter(p => canListEntry(p, viewerId));
 
     res.json({
         profile: {
             ...profile,
             isOwn,
             entryCount: entries.length,
+            followerCount: stmts.getFollowerCount.get(profile.id).cnt,
+            followingCount: stmts.getFollowingCount.get(profile.id).cnt,
+            isFollowing: !isOwn && !!req.session?.userId && !!stmts.findFollow.get(req.session.userId, profile.id),
         },
         entries: entries.map(e => ({
             ...e,
+            pageCount: e.page_count,
             createdAt: e.created_at,
+            updatedAt: e.updated_at,
+            commentPolicy: e.comment_policy,
             likeCount: e.like_count,
             commentCount: e.comment_count,
+            tags: stmts.getEntryTags.all(e.id),
         })),
         pinned: pinned.map(p => ({
             ...p,
             createdAt: p.created_at,
         })),
+        // Public ones only, unless it's the viewer's own
+        collections: stmts.getUserCollections.all({ ownerId: profile.id, all: isOwn ? 1 : 0 })
+            .map(c => toCollection(c, visibleCollectionEntries(c.id, viewerId))),
     });
 });
 
-app.post('/api/profile/pin/:entryId', requireAuth, (req, res) => {
-    const entryId = parseInt(req.params.entryId);
+app.post('/api/profile/pin/:entryId', requireAuth, requireEntryAccess('entryId'), (req, res) => {
+    const entryId = req.entry.id;
     const userId = req.session.userId;
 
     // Check if already pinned
@@ -672,7 +2987,1263 @@ app.put('/api/profile/avatar', requireAuth, (req, res) => {
     res.json({ ok: true });
 });
 
-// ── Start ──────────────────────────────────────────────────────────────────────
-app.listen(PORT, () => {
-    console.log(`🚀 Poentry API server running on http://localhost:${PORT}`);
+// ── Follows ───────────────────────────────────────────────────────────────────
+const toFollowUser = (u) => ({
+    id: u.id,
+    username: u.username,
+    displayName: u.display_name,
+    avatarUrl: u.custom_avatar || u.avatar_url,
+    followedAt: u.created_at,
+});
+
+app.post('/api/profile/:username/follow', requireAuth, (req, res) => {
+    const target = stmts.findUserByUsername.get(req.params.username);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (target.id === req.session.userId) return res.status(400).json({ error: 'You cannot follow yourself' });
+
+    if (stmts.insertFollow.run(req.session.userId, target.id).changes) notify(target.id, req.session.userId, 'follow');
+    res.json({ following: true, followerCount: stmts.getFollowerCount.get(target.id).cnt });
+});
+
+app.delete('/api/profile/:username/follow', requireAuth, (req, res) => {
+    const target = stmts.findUserByUsername.get(req.params.username);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+
+    stmts.deleteFollow.run(req.session.userId, target.id);
+    unnotify(target.id, req.session.userId, 'follow');
+    res.json({ following: false, followerCount: stmts.getFollowerCount.get(target.id).cnt });
+});
+
+app.get('/api/profile/:username/followers', requireAuth, (req, res) => {
+    const target = stmts.findUserByUsername.get(req.params.username);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    res.json({ users: stmts.getFollowers.all(target.id).map(toFollowUser) });
+});
+
+app.get('/api/profile/:username/following', requireAuth, (req, res) => {
+    const target = stmts.findUserByUsername.get(req.params.username);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    res.json({ users: stmts.getFollowing.all(target.id).map(toFollowUser) });
+});
+
+// ── Saved entries & collections ────────────────────────────────────────────────
+// Bookmarks are private to whoever saved them. Collections arrange some of them
+// under a name, in an order of the owner's choosing; a public collection can be
+// opened by anyone as an anthology, showing the entries each reader may see.
+
+// Reads a collection's name, description and visibility from body, keeping
+// current's for any left out. Returns { error } for a bad request.
+function readCollection(body, current = { name: '', description: '', visibility: 'private' }) {
+    const { name = current.name, description = current.description, visibility = current.visibility } = body ?? {};
+    if (typeof name !== 'string' || !name.trim()) return { error: 'A collection needs a name' };
+    if (name.trim().length > MAX_COLLECTION_NAME) {
+        return { error: `Collection names can be at most ${MAX_COLLECTION_NAME} characters` };
+    }
+    if (typeof description !== 'string' || description.length > MAX_COLLECTION_DESCRIPTION) {
+        return { error: `Descriptions can be at most ${MAX_COLLECTION_DESCRIPTION} characters` };
+    }
+    if (!COLLECTION_VISIBILITIES.includes(visibility)) return { error: 'Invalid visibility' };
+    return { name: name.trim(), description: description.trim(), visibility };
+}
+
+// A collection's entries in order, without those that can't be listed to the viewer
+function visibleCollectionEntries(collectionId, viewerId) {
+    return stmts.getCollectionEntries.all(collectionId).filter(e => canListEntry(e, viewerId));
+}
+
+// entries are the collection's as the viewer sees them
+function toCollection(c, entries) {
+    return {
+        id: c.id,
+        name: c.name,
+        description: c.description,
+        visibility: c.visibility,
+        entryCount: entries.length,
+        cover: entries.find(e => e.thumbnail)?.thumbnail ?? null,
+        createdAt: c.created_at,
+        updatedAt: c.updated_at,
+    };
+}
+
+// Loads the viewer's collection named by req.params.id into req.collection
+function requireCollectionOwner(req, res, next) {
+    const collection = stmts.getOwnCollection.get(req.params.id, req.session.userId);
+    if (!collection) return res.status(404).json({ error: 'Collection not found' });
+    req.collection = collection;
+    next();
+}
+
+const reorderCollection = db.transaction((collectionId, entryIds) => {
+    entryIds.forEach((entryId, position) => stmts.setCollectionEntryPosition.run(position, collectionId, entryId));
+    stmts.touchCollection.run(collectionId);
+});
+
+// Query: ?offset= — each saved entry comes with the ids of the viewer's
+// collections it's in
+app.get('/api/bookmarks', requireAuth, (req, res) => {
+    const viewerId = req.session.userId;
+    const limit = Math.min(parseInt(req.query.limit) || SAVED_PAGE_SIZE, 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const entries = stmts.getSavedEntries.all({ viewerId, limit, offset });
+    const total = entries[0]?.total ?? 0;
+    res.json({
+        entries: entries.map(e => ({
+            ...toFeedEntry(e, viewerId),
+            savedAt: e.saved_at,
+            collectionIds: stmts.getEntryCollectionIds.all(e.id, viewerId),
+        })),
+        total,
+        hasMore: offset + entries.length < total,
+    });
+});
+
+app.get('/api/collections', requireAuth, (req, res) => {
+    const viewerId = req.session.userId;
+    const collections = stmts.getUserCollections.all({ ownerId: viewerId, all: 1 });
+    res.json({ collections: collections.map(c => toCollection(c, visibleCollectionEntries(c.id, viewerId))) });
+});
+
+// Body: { name, description?, visibility? } (private unless 'public')
+app.post('/api/collections', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    if (stmts.countUserCollections.get(userId) >= MAX_COLLECTIONS) {
+        return res.status(400).json({ error: `You can have at most ${MAX_COLLECTIONS} collections` });
+    }
+    const fields = readCollection(req.body);
+    if (fields.error) return res.status(400).json({ error: fields.error });
+
+    const { lastInsertRowid } = stmts.insertCollection.run(userId, fields.name, fields.description, fields.visibility);
+    res.status(201).json(toCollection(stmts.getOwnCollection.get(lastInsertRowid, userId), []));
+});
+
+// The anthology page: a collection with its owner and entries
+app.get('/api/collections/:id', requireAuth, (req, res) => {
+    const viewerId = req.session.userId;
+    const collection = stmts.getCollection.get(req.params.id);
+    const isOwn = collection?.user_id === viewerId;
+    // Private collections, and those of accounts on their way out, are their owner's alone
+    if (!collection || (!isOwn && (collection.visibility !== 'public' || collection.deletion_requested_at))) {
+        return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const entries = visibleCollectionEntries(collection.id, viewerId);
+    res.json({
+        collection: toCollection(collection, entries),
+        owner: {
+            username: collection.username,
+            displayName: collection.display_name,
+            avatarUrl: collection.custom_avatar || collection.avatar_url,
+        },
+        isOwn,
+        entries: entries.map(e => ({ ...toFeedEntry(e, viewerId), addedAt: e.added_at })),
+    });
+});
+
+// Body: any of { name, description, visibility }
+app.patch('/api/collections/:id', requireAuth, requireCollectionOwner, (req, res) => {
+    const fields = readCollection(req.body, req.collection);
+    if (fields.error) return res.status(400).json({ error: fields.error });
+
+    stmts.updateCollection.run({ id: req.collection.id, ...fields });
+    const collection = stmts.getOwnCollection.get(req.collection.id, req.session.userId);
+    res.json(toCollection(collection, visibleCollectionEntries(collection.id, req.session.userId)));
+});
+
+// The entries stay saved
+app.delete('/api/collections/:id', requireAuth, requireCollectionOwner, (req, res) => {
+    stmts.deleteCollection.run(req.collection.id);
+    res.json({ ok: true });
+});
+
+// Body: { entryId } — one of the owner's bookmarks, added at the end. Other
+// people's unlisted entries can be saved but not collected.
+app.post('/api/collections/:id/entries', requireAuth, requireCollectionOwner, (req, res) => {
+    const entryId = req.body?.entryId;
+    if (!Number.isInteger(entryId) || !stmts.findBookmark.get(entryId, req.session.userId)) {
+        return res.status(400).json({ error: 'Save the entry before adding it to a collection' });
+    }
+    if (!canListEntry(stmts.getEntryById.get(entryId), req.session.userId)) {
+        return res.status(400).json({ error: 'This entry can only be listed by its author' });
+    }
+    if (stmts.getCollectionEntryIds.all(req.collection.id).length >= MAX_COLLECTION_ENTRIES) {
+        return res.status(400).json({ error: `A collection can hold at most ${MAX_COLLECTION_ENTRIES} entries` });
+    }
+    if (!stmts.insertCollectionEntry.run({ collectionId: req.collection.id, entryId }).changes) {
+        return res.status(400).json({ error: 'Already in this collection' });
+    }
+    stmts.touchCollection.run(req.collection.id);
+    res.status(201).json({ ok: true });
+});
+
+app.delete('/api/collections/:id/entries/:entryId', requireAuth, requireCollectionOwner, (req, res) => {
+    const result = stmts.deleteCollectionEntry.run(req.collection.id, parseInt(req.params.entryId));
+    if (result.changes === 0) return res.status(404).json({ error: 'Entry not in this collection' });
+    stmts.touchCollection.run(req.collection.id);
+    res.json({ ok: true });
+});
+
+// Body: { entryIds } — the collection's entries in their new order. Any left
+// out (such as ones the owner can no longer open) follow, in their old order.
+app.put('/api/collections/:id/order', requireAuth, requireCollectionOwner, (req, res) => {
+    const { entryIds } = req.body ?? {};
+    const current = stmts.getCollectionEntryIds.all(req.collection.id);
+    if (!Array.isArray(entryIds) || new Set(entryIds).size !== entryIds.length || !entryIds.every(id => current.includes(id))) {
+        return res.status(400).json({ error: 'entryIds must list entries of this collection, each once' });
+    }
+
+    const order = [...entryIds, ...current.filter(id => !entryIds.includes(id))];
+    reorderCollection(req.collection.id, order);
+    res.json({ entryIds: order });
+});
+
+// ── Notifications ──────────────────────────────────────────────────────────────
+// Likes, bookmarks and follows are undone by toggling back, and so is their
+// notification; the rest stay until the note they point at goes. Types a user
+// has muted are never recorded for them. Open streams (GET
+// /api/notifications/stream) hear the new unread count whenever it changes.
+const notificationStreams = new Map(); // userId → Set of open SSE responses
+const GROUPED_NOTIFICATIONS = ['like', 'bookmark', 'follow']; // shown as "3 people liked …"
+const MENTION_PATTERN = /(?<![\w@])@([a-zA-Z0-9_]{3,20})\b/g;
+
+function pushUnreadCount(userId) {
+    const streams = notificationStreams.get(userId);
+    if (!streams) return;
+    const unreadCount = stmts.countUnreadNotifications.get(userId).cnt;
+    for (const stream of streams) stream.write(`event: unread\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+}
+
+function notify(userId, actorId, type, { entryId = null, commentId = null } = {}) {
+    if (userId === actorId || stmts.findNotificationMute.get(userId, type)) return;
+    stmts.insertNotification.run(userId, actorId, type, entryId, commentId);
+    pushUnreadCount(userId);
+}
+
+function unnotify(userId, actorId, type, entryId = null) {
+    if (stmts.deleteNotification.run(userId, actorId, type, entryId).changes) pushUnreadCount(userId);
+}
+
+// Tells everyone @mentioned in a note who can see its entry, skipping anyone
+// in `notified` (who already heard about the note some other way)
+function notifyMentions(content, entry, actorId, commentId, notified) {
+    const usernames = new Set([...content.matchAll(MENTION_PATTERN)].map(m => m[1].toLowerCase()));
+    for (const username of [...usernames].slice(0, MAX_MENTIONS)) {
+        const user = stmts.findUserByUsername.get(username);
+        if (!user || notified.has(user.id) || !canViewEntry(entry, user.id)) continue;
+        notified.add(user.id);
+        notify(user.id, actorId, 'mention', { entryId: entry.id, commentId });
+    }
+}
+
+// Folds a page of notifications, newest first, into what the bell shows: one
+// row per like/bookmark/follow target with everyone who did it, one row per
+// note or mention. A group is unread while any of its notifications is.
+function groupNotifications(rows) {
+    const groups = new Map();
+    for (const n of rows) {
+        const key = GROUPED_NOTIFICATIONS.includes(n.type) ? `${n.type}:${n.entry_id}` : `${n.id}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                id: n.id,
+                type: n.type,
+                entry: n.entry_id ? { id: n.entry_id, title: n.entry_title } : null,
+                comment: n.comment_id ? { id: n.comment_id, content: n.comment_content.slice(0, 140) } : null,
+                ids: [],
+                actors: [],
+                actorCount: 0,
+                read: true,
+                createdAt: n.created_at,
+            });
+        }
+        const group = groups.get(key);
+        group.ids.push(n.id);
+        group.read &&= !!n.read_at;
+        // Toggling back removes a notification, so nobody is in a group twice
+        if (group.actorCount++ < 3) {
+            group.actors.push({ username: n.username, displayName: n.display_name, avatarUrl: n.custom_avatar || n.avatar_url });
+        }
+    }
+    return [...groups.values()];
+}
+
+// Query: ?before=<id> for older notifications. Groups only span one page.
+app.get('/api/notifications', requireAuth, (req, res) => {
+    const before = Number(req.query.before) || Number.MAX_SAFE_INTEGER;
+    const rows = stmts.getNotifications.all(req.session.userId, before, NOTIFICATION_PAGE_SIZE);
+    res.json({
+        notifications: groupNotifications(rows),
+        unreadCount: stmts.countUnreadNotifications.get(req.session.userId).cnt,
+        nextBefore: rows.length === NOTIFICATION_PAGE_SIZE ? rows.at(-1).id : null,
+    });
+});
+
+app.get('/api/notifications/unread-count', requireAuth, (req, res) => {
+    res.json({ unreadCount: stmts.countUnreadNotifications.get(req.session.userId).cnt });
+});
+
+// Body: { ids } to mark those notifications read, or nothing to mark them all
+app.post('/api/notifications/read', requireAuth, (req, res) => {
+    const { ids } = req.body ?? {};
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+        return res.status(400).json({ error: 'Invalid ids' });
+    }
+
+    db.transaction(() => {
+        if (ids) ids.forEach(id => stmts.markNotificationRead.run(id, req.session.userId));
+        else stmts.markAllNotificationsRead.run(req.session.userId);
+    })();
+    pushUnreadCount(req.session.userId);
+    res.json({ unreadCount: stmts.countUnreadNotifications.get(req.session.userId).cnt });
+});
+
+const toNotificationPreferences = (userId) => {
+    const muted = new Set(stmts.getNotificationMutes.all(userId).map(m => m.type));
+    return Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, !muted.has(type)]));
+};
+
+app.get('/api/notifications/preferences', requireAuth, (req, res) => {
+    res.json({ preferences: toNotificationPreferences(req.session.userId) });
+});
+
+// Body: { preferences: { [type]: boolean } } — types left out keep their setting
+app.put('/api/notifications/preferences', requireAuth, (req, res) => {
+    const { preferences } = req.body ?? {};
+    if (!preferences || typeof preferences !== 'object') return res.status(400).json({ error: 'Invalid preferences' });
+    for (const [type, enabled] of Object.entries(preferences)) {
+        if (!NOTIFICATION_TYPES.includes(type)) return res.status(400).json({ error: `Unknown notification type: ${type}` });
+        if (typeof enabled !== 'boolean') return res.status(400).json({ error: 'Invalid preferences' });
+    }
+
+    db.transaction(() => {
+        for (const [type, enabled] of Object.entries(preferences)) {
+            if (enabled) stmts.deleteNotificationMute.run(req.session.userId, type);
+            else stmts.insertNotificationMute.run(req.session.userId, type);
+        }
+    })();
+    res.json({ preferences: toNotificationPreferences(req.session.userId) });
+});
+
+// Server-sent events: an `unread` event with { unreadCount } on connect and on
+// every change after
+app.get('/api/notifications/stream', requireAuth, (req, res) => {
+    const { userId } = req.session;
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+
+    if (!notificationStreams.has(userId)) notificationStreams.set(userId, new Set());
+    notificationStreams.get(userId).add(res);
+    pushUnreadCount(userId);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), NOTIFICATION_HEARTBEAT);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = notificationStreams.get(userId);
+        streams?.delete(res);
+        if (streams?.size === 0) notificationStreams.delete(userId);
+    });
 });
+
+// ── Account archive ────────────────────────────────────────────────────────────
+// GET /api/account/export streams a zip of everything an account has made, and
+// POST /api/account/import restores one into a fresh account. Layout of
+// schemaVersion 1:
+//
+//   manifest.json        format, schemaVersion, account, counts, media list
+//   profile.json         bio, banner and avatar ({ file } in the archive or { url })
+//   journals.json        journals and their pages → pages/<id>.json (canvas JSON)
+//   images.json          image library → media files (full size and thumbnail)
+//   audio.json           audio library, plus co-authors' audio on the account's pages
+//   entries.json         published entries → entries/<id>.json, with their
+//                        tags, comments (replies carry a parentId) and reactions,
+//                        likes, bookmarks and earlier versions
+//                        (entries/<id>/versions/<id>.json)
+//   bookmarks.json       entries the account bookmarked
+//   collections.json     the account's collections of its bookmarks, in order
+//   media/<hash>.<ext>   every media file the above refer to, stored once
+//   profile/*            banner and avatar saved as data URLs
+//
+// Ids in an archive are the exporting server's. Import gives every row a new id
+// and rewrites canvas references to match (imageId, audioId, media URLs).
+// Only the account's own notes, reactions, likes and bookmarks come back: an
+// archive can't speak for anyone else, so their rows are skipped.
+const MEDIA_EXTENSIONS = {
+    'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp',
+    'audio/mpeg': 'mp3', 'audio/mp3': 'mp3', 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/wave': 'wav',
+    'audio/ogg': 'ogg', 'audio/webm': 'webm', 'audio/mp4': 'm4a', 'audio/aac': 'aac',
+};
+const MEDIA_URL_PATTERN = /\/api\/media\/([0-9a-f]{64})/g;
+
+const toArchiveUser = (u) => ({ username: u.username, displayName: u.display_name });
+
+// Calls fn on every object of a canvas (or { pages: [...] }), grouped ones included
+function forEachCanvasObject(node, fn) {
+    if (Array.isArray(node)) {
+        node.forEach(n => forEachCanvasObject(n, fn));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+    fn(node);
+    forEachCanvasObject(node.objects, fn);
+    forEachCanvasObject(node.pages, fn);
+}
+
+// Nothing made yet: no library, no entries and only blank pages (the journal a
+// new account starts with)
+function isFreshAccount(userId) {
+    const counts = stmts.getAccountContentCounts.get({ userId });
+    if (counts.entries || counts.images || counts.audio) return false;
+    return stmts.getUserJournals.all(userId).every((j) => {
+        stmts.getJournalPages.all(j.id).forEach(p => flushRoom(p.id));
+        return stmts.getJournalPagesFull.all(j.id).every(p => countObjects(JSON.parse(p.canvas_json)) === 0);
+    });
+}
+
+app.get('/api/account/export', requireAuth, async (req, res) => {
+    const userId = req.session.userId;
+    const user = stmts.findUserById.get(userId);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+
+    // Everything is read up front so the archive is one consistent snapshot
+    const documents = new Map(); // archive path → canvas JSON text
+    const profileFiles = new Map(); // archive path → bytes
+    const media = new Map(); // hash → manifest item
+    const mediaFiles = (text) => {
+        const files = [];
+        for (const [, hash] of String(text ?? '').matchAll(MEDIA_URL_PATTERN)) {
+            if (!media.has(hash)) {
+                const row = stmts.getMediaByHash.get(hash);
+                if (!row || !fs.existsSync(mediaPath(hash))) continue;
+                media.set(hash, {
+                    hash,
+                    file: `media/${hash}.${MEDIA_EXTENSIONS[row.mime_type] ?? 'bin'}`,
+                    mimeType: row.mime_type,
+                    size: fs.statSync(mediaPath(hash)).size,
+                });
+            }
+            files.push(media.get(hash).file);
+        }
+        return files;
+    };
+    const mediaFile = (url) => mediaFiles(url)[0] ?? null;
+    const profileImage = (value, name) => {
+        if (!value) return null;
+        const decoded = value.startsWith('data:') && decodeDataUrl(value);
+        if (decoded) {
+            const file = `profile/${name}.${MEDIA_EXTENSIONS[decoded.mimeType] ?? 'bin'}`;
+            profileFiles.set(file, decoded.bytes);
+            return { file, mimeType: decoded.mimeType };
+        }
+        const file = mediaFile(value);
+        return file ? { file } : { url: value };
+    };
+
+    const profile = {
+        username: user.username,
+        displayName: user.display_name,
+        bio: user.bio || '',
+        banner: profileImage(user.banner_url, 'banner'),
+        avatar: profileImage(user.custom_avatar, 'avatar'),
+        createdAt: user.created_at,
+    };
+
+    const journals = stmts.getUserJournals.all(userId).map((j) => {
+        stmts.getJournalPages.all(j.id).forEach(p => flushRoom(p.id));
+        const pages = stmts.getJournalPagesFull.all(j.id).map((p) => {
+            const canvas = `pages/${p.id}.json`;
+            documents.set(canvas, p.canvas_json);
+            mediaFiles(p.canvas_json);
+            return { id: p.id, position: p.position, updatedAt: p.updated_at, canvas };
+        });
+        return { id: j.id, title: j.title, createdAt: j.created_at, updatedAt: j.updated_at, pages };
+    });
+
+    const images = stmts.getUserImages.all(userId).map(img => ({
+        id: img.id,
+        filename: img.filename,
+        mimeType: img.mime_type,
+        createdAt: img.created_at,
+        file: mediaFile(mediaUrl(img.hash)),
+        thumbnail: mediaFile(img.thumbnail),
+    }));
+
+    // Audio a co-author placed on one of the account's pages travels with it
+    const audioRows = stmts.getUserAudioFiles.all(userId);
+    const audioIds = new Set(audioRows.map(a => a.id));
+    journals.forEach(j => j.pages.forEach((page) => {
+        forEachCanvasObject(JSON.parse(documents.get(page.canvas)), (o) => {
+            if (!o._isAudio || o.audioId == null || audioIds.has(o.audioId)) return;
+            const shared = stmts.getPageAudio.get({ audioId: o.audioId, ownerId: userId, pageId: page.id });
+            if (!shared) return;
+            audioRows.push(shared);
+            audioIds.add(shared.id);
+        });
+    }));
+    const audio = audioRows.map(a => ({
+        id: a.id,
+        filename: a.filename,
+        mimeType: a.mime_type,
+        createdAt: a.created_at,
+        file: mediaFile(mediaUrl(a.hash)),
+    }));
+
+    const entries = stmts.getUserEntriesFull.all(userId).map((e) => {
+        const canvas = `entries/${e.id}.json`;
+        documents.set(canvas, e.canvas_json);
+        mediaFiles(e.canvas_json);
+        return {
+            id: e.id,
+            title: e.title,
+            description: e.description,
+            visibility: e.visibility,
+            commentPolicy: e.comment_policy,
+            tags: stmts.getEntryTags.all(e.id),
+            journalId: e.journal_id,
+            pageId: e.page_id,
+            pageCount: e.page_count,
+            createdAt: e.created_at,
+            updatedAt: e.updated_at,
+            thumbnail: mediaFile(e.thumbnail),
+            canvas,
+            versions: stmts.getEntryVersionsFull.all(e.id).map((v) => {
+                const versionCanvas = `entries/${e.id}/versions/${v.id}.json`;
+                documents.set(versionCanvas, v.canvas_json);
+                mediaFiles(v.canvas_json);
+                return {
+                    canvas: versionCanvas,
+                    thumbnail: mediaFile(v.thumbnail),
+                    pageCount: v.page_count,
+                    publishedAt: v.published_at,
+                    replacedAt: v.replaced_at,
+                };
+            }),
+            comments: stmts.getEntryComments.all(e.id).map(c => ({
+                id: c.id,
+                parentId: c.parent_id,
+                author: toArchiveUser(c),
+                content: c.content,
+                color: c.color,
+                posX: c.pos_x,
+                posY: c.pos_y,
+                rotation: c.rotation,
+                page: c.page,
+                createdAt: c.created_at,
+                editedAt: c.edited_at,
+                hiddenAt: c.hidden_at,
+                reactions: stmts.getCommentReactors.all(c.id).map(r => ({ emoji: r.emoji, user: toArchiveUser(r) })),
+            })),
+            likes: stmts.getEntryLikers.all(e.id).map(toArchiveUser),
+            bookmarks: stmts.getEntryBookmarkers.all(e.id).map(toArchiveUser),
+        };
+    });
+
+    const bookmarks = stmts.getUserBookmarks.all(userId).map(b => ({ entryId: b.id, title: b.title, author: b.username }));
+    const collections = stmts.getUserCollections.all({ ownerId: userId, all: 1 }).map(c => ({
+        name: c.name,
+        description: c.description,
+        visibility: c.visibility,
+        createdAt: c.created_at,
+        updatedAt: c.updated_at,
+        entries: stmts.getCollectionEntries.all(c.id).map(e => ({ entryId: e.id, title: e.title, author: e.username })),
+    }));
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        schemaVersion: ARCHIVE_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        account: { username: user.username, displayName: user.display_name },
+        counts: {
+            journals: journals.length,
+            pages: journals.reduce((n, j) => n + j.pages.length, 0),
+            images: images.length,
+            audio: audio.length,
+            entries: entries.length,
+            bookmarks: bookmarks.length,
+            collections: collections.length,
+        },
+        media: [...media.values()],
+    };
+
+    const name = `poentry-${(user.username || 'account').replace(/[^\w-]/g, '')}-${manifest.exportedAt.slice(0, 10)}.zip`;
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${name}"`,
+        'Cache-Control': 'no-store',
+    });
+    const zip = createZipWriter(res);
+    const asJSON = (value) => JSON.stringify(value, null, 2);
+    try {
+        await zip.add('manifest.json', asJSON(manifest), { compress: true });
+        await zip.add('profile.json', asJSON(profile), { compress: true });
+        await zip.add('journals.json', asJSON(journals), { compress: true });
+        await zip.add('images.json', asJSON(images), { compress: true });
+        await zip.add('audio.json', asJSON(audio), { compress: true });
+        await zip.add('entries.json', asJSON(entries), { compress: true });
+        await zip.add('bookmarks.json', asJSON(bookmarks), { compress: true });
+        await zip.add('collections.json', asJSON(collections), { compress: true });
+        for (const [file, text] of documents) await zip.add(file, text, { compress: true });
+        for (const [file, bytes] of profileFiles) await zip.add(file, bytes);
+        for (const item of media.values()) await zip.add(item.file, await fs.promises.readFile(mediaPath(item.hash)));
+        await zip.finish();
+        res.end();
+    } catch (err) {
+        // Headers are gone; cutting the response short is all that's left
+        console.error('Account export failed:', err);
+        res.destroy();
+    }
+});
+
+// Reads and checks an archive's manifest; returns accessors for the rest
+function readArchive(zip) {
+    const text = (name) => zip.read(name)?.toString('utf8') ?? null;
+    const parse = (name, source, fallback) => {
+        if (source === null) {
+            if (fallback !== undefined) return fallback;
+            throw new UploadError(400, `Archive is missing ${name}`);
+        }
+        try {
+            return JSON.parse(source);
+        } catch {
+            throw new UploadError(400, `${name} is not valid JSON`);
+        }
+    };
+    const list = (name) => {
+        const value = parse(name, text(name), []);
+        if (!Array.isArray(value)) throw new UploadError(400, `${name} must hold a list`);
+        return value.filter(item => item && typeof item === 'object');
+    };
+
+    const manifest = parse('manifest.json', text('manifest.json'));
+    if (manifest?.format !== ARCHIVE_FORMAT) throw new UploadError(400, 'Not a Poentry account archive');
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+        throw new UploadError(400, 'Archive has no valid schemaVersion');
+    }
+    if (manifest.schemaVersion > ARCHIVE_SCHEMA_VERSION) {
+        throw new UploadError(400, 'Archive was made by a newer version of Poentry');
+    }
+    const profile = parse('profile.json', text('profile.json'), {});
+
+    return {
+        manifest,
+        media: Array.isArray(manifest.media) ? manifest.media.filter(item => item && typeof item === 'object') : [],
+        profile: profile && typeof profile === 'object' ? profile : {},
+        journals: list('journals.json'),
+        images: list('images.json'),
+        audio: list('audio.json'),
+        entries: list('entries.json'),
+        bookmarks: list('bookmarks.json'),
+        collections: list('collections.json'),
+        file: (name) => (typeof name === 'string' ? zip.read(name) : null),
+        // Canvas JSON with `rewrite` applied to its text before parsing
+        canvas: (name, rewrite) => {
+            const source = typeof name === 'string' ? text(name) : null;
+            const doc = parse(name, source === null ? null : rewrite(source), {});
+            return doc && typeof doc === 'object' && !Array.isArray(doc) ? doc : {};
+        },
+    };
+}
+
+// The part of an import that can't wait inside its transaction: storing the
+// archive's media, everything else points at it. Images are decoded and
+// re-encoded like any upload, and ones that can't be read are left behind;
+// audio is kept as it is. Either way the stored bytes are hashed afresh, so a
+// file that doesn't match its name still lands at its true address. Profile
+// images kept as files of their own (from before the media store) are stored
+// the same way. Canvases are read here too, their media URLs pointed at the
+// stored files and any embedded images stored as a page save would.
+async function prepareArchive(userId, archive) {
+    const storeImage = async (bytes) => {
+        try {
+            return (await storeImageVariants(userId, bytes, ['full'])).full.media;
+        } catch (err) {
+            if (err instanceof UploadError) return null;
+            throw err;
+        }
+    };
+
+    const media = new Map(); // archive path → media row
+    const hashes = new Map(); // archived hash → stored hash
+    for (const item of archive.media) {
+        const bytes = archive.file(item.file);
+        if (!bytes?.length) continue;
+        let row = null;
+        if (IMAGE_TYPES.includes(item.mimeType)) row = await storeImage(bytes);
+        else if (AUDIO_TYPES.includes(item.mimeType)) row = storeMediaBytes(userId, bytes, item.mimeType);
+        if (!row) continue;
+        media.set(item.file, row);
+        hashes.set(item.hash, row.hash);
+    }
+
+    const profileImage = async (ref) => {
+        if (typeof ref?.file === 'string') {
+            if (media.has(ref.file)) return mediaUrl(media.get(ref.file).hash);
+            const bytes = archive.file(ref.file);
+            const row = bytes?.length && IMAGE_TYPES.includes(ref.mimeType) && await storeImage(bytes);
+            if (row) return mediaUrl(row.hash);
+        }
+        return typeof ref?.url === 'string' && /^https?:\/\//.test(ref.url) ? ref.url : '';
+    };
+    const banner = await profileImage(archive.profile.banner);
+    const avatar = await profileImage(archive.profile.avatar);
+
+    const canvases = new Map(); // archive path → canvas
+    const list = (value) => (Array.isArray(value) ? value : []);
+    const names = [
+        ...archive.journals.flatMap(j => list(j.pages).map(p => p?.canvas)),
+        ...archive.entries.flatMap(e => [e.canvas, ...list(e.versions).map(v => v?.canvas)]),
+    ];
+    for (const name of names) {
+        if (typeof name !== 'string' || canvases.has(name)) continue;
+        const doc = archive.canvas(name, source => source.replace(
+            MEDIA_URL_PATTERN,
+            (match, hash) => (hashes.has(hash) ? mediaUrl(hashes.get(hash)) : match)
+        ));
+        await storeEmbeddedImages(doc, userId);
+        canvases.set(name, doc);
+    }
+    return { media, banner, avatar, canvases };
+}
+
+// prepared is what prepareArchive made of the archive
+const importArchive = db.transaction((userId, archive, prepared) => {
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const stamp = (value) => (
+        typeof value === 'string' && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}/.test(value)
+            ? value.slice(0, 19).replace('T', ' ')
+            : now
+    );
+    const text = (value, fallback, max) => (typeof value === 'string' ? value.slice(0, max) : fallback);
+    const imported = { journals: 0, pages: 0, images: 0, audio: 0, entries: 0, comments: 0, likes: 0, bookmarks: 0, collections: 0 };
+    const skipped = { comments: 0, likes: 0, bookmarks: 0 };
+
+    const { media } = prepared;
+    const mediaUrlOf = (file) => (media.has(file) ? mediaUrl(media.get(file).hash) : null);
+
+    const imageIds = new Map();
+    for (const img of archive.images) {
+        const full = media.get(img.file);
+        if (!full) continue;
+        const { lastInsertRowid } = stmts.importImage.run(
+            userId,
+            full.id,
+            mediaUrlOf(img.thumbnail) ?? mediaUrl(full.hash),
+            text(img.filename, 'pasted-image', 255),
+            full.mime_type,
+            stamp(img.createdAt)
+        );
+        imageIds.set(img.id, lastInsertRowid);
+        imported.images++;
+    }
+
+    const audioIds = new Map();
+    for (const a of archive.audio) {
+        const file = media.get(a.file);
+        if (!file) continue;
+        const { lastInsertRowid } = stmts.importAudio.run(
+            userId,
+            file.id,
+            text(a.filename, 'audio.mp3', 255),
+            file.mime_type,
+            stamp(a.createdAt)
+        );
+        audioIds.set(a.id, lastInsertRowid);
+        imported.audio++;
+    }
+
+    // References to rows that didn't come along are dropped; an image keeps its
+    // saved src as a fallback
+    const remapId = (o, key, ids) => {
+        if (o[key] === undefined) return;
+        if (ids.has(o[key])) o[key] = ids.get(o[key]);
+        else delete o[key];
+    };
+    const readCanvas = (name) => {
+        const doc = structuredClone(prepared.canvases.get(name) ?? {});
+        forEachCanvasObject(doc, (o) => {
+            remapId(o, 'imageId', imageIds);
+            remapId(o, 'audioId', audioIds);
+        });
+        return JSON.stringify(doc);
+    };
+
+    // The blank journal a fresh account starts with makes way for the archive's
+    for (const j of stmts.getUserJournals.all(userId)) {
+        stmts.getJournalPages.all(j.id).forEach(p => closeRoom(p.id));
+        stmts.deleteJournal.run(j.id);
+    }
+    const journalIds = new Map();
+    const pageIds = new Map();
+    for (const j of archive.journals) {
+        const { lastInsertRowid } = stmts.importJournal.run(
+            userId,
+            text(j.title, '', 100).trim() || 'My Journal',
+            stamp(j.createdAt),
+            stamp(j.updatedAt)
+        );
+        journalIds.set(j.id, lastInsertRowid);
+        imported.journals++;
+
+        const pages = (Array.isArray(j.pages) ? j.pages : [])
+            .filter(p => p && typeof p === 'object')
+            .sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0));
+        pages.forEach((p, position) => {
+            const page = stmts.importPage.run(lastInsertRowid, position, readCanvas(p.canvas), stamp(p.updatedAt));
+            pageIds.set(p.id, page.lastInsertRowid);
+        });
+        if (pages.length === 0) stmts.insertPage.run(lastInsertRowid, 0, '{}');
+        imported.pages += Math.max(pages.length, 1);
+    }
+
+    const { profile } = archive;
+    if (typeof profile.bio === 'string') stmts.updateBio.run(profile.bio.slice(0, 500), userId);
+    stmts.updateBanner.run(prepared.banner, userId);
+    stmts.updateCustomAvatar.run(prepared.avatar, userId);
+
+    // The archive's own account is this one. Nothing is created for anyone else,
+    // even where a user of the same name exists here.
+    const self = archive.manifest.account?.username;
+    const isSelf = (u) => typeof self === 'string' && u?.username === self;
+    const list = (value) => (Array.isArray(value) ? value : []);
+
+    const entryIds = new Map(); // archived entry id → new id
+    for (const e of archive.entries) {
+        if (typeof e.canvas !== 'string') continue;
+        const pageCount = Number.isInteger(e.pageCount) && e.pageCount > 0 ? e.pageCount : 1;
+        const { lastInsertRowid: entryId } = stmts.importEntry.run(
+            userId,
+            text(e.title, '', 200).trim() || 'Untitled',
+            text(e.description, '', 5000),
+            mediaUrlOf(e.thumbnail),
+            readCanvas(e.canvas),
+            VISIBILITIES.includes(e.visibility) ? e.visibility : 'private',
+            COMMENT_POLICIES.includes(e.commentPolicy) ? e.commentPolicy : 'everyone',
+            journalIds.get(e.journalId) ?? null,
+            pageIds.get(e.pageId) ?? null,
+            pageCount,
+            stamp(e.createdAt),
+            e.updatedAt ? stamp(e.updatedAt) : null
+        );
+        entryIds.set(e.id, Number(entryId));
+        setEntryTags(entryId, readTags(list(e.tags).slice(0, MAX_TAGS)).tags);
+        reindexEntry(entryId);
+        imported.entries++;
+
+        for (const v of list(e.versions)) {
+            if (typeof v?.canvas !== 'string') continue;
+            stmts.importEntryVersion.run(
+                entryId,
+                readCanvas(v.canvas),
+                mediaUrlOf(v.thumbnail),
+                Number.isInteger(v.pageCount) && v.pageCount > 0 ? v.pageCount : 1,
+                stamp(v.publishedAt),
+                stamp(v.replacedAt)
+            );
+        }
+
+        // Replies follow the notes they answer; a reply whose note was skipped goes too
+        const commentIds = new Map();
+        for (const c of list(e.comments)) {
+            const content = cleanNoteContent(c?.content)?.slice(0, MAX_COMMENT_LENGTH);
+            const parentId = c?.parentId == null ? null : commentIds.get(c.parentId);
+            if (!isSelf(c?.author) || !content || parentId === undefined) {
+                skipped.comments++;
+                continue;
+            }
+            const { lastInsertRowid: commentId } = stmts.importComment.run(
+                entryId,
+                userId,
+                parentId,
+                content,
+                NOTE_COLORS.includes(c.color) ? c.color : NOTE_COLORS[0],
+                Math.min(Math.max(Number(c.posX) || 0, 0), PAGE_W - NOTE_W),
+                Math.min(Math.max(Number(c.posY) || 0, 0), PAGE_H - NOTE_H),
+                Number(c.rotation) || 0,
+                Number.isInteger(c.page) && c.page >= 0 ? Math.min(c.page, pageCount - 1) : 0,
+                stamp(c.createdAt),
+                c.editedAt ? stamp(c.editedAt) : null,
+                c.hiddenAt ? stamp(c.hiddenAt) : null
+            );
+            commentIds.set(c.id, commentId);
+            imported.comments++;
+
+            for (const r of list(c.reactions)) {
+                if (isSelf(r?.user) && NOTE_REACTIONS.includes(r.emoji)) stmts.importReaction.run(commentId, userId, r.emoji);
+            }
+        }
+        for (const [kind, insert] of [['likes', stmts.importLike], ['bookmarks', stmts.importBookmark]]) {
+            for (const u of list(e[kind])) {
+                if (isSelf(u)) {
+                    insert.run(entryId, userId);
+                    imported[kind]++;
+                } else {
+                    skipped[kind]++;
+                }
+            }
+        }
+    }
+
+    // Bookmarks of the account's own entries came back with those entries; other
+    // entries must still exist here, by the same author, and be visible
+    const otherEntryIdOf = (ref) => {
+        const entry = Number.isInteger(ref?.entryId) && stmts.getEntryById.get(ref.entryId);
+        return entry && entry.username === ref.author && canViewEntry(entry, userId) ? entry.id : null;
+    };
+    for (const b of archive.bookmarks) {
+        if (b.author === self) continue;
+        const entryId = otherEntryIdOf(b);
+        if (!entryId) {
+            skipped.bookmarks++;
+            continue;
+        }
+        stmts.importBookmark.run(entryId, userId);
+        imported.bookmarks++;
+    }
+
+    // Collections keep whichever of their entries came back as bookmarks
+    for (const c of archive.collections.slice(0, MAX_COLLECTIONS)) {
+        const fields = readCollection({
+            name: text(c.name, '', MAX_COLLECTION_NAME),
+            description: text(c.description, '', MAX_COLLECTION_DESCRIPTION),
+            visibility: COLLECTION_VISIBILITIES.includes(c.visibility) ? c.visibility : 'private',
+        });
+        if (fields.error) continue;
+        const { lastInsertRowid: collectionId } = stmts.importCollection.run(
+            userId, fields.name, fields.description, fields.visibility, stamp(c.createdAt), stamp(c.updatedAt)
+        );
+        for (const ref of list(c.entries).slice(0, MAX_COLLECTION_ENTRIES)) {
+            const entryId = ref?.author === self ? entryIds.get(ref.entryId) : otherEntryIdOf(ref);
+            if (entryId && stmts.findBookmark.get(entryId, userId)) stmts.insertCollectionEntry.run({ collectionId, entryId });
+        }
+        imported.collections++;
+    }
+
+    return { imported, skipped };
+});
+
+// multipart/form-data: `archive` file made by GET /api/account/export. Only a
+// fresh account can import, so nothing already there is overwritten or mixed in.
+app.post('/api/account/import', requireAuth, async (req, res) => {
+    const userId = req.session.userId;
+    if (!isFreshAccount(userId)) {
+        return res.status(409).json({ error: 'Archives can only be imported into a new, empty account' });
+    }
+
+    let upload;
+    let zip;
+    try {
+        upload = await receiveUpload(req, { field: 'archive', types: ARCHIVE_TYPES, maxBytes: MAX_ARCHIVE_BYTES });
+        zip = openZip(upload.tmpPath, { maxEntryBytes: Math.max(MAX_IMAGE_BYTES, MAX_AUDIO_BYTES) });
+        const archive = readArchive(zip);
+        const prepared = await prepareArchive(userId, archive);
+        if (!isFreshAccount(userId)) throw new UploadError(409, 'Archives can only be imported into a new, empty account');
+        res.json({ ok: true, ...importArchive(userId, archive, prepared) });
+    } catch (err) {
+        sendUploadError(res, err instanceof ZipError ? new UploadError(400, err.message) : err, 'Failed to import archive');
+    } finally {
+        zip?.close();
+        if (upload) fs.rmSync(upload.tmpPath, { force: true });
+    }
+});
+
+// ── Account deletion ───────────────────────────────────────────────────────────
+// Deleting an account is a request first: the profile and entries disappear
+// for everyone else at once, but nothing is destroyed until
+// ACCOUNT_DELETION_GRACE has passed, and signing back in to cancel brings it
+// all back. After that a sweep purges the account: every row it owns goes
+// (entries take other users' comments, likes, bookmarks and pins of them
+// along), media only it owned is removed from disk and every session it had is
+// ended. Its comments on other entries stay, signed "deleted user".
+
+// connect-sqlite3 can't look sessions up by user, so its table is queried directly
+function destroyUserSessions(userId) {
+    const sessions = new Database('./sessions.db');
+    try {
+        sessions.prepare("DELETE FROM sessions WHERE json_extract(sess, '$.userId') = ?").run(userId);
+    } finally {
+        sessions.close();
+    }
+}
+
+// Images the account placed on other people's pages stay on those pages, their
+// revisions and the entries published from them. Each canvas owner gets their
+// own media row for such files, so the files outlive the account.
+function handOverPlacedMedia(userId) {
+    const own = new Set(stmts.getUserMediaHashes.all(userId).map(m => m.hash));
+    const placed = new Map(); // `${ownerId}:${hash}` → [ownerId, hash]
+    for (const { owner_id: ownerId, canvas_json: json } of stmts.getOthersMediaCanvases.iterate(userId)) {
+        for (const [, hash] of json.matchAll(MEDIA_URL_PATTERN)) {
+            if (own.has(hash)) placed.set(`${ownerId}:${hash}`, [ownerId, hash]);
+        }
+    }
+    for (const [ownerId, hash] of placed.values()) stmts.handOverMedia.run(ownerId, userId, hash);
+}
+
+const purgeAccountRows = db.transaction((userId) => {
+    handOverPlacedMedia(userId);
+    stmts.purgeAccountRows.forEach(stmt => stmt.run(userId));
+    stmts.tombstoneUser.run(userId);
+});
+
+function purgeAccount(userId) {
+    stmts.getUserPageIds.all(userId).forEach(p => closeRoom(p.id));
+    rooms.forEach((room, pageId) => removeFromRoom(pageId, userId));
+    const hashes = stmts.getUserMediaHashes.all(userId).map(m => m.hash);
+
+    purgeAccountRows(userId);
+    destroyUserSessions(userId);
+    notificationStreams.get(userId)?.forEach(stream => stream.end());
+    // Files stay while another account has its own copy of them
+    for (const hash of hashes) {
+        if (!stmts.getMediaByHash.get(hash)) fs.rmSync(mediaPath(hash), { force: true });
+    }
+}
+
+function purgeDueAccounts() {
+    for (const { id } of stmts.getAccountsDue.all(ACCOUNT_DELETION_GRACE)) {
+        try {
+            purgeAccount(id);
+        } catch (err) {
+            console.error(`Could not delete account #${id}:`, err);
+        }
+    }
+}
+
+// Body: { username } — the account's username, typed again as confirmation
+app.post('/api/account/deletion', requireAuth, (req, res) => {
+    const user = stmts.findUserById.get(req.session.userId);
+    if (!user?.username || req.body.username !== user.username) {
+        return res.status(400).json({ error: 'Type your username to confirm' });
+    }
+    stmts.requestDeletion.run(user.id);
+    res.json({ deletesAt: stmts.getDeletionDate.get(ACCOUNT_DELETION_GRACE, user.id).deletes_at });
+});
+
+app.delete('/api/account/deletion', requireAuth, (req, res) => {
+    const result = stmts.cancelDeletion.run(req.session.userId);
+    if (result.changes === 0) return res.status(404).json({ error: 'No deletion is scheduled' });
+    res.json({ ok: true });
+});
+
+// ── Collaboration ──────────────────────────────────────────────────────────────
+// Members of a page edit it together over a WebSocket at /api/collab?page=:id.
+// Each open page has a room holding its live canvas (merge rules in collab.js).
+// The room writes the page itself, at most every COLLAB_SAVE_DELAY, so
+// connected clients stop sending PUT /api/pages/:id.
+//
+//   client → server   op { opId, op } · cursor { cursor } · selection { ids }
+//   server → client   welcome · op · ack · reject · reset · saved ·
+//                     peer-joined · peer-left · cursor · selection
+const rooms = new Map(); // pageId → room
+const collabServer = new WebSocketServer({ noServer: true, maxPayload: COLLAB_MAX_MESSAGE });
+
+const send = (ws, message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+};
+
+function broadcast(room, message, except) {
+    const data = JSON.stringify(message);
+    for (const ws of room.peers.keys()) {
+        if (ws !== except && ws.readyState === ws.OPEN) ws.send(data);
+    }
+}
+
+const toPeer = (peer) => ({
+    id: peer.id,
+    userId: peer.userId,
+    username: peer.username,
+    color: peer.color,
+    cursor: peer.cursor,
+    selection: peer.selection,
+});
+
+function saveRoom(room) {
+    clearTimeout(room.saveTimer);
+    room.saveTimer = null;
+    if (!room.dirty) return;
+    room.dirty = false;
+    const json = JSON.stringify(room.state.doc);
+    try {
+        const saved = stmts.updatePage.get(json, room.pageId);
+        if (!saved) return; // page deleted
+        stmts.touchJournal.run(room.journalId);
+        recordRevision(room.pageId, json, countObjects(room.state.doc));
+        room.revision = saved.revision;
+        broadcast(room, { type: 'saved', revision: room.revision });
+    } catch (err) {
+        console.error(`Failed to save shared page ${room.pageId}:`, err);
+    }
+}
+
+// Writes a page's pending live edits now, for routes that read it from the table
+function flushRoom(pageId) {
+    const room = rooms.get(pageId);
+    if (room) saveRoom(room);
+}
+
+function markRoomDirty(room) {
+    room.dirty = true;
+    if (!room.saveTimer) room.saveTimer = setTimeout(() => saveRoom(room), COLLAB_SAVE_DELAY);
+}
+
+// Objects saved before collaboration existed get their ids here
+function loadRoomState(room, doc) {
+    const canvas = doc && typeof doc === 'object' ? doc : {};
+    const missingIds = assignObjectIds(canvas);
+    room.state = createRoomState(canvas);
+    if (missingIds) markRoomDirty(room);
+}
+
+function openRoom(page) {
+    let room = rooms.get(page.id);
+    if (!room) {
+        room = {
+            pageId: page.id, journalId: page.journal_id, revision: page.revision,
+            peers: new Map(), nextPeerId: 1, dirty: false, saveTimer: null,
+            ops: Promise.resolve(), // ops are applied one at a time, in the order they came in
+        };
+        loadRoomState(room, JSON.parse(page.canvas_json));
+        rooms.set(page.id, room);
+    }
+    return room;
+}
+
+// The page was replaced outside the room (REST save, restore); everyone reloads
+function resetRoom(pageId, doc, revision) {
+    const room = rooms.get(pageId);
+    if (!room) return;
+    clearTimeout(room.saveTimer);
+    room.saveTimer = null;
+    room.dirty = false;
+    room.revision = revision;
+    loadRoomState(room, structuredClone(doc));
+    broadcast(room, { type: 'reset', doc: room.state.doc, revision });
+}
+
+// Close codes 4403/4404 tell clients not to reconnect
+function closeRoom(pageId) {
+    const room = rooms.get(pageId);
+    if (!room) return;
+    clearTimeout(room.saveTimer);
+    room.dirty = false;
+    rooms.delete(pageId);
+    for (const ws of room.peers.keys()) ws.close(4404, 'Page deleted');
+}
+
+function removeFromRoom(pageId, userId) {
+    const room = rooms.get(pageId);
+    room?.peers.forEach((peer, ws) => {
+        if (peer.userId === userId) ws.close(4403, 'No longer a collaborator');
+    });
+}
+
+async function applyCollabOp(room, ws, peer, msg) {
+    let result;
+    try {
+        const error = validateOp(msg.op);
+        if (error) {
+            result = { rejected: error };
+        } else {
+            await resolveImageSources(msg.op.object ?? msg.op.props, peer.userId);
+            // The room may have closed while its images were stored
+            if (rooms.get(room.pageId) !== room) return;
+            result = room.state.apply(msg.op);
+        }
+    } catch (err) {
+        // A bad op costs its sender a reject, never the room (or the server)
+        if (!(err instanceof UploadError)) console.error(`Failed to apply an op on page ${room.pageId}:`, err);
+        result = { rejected: err instanceof UploadError ? err.message : 'Invalid op' };
+    }
+    if (result.rejected) {
+        send(ws, { type: 'reject', opId: msg.opId, id: msg.op?.id, reason: result.rejected });
+        return;
+    }
+    markRoomDirty(room);
+    send(ws, { type: 'ack', opId: msg.opId, op: result.op });
+    broadcast(room, { type: 'op', op: result.op, peerId: peer.id }, ws);
+}
+
+function handleCollabMessage(room, ws, peer, data) {
+    let msg;
+    try {
+        msg = JSON.parse(data);
+    } catch {
+        return;
+    }
+
+    if (msg?.type === 'op') {
+        room.ops = room.ops
+            .then(() => applyCollabOp(room, ws, peer, msg))
+            .catch(err => console.error(`Collab op failed on page ${room.pageId}:`, err));
+    } else if (msg?.type === 'cursor') {
+        const { x, y } = msg.cursor || {};
+        peer.cursor = Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+        broadcast(room, { type: 'cursor', peerId: peer.id, cursor: peer.cursor }, ws);
+    } else if (msg?.type === 'selection') {
+        peer.selection = Array.isArray(msg.ids) ? msg.ids.filter(id => typeof id === 'string').slice(0, 200) : [];
+        broadcast(room, { type: 'selection', peerId: peer.id, ids: peer.selection }, ws);
+    }
+}
+
+function joinRoom(ws, page, user) {
+    const room = openRoom(page);
+    const taken = new Set([...room.peers.values()].map(p => p.color));
+    const peer = {
+        id: room.nextPeerId++,
+        userId: user.id,
+        username: user.username || user.display_name,
+        color: PEER_COLORS.find(c => !taken.has(c)) ?? PEER_COLORS[room.peers.size % PEER_COLORS.length],
+        cursor: null,
+        selection: [],
+    };
+    send(ws, {
+        type: 'welcome',
+        peerId: peer.id,
+        doc: room.state.doc,
+        revision: room.revision,
+        peers: [...room.peers.values()].map(toPeer),
+    });
+    room.peers.set(ws, peer);
+    broadcast(room, { type: 'peer-joined', peer: toPeer(peer) }, ws);
+
+    ws.on('message', data => handleCollabMessage(room, ws, peer, data));
+    ws.on('error', err => console.warn(`Collab socket error on page ${room.pageId}:`, err.message));
+    ws.on('close', () => {
+        room.peers.delete(ws);
+        broadcast(room, { type: 'peer-left', peerId: peer.id });
+        // The last one out writes the page and closes the room
+        if (room.peers.size === 0 && rooms.get(room.pageId) === room) {
+            saveRoom(room);
+            rooms.delete(room.pageId);
+        }
+    });
+}
+
+// Authenticates the upgrade with the session cookie; page members only
+function handleCollabUpgrade(req, socket, head) {
+    const refuse = (status) => socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/api/collab') return refuse('404 Not Found');
+    if (req.headers.origin && req.headers.origin !== CLIENT_ORIGIN) return refuse('403 Forbidden');
+
+    sessionMiddleware(req, {}, () => {
+        const userId = req.session?.userId;
+        const page = userId && stmts.getPageForMember.get({ pageId: Number(url.searchParams.get('page')), userId });
+        const user = page && stmts.findUserById.get(userId);
+        if (!user) return refuse('403 Forbidden');
+        collabServer.handleUpgrade(req, socket, head, ws => joinRoom(ws, page, user));
+    });
+}
+
+// ── Start ──────────────────────────────────────────────────────────────────────
+// Only when run as the server; the tests import the app and drive it themselves
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const server = app.listen(PORT, () => {
+        console.log(`🚀 Poentry API server running on http://localhost:${PORT}`);
+        migrateEmbeddedImages()
+            .then(backfillImageVariants)
+            .catch(err => console.error('Image migration failed:', err));
+        purgeDueAccounts();
+        setInterval(purgeDueAccounts, ACCOUNT_PURGE_INTERVAL);
+    });
+    server.on('upgrade', handleCollabUpgrade);
+}
+
+export { app, sessionMiddleware };
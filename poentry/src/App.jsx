@@ -1,11 +1,15 @@
 import React from 'react';
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, useSearchParams } from 'react-router-dom';
 import { AuthProvider, useAuth } from './AuthContext';
 import LoginPage from './LoginPage';
 import UsernamePage from './UsernamePage';
 import DigitalJournal from './DigitalJournal';
+import JournalViewer from './JournalViewer';
 import DiscoveryPage from './DiscoveryPage';
 import ProfilePage from './ProfilePage';
+import TopicPage from './TopicPage';
+import SavedPage from './SavedPage';
+import CollectionPage from './CollectionPage';
 
 // Protected route: requires authentication
 function ProtectedRoute({ children, requireUsername = false }) {
@@ -25,6 +29,13 @@ function ProtectedRoute({ children, requireUsername = false }) {
   return children;
 }
 
+// /journal opens the editor; /journal?view=:id opens a published entry read-only
+function JournalRoute() {
+  const [params] = useSearchParams();
+  const viewId = params.get('view');
+  return viewId ? <JournalViewer key={viewId} entryId={viewId} /> : <DigitalJournal />;
+}
+
 function AppRoutes() {
   return (
     <Routes>
@@ -49,7 +60,7 @@ function AppRoutes() {
         path="/journal"
         element={
           <ProtectedRoute requireUsername>
-            <DigitalJournal />
+            <JournalRoute />
           </ProtectedRoute>
         }
       />
@@ -61,6 +72,30 @@ function AppRoutes() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/tags/:tag"
+        element={
+          <ProtectedRoute requireUsername>
+            <TopicPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/saved"
+        element={
+          <ProtectedRoute requireUsername>
+            <SavedPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/collections/:id"
+        element={
+          <ProtectedRoute requireUsername>
+            <CollectionPage />
+          </ProtectedRoute>
+        }
+      />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
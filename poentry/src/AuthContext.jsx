@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { clearDrafts } from './offlineStore';
 
 const AuthContext = createContext(null);
 
@@ -32,6 +33,12 @@ export function AuthProvider({ children }) {
 
     const logout = useCallback(async () => {
         await fetch('/api/auth/logout', { method: 'POST', credentials: 'include' });
+        // Nothing of the account stays on this device for offline use
+        await Promise.all([
+            clearDrafts().catch(() => { }),
+            window.caches?.delete('poentry-api'),
+            window.caches?.delete('poentry-media'),
+        ]);
         setUser(null);
     }, []);
 
@@ -51,8 +58,31 @@ export function AuthProvider({ children }) {
         return data;
     }, []);
 
+    // Schedules the account for deletion; `username` is the typed confirmation
+    const requestDeletion = useCallback(async (username) => {
+        const res = await fetch('/api/account/deletion', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ username }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to schedule deletion');
+        setUser((prev) => ({ ...prev, deletesAt: data.deletesAt }));
+        return data;
+    }, []);
+
+    const cancelDeletion = useCallback(async () => {
+        const res = await fetch('/api/account/deletion', { method: 'DELETE', credentials: 'include' });
+        if (!res.ok) {
+            const err = await res.json();
+            throw new Error(err.error || 'Failed to cancel deletion');
+        }
+        setUser((prev) => ({ ...prev, deletesAt: null }));
+    }, []);
+
     return (
-        <AuthContext.Provider value={{ user, loading, login, logout, setUsername }}>
+        <AuthContext.Provider value={{ user, loading, login, logout, setUsername, requestDeletion, cancelDeletion }}>
             {children}
         </AuthContext.Provider>
     );
@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import bookPageSvg from './assets/bookPage.svg';
+import poentryLogo from './assets/iconography/poentrylogo.svg';
+
+// A public collection as an anthology: its entries in the order its owner set,
+// less any the viewer can't open
+export default function CollectionPage() {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const [anthology, setAnthology] = useState(null); // { collection, owner, isOwn, entries }
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`/api/collections/${id}`, { credentials: 'include' })
+            .then(r => (r.ok ? r.json() : null))
+            .then(data => {
+                if (cancelled) return;
+                setAnthology(data);
+                setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [id]);
+
+    const collection = anthology?.collection;
+
+    return (
+        <div className="profile-page">
+            <header className="disc-header">
+                <img src={poentryLogo} alt="Poentry Logo" className="main-logo" />
+                <div className="disc-header-actions">
+                    <button className="disc-new-entry-btn" onClick={() => navigate('/discover')}>
+                        ← Back to Explore
+                    </button>
+                </div>
+            </header>
+
+            {loading ? (
+                <div className="disc-empty-state">
+                    <div className="spinner" style={{ borderTopColor: '#e8642b' }} />
+                </div>
+            ) : !anthology ? (
+                <div className="disc-empty-state">
+                    <h2>Collection not found</h2>
+                </div>
+            ) : (
+                <div className="topic-body">
+                    <div className="topic-heading">
+                        <h1 className="topic-title">{collection.name}</h1>
+                        <span className="topic-count">
+                            {collection.entryCount} {collection.entryCount === 1 ? 'entry' : 'entries'}
+                        </span>
+                        {anthology.isOwn && (
+                            <button className="disc-tag-link" onClick={() => navigate(`/saved?collection=${collection.id}`)}>
+                                Edit in Saved →
+                            </button>
+                        )}
+                    </div>
+                    <p className="saved-description">
+                        An anthology by{' '}
+                        <button className="disc-tag-link" onClick={() => navigate(`/profile/${anthology.owner.username}`)}>
+                            @{anthology.owner.username}
+                        </button>
+                    </p>
+                    {collection.description && <p className="saved-description">{collection.description}</p>}
+
+                    <div className="prof-entry-grid">
+                        {anthology.entries.length === 0 ? (
+                            <p className="prof-no-entries">Nothing in this collection yet.</p>
+                        ) : (
+                            anthology.entries.map((e, i) => (
+                                <div key={e.id} className="prof-entry-card" onClick={() => navigate(`/journal?view=${e.id}`)}>
+                                    <div className="prof-entry-book">
+                                        <img src={bookPageSvg} alt="" className="prof-entry-svg" />
+                                        {e.thumbnail && (
+                                            <img src={e.thumbnail} alt={e.title} className="prof-entry-thumb" />
+                                        )}
+                                    </div>
+                                    <span className="collection-number">{i + 1}</span>
+                                    <span className="topic-entry-title">{e.title}</span>
+                                    <span className="topic-entry-author">@{e.username}</span>
+                                </div>
+                            ))
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,8 +1,22 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import * as fabric from 'fabric';
 import { useAuth } from './AuthContext';
 import ImageSidebar from './ImageSidebar';
+import RevisionHistory from './RevisionHistory';
+import SharePanel from './SharePanel';
+import TagInput from './TagInput';
+import { createCanvasHistory, snapshotText } from './canvasHistory';
+import { createCanvasCollab } from './canvasCollab';
+import { putDraft, getDraft, listDrafts, deleteDraft } from './offlineStore';
+import { pageDataURL } from './pageExport';
+import ExportPanel from './ExportPanel';
+import { VISIBILITY_OPTIONS } from './visibility';
+import {
+  GRID_SIZE, CANVAS_W, CANVAS_H, CANVAS_BG,
+  createPageRect, applyTextboxOverrides, normalizeCanvasJSON, restoreCustomProps, syncAudioOverlays,
+  serializeCanvas, applyLibraryImages, ensureObjectId, mergeCanvasJSON,
+} from './journalCanvas';
 
 // ── Toolbar constants ──────────────────────────────────────────────────────────
 const FONTS = [
@@ -13,6 +27,9 @@ const FONTS = [
 ];
 const FONT_SIZES = [10, 12, 14, 16, 18, 20, 24, 28, 32, 36, 48, 64];
 
+const DRAFT_DELAY = 250; // ms between offline copies of the page while editing
+const SAVE_RETRY_DELAY = 10000; // ms before a failed save is tried again
+
 // ── Shared toolbar button style ───────────────────────────────────────────────
 const btnStyle = (active) => ({
   cursor: 'pointer',
@@ -35,6 +52,19 @@ const divider = {
   alignSelf: 'stretch',
 };
 
+// ── Helper: resolve an audio placeholder's URL ─────────────────────────────────
+// Goes through the page, since a shared page may hold a co-author's uploads
+async function fetchPageAudio(pageId, obj) {
+  try {
+    const r = await fetch(`/api/pages/${pageId}/audio/${obj.audioId}`, { credentials: 'include' });
+    if (!r.ok) return null;
+    const data = await r.json();
+    return { overlayId: obj._overlayId, url: data.url };
+  } catch {
+    return null;
+  }
+}
+
 // ── Helper: get the style of the current selection (or whole object if none) ──
 function getSelectionStyle(tb) {
   if (!tb) return {};
@@ -61,6 +91,7 @@ function getSelectionStyle(tb) {
 const DigitalJournal = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const canvasRef = useRef(null);
   const [fabricCanvas, setFabricCanvas] = useState(null);
   // Persists the last known text selection so toolbar clicks can restore it
@@ -81,7 +112,10 @@ const DigitalJournal = () => {
   const [publishTitle, setPublishTitle] = useState('');
   const [publishDesc, setPublishDesc] = useState('');
   const [publishVis, setPublishVis] = useState('public');
+  const [publishTags, setPublishTags] = useState([]);
   const [publishing, setPublishing] = useState(false);
+  const [publishedEntries, setPublishedEntries] = useState([]); // this journal's entries
+  const [republishId, setRepublishId] = useState(null); // entry to update, or null for a new one
   const [fmt, setFmt] = useState({
     fontFamily: 'Courier New',
     fontSize: 20,
@@ -92,123 +126,243 @@ const DigitalJournal = () => {
     textAlign: 'left',
   });
 
-  // Page & Grid Configuration
-  // 11" × 8.5" landscape at 96 PPI (Google Docs letter size)
-  const PAGE_W = 8.5 * 180;   // 1056px
-  const PAGE_H = 11 * 180; // 816px
-  const PAGE_MARGIN = 40; // px margin around page
-  const GRID_SIZE = 30;
-  const DOT_SIZE = 1.5;
   const pageRef = useRef(null); // reference to the page background rect
 
-  // ── initDimensions override helper — applied to every textbox ──────────
-  // Extracts the initDimensions override into a reusable function so it can
-  // be applied both to newly created textboxes AND to textboxes loaded from
-  // saved JSON.
-  const applyTextboxOverrides = useCallback((tb) => {
-    tb._lockedWidth = tb._lockedWidth || tb.width;
-    const _origInit = tb.initDimensions.bind(tb);
-    tb.initDimensions = function () {
-      const savedTop = this.top;
-      if (this.isEditing && this._lockedWidth !== undefined) {
-        this.width = this._lockedWidth;
-        _origInit();
-        this.width = this._lockedWidth;
-      } else {
-        _origInit();
-        this._lockedWidth = this.width;
+  // Journals → pages. pageIdRef mirrors pageId for the debounced save.
+  const [journals, setJournals] = useState([]);
+  const [journalId, setJournalId] = useState(null);
+  const [pages, setPages] = useState([]); // [{ id, position }]
+  const [pageId, setPageId] = useState(null);
+  const [publishScope, setPublishScope] = useState('page'); // 'page' | 'journal'
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const pageIdRef = useRef(null);
+  const pendingSaveRef = useRef(null);
+  const loadingPageRef = useRef(false);
+
+  // Undo / redo. sessionAudiosRef lets the history look up an overlay's URL.
+  const historyRef = useRef(null);
+  const sessionAudiosRef = useRef([]);
+  const [undoState, setUndoState] = useState({ canUndo: false, canRedo: false });
+
+  // Live collaboration on the open page, and pages other users shared with us.
+  // sharedPage is set while one of those is open (it has no journal of ours).
+  const collabRef = useRef(null);
+  const [collabStatus, setCollabStatus] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [sharedPages, setSharedPages] = useState([]);
+  const [sharedPage, setSharedPage] = useState(null);
+  const [shareOpen, setShareOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // ── Canvas save (debounced) ───────────────────────────────────────────────
+  // Each save is bound to the page that was open when the change happened, so
+  // a pending save can never land on a page the user has since flipped to.
+  // Saves name the revision they build on (pageVersionsRef); one the server
+  // refuses because another tab got there first opens the conflict dialog.
+  // Every change is also kept on this device as a draft (offlineStore) until
+  // the server has it; drafts left by a dropped connection or a closed tab
+  // are replayed when the server can be reached again.
+  const pageVersionsRef = useRef(new Map()); // pageId → { revision, json }
+  const [conflict, setConflict] = useState(null); // { pageId, mine, theirs, base }
+  const saveQueueRef = useRef(Promise.resolve());
+  const draftTimerRef = useRef(null);
+  const retryTimerRef = useRef(null);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [unsyncedPages, setUnsyncedPages] = useState(0);
+  const userId = user?.id;
+
+  const refreshUnsynced = useCallback(() => {
+    listDrafts(userId)
+      .then(drafts => setUnsyncedPages(drafts.length))
+      .catch(() => { });
+  }, [userId]);
+
+  // Keeps a page's working copy on this device; base is what it was edited from
+  const writeDraft = useCallback(async (targetPageId, json) => {
+    const draft = {
+      pageId: targetPageId,
+      userId,
+      canvasJSON: json,
+      base: pageVersionsRef.current.get(targetPageId),
+      savedAt: Date.now(),
+    };
+    try {
+      await putDraft(draft);
+    } catch (err) {
+      console.warn('Could not keep an offline copy:', err);
+    }
+    return draft;
+  }, [userId]);
+
+  // PUTs go out one at a time so a save never races the one before it.
+  // Resolves true once saved; false if it was refused as stale.
+  const putPage = useCallback((targetPageId, json, base) => {
+    const put = async () => {
+      const res = await fetch(`/api/pages/${targetPageId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ canvasJSON: json, baseRevision: base?.revision }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 409) {
+        // Nothing to ask about if the newer version is what we were saving
+        if (JSON.stringify(data.canvasJSON?.objects) !== JSON.stringify(json.objects)) {
+          setConflict({ pageId: targetPageId, mine: json, theirs: data, base: base?.json });
+          return false;
+        }
+      } else if (!res.ok) {
+        const err = new Error(data.error || `HTTP ${res.status}`);
+        err.status = res.status;
+        throw err;
       }
-      this.top = savedTop;
+      pageVersionsRef.current.set(targetPageId, { revision: data.revision, json });
+      return true;
     };
+    const result = saveQueueRef.current.then(put);
+    saveQueueRef.current = result.catch(() => { });
+    return result;
   }, []);
 
-  // ── Canvas save (debounced) ───────────────────────────────────────────────
+  // Saves a page and reports it in the header; a page that's no longer on
+  // screen is saved from its draft. A failed save keeps the draft and retries.
+  const savePage = useCallback(async (canvas, targetPageId) => {
+    const onScreen = pageIdRef.current === targetPageId && !loadingPageRef.current;
+    const draft = onScreen
+      ? await writeDraft(targetPageId, serializeCanvas(canvas))
+      : await getDraft(targetPageId).catch(() => null);
+    if (!draft) return;
+    try {
+      // A refused save keeps its draft until the conflict is resolved
+      if (!await putPage(targetPageId, draft.canvasJSON, draft.base)) {
+        setSaveStatus('Changed elsewhere');
+        return;
+      }
+      await deleteDraft(targetPageId, draft.savedAt).catch(() => { });
+      setSaveStatus('Saved ✓');
+      setTimeout(() => setSaveStatus(''), 2000);
+    } catch (err) {
+      console.error('Save failed:', err);
+      // The page was deleted or we lost access to it; nothing to retry
+      if (err.status === 403 || err.status === 404) {
+        await deleteDraft(targetPageId).catch(() => { });
+        setSaveStatus('');
+        return;
+      }
+      // Offline, the 'online' event replays it instead
+      setSaveStatus(navigator.onLine ? 'Save failed — retrying…' : '');
+      clearTimeout(retryTimerRef.current);
+      if (!navigator.onLine) return;
+      retryTimerRef.current = setTimeout(() => {
+        listDrafts(userId)
+          .then(drafts => drafts.forEach(d => savePage(canvas, d.pageId)))
+          .catch(() => { });
+      }, SAVE_RETRY_DELAY);
+    } finally {
+      refreshUnsynced();
+    }
+  }, [putPage, writeDraft, refreshUnsynced, userId]);
+
+  // Sends every page that has changes the server hasn't seen
+  const replayDrafts = useCallback(async () => {
+    clearTimeout(retryTimerRef.current);
+    refreshUnsynced();
+    if (!fabricCanvas || !navigator.onLine) return;
+    const drafts = await listDrafts(userId).catch(() => []);
+    drafts.forEach(d => savePage(fabricCanvas, d.pageId));
+  }, [fabricCanvas, savePage, refreshUnsynced, userId]);
+
   const saveCanvas = useCallback((canvas) => {
-    if (!canvas) return;
+    if (!canvas || loadingPageRef.current) return;
+    // While connected, the page's room receives every edit and saves it
+    if (collabRef.current?.isLive()) {
+      collabRef.current.sync();
+      return;
+    }
+    const targetPageId = pageIdRef.current;
+    if (!targetPageId) return;
+    // The change is kept on this device right away; the server save waits
+    clearTimeout(draftTimerRef.current);
+    draftTimerRef.current = setTimeout(() => {
+      if (pageIdRef.current !== targetPageId || loadingPageRef.current) return;
+      writeDraft(targetPageId, serializeCanvas(canvas)).then(refreshUnsynced);
+    }, DRAFT_DELAY);
     if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
     setSaveStatus('Saving...');
-    saveTimerRef.current = setTimeout(async () => {
-      try {
-        const json = canvas.toJSON();
-
-        // Fabric v7 doesn't reliably pass custom properties down through canvas.toJSON().
-        // We manually serialize and attach the necessary metadata here.
-        const objects = canvas.getObjects().map(obj => {
-          let o = obj.toJSON ? obj.toJSON() : obj.toObject();
-
-          if (obj._isPageBg) o._isPageBg = true;
-          if (obj._isAudio) {
-            o._isAudio = true;
-            o.audioId = obj.audioId;
-            o._overlayId = obj._overlayId;
-          }
-          if (obj.splitByGrapheme !== undefined) o.splitByGrapheme = obj.splitByGrapheme;
-          if (obj._lockedWidth !== undefined) o._lockedWidth = obj._lockedWidth;
-
-          return o;
-        });
-
-        // Filter out the page background rect from saved data to prevent loading duplicate patterns
-        json.objects = objects.filter(o => !o._isPageBg);
+    const run = async () => {
+      saveTimerRef.current = null;
+      pendingSaveRef.current = null;
+      await savePage(canvas, targetPageId);
+    };
+    pendingSaveRef.current = run;
+    saveTimerRef.current = setTimeout(run, 1500);
+  }, [savePage, writeDraft, refreshUnsynced]);
 
-        await fetch('/api/canvas', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          credentials: 'include',
-          body: JSON.stringify({ canvasJSON: json }),
-        });
-        setSaveStatus('Saved ✓');
-        setTimeout(() => setSaveStatus(''), 2000);
-      } catch (err) {
-        console.error('Save failed:', err);
-        setSaveStatus('Save failed');
-      }
-    }, 1500);
+  // Replay left-over drafts on open and whenever the browser is back online
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      replayDrafts();
+    };
+    const goOffline = () => setOnline(false);
+    replayDrafts();
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      clearTimeout(retryTimerRef.current);
+    };
+  }, [replayDrafts]);
+
+  // Run a pending debounced save right away (before flipping pages or publishing)
+  const flushSave = useCallback(async () => {
+    collabRef.current?.flush();
+    if (!pendingSaveRef.current) return;
+    clearTimeout(saveTimerRef.current);
+    await pendingSaveRef.current();
   }, []);
 
-  // ── Load saved canvas ─────────────────────────────────────────────────────
-  const loadCanvas = useCallback(async (canvas, activePageObj) => {
+  // ── Load a saved page ─────────────────────────────────────────────────────
+  // Fetches the page unless a version of it is given ({ canvasJSON, revision }:
+  // the collaboration room's copy, or the winner of a save conflict)
+  const loadCanvas = useCallback(async (canvas, activePageObj, targetPageId, given) => {
+    // Clearing and re-adding objects fires the auto-save hooks; mute them
+    loadingPageRef.current = true;
     try {
-      const res = await fetch('/api/canvas', { credentials: 'include' });
-      if (!res.ok) return;
-      const { canvasJSON } = await res.json();
-
-      if (canvas.__isDisposed) return;
+      // Edits that haven't reached the server yet are newer than its copy, and
+      // all there is to show while offline
+      let version = given;
+      const draft = given ? null : await getDraft(targetPageId).catch(() => null);
+      if (!version) {
+        const res = await fetch(`/api/pages/${targetPageId}`, { credentials: 'include' }).catch(() => null);
+        if (res?.ok) version = await res.json();
+        else if (!draft) return;
+      }
 
-      if (!canvasJSON || !canvasJSON.objects?.length) return;
+      if (canvas.__isDisposed || pageIdRef.current !== targetPageId) return;
+      pageVersionsRef.current.set(
+        targetPageId,
+        draft ? draft.base : { revision: version.revision, json: version.canvasJSON },
+      );
+      const canvasJSON = draft ? draft.canvasJSON : version.canvasJSON;
 
       // Clean up old duplicated pages and migrate element coordinates safely
-      let oldPageLeft = null;
-      let oldPageTop = null;
-      canvasJSON.objects = canvasJSON.objects.filter((o) => {
-        const isPageRect = o._isPageBg || (
-          o.type && o.type.toLowerCase() === 'rect' &&
-          !o._isAudio &&
-          !o.selectable && !o.evented
-        );
-        if (isPageRect) {
-          if (oldPageLeft === null) {
-            oldPageLeft = o.left;
-            oldPageTop = o.top;
-          }
-          return false;
-        }
-        return true;
-      });
-
-      if (oldPageLeft !== null && oldPageLeft !== PAGE_MARGIN) {
-        const dx = PAGE_MARGIN - oldPageLeft;
-        const dy = PAGE_MARGIN - (oldPageTop ?? PAGE_MARGIN);
-        canvasJSON.objects.forEach((o) => {
-          if (o.left !== undefined) o.left += dx;
-          if (o.top !== undefined) o.top += dy;
-        });
+      const parsed = normalizeCanvasJSON(structuredClone(canvasJSON?.objects ? canvasJSON : { objects: [] }));
+
+      // Images come from the library, which is the source of truth for their bytes
+      if (parsed.objects.some(o => o.imageId !== undefined)) {
+        const { images } = await fetch('/api/images', { credentials: 'include' })
+          .then(r => (r.ok ? r.json() : { images: [] }));
+        applyLibraryImages(parsed, Object.fromEntries(images.map(img => [img.id, img.url])));
+        if (canvas.__isDisposed || pageIdRef.current !== targetPageId) return;
       }
 
-      if (canvas.__isDisposed) return;
+      canvas.discardActiveObject();
+      setSessionAudios([]);
 
       try {
-        await canvas.loadFromJSON(canvasJSON);
+        await canvas.loadFromJSON(parsed);
       } catch (loadErr) {
         // Fabric may throw if canvas was disposed mid-load (React Strict Mode)
         console.warn('loadFromJSON failed (likely disposed canvas):', loadErr.message);
@@ -217,41 +371,15 @@ const DigitalJournal = () => {
 
       if (canvas.__isDisposed) return;
 
-      // Ensure parsed is an object to prevent indexing errors
-      const parsed = typeof canvasJSON === 'string' ? JSON.parse(canvasJSON) : canvasJSON;
-
       // Re-apply our custom overrides and manually restore dropped properties
-      const loadedAudios = [];
-      canvas.getObjects().forEach((obj, i) => {
-        const sourceData = parsed.objects[i];
-
-        if (sourceData && sourceData._isAudio) {
-          obj._isAudio = true;
-          obj.audioId = sourceData.audioId;
-          obj._overlayId = sourceData._overlayId;
-        }
+      const loadedAudios = restoreCustomProps(canvas, parsed);
 
-        if (obj.type === 'textbox') {
-          applyTextboxOverrides(obj);
-        } else if (obj._isAudio && obj.audioId) {
-          loadedAudios.push(obj);
-        }
-      });
-
-      // Fetch base64 audio data for all loaded audio players
+      // Resolve media URLs for all loaded audio players
       if (loadedAudios.length > 0) {
         Promise.all(
-          loadedAudios.map(async (obj) => {
-            try {
-              const r = await fetch(`/api/audio/${obj.audioId}`, { credentials: 'include' });
-              if (!r.ok) return null;
-              const data = await r.json();
-              return { overlayId: obj._overlayId, url: data.audioData };
-            } catch (e) {
-              return null;
-            }
-          })
+          loadedAudios.map(obj => fetchPageAudio(targetPageId, obj))
         ).then(results => {
+          if (pageIdRef.current !== targetPageId) return;
           const valid = results.filter(r => r !== null);
           setSessionAudios(prev => [...prev, ...valid]);
         });
@@ -262,12 +390,16 @@ const DigitalJournal = () => {
         canvas.add(activePageObj);
         canvas.sendObjectToBack(activePageObj);
       }
-      canvas.set('backgroundColor', '#e8e8e8');
+      canvas.set('backgroundColor', CANVAS_BG);
       canvas.requestRenderAll();
     } catch (err) {
       console.error('Load failed:', err);
+    } finally {
+      loadingPageRef.current = false;
+      // Recorded commands point at objects from the previous load
+      historyRef.current?.clear();
     }
-  }, [applyTextboxOverrides]);
+  }, []);
 
   // ── Sync toolbar state from canvas selection ─────────────────────────────
   const syncFmt = useCallback((tb) => {
@@ -287,46 +419,17 @@ const DigitalJournal = () => {
 
   // ── Canvas initialisation ────────────────────────────────────────────────
   useEffect(() => {
-    const canvasH = PAGE_H + PAGE_MARGIN * 2;
-    const canvasW = PAGE_W - PAGE_MARGIN * 14;
     const canvas = new fabric.Canvas(canvasRef.current, {
-      height: canvasH,
-      width: canvasW,
+      height: CANVAS_H,
+      width: CANVAS_W,
       selection: true,
       fireRightClick: true,
       stopContextMenu: true,
-      backgroundColor: '#e8e8e8',
+      backgroundColor: CANVAS_BG,
     });
 
     // ── Page background rect (non-interactive, always at back) ──────────
-    const pageLeft = PAGE_MARGIN;
-    const pageTop = PAGE_MARGIN;
-
-    // Create a dot-pattern tile for the page fill
-    const dotTile = document.createElement('canvas');
-    dotTile.width = GRID_SIZE;
-    dotTile.height = GRID_SIZE;
-    const dCtx = dotTile.getContext('2d');
-    dCtx.fillStyle = '#fffff5';
-    dCtx.fillRect(0, 0, GRID_SIZE, GRID_SIZE);
-    dCtx.fillStyle = '#cccccc';
-    dCtx.beginPath();
-    dCtx.arc(GRID_SIZE / 2, GRID_SIZE / 2, DOT_SIZE, 0, Math.PI * 2);
-    dCtx.fill();
-
-    const page = new fabric.Rect({
-      left: pageLeft,
-      top: pageTop,
-      width: PAGE_W,
-      height: PAGE_H,
-      fill: new fabric.Pattern({ source: dotTile, repeat: 'repeat' }),
-      selectable: false,
-      evented: false,
-      hasControls: false,
-      hoverCursor: 'default',
-      shadow: new fabric.Shadow({ color: 'rgba(0,0,0,0.15)', blur: 12, offsetX: 2, offsetY: 4 }),
-      _isPageBg: true,
-    });
+    const page = createPageRect();
     canvas.add(page);
     canvas.sendObjectToBack(page);
     pageRef.current = page;
@@ -341,21 +444,7 @@ const DigitalJournal = () => {
     });
 
     // Sync HTML audio overlays on every render to exactly match Fabric object boundaries
-    const syncAudioOverlays = () => {
-      canvas.getObjects().forEach(o => {
-        if (o._isAudio) {
-          const el = document.getElementById(`audio-container-${o._overlayId}`);
-          if (el) {
-            const rect = o.getBoundingRect();
-            el.style.left = `${rect.left}px`;
-            el.style.top = `${rect.top}px`;
-            el.style.width = `${rect.width}px`;
-            el.style.height = `${rect.height}px`;
-          }
-        }
-      });
-    };
-    canvas.on('after:render', syncAudioOverlays);
+    canvas.on('after:render', () => syncAudioOverlays(canvas));
 
     // ── Textbox resize: bake scaleX into width, anchor top ──────────────
     canvas.on('before:transform', (options) => {
@@ -400,6 +489,9 @@ const DigitalJournal = () => {
     });
     canvas.on('text:changed', onChanged);
 
+    // Collaboration addresses objects by id, so every object gets one on arrival
+    canvas.on('object:added', ({ target }) => ensureObjectId(target));
+
     // ── Auto-save triggers ─────────────────────────────────────────────────
     const triggerSave = () => saveCanvas(canvas);
     canvas.on('object:modified', triggerSave);
@@ -407,8 +499,20 @@ const DigitalJournal = () => {
     canvas.on('object:added', triggerSave);
     canvas.on('object:removed', triggerSave);
 
-    // Load saved canvas data
-    loadCanvas(canvas, page);
+    historyRef.current = createCanvasHistory(canvas, {
+      // A peer's edits aren't ours to undo
+      isMuted: () => loadingPageRef.current || !!collabRef.current?.isApplying(),
+      detachAudio: (obj) => {
+        const url = sessionAudiosRef.current.find(a => a.overlayId === obj._overlayId)?.url;
+        setSessionAudios(prev => prev.filter(a => a.overlayId !== obj._overlayId));
+        return url;
+      },
+      attachAudio: (obj, url) => {
+        if (url) setSessionAudios(prev => [...prev, { overlayId: obj._overlayId, url }]);
+      },
+      onReplay: triggerSave,
+      onChange: setUndoState,
+    });
 
     setFabricCanvas(canvas);
     return () => {
@@ -417,29 +521,303 @@ const DigitalJournal = () => {
     };
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
-  // ── Keyboard handler (Delete & Arrow keys) ──────────────────────────────
+  useEffect(() => {
+    sessionAudiosRef.current = sessionAudios;
+  }, [sessionAudios]);
+
+  // ── Journals & pages ─────────────────────────────────────────────────────
+  // Open the journal named by ?journal=, else the most recently edited one
+  useEffect(() => {
+    fetch('/api/journals', { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : { journals: [] }))
+      .then(({ journals: list }) => {
+        setJournals(list);
+        const wanted = Number(searchParams.get('journal'));
+        setJournalId(list.find(j => j.id === wanted)?.id ?? list[0]?.id ?? null);
+      })
+      .catch(() => { });
+    fetch('/api/shared-pages', { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : { pages: [] }))
+      .then(({ pages: list }) => setSharedPages(list))
+      .catch(() => { });
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Fetch the page list whenever the journal changes and open its first page
+  useEffect(() => {
+    if (!journalId) return;
+    fetch(`/api/journals/${journalId}`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setPages(data.pages);
+        setPageId(data.pages[0]?.id ?? null);
+      })
+      .catch(() => { });
+  }, [journalId]);
+
+  // Entries already published from this journal, so the dialog can offer to
+  // update one instead of publishing a copy
+  useEffect(() => {
+    if (!publishModal || !journalId) return;
+    setRepublishId(null);
+    fetch(`/api/journals/${journalId}/entries`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : { entries: [] }))
+      .then(({ entries }) => setPublishedEntries(entries))
+      .catch(() => { });
+  }, [publishModal, journalId]);
+
+  // Draw the open page onto the canvas, then join its collaboration room
+  useEffect(() => {
+    if (!fabricCanvas || !pageId) return;
+    pageIdRef.current = pageId;
+    let cancelled = false;
+    loadCanvas(fabricCanvas, pageRef.current, pageId).then(() => {
+      if (cancelled) return;
+      collabRef.current = createCanvasCollab(fabricCanvas, pageId, {
+        isMuted: () => loadingPageRef.current,
+        onReset: async (doc, revision) => {
+          // Edits made while disconnected go to the server first, which then
+          // resets the room to them (or reports a conflict)
+          if (await getDraft(pageId).catch(() => null)) {
+            savePage(fabricCanvas, pageId);
+            return;
+          }
+          await loadCanvas(fabricCanvas, pageRef.current, pageId, { canvasJSON: doc, revision });
+        },
+        onSaved: (revision) => {
+          pageVersionsRef.current.set(pageId, { revision, json: serializeCanvas(fabricCanvas) });
+        },
+        onStatus: setCollabStatus,
+        onPeers: setPeers,
+        attachAudio: (obj) => fetchPageAudio(pageId, obj).then((audio) => {
+          if (audio && pageIdRef.current === pageId) setSessionAudios(prev => [...prev, audio]);
+        }),
+        detachAudio: (obj) => setSessionAudios(prev => prev.filter(a => a.overlayId !== obj._overlayId)),
+      });
+    });
+    return () => {
+      cancelled = true;
+      collabRef.current?.dispose();
+      collabRef.current = null;
+      setCollabStatus(null);
+      setPeers([]);
+    };
+  }, [fabricCanvas, pageId, loadCanvas, savePage]);
+
+  const pageIdx = pages.findIndex(p => p.id === pageId);
+
+  const goToPage = useCallback(async (id) => {
+    if (!id || id === pageIdRef.current) return;
+    await flushSave();
+    setPageId(id);
+  }, [flushSave]);
+
+  const flipPage = useCallback((dir) => {
+    const idx = pages.findIndex(p => p.id === pageIdRef.current);
+    goToPage(pages[idx + dir]?.id);
+  }, [pages, goToPage]);
+
+  // Server page mutations all answer with the journal's new page list
+  const applyPageChange = async (res) => {
+    if (!res.ok) return;
+    const data = await res.json();
+    setPages(data.pages);
+    if (data.pageId) setPageId(data.pageId);
+  };
+
+  const addPage = async () => {
+    await flushSave();
+    await applyPageChange(await fetch(`/api/journals/${journalId}/pages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ position: pageIdx + 1 }),
+    }));
+  };
+
+  const duplicatePage = async () => {
+    await flushSave();
+    await applyPageChange(await fetch(`/api/pages/${pageId}/duplicate`, {
+      method: 'POST', credentials: 'include',
+    }));
+  };
+
+  const deletePage = async () => {
+    if (pages.length <= 1 || !window.confirm('Delete this page? This cannot be undone.')) return;
+    // Any pending save belongs to the page being deleted
+    clearTimeout(saveTimerRef.current);
+    pendingSaveRef.current = null;
+    deleteDraft(pageId).catch(() => { });
+    setSaveStatus('');
+    const res = await fetch(`/api/pages/${pageId}`, { method: 'DELETE', credentials: 'include' });
+    if (!res.ok) return;
+    const data = await res.json();
+    setPages(data.pages);
+    setPageId(data.pages[Math.min(pageIdx, data.pages.length - 1)].id);
+  };
+
+  const movePage = async (dir) => {
+    const target = pageIdx + dir;
+    if (pageIdx < 0 || target < 0 || target >= pages.length) return;
+    const pageIds = pages.map(p => p.id);
+    [pageIds[pageIdx], pageIds[target]] = [pageIds[target], pageIds[pageIdx]];
+    await applyPageChange(await fetch(`/api/journals/${journalId}/pages/order`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ pageIds }),
+    }));
+  };
+
+  const selectJournal = async (value) => {
+    if (value.startsWith('shared:')) {
+      const page = sharedPages.find(p => p.id === Number(value.slice('shared:'.length)));
+      if (!page) return;
+      await flushSave();
+      setSharedPage(page);
+      setHistoryOpen(false);
+      setJournalId(null);
+      setPages([{ id: page.id, position: page.position }]);
+      setPageId(page.id);
+      return;
+    }
+    if (value === 'new') {
+      const title = window.prompt('Name your new journal', 'Untitled Journal');
+      if (!title) return;
+      await flushSave();
+      const res = await fetch('/api/journals', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ title }),
+      });
+      if (!res.ok) return;
+      const { journal } = await res.json();
+      setJournals(prev => [journal, ...prev]);
+      setSharedPage(null);
+      setJournalId(journal.id);
+      return;
+    }
+    await flushSave();
+    setSharedPage(null);
+    setJournalId(Number(value));
+  };
+
+  // A co-author left a shared page; go back to their own journals
+  const leaveSharedPage = () => {
+    setShareOpen(false);
+    setSharedPages(prev => prev.filter(p => p.id !== sharedPage?.id));
+    setSharedPage(null);
+    setJournalId(journals[0]?.id ?? null);
+  };
+
+  const renameJournal = async () => {
+    const current = journals.find(j => j.id === journalId);
+    const title = window.prompt('Rename journal', current?.title)?.trim();
+    if (!title) return;
+    const res = await fetch(`/api/journals/${journalId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ title }),
+    });
+    if (res.ok) setJournals(prev => prev.map(j => (j.id === journalId ? { ...j, title } : j)));
+  };
+
+  const deleteJournal = async () => {
+    const current = journals.find(j => j.id === journalId);
+    if (!window.confirm(`Delete "${current?.title}" and all of its pages?`)) return;
+    clearTimeout(saveTimerRef.current);
+    pendingSaveRef.current = null;
+    pages.forEach(p => deleteDraft(p.id).catch(() => { }));
+    const res = await fetch(`/api/journals/${journalId}`, { method: 'DELETE', credentials: 'include' });
+    if (!res.ok) return;
+    const list = await fetch('/api/journals', { credentials: 'include' }).then(r => r.json());
+    setJournals(list.journals);
+    setJournalId(list.journals[0]?.id ?? null);
+  };
+
+  // ── Revision history ─────────────────────────────────────────────────────
+  // Flush first so the newest revision matches what's on screen
+  const openHistory = async () => {
+    await flushSave();
+    setHistoryOpen(true);
+  };
+
+  const handleRestored = () => {
+    setHistoryOpen(false);
+    loadCanvas(fabricCanvas, pageRef.current, pageId);
+  };
+
+  // ── Export ───────────────────────────────────────────────────────────────
+  // The open page comes straight off the canvas; others as last saved here
+  const loadExportPages = (indices) => Promise.all(indices.map(async (i) => {
+    if (i === pageIdx) return serializeCanvas(fabricCanvas);
+    const draft = await getDraft(pages[i].id).catch(() => null);
+    if (draft) return draft.canvasJSON;
+    const res = await fetch(`/api/pages/${pages[i].id}`, { credentials: 'include' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return (await res.json()).canvasJSON;
+  }));
+
+  // ── Save conflicts ───────────────────────────────────────────────────────
+  // Another tab or device saved the page first. 'reload' takes their version,
+  // 'keep' saves ours over it and 'merge' combines the two object by object.
+  const resolveConflict = async (choice) => {
+    const { pageId: targetPageId, mine, theirs, base } = conflict;
+    setConflict(null);
+    const onScreen = targetPageId === pageIdRef.current;
+    let json = mine;
+    if (choice === 'reload') json = theirs.canvasJSON;
+    if (choice === 'merge') json = mergeCanvasJSON(base, mine, theirs.canvasJSON);
+    if (onScreen && choice !== 'keep') {
+      await loadCanvas(fabricCanvas, pageRef.current, targetPageId, { canvasJSON: json, revision: theirs.revision });
+    }
+    pageVersionsRef.current.set(targetPageId, { revision: theirs.revision, json: theirs.canvasJSON });
+    if (choice === 'reload') {
+      await deleteDraft(targetPageId).catch(() => { });
+      refreshUnsynced();
+      setSaveStatus('');
+      return;
+    }
+    if (!onScreen) await writeDraft(targetPageId, json);
+    setSaveStatus('Saving...');
+    await savePage(fabricCanvas, targetPageId);
+  };
+
+  // ── Keyboard handler (Undo, Delete, Arrow keys & page flipping) ─────────
   useEffect(() => {
     if (!fabricCanvas) return;
     const handleKeyDown = (e) => {
+      const activeObj = fabricCanvas.getActiveObject();
+
+      // Ctrl+Z / Ctrl+Shift+Z — also while typing in a textbox (Fabric's hidden
+      // textarea), where the history finishes the edit before undoing it
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+        const inOtherField = (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') &&
+          e.target !== activeObj?.hiddenTextarea;
+        if (inOtherField) return;
+        e.preventDefault();
+        if (e.shiftKey) historyRef.current?.redo();
+        else historyRef.current?.undo();
+        return;
+      }
+
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
-      const activeObj = fabricCanvas.getActiveObject();
-      if (!activeObj || activeObj.isEditing) return;
+      // Nothing selected: A/D and ←/→ flip pages, like Discovery
+      if (!activeObj) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.key === 'a' || e.key === 'A' || e.key === 'ArrowLeft') flipPage(-1);
+        if (e.key === 'd' || e.key === 'D' || e.key === 'ArrowRight') flipPage(1);
+        return;
+      }
+      if (activeObj.isEditing) return;
 
       // Handle Deletion
       if (e.key === 'Delete' || e.key === 'Backspace') {
-        const objs = fabricCanvas.getActiveObjects();
-        if (objs.length) {
-          objs.forEach(o => {
-            if (o._isPageBg) return;
-            fabricCanvas.remove(o);
-            if (o._isAudio) {
-              setSessionAudios(prev => prev.filter(a => a.overlayId !== o._overlayId));
-            }
-          });
-          fabricCanvas.discardActiveObject();
-          fabricCanvas.requestRenderAll();
-        }
+        // The history drops audio overlays along with their placeholders
+        historyRef.current?.remove(fabricCanvas.getActiveObjects());
         return;
       }
 
@@ -447,6 +825,7 @@ const DigitalJournal = () => {
       if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
         e.preventDefault(); // prevent scrolling
         const step = GRID_SIZE;
+        const moved = historyRef.current?.captureTransform(activeObj);
 
         // Move the active object (which could be a single item or an ActiveSelection group)
         if (e.key === 'ArrowUp') activeObj.top -= step;
@@ -456,13 +835,14 @@ const DigitalJournal = () => {
 
         activeObj.setCoords();
         fabricCanvas.requestRenderAll();
+        if (moved) historyRef.current.commitTransform(moved);
         // Fire modified event to trigger the auto-save hook
         fabricCanvas.fire('object:modified', { target: activeObj });
       }
     };
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [fabricCanvas]);
+  }, [fabricCanvas, flipPage]);
 
   // ── Formatting helpers ───────────────────────────────────────────────────
   // Problem: clicking a toolbar button fires mousedown → canvas loses focus →
@@ -499,6 +879,8 @@ const DigitalJournal = () => {
 
     // Check if we have a range to format
     const hasRange = start !== end;
+    // Edits made while editing are recorded with the editing session
+    const before = tb.isEditing ? null : snapshotText(tb);
 
     if (hasRange) {
       // Ensure we are in editing mode to apply per-character styles
@@ -538,8 +920,12 @@ const DigitalJournal = () => {
     tb.initDimensions();
     tb.setCoords();
     tb.canvas?.requestRenderAll();
+    if (before && !tb.isEditing) {
+      historyRef.current?.recordText(tb, before);
+      saveCanvas(tb.canvas);
+    }
     syncFmt(tb);
-  }, [activeTextbox, syncFmt]);
+  }, [activeTextbox, syncFmt, saveCanvas]);
 
   const toggleBold = () => {
     const next = fmt.fontWeight === 'bold' ? 'normal' : 'bold';
@@ -559,10 +945,15 @@ const DigitalJournal = () => {
   };
   const setAlign = (align) => {
     if (!activeTextbox) return;
+    const before = activeTextbox.isEditing ? null : snapshotText(activeTextbox);
     activeTextbox.set({ textAlign: align });
     // initDimensions must run so Fabric's enlargeSpaces() applies justify layout
     activeTextbox.initDimensions();
     activeTextbox.canvas?.requestRenderAll();
+    if (before) {
+      historyRef.current?.recordText(activeTextbox, before);
+      saveCanvas(activeTextbox.canvas);
+    }
     syncFmt(activeTextbox);
   };
 
@@ -597,10 +988,10 @@ const DigitalJournal = () => {
     applyTextboxOverrides(text);
     fabricCanvas.add(text);
     fabricCanvas.setActiveObject(text);
-  }, [fabricCanvas, applyTextboxOverrides]);
+  }, [fabricCanvas]);
 
   // ── Add Audio ────────────────────────────────────────────────────────────
-  const addAudioToCanvas = useCallback((audioId, dataUrl, x, y) => {
+  const addAudioToCanvas = useCallback((audioId, url, x, y) => {
     if (!fabricCanvas) return;
     const page = pageRef.current;
     const pLeft = page ? page.left + 100 : 200;
@@ -631,51 +1022,29 @@ const DigitalJournal = () => {
     fabricCanvas.setActiveObject(rect);
     fabricCanvas.requestRenderAll();
 
-    setSessionAudios(prev => [...prev, { overlayId, url: dataUrl }]);
+    setSessionAudios(prev => [...prev, { overlayId, url }]);
   }, [fabricCanvas]);
 
-  const handleUploadAudio = useCallback((e) => {
+  const handleUploadAudio = useCallback(async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      const dataUrl = ev.target.result;
-      try {
-        const res = await fetch('/api/audio', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          credentials: 'include',
-          body: JSON.stringify({ audioData: dataUrl, filename: file.name, mimeType: file.type }),
-        });
-        if (!res.ok) throw new Error('Audio upload failed');
-        const data = await res.json();
-        addAudioToCanvas(data.id, dataUrl);
-      } catch (err) {
-        console.error('Audio upload error:', err);
-      }
-    };
-    reader.readAsDataURL(file);
     e.target.value = '';
+    const body = new FormData();
+    body.append('audio', file, file.name);
+    try {
+      const res = await fetch('/api/audio', { method: 'POST', credentials: 'include', body });
+      if (!res.ok) throw new Error('Audio upload failed');
+      const data = await res.json();
+      addAudioToCanvas(data.id, data.url);
+    } catch (err) {
+      console.error('Audio upload error:', err);
+    }
   }, [addAudioToCanvas]);
 
   // ── Image helpers ────────────────────────────────────────────────────────
-  const generateThumbnail = useCallback((dataUrl, maxSize = 150) => {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const scale = Math.min(maxSize / img.width, maxSize / img.height, 1);
-        canvas.width = img.width * scale;
-        canvas.height = img.height * scale;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        resolve(canvas.toDataURL('image/jpeg', 0.7));
-      };
-      img.src = dataUrl;
-    });
-  }, []);
-
-  const addImageToCanvas = useCallback((dataUrl, x, y) => {
+  // Places a library image ({ id, url }); the object keeps its imageId so saves
+  // reference the library instead of carrying the image
+  const addImageToCanvas = useCallback((image, x, y) => {
     if (!fabricCanvas) return;
     const imgEl = new Image();
     imgEl.crossOrigin = 'anonymous';
@@ -684,6 +1053,7 @@ const DigitalJournal = () => {
         left: x ?? 100,
         top: y ?? 100,
       });
+      fImg.imageId = image.id;
       // Scale to fit reasonably on canvas (max 400px wide)
       const maxW = 400;
       if (fImg.width > maxW) {
@@ -693,32 +1063,32 @@ const DigitalJournal = () => {
       fabricCanvas.setActiveObject(fImg);
       fabricCanvas.requestRenderAll();
     };
-    imgEl.src = dataUrl;
+    imgEl.src = image.url;
   }, [fabricCanvas]);
 
-  const uploadImageToServer = useCallback(async (dataUrl, filename = 'pasted-image') => {
+  // Streams the file to the media store and adds it to the library; the server
+  // makes the thumbnail. Resolves to the library image ({ id, url, ... }), or null.
+  const uploadImageToServer = useCallback(async (file, filename = 'pasted-image') => {
     try {
-      const thumbnail = await generateThumbnail(dataUrl);
-      const res = await fetch('/api/images', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        credentials: 'include',
-        body: JSON.stringify({ imageData: dataUrl, thumbnail, filename }),
-      });
-      if (!res.ok) throw new Error('Upload failed');
-      const data = await res.json();
-      setUserImages((prev) => [{ id: data.id, thumbnail: data.thumbnail, filename: data.filename }, ...prev]);
+      const body = new FormData();
+      body.append('image', file, file.name || filename);
+      const res = await fetch('/api/images', { method: 'POST', credentials: 'include', body });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Upload failed');
+      const image = await res.json();
+      // Re-uploading a library image returns the existing entry
+      setUserImages((prev) => [image, ...prev.filter(img => img.id !== image.id)]);
+      return image;
     } catch (err) {
       console.error('Image upload error:', err);
+      return null;
     }
-  }, [generateThumbnail]);
+  }, []);
 
   const handleAddFromSidebar = useCallback(async (imageId) => {
     try {
       const res = await fetch(`/api/images/${imageId}`, { credentials: 'include' });
       if (!res.ok) return;
-      const { imageData } = await res.json();
-      addImageToCanvas(imageData);
+      addImageToCanvas(await res.json());
     } catch (err) {
       console.error('Failed to load image:', err);
     }
@@ -746,13 +1116,8 @@ const DigitalJournal = () => {
         if (item.type.startsWith('image/')) {
           e.preventDefault();
           const file = item.getAsFile();
-          const reader = new FileReader();
-          reader.onload = (ev) => {
-            const dataUrl = ev.target.result;
-            addImageToCanvas(dataUrl);
-            uploadImageToServer(dataUrl, file.name || 'pasted-image');
-          };
-          reader.readAsDataURL(file);
+          uploadImageToServer(file, file.name || 'pasted-image')
+            .then(image => image && addImageToCanvas(image));
           break;
         }
       }
@@ -763,18 +1128,13 @@ const DigitalJournal = () => {
   }, [fabricCanvas, addImageToCanvas, uploadImageToServer]);
 
   // ── File upload handler ──────────────────────────────────────────────────
-  const handleUploadImage = useCallback((e) => {
+  const handleUploadImage = useCallback(async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      const dataUrl = ev.target.result;
-      addImageToCanvas(dataUrl);
-      uploadImageToServer(dataUrl, file.name);
-    };
-    reader.readAsDataURL(file);
     // Reset so same file can be uploaded again
     e.target.value = '';
+    const image = await uploadImageToServer(file, file.name);
+    if (image) addImageToCanvas(image);
   }, [addImageToCanvas, uploadImageToServer]);
 
   // ── Load user images on mount ────────────────────────────────────────────
@@ -787,6 +1147,8 @@ const DigitalJournal = () => {
 
   // ── Logout handler ──────────────────────────────────────────────────────
   const handleLogout = async () => {
+    // Logging out clears this device's drafts, including any not yet saved
+    if (unsyncedPages > 0 && !window.confirm('Some changes haven\'t reached the server yet and will be lost. Log out anyway?')) return;
     await logout();
     navigate('/', { replace: true });
   };
@@ -821,8 +1183,7 @@ const DigitalJournal = () => {
     try {
       const res = await fetch(`/api/images/${imageId}`, { credentials: 'include' });
       if (!res.ok) return;
-      const { imageData } = await res.json();
-      addImageToCanvas(imageData, x, y);
+      addImageToCanvas(await res.json(), x, y);
     } catch (err) {
       console.error('Drop image error:', err);
     }
@@ -863,15 +1224,18 @@ const DigitalJournal = () => {
   const handleZOrder = useCallback((action) => {
     if (!fabricCanvas || !contextMenu?.target) return;
     const obj = contextMenu.target;
-    switch (action) {
-      case 'front': fabricCanvas.bringObjectToFront(obj); break;
-      case 'back': fabricCanvas.sendObjectToBack(obj); break;
-      case 'forward': fabricCanvas.bringObjectForward(obj); break;
-      case 'backward': fabricCanvas.sendObjectBackwards(obj); break;
-    }
+    historyRef.current?.reorder(obj, () => {
+      switch (action) {
+        case 'front': fabricCanvas.bringObjectToFront(obj); break;
+        case 'back': fabricCanvas.sendObjectToBack(obj); break;
+        case 'forward': fabricCanvas.bringObjectForward(obj); break;
+        case 'backward': fabricCanvas.sendObjectBackwards(obj); break;
+      }
+    });
     fabricCanvas.requestRenderAll();
+    saveCanvas(fabricCanvas);
     setContextMenu(null);
-  }, [fabricCanvas, contextMenu]);
+  }, [fabricCanvas, contextMenu, saveCanvas]);
 
   // Close context menu on click anywhere
   useEffect(() => {
@@ -896,6 +1260,27 @@ const DigitalJournal = () => {
           {user?.avatarUrl && <img src={user.avatarUrl} alt="" className="journal-avatar" />}
           <span className="journal-username">@{user?.username}</span>
         </div>
+        {peers.length > 0 && (
+          <div className="journal-peers">
+            {peers.map(p => (
+              <span key={p.id} className="journal-peer" style={{ background: p.color }} title={`@${p.username} is here`}>
+                {p.username?.[0]}
+              </span>
+            ))}
+          </div>
+        )}
+        {collabStatus === 'live' && <span className="journal-live" title="Changes sync as you edit">● Live</span>}
+        {!online && (
+          <span className="journal-offline" title="Your edits are kept on this device and saved when you reconnect">
+            ● Offline
+          </span>
+        )}
+        {online && collabStatus === 'offline' && <span className="journal-save-status">Reconnecting…</span>}
+        {unsyncedPages > 0 && (
+          <span className="journal-pending" title="Saved on this device, not yet on the server">
+            {unsyncedPages === 1 ? '1 page' : `${unsyncedPages} pages`} waiting to sync
+          </span>
+        )}
         {saveStatus && <span className="journal-save-status">{saveStatus}</span>}
         <button onClick={handleLogout} className="journal-logout-btn">Log out</button>
       </div>
@@ -959,7 +1344,7 @@ const DigitalJournal = () => {
         <input
           ref={fileInputRef}
           type="file"
-          accept="image/jpeg,image/png"
+          accept="image/jpeg,image/png,image/gif,image/webp"
           style={{ display: 'none' }}
           onChange={handleUploadImage}
         />
@@ -985,8 +1370,8 @@ const DigitalJournal = () => {
           onChange={handleUploadAudio}
         />
 
-        {/* Publish button */}
-        <button onClick={() => setPublishModal(true)} style={{
+        {/* Publish button — a shared page is published by its owner */}
+        {!sharedPage && <button onClick={() => setPublishModal(true)} style={{
           cursor: 'pointer',
           padding: '5px 14px',
           background: '#e8642b',
@@ -998,6 +1383,72 @@ const DigitalJournal = () => {
           marginLeft: '4px',
         }}>
           Publish
+        </button>}
+
+        <div style={divider} />
+
+        {/* Undo / redo */}
+        <button
+          onClick={() => historyRef.current?.undo()}
+          disabled={!undoState.canUndo}
+          style={{ ...btnStyle(false), opacity: undoState.canUndo ? 1 : 0.4 }}
+          title="Undo (Ctrl+Z)"
+        >
+          ↶
+        </button>
+        <button
+          onClick={() => historyRef.current?.redo()}
+          disabled={!undoState.canRedo}
+          style={{ ...btnStyle(false), opacity: undoState.canRedo ? 1 : 0.4 }}
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          ↷
+        </button>
+
+        <div style={divider} />
+
+        {/* Journal picker */}
+        <select
+          value={sharedPage ? `shared:${sharedPage.id}` : (journalId ?? '')}
+          onChange={(e) => selectJournal(e.target.value)}
+          title="Switch journal"
+          style={{
+            padding: '4px 6px', borderRadius: '4px', border: '1px solid #ccc',
+            fontSize: '13px', cursor: 'pointer', maxWidth: '180px',
+          }}
+        >
+          {journals.map(j => <option key={j.id} value={j.id}>{j.title}</option>)}
+          <option value="new">+ New journal…</option>
+          {sharedPages.length > 0 && (
+            <optgroup label="Shared with me">
+              {sharedPages.map(p => (
+                <option key={p.id} value={`shared:${p.id}`}>
+                  {p.journalTitle} · p.{p.position + 1} (@{p.owner.username})
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {!sharedPage && <>
+          <button onClick={renameJournal} style={btnStyle(false)} title="Rename journal">✎</button>
+          <button onClick={deleteJournal} style={btnStyle(false)} title="Delete journal">🗑</button>
+          <button
+            onClick={() => (historyOpen ? setHistoryOpen(false) : openHistory())}
+            style={btnStyle(historyOpen)}
+            title="Page history"
+          >
+            🕘 History
+          </button>
+        </>}
+        <button
+          onClick={() => setShareOpen(o => !o)}
+          style={btnStyle(shareOpen)}
+          title={sharedPage ? 'Co-authors' : 'Invite co-authors to this page'}
+        >
+          👥 Share
+        </button>
+        <button onClick={() => setExportOpen(o => !o)} style={btnStyle(exportOpen)} title="Download as PNG, SVG or PDF">
+          ⬇ Export
         </button>
 
         {/* Formatting controls — only when a textbox is selected */}
@@ -1107,6 +1558,54 @@ const DigitalJournal = () => {
         </div>
       </div>
 
+      {/* ── Page navigator ── */}
+      {pages.length > 0 && !sharedPage && (
+        <div className="page-nav" onMouseDown={(e) => e.preventDefault()}>
+          <button onClick={() => movePage(-1)} disabled={pageIdx <= 0} title="Move page earlier">⇤</button>
+          <button onClick={() => flipPage(-1)} disabled={pageIdx <= 0} title="Previous page [A]">←</button>
+          <span className="page-nav-label">Page {pageIdx + 1} / {pages.length}</span>
+          <button onClick={() => flipPage(1)} disabled={pageIdx >= pages.length - 1} title="Next page [D]">→</button>
+          <button onClick={() => movePage(1)} disabled={pageIdx >= pages.length - 1} title="Move page later">⇥</button>
+          <span className="page-nav-divider" />
+          <button onClick={addPage} title="Add page after this one">＋</button>
+          <button onClick={duplicatePage} title="Duplicate page">⧉</button>
+          <button onClick={deletePage} disabled={pages.length <= 1} title="Delete page">🗑</button>
+        </div>
+      )}
+
+      {/* Revision history panel */}
+      {historyOpen && pageId && (
+        <RevisionHistory
+          key={pageId}
+          pageId={pageId}
+          onRestored={handleRestored}
+          onClose={() => setHistoryOpen(false)}
+        />
+      )}
+
+      {/* Co-authors panel */}
+      {shareOpen && pageId && (
+        <SharePanel
+          key={pageId}
+          pageId={pageId}
+          isOwner={!sharedPage}
+          currentUserId={user?.id}
+          onLeft={leaveSharedPage}
+          onClose={() => setShareOpen(false)}
+        />
+      )}
+
+      {/* Export panel */}
+      {exportOpen && pageId && fabricCanvas && (
+        <ExportPanel
+          title={sharedPage ? sharedPage.journalTitle : journals.find(j => j.id === journalId)?.title}
+          pageCount={pages.length}
+          pageIndex={Math.max(pageIdx, 0)}
+          loadPages={loadExportPages}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+
       {/* Image Sidebar */}
       <ImageSidebar
         images={userImages}
@@ -1168,32 +1667,77 @@ const DigitalJournal = () => {
                 fontFamily: 'var(--font-sans)', resize: 'vertical',
               }}
             />
+            <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: '#555', marginBottom: '6px' }}>Tags</label>
+            <TagInput tags={publishTags} onChange={setPublishTags} />
+            {pages.length > 1 && <>
+              <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: '#555', marginBottom: '6px' }}>Publish</label>
+              <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
+                {[
+                  { value: 'page', label: '📄 This page' },
+                  { value: 'journal', label: `📚 Whole journal (${pages.length} pages)` },
+                ].map(({ value, label }) => (
+                  <button
+                    key={value}
+                    onClick={() => setPublishScope(value)}
+                    style={{
+                      flex: 1, padding: '8px', borderRadius: '8px', cursor: 'pointer',
+                      border: publishScope === value ? '2px solid #e8642b' : '1px solid #ddd',
+                      background: publishScope === value ? '#fff5f0' : '#fff',
+                      fontWeight: 600, fontSize: '0.85rem',
+                      fontFamily: 'var(--font-sans)',
+                    }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </>}
+            {(() => {
+              // A page entry updates from its page, a journal entry from the whole journal
+              const updatable = publishedEntries.filter(e => (publishScope === 'journal' ? !e.pageId : e.pageId === pageId));
+              if (!updatable.length) return null;
+              const choose = (entry) => {
+                setRepublishId(entry?.id ?? null);
+                setPublishTitle(entry?.title ?? '');
+                setPublishDesc(entry?.description ?? '');
+                setPublishVis(entry?.visibility ?? 'public');
+                setPublishTags(entry?.tags ?? []);
+              };
+              return <>
+                <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: '#555', marginBottom: '6px' }}>Publish as</label>
+                <select
+                  value={updatable.some(e => e.id === republishId) ? republishId : ''}
+                  onChange={e => choose(updatable.find(entry => entry.id === Number(e.target.value)))}
+                  style={{
+                    width: '100%', padding: '10px 14px', borderRadius: '8px',
+                    border: '1px solid #ddd', fontSize: '0.9rem', marginBottom: '16px',
+                    fontFamily: 'var(--font-sans)', background: '#fff',
+                  }}
+                >
+                  <option value="">✨ New entry</option>
+                  {updatable.map(e => (
+                    <option key={e.id} value={e.id}>↻ Update “{e.title}”</option>
+                  ))}
+                </select>
+              </>;
+            })()}
             <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: '#555', marginBottom: '6px' }}>Visibility</label>
-            <div style={{ display: 'flex', gap: '8px', marginBottom: '24px' }}>
-              <button
-                onClick={() => setPublishVis('public')}
-                style={{
-                  flex: 1, padding: '8px', borderRadius: '8px', cursor: 'pointer',
-                  border: publishVis === 'public' ? '2px solid #e8642b' : '1px solid #ddd',
-                  background: publishVis === 'public' ? '#fff5f0' : '#fff',
-                  fontWeight: 600, fontSize: '0.85rem',
-                  fontFamily: 'var(--font-sans)',
-                }}
-              >
-                🌐 Public
-              </button>
-              <button
-                onClick={() => setPublishVis('friends')}
-                style={{
-                  flex: 1, padding: '8px', borderRadius: '8px', cursor: 'pointer',
-                  border: publishVis === 'friends' ? '2px solid #7c6aef' : '1px solid #ddd',
-                  background: publishVis === 'friends' ? '#f5f0ff' : '#fff',
-                  fontWeight: 600, fontSize: '0.85rem',
-                  fontFamily: 'var(--font-sans)',
-                }}
-              >
-                👥 Friends
-              </button>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '24px' }}>
+              {VISIBILITY_OPTIONS.map(({ value, label, color, tint }) => (
+                <button
+                  key={value}
+                  onClick={() => setPublishVis(value)}
+                  style={{
+                    padding: '8px', borderRadius: '8px', cursor: 'pointer',
+                    border: publishVis === value ? `2px solid ${color}` : '1px solid #ddd',
+                    background: publishVis === value ? tint : '#fff',
+                    fontWeight: 600, fontSize: '0.85rem',
+                    fontFamily: 'var(--font-sans)',
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
             <div style={{ display: 'flex', gap: '12px' }}>
               <button
@@ -1212,43 +1756,62 @@ const DigitalJournal = () => {
                   if (!fabricCanvas || publishing) return;
                   setPublishing(true);
                   try {
-                    // Generate thumbnail cropped to just the page area
-                    const lowerCanvas = fabricCanvas.lowerCanvasEl || fabricCanvas.getElement();
-                    const pg = pageRef.current;
-                    const sx = pg ? pg.left : PAGE_MARGIN;
-                    const sy = pg ? pg.top : PAGE_MARGIN;
-                    const sw = PAGE_W;
-                    const sh = PAGE_H;
-                    // Draw the cropped region onto an offscreen canvas
-                    const offscreen = document.createElement('canvas');
-                    offscreen.width = sw;
-                    offscreen.height = sh;
-                    const octx = offscreen.getContext('2d');
-                    octx.drawImage(lowerCanvas, sx, sy, sw, sh, 0, 0, sw, sh);
-                    const thumbnail = offscreen.toDataURL('image/png');
-                    // Get the canvas JSON
-                    const objects = fabricCanvas.getObjects().map(obj => {
-                      let o = obj.toJSON ? obj.toJSON() : obj.toObject();
-                      if (obj._isPageBg) o._isPageBg = true;
-                      if (obj._isAudio) { o._isAudio = true; o.audioId = obj.audioId; o._overlayId = obj._overlayId; }
-                      return o;
-                    });
-                    const canvasJSON = { version: fabricCanvas.version, objects };
-                    await fetch('/api/entries/publish', {
+                    // Thumbnail of just the page, without selection handles
+                    const thumbnail = await pageDataURL(serializeCanvas(fabricCanvas));
+                    // A whole journal is assembled server-side from its saved pages,
+                    // so make sure the page on screen is saved first
+                    if (publishScope === 'journal') await flushSave();
+                    const source = publishScope === 'journal'
+                      ? { journalId }
+                      : { canvasJSON: serializeCanvas(fabricCanvas), pageId };
+                    const target = publishedEntries.find(e => e.id === republishId
+                      && (publishScope === 'journal' ? !e.pageId : e.pageId === pageId));
+                    if (target) {
+                      // Swap in the new content (the old version is kept), then the details
+                      const res = await fetch(`/api/entries/${target.id}/republish`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        credentials: 'include',
+                        body: JSON.stringify({ thumbnail, ...source }),
+                      });
+                      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                      const details = await fetch(`/api/entries/${target.id}`, {
+                        method: 'PATCH',
+                        headers: { 'Content-Type': 'application/json' },
+                        credentials: 'include',
+                        body: JSON.stringify({
+                          title: publishTitle || target.title,
+                          description: publishDesc,
+                          visibility: publishVis,
+                          tags: publishTags,
+                        }),
+                      });
+                      if (!details.ok) throw new Error(`HTTP ${details.status}`);
+                      setPublishModal(false);
+                      setPublishTitle('');
+                      setPublishDesc('');
+                      setPublishTags([]);
+                      navigate(`/journal?view=${target.id}`);
+                      return;
+                    }
+                    const res = await fetch('/api/entries/publish', {
                       method: 'POST',
                       headers: { 'Content-Type': 'application/json' },
                       credentials: 'include',
                       body: JSON.stringify({
-                        title: publishTitle || 'Untitled',
+                        title: publishTitle || (publishScope === 'journal' ? undefined : 'Untitled'),
                         description: publishDesc,
                         thumbnail,
-                        canvasJSON,
                         visibility: publishVis,
+                        tags: publishTags,
+                        ...source,
                       }),
                     });
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
                     setPublishModal(false);
                     setPublishTitle('');
                     setPublishDesc('');
+                    setPublishTags([]);
                     navigate('/discover');
                   } catch (err) {
                     console.error('Publish failed:', err);
@@ -1272,6 +1835,50 @@ const DigitalJournal = () => {
           </div>
         </div>
       )}
+
+      {/* ── Save conflict: the page was saved from somewhere else ── */}
+      {conflict && (
+        <div style={{
+          position: 'fixed', inset: 0, zIndex: 2000,
+          background: 'rgba(0,0,0,0.45)', display: 'flex',
+          alignItems: 'center', justifyContent: 'center',
+        }}>
+          <div style={{
+            background: '#fff', borderRadius: '16px', padding: '32px',
+            width: '420px', maxWidth: '90vw', boxShadow: '0 8px 40px rgba(0,0,0,0.3)',
+          }}>
+            <h2 style={{ fontFamily: 'DM Serif Text, serif', fontSize: '1.6rem', marginBottom: '12px', color: '#1a1a2e' }}>
+              This page changed elsewhere
+            </h2>
+            <p style={{ fontSize: '0.9rem', color: '#555', marginBottom: '24px', lineHeight: 1.5 }}>
+              {conflict.pageId === pageId ? 'This page' : 'A page you were editing'} was saved from another
+              tab or device after you opened it. Which version should it keep?
+            </p>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+              {[
+                { choice: 'merge', label: '🔀 Merge both', hint: 'Keep every change, yours win where both edited the same item', primary: true },
+                { choice: 'keep', label: '✍️ Keep mine', hint: 'Replace the other version with what you have' },
+                { choice: 'reload', label: '↻ Reload theirs', hint: 'Discard your unsaved changes' },
+              ].map(({ choice, label, hint, primary }) => (
+                <button
+                  key={choice}
+                  onClick={() => resolveConflict(choice)}
+                  style={{
+                    padding: '10px 14px', borderRadius: '8px', cursor: 'pointer', textAlign: 'left',
+                    border: primary ? 'none' : '1px solid #ddd',
+                    background: primary ? '#e8642b' : '#fff',
+                    color: primary ? '#fff' : '#333',
+                    fontFamily: 'var(--font-sans)',
+                  }}
+                >
+                  <div style={{ fontWeight: 700, fontSize: '0.9rem' }}>{label}</div>
+                  <div style={{ fontSize: '0.8rem', opacity: 0.8 }}>{hint}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,6 +1,8 @@
-import React, { useEffect, useState, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useRef, useState, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from './AuthContext';
+import NoteThread from './NoteThread';
+import NotificationBell from './NotificationBell';
 import bookPageSvg from './assets/bookPage.svg';
 import poentryLogo from './assets/iconography/poentrylogo.svg';
 import like from './assets/iconography/SVG/like.svg';
@@ -11,52 +13,185 @@ import rightBookCutoff from './assets/iconography/rightBookCutoff.png';
 
 // ── Sticky-note colour palette ────────────────────────────────────────────────
 const NOTE_COLORS = ['#d4f59f', '#f5d49f', '#9fd4f5', '#f59fd4', '#d49ff5', '#f5f59f'];
+const NOTE_MAX_LENGTH = 500; // mirrors MAX_COMMENT_LENGTH in server.js
+const REPORT_REASONS = [
+    { value: 'spam', label: 'Spam' },
+    { value: 'harassment', label: 'Harassment or bullying' },
+    { value: 'hate', label: 'Hateful content' },
+    { value: 'inappropriate', label: 'Inappropriate content' },
+    { value: 'other', label: 'Something else' },
+];
+const FEEDS = [
+    { value: 'public', label: '🌐 Public' },
+    { value: 'popular', label: '🔥 Popular' },
+    { value: 'foryou', label: '✨ For you' },
+    { value: 'friends', label: '👥 Friends' },
+];
+const RANKED_FEEDS = ['popular', 'foryou']; // for every tag at once, and can't open at an entry
+const PREFETCH_WITHIN = 3; // load the next page once the reader is this close to the end
+
+const cursorParam = (cursor) => (cursor ? `&cursor=${encodeURIComponent(cursor)}` : null);
+
+// The feeds page by cursor, search results by offset
+function nextPageOf(data, loaded) {
+    if (data.nextCursor) return cursorParam(data.nextCursor);
+    return data.hasMore ? `&offset=${loaded}` : null;
+}
+
+// A search result's title or snippet, with the matched words marked
+function Highlighted({ runs }) {
+    return runs.map((run, i) => (run.match ? <mark key={i}>{run.text}</mark> : <React.Fragment key={i}>{run.text}</React.Fragment>));
+}
 
 export default function DiscoveryPage() {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
+    const [params, setParams] = useSearchParams();
+    const tag = params.get('tag'); // show only entries filed under this tag
+    const focusId = params.get('entry'); // open the feed at this entry (shared links)
 
     // ── State ───────────────────────────────────────────────────────────────────
     const [entries, setEntries] = useState([]);
     const [currentIdx, setCurrentIdx] = useState(0);
     const [comments, setComments] = useState([]);
-    const [filter, setFilter] = useState('public'); // 'public' | 'friends'
+    const [commentsCursor, setCommentsCursor] = useState(null); // where the next page of notes starts, if there is one
+    const [filter, setFilter] = useState('public'); // 'public' | 'popular' | 'foryou' | 'friends'
     const [search, setSearch] = useState('');
+    const [nextPage, setNextPage] = useState(null); // query string for the next page of entries, if there is one
+    const [prevPage, setPrevPage] = useState(null); // ...and for newer ones, when the feed opened at an entry
     const [newComment, setNewComment] = useState('');
+    const [commentError, setCommentError] = useState('');
+    const [editingNote, setEditingNote] = useState(null); // { id, content }
+    const [reporting, setReporting] = useState(null); // { id, reason, details, error }
     const [loading, setLoading] = useState(true);
+    const [trendingTags, setTrendingTags] = useState([]);
+
+    // ── Fetch entries (the feed, or search results while there's a query) ──────
+    const query = search.trim();
+    const entriesUrl = query
+        ? `/api/entries/search?q=${encodeURIComponent(query)}&filter=${filter}`
+        : `/api/entries?filter=${filter}${tag ? `&tag=${encodeURIComponent(tag)}` : ''}`;
+
+    const feedUrl = useRef(null); // what the loaded entries came from, so stale pages get dropped
+    const pageLoading = useRef(false);
+    const aroundFocus = focusId && !query && !RANKED_FEEDS.includes(filter);
 
-    // ── Fetch entries ───────────────────────────────────────────────────────────
     const fetchEntries = useCallback(async () => {
+        feedUrl.current = entriesUrl;
         try {
             setLoading(true);
-            const res = await fetch(`/api/entries?filter=${filter}`, { credentials: 'include' });
-            if (!res.ok) return;
+            let res = await fetch(aroundFocus ? `${entriesUrl}&around=${encodeURIComponent(focusId)}` : entriesUrl, { credentials: 'include' });
+            // A shared entry that's gone (or hidden from this viewer) opens the feed at the top
+            if (aroundFocus && res.status === 404) res = await fetch(entriesUrl, { credentials: 'include' });
+            if (!res.ok || feedUrl.current !== entriesUrl) return;
             const data = await res.json();
-            setEntries(data.entries || []);
-            setCurrentIdx(0);
+            const loaded = data.entries || [];
+            setEntries(loaded);
+            setNextPage(nextPageOf(data, loaded.length));
+            setPrevPage(cursorParam(data.prevCursor));
+            setCurrentIdx(aroundFocus ? Math.max(0, loaded.findIndex(e => String(e.id) === focusId)) : 0);
         } catch (err) {
             console.error('Failed to load entries:', err);
         } finally {
             setLoading(false);
         }
-    }, [filter]);
+    }, [entriesUrl, aroundFocus, focusId]);
+
+    // Wait for a pause in typing before searching
+    useEffect(() => {
+        const timer = setTimeout(fetchEntries, query ? 300 : 0);
+        return () => clearTimeout(timer);
+    }, [fetchEntries, query]);
 
-    useEffect(() => { fetchEntries(); }, [fetchEntries]);
+    useEffect(() => {
+        fetch('/api/tags/trending', { credentials: 'include' })
+            .then(r => r.json())
+            .then(d => setTrendingTags(d.tags || []))
+            .catch(() => setTrendingTags([]));
+    }, []);
+
+    // The ranked feeds cover every topic, so a tag goes back to the newest-first ones
+    const showTag = (name) => {
+        setParams(name ? { tag: name } : {});
+        if (name && RANKED_FEEDS.includes(filter)) setFilter('public');
+    };
+
+    // Switching feeds leaves a shared entry behind
+    const chooseFilter = (value) => {
+        setFilter(value);
+        const keepTag = tag && !RANKED_FEEDS.includes(value);
+        if (focusId || (tag && !keepTag)) setParams(keepTag ? { tag } : {});
+    };
+
+    // Adds the page at suffix after the loaded entries, or before them when newer
+    const loadPage = async (suffix, newer) => {
+        if (pageLoading.current) return;
+        pageLoading.current = true;
+        const url = entriesUrl;
+        try {
+            const res = await fetch(`${url}${suffix}`, { credentials: 'include' });
+            if (feedUrl.current !== url) return;
+            // A ranked feed left open too long has expired; rank it afresh
+            if (res.status === 410) return fetchEntries();
+            if (!res.ok) return;
+            const data = await res.json();
+            if (newer) {
+                setEntries(prev => [...data.entries, ...prev]);
+                setCurrentIdx(i => i + data.entries.length); // stay on the same entry
+                setPrevPage(cursorParam(data.prevCursor));
+            } else {
+                setEntries(prev => [...prev, ...data.entries]);
+                setNextPage(nextPageOf(data, entries.length + data.entries.length));
+            }
+        } catch (err) {
+            console.error('Failed to load entries:', err);
+        } finally {
+            pageLoading.current = false;
+        }
+    };
 
     // ── Fetch comments for the active entry ─────────────────────────────────────
     const entry = entries[currentIdx] || null;
 
+    // Count the entry as seen so For you moves on to new ones
+    const viewedId = entry && entry.userId !== user?.id ? entry.id : null;
     useEffect(() => {
+        if (!viewedId) return;
+        fetch(`/api/entries/${viewedId}/view`, { method: 'POST', credentials: 'include' }).catch(() => {});
+    }, [viewedId]);
+
+    useEffect(() => {
+        setCommentError('');
+        setEditingNote(null);
+        setCommentsCursor(null);
         if (!entry) { setComments([]); return; }
         fetch(`/api/entries/${entry.id}/comments`, { credentials: 'include' })
             .then(r => r.json())
-            .then(d => setComments(d.comments || []))
+            .then(d => { setComments(d.comments || []); setCommentsCursor(d.nextCursor ?? null); })
             .catch(() => setComments([]));
     }, [entry?.id]);
 
+    const loadMoreComments = async () => {
+        const res = await fetch(`/api/entries/${entry.id}/comments?cursor=${commentsCursor}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const d = await res.json();
+        // Notes posted here since are already shown
+        setComments(prev => [...prev, ...d.comments.filter(c => !prev.some(p => p.id === c.id))]);
+        setCommentsCursor(d.nextCursor);
+    };
+
     // ── Navigation ──────────────────────────────────────────────────────────────
-    const prev = () => setCurrentIdx(i => Math.max(0, i - 1));
-    const next = () => setCurrentIdx(i => Math.min(entries.length - 1, i + 1));
+    // Flipping near either end of what's loaded fetches more in that direction
+    const prev = () => {
+        const i = Math.max(0, currentIdx - 1);
+        setCurrentIdx(i);
+        if (prevPage && i < PREFETCH_WITHIN) loadPage(prevPage, true);
+    };
+    const next = () => {
+        const i = Math.min(entries.length - 1, currentIdx + 1);
+        setCurrentIdx(i);
+        if (nextPage && i >= entries.length - PREFETCH_WITHIN) loadPage(nextPage, false);
+    };
 
     useEffect(() => {
         const onKey = (e) => {
@@ -66,7 +201,7 @@ export default function DiscoveryPage() {
         };
         window.addEventListener('keydown', onKey);
         return () => window.removeEventListener('keydown', onKey);
-    }, [entries.length]);
+    }, [entries.length, currentIdx, nextPage, prevPage, entriesUrl]);
 
     // ── Actions ─────────────────────────────────────────────────────────────────
     const toggleLike = async () => {
@@ -105,11 +240,67 @@ export default function DiscoveryPage() {
             credentials: 'include',
             body: JSON.stringify({ content: newComment.trim() }),
         });
+        const data = await res.json();
+        if (!res.ok) {
+            setCommentError(data.error || 'Failed to add note');
+            return;
+        }
+        setComments(prev => [...prev, data]);
+        setNewComment('');
+        setCommentError('');
+    };
+
+    // ── Sticky-note moderation ──────────────────────────────────────────────────
+    const noteUrl = (c) => `/api/entries/${entry.id}/comments/${c.id}`;
+
+    const saveNoteEdit = async () => {
+        const res = await fetch(noteUrl(editingNote), {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ content: editingNote.content }),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            setCommentError(data.error || 'Failed to save note');
+            return;
+        }
+        setComments(prev => prev.map(c => (c.id === data.id ? { ...c, ...data } : c)));
+        setEditingNote(null);
+        setCommentError('');
+    };
+
+    const deleteNote = async (c) => {
+        if (!window.confirm('Delete this note?')) return;
+        const res = await fetch(noteUrl(c), { method: 'DELETE', credentials: 'include' });
+        if (res.ok) setComments(prev => prev.filter(n => n.id !== c.id));
+    };
+
+    const toggleNoteHidden = async (c) => {
+        const res = await fetch(`${noteUrl(c)}/hide`, {
+            method: c.hidden ? 'DELETE' : 'POST',
+            credentials: 'include',
+        });
         if (res.ok) {
-            const comment = await res.json();
-            setComments(prev => [...prev, comment]);
-            setNewComment('');
+            const { hidden } = await res.json();
+            setComments(prev => prev.map(n => (n.id === c.id ? { ...n, hidden } : n)));
+        }
+    };
+
+    const sendReport = async () => {
+        const res = await fetch(`${noteUrl(reporting)}/report`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ reason: reporting.reason, details: reporting.details }),
+        });
+        if (!res.ok) {
+            const data = await res.json();
+            setReporting(r => ({ ...r, error: data.error || 'Failed to send report' }));
+            return;
         }
+        setReporting(null);
+        alert('Thanks — the report was sent.');
     };
 
     const handleShare = () => {
@@ -125,16 +316,6 @@ export default function DiscoveryPage() {
         return dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
     };
 
-    // ── Search filtering ───────────────────────────────────────────────────────
-    const filteredEntries = search.trim()
-        ? entries.filter(e =>
-            e.title.toLowerCase().includes(search.toLowerCase()) ||
-            e.username?.toLowerCase().includes(search.toLowerCase())
-        )
-        : entries;
-
-    const displayEntry = search.trim() ? filteredEntries[currentIdx] : entry;
-
     // ── Render ──────────────────────────────────────────────────────────────────
     return (
         
@@ -154,6 +335,8 @@ export default function DiscoveryPage() {
                         )}
                         <span className="disc-username">@{user?.username}</span>
                     </div>
+                    <NotificationBell />
+                    <button className="disc-icon-btn" onClick={() => navigate('/saved')} title="Saved">🔖</button>
                     <button className="disc-icon-btn" onClick={logout} title="Log out">⎋</button>
                     <button className="disc-icon-btn" title="Help">?</button>
                 </div>
@@ -164,19 +347,29 @@ export default function DiscoveryPage() {
                 <div className="disc-controls-left">
                     <span className="disc-explore-label">EXPLORE</span>
                     <div className="disc-filter-pills">
-                        <button
-                            className={`disc-pill ${filter === 'public' ? 'disc-pill-active' : ''}`}
-                            onClick={() => setFilter('public')}
-                        >
-                            🌐 Public
-                        </button>
-                        <button
-                            className={`disc-pill ${filter === 'friends' ? 'disc-pill-active' : ''}`}
-                            onClick={() => setFilter('friends')}
-                        >
-                            👥 Friends
-                        </button>
+                        {FEEDS.map(({ value, label }) => (
+                            <button
+                                key={value}
+                                className={`disc-pill ${filter === value ? 'disc-pill-active' : ''}`}
+                                onClick={() => chooseFilter(value)}
+                            >
+                                {label}
+                            </button>
+                        ))}
                     </div>
+                    {tag ? (
+                        <div className="disc-tags">
+                            <button className="disc-tag disc-tag-active" onClick={() => showTag(null)} title="Show every entry">#{tag} ✕</button>
+                            <button className="disc-tag-link" onClick={() => navigate(`/tags/${encodeURIComponent(tag)}`)}>Topic page →</button>
+                        </div>
+                    ) : trendingTags.length > 0 && (
+                        <div className="disc-tags">
+                            <span className="disc-tags-label">Trending</span>
+                            {trendingTags.map(t => (
+                                <button key={t.name} className="disc-tag" onClick={() => showTag(t.name)}>#{t.name}</button>
+                            ))}
+                        </div>
+                    )}
                 </div>
                 <div className="disc-search-wrapper">
                     <input
@@ -196,11 +389,21 @@ export default function DiscoveryPage() {
                 <div className="disc-empty-state">
                     <div className="spinner" style={{ borderTopColor: '#e8642b' }} />
                 </div>
-            ) : !displayEntry ? (
+            ) : !entry ? (
                 <div className="disc-empty-state">
                     <div className="disc-empty-icon">📖</div>
-                    <h2>No entries yet</h2>
-                    <p>Be the first to publish a journal entry!</p>
+                    <h2>{query ? 'No matches' : 'No entries yet'}</h2>
+                    <p>
+                        {query
+                            ? `Nothing you can see mentions “${query}”.`
+                            : tag
+                                ? `Nothing is tagged #${tag} yet.`
+                                : filter === 'foryou'
+                                    ? "You're all caught up. Check back once people have published more."
+                                    : filter === 'friends'
+                                        ? 'Follow other writers to see their entries here.'
+                                        : 'Be the first to publish a journal entry!'}
+                    </p>
                     <button className="disc-new-entry-btn" onClick={() => navigate('/journal')}>
                         + Create Your First Entry
                     </button>
@@ -212,10 +415,10 @@ export default function DiscoveryPage() {
                         <div className="disc-book-container">
                             <div className="disc-book">
                                 <img src={bookPageSvg} alt="" className="disc-book-svg" />
-                                {displayEntry.thumbnail ? (
+                                {entry.thumbnail ? (
                                     <img
-                                        src={displayEntry.thumbnail}
-                                        alt={displayEntry.title}
+                                        src={entry.thumbnail}
+                                        alt={entry.title}
                                         className="disc-book-thumbnail"
                                     />
                                 ) : (
@@ -228,29 +431,44 @@ export default function DiscoveryPage() {
 
                         {/* ── Entry Info + Comments (right column) ─────────────────────── */}
                         <div className="disc-info">
-                            <h2 className="disc-title">{displayEntry.title}</h2>
+                            <h2 className="disc-title">
+                                {entry.titleHighlight ? <Highlighted runs={entry.titleHighlight} /> : entry.title}
+                            </h2>
                             <div className="disc-meta">
-                                <span className="disc-date">{fmtDate(displayEntry.createdAt)}</span>
-                                <span className="disc-author" onClick={() => navigate(`/profile/${displayEntry.username}`)} style={{ cursor: 'pointer' }}>{displayEntry.username || displayEntry.displayName}</span>
+                                <span className="disc-date">{fmtDate(entry.createdAt)}</span>
+                                <span className="disc-author" onClick={() => navigate(`/profile/${entry.username}`)} style={{ cursor: 'pointer' }}>{entry.username || entry.displayName}</span>
+                                {entry.pageCount > 1 && (
+                                    <span className="disc-date">{entry.pageCount} pages</span>
+                                )}
                             </div>
                             <p className="disc-description">
-                                {displayEntry.description || 'No description provided.'}
+                                {entry.description || 'No description provided.'}
                             </p>
+                            {entry.tags?.length > 0 && (
+                                <div className="disc-tags">
+                                    {entry.tags.map(name => (
+                                        <button key={name} className="disc-tag" onClick={() => showTag(name)}>#{name}</button>
+                                    ))}
+                                </div>
+                            )}
+                            {entry.snippet?.some(run => run.match) && (
+                                <p className="disc-search-snippet"><Highlighted runs={entry.snippet} /></p>
+                            )}
                             <div className="disc-actions-row">
-                                <button className="disc-read-btn" onClick={() => navigate(`/journal?view=${displayEntry.id}`)}>
+                                <button className="disc-read-btn" onClick={() => navigate(`/journal?view=${entry.id}`)}>
                                     Read
                                 </button>
                                 <div className="disc-social-icons">
                                     <button
-                                        className={`disc-social-btn ${displayEntry.liked ? 'disc-liked' : ''}`}
+                                        className={`disc-social-btn ${entry.liked ? 'disc-liked' : ''}`}
                                         onClick={toggleLike}
                                         title="Like"
                                     >
                                         <img src={like} alt="Like" className="disc-social-svg" />
-                                        {displayEntry.likeCount || ''}
+                                        {entry.likeCount || ''}
                                     </button>
                                     <button
-                                        className={`disc-social-btn ${displayEntry.bookmarked ? 'disc-bookmarked' : ''}`}
+                                        className={`disc-social-btn ${entry.bookmarked ? 'disc-bookmarked' : ''}`}
                                         onClick={toggleBookmark}
                                         title="Bookmark"
                                     >
@@ -264,37 +482,105 @@ export default function DiscoveryPage() {
 
                             {/* ── Comments ── */}
                             <h3 className="disc-comments-label">COMMENTS</h3>
+                            {commentError && <p className="disc-note-error">{commentError}</p>}
                             <div className="disc-notes-area">
-                                {/* Leave a note input */}
-                                <div
-                                    className="disc-sticky-note disc-note-input"
-                                    style={{ background: '#fff9c4', transform: 'rotate(-2deg)' }}
-                                >
-                                    <textarea
-                                        className="disc-note-textarea"
-                                        placeholder="Leave a note..."
-                                        value={newComment}
-                                        onChange={e => setNewComment(e.target.value)}
-                                        onKeyDown={e => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); addComment(); } }}
-                                    />
-                                    <button className="disc-note-send" onClick={addComment}>↵</button>
-                                </div>
-
-                                {/* Existing sticky notes */}
-                                {comments.map((c) => (
+                                {/* Leave a note input, unless the author turned notes off */}
+                                {entry.canComment ? (
                                     <div
-                                        key={c.id}
-                                        className="disc-sticky-note"
-                                        style={{
-                                            background: c.color || '#d4f59f',
-                                            transform: `rotate(${c.rotation || 0}deg)`,
-                                        }}
+                                        className="disc-sticky-note disc-note-input"
+                                        style={{ background: '#fff9c4', transform: 'rotate(-2deg)' }}
                                     >
-                                        <p className="disc-note-content">{c.content}</p>
-                                        <span className="disc-note-author">— {c.username || 'anon'}</span>
+                                        <textarea
+                                            className="disc-note-textarea"
+                                            placeholder="Leave a note..."
+                                            value={newComment}
+                                            maxLength={NOTE_MAX_LENGTH}
+                                            onChange={e => setNewComment(e.target.value)}
+                                            onKeyDown={e => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); addComment(); } }}
+                                        />
+                                        <button className="disc-note-send" onClick={addComment}>↵</button>
                                     </div>
-                                ))}
+                                ) : (
+                                    <p className="disc-notes-closed">
+                                        {entry.commentPolicy === 'followers'
+                                            ? `Only people who follow ${entry.username} can leave notes.`
+                                            : 'Notes are turned off for this entry.'}
+                                    </p>
+                                )}
+
+                                {/* Existing sticky notes */}
+                                {comments.map((c) => {
+                                    const mine = c.userId === user?.id;
+                                    const onMyEntry = entry.userId === user?.id;
+                                    return (
+                                        <div
+                                            key={c.id}
+                                            className={`disc-sticky-note ${c.hidden ? 'disc-note-hidden' : ''}`}
+                                            style={{
+                                                background: c.color || '#d4f59f',
+                                                transform: `rotate(${c.rotation || 0}deg)`,
+                                            }}
+                                        >
+                                            {editingNote?.id === c.id ? (
+                                                <>
+                                                    <textarea
+                                                        className="disc-note-textarea"
+                                                        value={editingNote.content}
+                                                        maxLength={NOTE_MAX_LENGTH}
+                                                        onChange={e => setEditingNote(n => ({ ...n, content: e.target.value }))}
+                                                        autoFocus
+                                                    />
+                                                    <div className="disc-note-edit-actions">
+                                                        <button className="disc-note-action" onClick={() => setEditingNote(null)}>Cancel</button>
+                                                        <button className="disc-note-action" onClick={saveNoteEdit}>Save</button>
+                                                    </div>
+                                                </>
+                                            ) : (
+                                                <p className="disc-note-content">{c.content}</p>
+                                            )}
+                                            <span className="disc-note-author">
+                                                — {c.username || 'deleted user'}{c.editedAt ? ' (edited)' : ''}
+                                            </span>
+                                            {(c.hidden || c.reportCount > 0) && (
+                                                <span className="disc-note-flags">
+                                                    {c.hidden && 'Hidden'}
+                                                    {c.hidden && c.reportCount > 0 && ' · '}
+                                                    {c.reportCount > 0 && `⚑ ${c.reportCount}`}
+                                                </span>
+                                            )}
+                                            <NoteThread
+                                                entryId={entry.id}
+                                                comment={c}
+                                                viewerId={user?.id}
+                                                entryOwnerId={entry.userId}
+                                                canReply={entry.canComment}
+                                                onChange={updated => setComments(prev => prev.map(n => (n.id === updated.id ? updated : n)))}
+                                            />
+                                            {editingNote?.id !== c.id && (
+                                                <div className="disc-note-actions">
+                                                    {mine && (
+                                                        <button className="disc-note-action" title="Edit" onClick={() => setEditingNote({ id: c.id, content: c.content })}>✎</button>
+                                                    )}
+                                                    {onMyEntry && !mine && (
+                                                        <button className="disc-note-action" title={c.hidden ? 'Show' : 'Hide'} onClick={() => toggleNoteHidden(c)}>
+                                                            {c.hidden ? '👁' : '🙈'}
+                                                        </button>
+                                                    )}
+                                                    {(mine || onMyEntry) && (
+                                                        <button className="disc-note-action" title="Delete" onClick={() => deleteNote(c)}>🗑</button>
+                                                    )}
+                                                    {!mine && !onMyEntry && (
+                                                        <button className="disc-note-action" title="Report" onClick={() => setReporting({ id: c.id, reason: 'spam', details: '', error: '' })}>⚑</button>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
                             </div>
+                            {commentsCursor && (
+                                <button className="note-thread-more" onClick={loadMoreComments}>Load more notes</button>
+                            )}
                         </div>
                     </div>
 
@@ -303,20 +589,51 @@ export default function DiscoveryPage() {
                         <button
                             className="disc-nav-btn disc-nav-prev"
                             onClick={prev}
-                            disabled={currentIdx === 0}
+                            disabled={currentIdx === 0 && !prevPage}
                         >
                             ← <span className="disc-nav-key">[A]</span>
                         </button>
                         <button
                             className="disc-nav-btn disc-nav-next"
                             onClick={next}
-                            disabled={currentIdx >= entries.length - 1}
+                            disabled={currentIdx >= entries.length - 1 && !nextPage}
                         >
                             <span className="disc-nav-key">[D]</span> →
                         </button>
                     </div>
                 </>
             )}
+
+            {/* ── Report a note ─────────────────────────────────────────────────── */}
+            {reporting && (
+                <div className="prof-modal-backdrop" onClick={() => setReporting(null)}>
+                    <div className="prof-modal" onClick={e => e.stopPropagation()}>
+                        <h2 className="prof-modal-title">Report note</h2>
+                        <select
+                            className="prof-modal-input"
+                            value={reporting.reason}
+                            onChange={e => setReporting(r => ({ ...r, reason: e.target.value }))}
+                        >
+                            {REPORT_REASONS.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <textarea
+                            className="prof-modal-input"
+                            value={reporting.details}
+                            onChange={e => setReporting(r => ({ ...r, details: e.target.value }))}
+                            placeholder="Anything else we should know? (optional)"
+                            maxLength={1000}
+                            rows={3}
+                        />
+                        {reporting.error && <p className="prof-modal-error">{reporting.error}</p>}
+                        <div className="prof-modal-actions">
+                            <button className="prof-modal-cancel" onClick={() => setReporting(null)}>Cancel</button>
+                            <button className="prof-modal-delete" onClick={sendReport}>Report</button>
+                        </div>
+                    </div>
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { PAGE_W, PAGE_H } from './journalCanvas';
+import {
+    EXPORT_FORMATS, PNG_SCALES, PAPER_SIZES,
+    exportPNG, exportSVG, exportPDF, downloadBlob, exportFilename,
+} from './pageExport';
+
+// Side panel for downloading a page (or, as PDF, every page) as a file.
+// loadPages(indices) resolves to the canvas JSON of those pages.
+export default function ExportPanel({ title, pageCount, pageIndex, loadPages, audioLink, onClose }) {
+    const [format, setFormat] = useState('png');
+    const [scale, setScale] = useState(2);
+    const [paper, setPaper] = useState('letter');
+    const [allPages, setAllPages] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const download = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            const whole = format === 'pdf' && allPages && pageCount > 1;
+            const indices = whole ? [...Array(pageCount).keys()] : [pageIndex];
+            const pages = await loadPages(indices);
+            const name = whole || pageCount <= 1 ? title : `${title} page ${pageIndex + 1}`;
+            let blob;
+            if (format === 'png') blob = await exportPNG(pages[0], { scale, audioLink });
+            if (format === 'svg') blob = await exportSVG(pages[0], { audioLink });
+            if (format === 'pdf') blob = await exportPDF(pages, { paper, audioLink });
+            downloadBlob(blob, exportFilename(name, format));
+        } catch (err) {
+            console.error('Export failed:', err);
+            setError('Export failed. Please try again.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // ── Render ──────────────────────────────────────────────────────────────────
+    return (
+        <div className="history-panel export-panel" onMouseDown={(e) => e.stopPropagation()}>
+            <div className="history-header">
+                <span className="sidebar-title">Export</span>
+                <button className="history-close" onClick={onClose} title="Close">✕</button>
+            </div>
+
+            <div className="export-body">
+                <div className="export-choices">
+                    {EXPORT_FORMATS.map(f => (
+                        <button
+                            key={f.value}
+                            className={`export-choice ${format === f.value ? 'export-choice-active' : ''}`}
+                            onClick={() => setFormat(f.value)}
+                        >
+                            {f.label}
+                        </button>
+                    ))}
+                </div>
+
+                {format === 'png' && (
+                    <label className="export-field">
+                        <span className="history-meta">Resolution</span>
+                        <select className="share-input" value={scale} onChange={e => setScale(Number(e.target.value))}>
+                            {PNG_SCALES.map(s => (
+                                <option key={s} value={s}>{s}× — {PAGE_W * s} × {PAGE_H * s} px</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+
+                {format === 'svg' && (
+                    <p className="history-meta">Text and shapes stay sharp at any size; photos are embedded as they are.</p>
+                )}
+
+                {format === 'pdf' && <>
+                    <label className="export-field">
+                        <span className="history-meta">Paper</span>
+                        <select className="share-input" value={paper} onChange={e => setPaper(e.target.value)}>
+                            {Object.entries(PAPER_SIZES).map(([value, p]) => (
+                                <option key={value} value={value}>{p.label} ({p.width} × {p.height} in)</option>
+                            ))}
+                        </select>
+                    </label>
+                    {pageCount > 1 && (
+                        <label className="export-check">
+                            <input type="checkbox" checked={allPages} onChange={e => setAllPages(e.target.checked)} />
+                            <span className="history-meta">All {pageCount} pages</span>
+                        </label>
+                    )}
+                </>}
+
+                {error && <p className="share-error">{error}</p>}
+                <button className="history-restore-btn" onClick={download} disabled={busy}>
+                    {busy ? 'Preparing…' : 'Download'}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,364 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as fabric from 'fabric';
+import { useAuth } from './AuthContext';
+import {
+    PAGE_W, PAGE_H, PAGE_MARGIN, CANVAS_W, CANVAS_H, CANVAS_BG, NOTE_W, NOTE_H,
+    createPageRect, normalizeCanvasJSON, restoreCustomProps, syncAudioOverlays, entryPages,
+} from './journalCanvas';
+import ExportPanel from './ExportPanel';
+import NoteThread from './NoteThread';
+
+const NOTE_MAX_LENGTH = 500; // mirrors MAX_COMMENT_LENGTH in server.js
+
+// Page coordinates under the pointer
+const pointerAt = (e, area) => {
+    const rect = area.getBoundingClientRect();
+    return { x: e.clientX - rect.left - PAGE_MARGIN, y: e.clientY - rect.top - PAGE_MARGIN };
+};
+
+// Where a note held (dx, dy) from its top-left corner lands under the pointer,
+// kept wholly on the page
+const pagePoint = (e, area, dx = 0, dy = 0) => {
+    const { x, y } = pointerAt(e, area);
+    return {
+        posX: Math.round(Math.min(PAGE_W - NOTE_W, Math.max(0, x - dx))),
+        posY: Math.round(Math.min(PAGE_H - NOTE_H, Math.max(0, y - dy))),
+    };
+};
+
+// Read-only rendering of a published entry (/journal?view=:id). Readers can pin
+// sticky notes anywhere on a page; notes are stored in page coordinates, so
+// they stay put whatever the window size. A note's writer and the entry's
+// author can drag it somewhere else.
+export default function JournalViewer({ entryId }) {
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const canvasRef = useRef(null);
+    const pageAreaRef = useRef(null);
+    const dragRef = useRef(null); // { id, dx, dy, from, moved }
+
+    // ── State ───────────────────────────────────────────────────────────────────
+    const [entry, setEntry] = useState(null);
+    const [comments, setComments] = useState([]);
+    const [commentsCursor, setCommentsCursor] = useState(null); // where the next page of notes starts, if there is one
+    const [audios, setAudios] = useState([]);
+    const [error, setError] = useState('');
+    const [pageIdx, setPageIdx] = useState(0);
+    const [exportOpen, setExportOpen] = useState(false);
+    const [placing, setPlacing] = useState(false); // next click on the page drops a note
+    const [draft, setDraft] = useState(null); // { page, posX, posY, content, error }
+
+    const pages = entry ? entryPages(entry.canvasJSON) : [];
+
+    // ── Fetch entry + sticky notes ──────────────────────────────────────────────
+    useEffect(() => {
+        let cancelled = false;
+        fetch(`/api/entries/${entryId}`, { credentials: 'include' })
+            .then(r => (r.ok ? r.json() : Promise.reject(new Error('Entry not found'))))
+            .then(data => { if (!cancelled) setEntry(data); })
+            .catch(err => { if (!cancelled) setError(err.message); });
+        fetch(`/api/entries/${entryId}/comments?limit=100`, { credentials: 'include' })
+            .then(r => r.json())
+            .then(d => {
+                if (cancelled) return;
+                setComments(d.comments || []);
+                setCommentsCursor(d.nextCursor ?? null);
+            })
+            .catch(() => { if (!cancelled) setComments([]); });
+        return () => { cancelled = true; };
+    }, [entryId]);
+
+    // ── Page flipping (A/D and ←/→, like Discovery) ─────────────────────────────
+    const pageCount = pages.length;
+    useEffect(() => {
+        const onKey = (e) => {
+            if (e.target.tagName === 'TEXTAREA') return;
+            if (e.key === 'a' || e.key === 'A' || e.key === 'ArrowLeft') setPageIdx(i => Math.max(0, i - 1));
+            if (e.key === 'd' || e.key === 'D' || e.key === 'ArrowRight') setPageIdx(i => Math.min(pageCount - 1, i + 1));
+        };
+        window.addEventListener('keydown', onKey);
+        return () => window.removeEventListener('keydown', onKey);
+    }, [pageCount]);
+
+    // ── Render the page into a non-interactive canvas ───────────────────────────
+    useEffect(() => {
+        if (!entry) return;
+        const canvas = new fabric.StaticCanvas(canvasRef.current, {
+            width: CANVAS_W,
+            height: CANVAS_H,
+            backgroundColor: CANVAS_BG,
+        });
+        canvas.on('after:render', () => syncAudioOverlays(canvas));
+
+        const render = async () => {
+            const parsed = normalizeCanvasJSON(entryPages(entry.canvasJSON)[pageIdx]);
+            try {
+                if (parsed?.objects?.length) await canvas.loadFromJSON(parsed);
+            } catch (loadErr) {
+                console.warn('loadFromJSON failed (likely disposed canvas):', loadErr.message);
+                return;
+            }
+            if (canvas.__isDisposed) return;
+
+            const loadedAudios = parsed?.objects ? restoreCustomProps(canvas, parsed) : [];
+            const page = createPageRect();
+            canvas.add(page);
+            canvas.sendObjectToBack(page);
+            canvas.set('backgroundColor', CANVAS_BG);
+            canvas.requestRenderAll();
+
+            const results = await Promise.all(loadedAudios.map(async (obj) => {
+                try {
+                    const r = await fetch(`/api/entries/${entry.id}/audio/${obj.audioId}`, { credentials: 'include' });
+                    if (!r.ok) return null;
+                    const data = await r.json();
+                    return { overlayId: obj._overlayId, url: data.url };
+                } catch {
+                    return null;
+                }
+            }));
+            if (!canvas.__isDisposed) {
+                setAudios(results.filter(Boolean));
+                canvas.requestRenderAll();
+            }
+        };
+        render();
+
+        return () => {
+            canvas.__isDisposed = true;
+            setAudios([]);
+            canvas.dispose();
+        };
+    }, [entry, pageIdx]);
+
+    // ── Sticky notes on the page ────────────────────────────────────────────────
+    const placeDraft = (e) => {
+        if (!placing) return;
+        setPlacing(false);
+        setDraft({ page: pageIdx, ...pagePoint(e, pageAreaRef.current), content: '', error: '' });
+    };
+
+    const postDraft = async () => {
+        if (!draft.content.trim()) return;
+        const res = await fetch(`/api/entries/${entry.id}/comments`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ content: draft.content.trim(), posX: draft.posX, posY: draft.posY, page: draft.page }),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            setDraft(d => ({ ...d, error: data.error || 'Failed to add note' }));
+            return;
+        }
+        setComments(prev => [...prev, data]);
+        setDraft(null);
+    };
+
+    const loadMoreComments = async () => {
+        const res = await fetch(`/api/entries/${entry.id}/comments?limit=100&cursor=${commentsCursor}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const d = await res.json();
+        // Notes posted here since are already shown
+        setComments(prev => [...prev, ...d.comments.filter(c => !prev.some(p => p.id === c.id))]);
+        setCommentsCursor(d.nextCursor);
+    };
+
+    const canMove = (c) => !!user && (c.userId === user.id || entry?.userId === user.id);
+
+    const moveNote = (id, pos) => setComments(prev => prev.map(c => (c.id === id ? { ...c, ...pos } : c)));
+
+    const startDrag = (e, c) => {
+        if (!canMove(c) || e.button !== 0) return;
+        const { x, y } = pointerAt(e, pageAreaRef.current);
+        dragRef.current = { id: c.id, dx: x - c.posX, dy: y - c.posY, from: { posX: c.posX, posY: c.posY }, moved: false };
+        e.currentTarget.setPointerCapture(e.pointerId);
+    };
+
+    const drag = (e) => {
+        const d = dragRef.current;
+        if (!d) return;
+        d.moved = true;
+        moveNote(d.id, pagePoint(e, pageAreaRef.current, d.dx, d.dy));
+    };
+
+    const endDrag = async (e, c) => {
+        const d = dragRef.current;
+        dragRef.current = null;
+        if (!d?.moved) return;
+        const pos = pagePoint(e, pageAreaRef.current, d.dx, d.dy);
+        const res = await fetch(`/api/entries/${entry.id}/comments/${c.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(pos),
+        }).catch(() => null);
+        moveNote(c.id, res?.ok ? pos : d.from);
+    };
+
+    // ── Render ──────────────────────────────────────────────────────────────────
+    if (error) {
+        return (
+            <div className="disc-empty-state">
+                <h2>{error}</h2>
+                <button className="disc-new-entry-btn" onClick={() => navigate('/discover')}>
+                    ← Back to Explore
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="viewer-page">
+            {/* ── Header ── */}
+            <div className="viewer-header">
+                <button className="journal-logout-btn" onClick={() => navigate(-1)}>← Back</button>
+                {entry && (
+                    <div className="viewer-title">
+                        <span className="viewer-entry-title">{entry.title}</span>
+                        <span
+                            className="disc-author"
+                            onClick={() => navigate(`/profile/${entry.username}`)}
+                            style={{ cursor: 'pointer' }}
+                        >
+                            {entry.username || entry.displayName}
+                        </span>
+                    </div>
+                )}
+                {commentsCursor && (
+                    <button className="journal-logout-btn" style={{ marginLeft: 'auto' }} onClick={loadMoreComments}>
+                        Load more notes
+                    </button>
+                )}
+                {entry?.canComment && (
+                    <button
+                        className={`journal-logout-btn ${placing ? 'viewer-placing-btn' : ''}`}
+                        style={commentsCursor ? undefined : { marginLeft: 'auto' }}
+                        onClick={() => { setPlacing(p => !p); setDraft(null); }}
+                        title="Click a spot on the page to leave a note there"
+                    >
+                        {placing ? 'Click the page…' : '📝 Leave a note'}
+                    </button>
+                )}
+                {entry && (
+                    <button className="journal-logout-btn" style={entry.canComment || commentsCursor ? undefined : { marginLeft: 'auto' }} onClick={() => setExportOpen(o => !o)} title="Download as PNG, SVG or PDF">
+                        ⬇ Export
+                    </button>
+                )}
+            </div>
+
+            {exportOpen && entry && (
+                <ExportPanel
+                    title={entry.title}
+                    pageCount={pageCount}
+                    pageIndex={pageIdx}
+                    loadPages={async (indices) => indices.map(i => pages[i])}
+                    audioLink={`${window.location.host}/journal?view=${entry.id}`}
+                    onClose={() => setExportOpen(false)}
+                />
+            )}
+
+            <div className="viewer-scroll">
+                <div
+                    ref={pageAreaRef}
+                    className={placing ? 'viewer-placing' : undefined}
+                    style={{ position: 'relative', width: CANVAS_W, margin: '0 auto' }}
+                    onClick={placeDraft}
+                >
+                    <canvas ref={canvasRef} />
+
+                    {!entry && (
+                        <div className="viewer-loading">
+                            <div className="spinner" style={{ borderTopColor: '#e8642b' }} />
+                        </div>
+                    )}
+
+                    {/* ── Audio overlays (positioned by syncAudioOverlays) ── */}
+                    {audios.map(a => (
+                        <div
+                            key={a.overlayId}
+                            id={`audio-container-${a.overlayId}`}
+                            style={{ position: 'absolute', zIndex: 5, left: -9999, top: -9999 }}
+                        >
+                            <audio controls src={a.url} style={{ width: '100%', height: '100%', outline: 'none' }} />
+                        </div>
+                    ))}
+
+                    {/* ── Sticky-note comments, anchored to their page's coordinates ── */}
+                    {entry && comments.filter(c => (c.page || 0) === pageIdx).map(c => (
+                        <div
+                            key={c.id}
+                            className={`disc-sticky-note viewer-note ${c.hidden ? 'disc-note-hidden' : ''} ${canMove(c) ? 'viewer-note-movable' : ''}`}
+                            style={{
+                                left: PAGE_MARGIN + (c.posX || 0),
+                                top: PAGE_MARGIN + (c.posY || 0),
+                                width: NOTE_W,
+                                minHeight: NOTE_H,
+                                background: c.color || '#d4f59f',
+                                transform: `rotate(${c.rotation || 0}deg)`,
+                            }}
+                            onClick={e => e.stopPropagation()}
+                            onPointerDown={e => startDrag(e, c)}
+                            onPointerMove={drag}
+                            onPointerUp={e => endDrag(e, c)}
+                        >
+                            <p className="disc-note-content">{c.content}</p>
+                            <span className="disc-note-author">— {c.username || 'deleted user'}</span>
+                            <NoteThread
+                                entryId={entry.id}
+                                comment={c}
+                                viewerId={user?.id}
+                                entryOwnerId={entry.userId}
+                                canReply={entry.canComment}
+                                onChange={updated => setComments(prev => prev.map(n => (n.id === updated.id ? updated : n)))}
+                            />
+                        </div>
+                    ))}
+
+                    {/* ── New note, where the reader clicked ── */}
+                    {draft?.page === pageIdx && (
+                        <div
+                            className="disc-sticky-note disc-note-input viewer-note"
+                            style={{
+                                left: PAGE_MARGIN + draft.posX,
+                                top: PAGE_MARGIN + draft.posY,
+                                width: NOTE_W,
+                                minHeight: NOTE_H,
+                                background: '#fff9c4',
+                            }}
+                            onClick={e => e.stopPropagation()}
+                        >
+                            <textarea
+                                className="disc-note-textarea"
+                                placeholder="Leave a note..."
+                                value={draft.content}
+                                maxLength={NOTE_MAX_LENGTH}
+                                onChange={e => setDraft(d => ({ ...d, content: e.target.value }))}
+                                onKeyDown={e => {
+                                    if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); postDraft(); }
+                                    if (e.key === 'Escape') setDraft(null);
+                                }}
+                                autoFocus
+                            />
+                            {draft.error && <span className="disc-note-error">{draft.error}</span>}
+                            <div className="disc-note-edit-actions">
+                                <button className="disc-note-action" onClick={() => setDraft(null)}>Cancel</button>
+                                <button className="disc-note-send" onClick={postDraft}>↵</button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {/* ── Page navigation (multi-page entries) ── */}
+            {pageCount > 1 && (
+                <div className="page-nav">
+                    <button onClick={() => setPageIdx(i => i - 1)} disabled={pageIdx === 0} title="Previous page [A]">←</button>
+                    <span className="page-nav-label">Page {pageIdx + 1} / {pageCount}</span>
+                    <button onClick={() => setPageIdx(i => i + 1)} disabled={pageIdx >= pageCount - 1} title="Next page [D]">→</button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+
+// Mirrors NOTE_REACTIONS in server.js
+const NOTE_REACTIONS = ['❤️', '😂', '😮', '😢', '👏', '🔥'];
+const NOTE_MAX_LENGTH = 500;
+
+// Reaction chips plus a picker; toggling one of yours takes it back
+function Reactions({ target, onReact }) {
+    const [picking, setPicking] = useState(false);
+    return (
+        <div className="note-reactions">
+            {target.reactions.map(r => (
+                <button
+                    key={r.emoji}
+                    className={`note-reaction ${r.reacted ? 'note-reaction-mine' : ''}`}
+                    onClick={() => onReact(target, r.emoji)}
+                >
+                    {r.emoji} {r.count}
+                </button>
+            ))}
+            <button className="note-reaction" onClick={() => setPicking(p => !p)} title="React">☺+</button>
+            {picking && (
+                <div className="note-reaction-picker">
+                    {NOTE_REACTIONS.map(emoji => (
+                        <button key={emoji} onClick={() => { setPicking(false); onReact(target, emoji); }}>{emoji}</button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Everything under a sticky note's text: its reactions, then its replies
+// stacked on it as smaller notes. The note arrives with its first few replies;
+// the rest load on demand. onChange(comment) gets the note with new
+// reactions or replies.
+export default function NoteThread({ entryId, comment, viewerId, entryOwnerId, canReply, onChange }) {
+    const [replying, setReplying] = useState(false);
+    const [reply, setReply] = useState('');
+    const [error, setError] = useState('');
+    const base = `/api/entries/${entryId}/comments`;
+
+    const react = async (target, emoji) => {
+        const res = await fetch(`${base}/${target.id}/reactions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ emoji }),
+        });
+        if (!res.ok) return;
+        const { reactions } = await res.json();
+        if (target.id === comment.id) onChange({ ...comment, reactions });
+        else onChange({ ...comment, replies: comment.replies.map(r => (r.id === target.id ? { ...r, reactions } : r)) });
+    };
+
+    const loadMore = async () => {
+        const res = await fetch(`${base}/${comment.id}/replies?cursor=${comment.repliesCursor}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const { replies, total, nextCursor } = await res.json();
+        // Replies posted here since are already shown
+        const fresh = replies.filter(r => !comment.replies.some(shown => shown.id === r.id));
+        onChange({ ...comment, replies: [...comment.replies, ...fresh], replyCount: total, repliesCursor: nextCursor });
+    };
+
+    const sendReply = async () => {
+        if (!reply.trim()) return;
+        const res = await fetch(base, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ content: reply.trim(), parentId: comment.id }),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            setError(data.error || 'Failed to reply');
+            return;
+        }
+        onChange({ ...comment, replies: [...comment.replies, data], replyCount: comment.replyCount + 1 });
+        setReply('');
+        setReplying(false);
+        setError('');
+    };
+
+    const deleteReply = async (r) => {
+        if (!window.confirm('Delete this reply?')) return;
+        const res = await fetch(`${base}/${r.id}`, { method: 'DELETE', credentials: 'include' });
+        if (res.ok) {
+            onChange({ ...comment, replies: comment.replies.filter(n => n.id !== r.id), replyCount: comment.replyCount - 1 });
+        }
+    };
+
+    return (
+        // Keep clicks and drags in here from reaching the note (and the page under it)
+        <div className="note-thread" onClick={e => e.stopPropagation()} onPointerDown={e => e.stopPropagation()}>
+            <Reactions target={comment} onReact={react} />
+
+            {comment.replies.map(r => (
+                <div key={r.id} className={`note-reply ${r.hidden ? 'disc-note-hidden' : ''}`} style={{ background: r.color }}>
+                    <p className="disc-note-content">{r.content}</p>
+                    <span className="disc-note-author">— {r.username || 'deleted user'}{r.editedAt ? ' (edited)' : ''}</span>
+                    <Reactions target={r} onReact={react} />
+                    {(r.userId === viewerId || entryOwnerId === viewerId) && (
+                        <button className="disc-note-action note-reply-delete" title="Delete" onClick={() => deleteReply(r)}>🗑</button>
+                    )}
+                </div>
+            ))}
+            {comment.repliesCursor && comment.replyCount > comment.replies.length && (
+                <button className="note-thread-more" onClick={loadMore}>
+                    {comment.replyCount - comment.replies.length} more {comment.replyCount - comment.replies.length === 1 ? 'reply' : 'replies'}
+                </button>
+            )}
+
+            {canReply && (replying ? (
+                <div className="note-reply note-reply-input">
+                    <textarea
+                        className="disc-note-textarea"
+                        placeholder="Reply..."
+                        value={reply}
+                        maxLength={NOTE_MAX_LENGTH}
+                        onChange={e => setReply(e.target.value)}
+                        onKeyDown={e => {
+                            if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendReply(); }
+                            if (e.key === 'Escape') setReplying(false);
+                        }}
+                        autoFocus
+                    />
+                    {error && <span className="disc-note-error">{error}</span>}
+                </div>
+            ) : (
+                <button className="note-thread-more" onClick={() => setReplying(true)}>↩ Reply</button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+const PREFERENCE_LABELS = [
+    { type: 'like', label: 'Likes on my entries' },
+    { type: 'bookmark', label: 'Bookmarks of my entries' },
+    { type: 'comment', label: 'Notes on my entries' },
+    { type: 'reply', label: 'Replies to my notes' },
+    { type: 'mention', label: 'Mentions of me' },
+    { type: 'follow', label: 'New followers' },
+];
+
+const VERBS = {
+    like: 'liked',
+    bookmark: 'bookmarked',
+    comment: 'left a note on',
+    reply: 'replied to your note on',
+    mention: 'mentioned you on',
+    follow: 'started following you',
+};
+
+// "Ana", "Ana and Ben", "Ana, Ben and 3 others"
+function actorNames(group) {
+    const names = group.actors.map(a => a.displayName || a.username);
+    const others = group.actorCount - names.length;
+    if (others > 0) return `${names.join(', ')} and ${others} ${others === 1 ? 'other' : 'others'}`;
+    if (names.length > 1) return `${names.slice(0, -1).join(', ')} and ${names.at(-1)}`;
+    return names[0];
+}
+
+function fmtAgo(dateStr) {
+    const seconds = (Date.now() - new Date(dateStr.replace(' ', 'T') + 'Z')) / 1000;
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+// Header bell with the unread count, opening a list of what happened to the
+// user's entries, notes and profile. The count stays live over the
+// notification stream while the page is open.
+export default function NotificationBell() {
+    const navigate = useNavigate();
+    const [open, setOpen] = useState(false);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [nextBefore, setNextBefore] = useState(null);
+    const [preferences, setPreferences] = useState(null); // shown instead of the list while set
+
+    useEffect(() => {
+        const stream = new EventSource('/api/notifications/stream', { withCredentials: true });
+        stream.addEventListener('unread', e => setUnreadCount(JSON.parse(e.data).unreadCount));
+        return () => stream.close();
+    }, []);
+
+    const load = async (before) => {
+        const res = await fetch(`/api/notifications${before ? `?before=${before}` : ''}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        setNotifications(prev => (before ? [...prev, ...data.notifications] : data.notifications));
+        setNextBefore(data.nextBefore);
+        setUnreadCount(data.unreadCount);
+    };
+
+    // The list is fetched fresh each time it's opened
+    const toggle = () => {
+        if (!open) load();
+        setOpen(!open);
+        setPreferences(null);
+    };
+
+    const markRead = async (ids) => {
+        const res = await fetch('/api/notifications/read', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(ids ? { ids } : {}),
+        });
+        if (!res.ok) return;
+        setUnreadCount((await res.json()).unreadCount);
+        setNotifications(prev => prev.map(n => (!ids || ids.includes(n.id) ? { ...n, read: true } : n)));
+    };
+
+    const openGroup = (group) => {
+        if (!group.read) markRead(group.ids);
+        setOpen(false);
+        if (group.entry) navigate(`/journal?view=${group.entry.id}`);
+        else navigate(`/profile/${group.actors[0].username}`);
+    };
+
+    const showPreferences = async () => {
+        const res = await fetch('/api/notifications/preferences', { credentials: 'include' });
+        if (res.ok) setPreferences((await res.json()).preferences);
+    };
+
+    const togglePreference = async (type) => {
+        const res = await fetch('/api/notifications/preferences', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ preferences: { [type]: !preferences[type] } }),
+        });
+        if (res.ok) setPreferences((await res.json()).preferences);
+    };
+
+    return (
+        <div className="notif-bell">
+            <button className="disc-icon-btn" onClick={toggle} title="Notifications">
+                🔔
+                {unreadCount > 0 && <span className="notif-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>}
+            </button>
+
+            {open && (
+                <div className="notif-panel">
+                    <div className="notif-panel-header">
+                        <span className="notif-panel-title">{preferences ? 'Notify me about' : 'Notifications'}</span>
+                        {preferences ? (
+                            <button className="notif-link" onClick={() => setPreferences(null)}>Done</button>
+                        ) : (
+                            <>
+                                {unreadCount > 0 && <button className="notif-link" onClick={() => markRead()}>Mark all read</button>}
+                                <button className="notif-link" onClick={showPreferences} title="Notification settings">⚙</button>
+                            </>
+                        )}
+                    </div>
+
+                    {preferences ? (
+                        PREFERENCE_LABELS.map(({ type, label }) => (
+                            <label key={type} className="notif-preference">
+                                <input type="checkbox" checked={preferences[type]} onChange={() => togglePreference(type)} />
+                                {label}
+                            </label>
+                        ))
+                    ) : notifications.length === 0 ? (
+                        <p className="notif-empty">Nothing yet</p>
+                    ) : (
+                        <>
+                            {notifications.map(group => (
+                                <button
+                                    key={group.id}
+                                    className={`notif-item ${group.read ? '' : 'notif-unread'}`}
+                                    onClick={() => openGroup(group)}
+                                >
+                                    <span className="notif-text">
+                                        <strong>{actorNames(group)}</strong> {VERBS[group.type]}
+                                        {group.entry && <> <em>{group.entry.title || 'Untitled'}</em></>}
+                                    </span>
+                                    {group.comment && <span className="notif-quote">“{group.comment.content}”</span>}
+                                    <span className="notif-time">{fmtAgo(group.createdAt)}</span>
+                                </button>
+                            ))}
+                            {nextBefore && <button className="notif-more" onClick={() => load(nextBefore)}>Older notifications</button>}
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,26 +1,37 @@
 import React, { useEffect, useState, useCallback, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from './AuthContext';
+import { VISIBILITY_OPTIONS, COMMENT_POLICY_OPTIONS } from './visibility';
 import bookPageSvg from './assets/bookPage.svg';
 import poentryLogo from './assets/iconography/poentrylogo.svg';
 
 export default function ProfilePage() {
     const { username } = useParams();
-    const { user } = useAuth();
+    const { user, requestDeletion, cancelDeletion } = useAuth();
     const navigate = useNavigate();
     const bannerInputRef = useRef(null);
     const avatarInputRef = useRef(null);
+    const archiveInputRef = useRef(null);
 
     // ── State ───────────────────────────────────────────────────────────────────
     const [profile, setProfile] = useState(null);
     const [entries, setEntries] = useState([]);
     const [pinned, setPinned] = useState([]);
+    const [collections, setCollections] = useState([]);
     const [loading, setLoading] = useState(true);
     const [editing, setEditing] = useState(false);
     const [bio, setBio] = useState('');
     const [bannerUrl, setBannerUrl] = useState('');
     const [customAvatar, setCustomAvatar] = useState('');
-    const [tab, setTab] = useState('pages'); // 'pages' | 'journals'
+    const [tab, setTab] = useState('pages'); // 'pages' | 'journals' | 'collections'
+    const [followList, setFollowList] = useState(null); // { kind: 'followers' | 'following', users }
+    const [importing, setImporting] = useState(false);
+    const [importMessage, setImportMessage] = useState('');
+    const [deleting, setDeleting] = useState(false); // confirmation dialog open
+    const [deleteConfirm, setDeleteConfirm] = useState('');
+    const [deleteError, setDeleteError] = useState('');
+    const [managed, setManaged] = useState(null); // { id, title, description, visibility, commentPolicy } being edited
+    const [manageError, setManageError] = useState('');
 
     // ── Fetch profile data ──────────────────────────────────────────────────────
     const fetchProfile = useCallback(async () => {
@@ -32,6 +43,7 @@ export default function ProfilePage() {
             setProfile(data.profile);
             setEntries(data.entries);
             setPinned(data.pinned);
+            setCollections(data.collections);
             setBio(data.profile.bio || '');
             setBannerUrl(data.profile.banner_url || '');
             setCustomAvatar(data.profile.custom_avatar || '');
@@ -56,6 +68,24 @@ export default function ProfilePage() {
         }
     };
 
+    const toggleFollow = async () => {
+        const res = await fetch(`/api/profile/${profile.username}/follow`, {
+            method: profile.isFollowing ? 'DELETE' : 'POST',
+            credentials: 'include',
+        });
+        if (res.ok) {
+            const { following, followerCount } = await res.json();
+            setProfile(prev => ({ ...prev, isFollowing: following, followerCount }));
+        }
+    };
+
+    const openFollowList = async (kind) => {
+        const res = await fetch(`/api/profile/${profile.username}/${kind}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const { users } = await res.json();
+        setFollowList({ kind, users });
+    };
+
     const unpinEntry = async (entryId) => {
         const res = await fetch(`/api/profile/pin/${entryId}`, {
             method: 'DELETE', credentials: 'include',
@@ -120,6 +150,94 @@ export default function ProfilePage() {
         saveCustomAvatar('');
     };
 
+    // Restores an account archive (GET /api/account/export) into this account;
+    // the server only accepts it while the account is still empty
+    const handleArchiveImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setImporting(true);
+        setImportMessage('');
+        try {
+            const form = new FormData();
+            form.append('archive', file);
+            const res = await fetch('/api/account/import', { method: 'POST', credentials: 'include', body: form });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Import failed');
+            const { imported } = data;
+            setImportMessage(`Imported ${imported.journals} journals, ${imported.pages} pages, ${imported.entries} entries and ${imported.images + imported.audio} media files.`);
+            fetchProfile();
+        } catch (err) {
+            setImportMessage(err.message);
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const confirmDeletion = async () => {
+        setDeleteError('');
+        try {
+            await requestDeletion(deleteConfirm);
+            setDeleting(false);
+            setDeleteConfirm('');
+        } catch (err) {
+            setDeleteError(err.message);
+        }
+    };
+
+    const undoDeletion = async () => {
+        try {
+            await cancelDeletion();
+        } catch (err) {
+            console.error('Cancel deletion failed:', err);
+        }
+    };
+
+    // ── Manage a published entry ────────────────────────────────────────────────
+    const openManage = (entry) => {
+        setManageError('');
+        setManaged({
+            id: entry.id,
+            title: entry.title,
+            description: entry.description || '',
+            visibility: entry.visibility,
+            commentPolicy: entry.commentPolicy,
+        });
+    };
+
+    const saveManaged = async () => {
+        setManageError('');
+        const res = await fetch(`/api/entries/${managed.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                title: managed.title,
+                description: managed.description,
+                visibility: managed.visibility,
+                commentPolicy: managed.commentPolicy,
+            }),
+        });
+        if (!res.ok) {
+            const data = await res.json();
+            setManageError(data.error || 'Failed to save');
+            return;
+        }
+        setManaged(null);
+        fetchProfile();
+    };
+
+    const unpublishManaged = async () => {
+        if (!window.confirm(`Unpublish "${managed.title}"? Its likes and comments are deleted too. Your journal pages are kept.`)) return;
+        const res = await fetch(`/api/entries/${managed.id}`, { method: 'DELETE', credentials: 'include' });
+        if (!res.ok) {
+            setManageError('Failed to unpublish');
+            return;
+        }
+        setManaged(null);
+        fetchProfile();
+    };
+
     const toggleEditing = () => {
         if (editing) {
             saveBio();
@@ -134,8 +252,18 @@ export default function ProfilePage() {
         return dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
     };
 
+    const fmtDateTime = (d) => {
+        if (!d) return '';
+        // Server timestamps are UTC without a zone
+        const dt = new Date(`${d.replace(' ', 'T')}Z`);
+        return dt.toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+    };
+
     const isPinned = (entryId) => pinned.some(p => p.id === entryId);
 
+    // The journals tab lists whole published journals (multi-page entries)
+    const shownEntries = tab === 'journals' ? entries.filter(e => e.pageCount > 1) : entries;
+
     if (loading) {
         return (
             <div className="profile-page">
@@ -185,6 +313,13 @@ export default function ProfilePage() {
                 style={{ display: 'none' }}
                 onChange={handleAvatarUpload}
             />
+            <input
+                ref={archiveInputRef}
+                type="file"
+                accept=".zip,application/zip"
+                style={{ display: 'none' }}
+                onChange={handleArchiveImport}
+            />
 
             {/* ── Header ────────────────────────────────────────────────────────── */}
             <header className="disc-header prof-header-transparent">
@@ -228,6 +363,16 @@ export default function ProfilePage() {
                     <div className="prof-left">
                         <span className="prof-section-label">PROFILE</span>
 
+                        {profile.isOwn && user?.deletesAt && (
+                            <div className="prof-deletion-notice">
+                                <p>
+                                    Your account will be deleted on <strong>{fmtDateTime(user.deletesAt)}</strong>.
+                                    Until then your profile and entries are hidden from everyone else.
+                                </p>
+                                <button className="prof-data-btn" onClick={undoDeletion}>↩ Keep my account</button>
+                            </div>
+                        )}
+
                         <div className="prof-avatar-box">
                             {(customAvatar || profile.avatar_url) ? (
                                 <img src={customAvatar || profile.avatar_url} alt={profile.username} className="prof-avatar-img" />
@@ -247,8 +392,11 @@ export default function ProfilePage() {
                         )}
 
                         {!profile.isOwn && (
-                            <button className="prof-follow-btn">
-                                Follow
+                            <button
+                                className={`prof-follow-btn ${profile.isFollowing ? 'prof-following' : ''}`}
+                                onClick={toggleFollow}
+                            >
+                                {profile.isFollowing ? 'Following' : 'Follow'}
                             </button>
                         )}
 
@@ -263,6 +411,15 @@ export default function ProfilePage() {
 
                         <h2 className="prof-username">{profile.username}</h2>
 
+                        <div className="prof-follow-counts">
+                            <button className="prof-follow-count" onClick={() => openFollowList('followers')}>
+                                <strong>{profile.followerCount}</strong> followers
+                            </button>
+                            <button className="prof-follow-count" onClick={() => openFollowList('following')}>
+                                <strong>{profile.followingCount}</strong> following
+                            </button>
+                        </div>
+
                         {editing ? (
                             <textarea
                                 className="prof-bio-edit"
@@ -274,6 +431,54 @@ export default function ProfilePage() {
                         ) : (
                             <p className="prof-bio">{profile.bio || 'No bio yet.'}</p>
                         )}
+
+                        {/* ── Account archive ─────────────────────────────── */}
+                        {editing && (
+                            <div className="prof-data">
+                                <span className="prof-section-label">YOUR DATA</span>
+                                <a className="prof-data-btn" href="/api/account/export" download>
+                                    ⬇ Download archive
+                                </a>
+                                <button
+                                    className="prof-data-btn"
+                                    onClick={() => archiveInputRef.current?.click()}
+                                    disabled={importing}
+                                >
+                                    {importing ? 'Importing…' : '⬆ Import archive'}
+                                </button>
+                                {importMessage && <p className="prof-data-note">{importMessage}</p>}
+                                {!user?.deletesAt && (
+                                    <button className="prof-data-btn prof-data-danger" onClick={() => setDeleting(true)}>
+                                        🗑 Delete account…
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
+                        {/* ── Followers / Following list ──────────────────── */}
+                        {followList && (
+                            <div className="prof-follow-list">
+                                <div className="prof-follow-list-header">
+                                    <span className="prof-section-label">{followList.kind.toUpperCase()}</span>
+                                    <button className="prof-follow-list-close" onClick={() => setFollowList(null)}>✕</button>
+                                </div>
+                                {followList.users.length === 0 ? (
+                                    <p className="prof-no-pins">Nobody yet.</p>
+                                ) : (
+                                    followList.users.map(u => (
+                                        <Link
+                                            key={u.id}
+                                            to={`/profile/${u.username}`}
+                                            className="prof-follow-user"
+                                            onClick={() => setFollowList(null)}
+                                        >
+                                            {u.avatarUrl && <img src={u.avatarUrl} alt="" className="disc-avatar" />}
+                                            <span>@{u.username}</span>
+                                        </Link>
+                                    ))
+                                )}
+                            </div>
+                        )}
                     </div>
 
                     {/* ── Right Column: Pinned + Entries ─────────────────────── */}
@@ -339,14 +544,46 @@ export default function ProfilePage() {
                             >
                                 JOURNALS
                             </button>
+                            <button
+                                className={`prof-tab ${tab === 'collections' ? 'prof-tab-active' : ''}`}
+                                onClick={() => setTab('collections')}
+                            >
+                                COLLECTIONS
+                            </button>
                         </div>
 
+                        {/* ── Collections (public ones, or all of the user's own) ── */}
+                        {tab === 'collections' && (
+                            <div className="prof-entry-grid">
+                                {collections.length === 0 && (
+                                    <p className="prof-no-entries">
+                                        {profile.isOwn ? 'Sort your saved entries into collections from Saved.' : 'No collections yet.'}
+                                    </p>
+                                )}
+                                {collections.map(c => (
+                                    <div key={c.id} className="prof-entry-card" onClick={() => navigate(`/collections/${c.id}`)}>
+                                        <div className="prof-entry-book">
+                                            <img src={bookPageSvg} alt="" className="prof-entry-svg" />
+                                            {c.cover && <img src={c.cover} alt={c.name} className="prof-entry-thumb" />}
+                                        </div>
+                                        <span className="topic-entry-title">{c.visibility === 'private' && '🔒 '}{c.name}</span>
+                                        <span className="topic-entry-author">
+                                            {c.entryCount} {c.entryCount === 1 ? 'entry' : 'entries'}
+                                        </span>
+                                    </div>
+                                ))}
+                                {profile.isOwn && (
+                                    <button className="disc-tag-link" onClick={() => navigate('/saved')}>🔖 All saved entries →</button>
+                                )}
+                            </div>
+                        )}
+
                         {/* ── Entry Grid ─────────────────────────────────────── */}
-                        <div className="prof-entry-grid">
-                            {entries.length === 0 ? (
-                                <p className="prof-no-entries">No entries yet.</p>
+                        {tab !== 'collections' && <div className="prof-entry-grid">
+                            {shownEntries.length === 0 ? (
+                                <p className="prof-no-entries">{tab === 'journals' ? 'No journals yet.' : 'No entries yet.'}</p>
                             ) : (
-                                entries.map(e => (
+                                shownEntries.map(e => (
                                     <div key={e.id} className="prof-entry-card" onClick={() => navigate(`/discover?entry=${e.id}`)}>
                                         <div className="prof-entry-book">
                                             <img src={bookPageSvg} alt="" className="prof-entry-svg" />
@@ -358,6 +595,9 @@ export default function ProfilePage() {
                                                 />
                                             )}
                                         </div>
+                                        {e.pageCount > 1 && (
+                                            <span className="prof-page-count">{e.pageCount} pages</span>
+                                        )}
                                         {editing && !isPinned(e.id) && pinned.length < 3 && (
                                             <button
                                                 className="prof-pin-add"
@@ -370,13 +610,101 @@ export default function ProfilePage() {
                                         {editing && isPinned(e.id) && (
                                             <span className="prof-pin-badge">📌</span>
                                         )}
+                                        {editing && (
+                                            <button
+                                                className="prof-entry-manage"
+                                                onClick={(ev) => { ev.stopPropagation(); openManage(e); }}
+                                                title="Edit, change visibility or notes, or unpublish"
+                                            >
+                                                ⚙
+                                            </button>
+                                        )}
                                     </div>
                                 ))
                             )}
-                        </div>
+                        </div>}
                     </div>
                 </div>
             </div>
+
+            {/* ── Entry settings ─────────────────────────────────────────────── */}
+            {managed && (
+                <div className="prof-modal-backdrop" onClick={() => setManaged(null)}>
+                    <div className="prof-modal" onClick={e => e.stopPropagation()}>
+                        <h2 className="prof-modal-title">Entry settings</h2>
+                        <input
+                            className="prof-modal-input"
+                            value={managed.title}
+                            onChange={e => setManaged(m => ({ ...m, title: e.target.value }))}
+                            placeholder="Title"
+                        />
+                        <textarea
+                            className="prof-modal-input"
+                            value={managed.description}
+                            onChange={e => setManaged(m => ({ ...m, description: e.target.value }))}
+                            placeholder="Description"
+                            rows={3}
+                        />
+                        <select
+                            className="prof-modal-input"
+                            value={managed.visibility}
+                            onChange={e => setManaged(m => ({ ...m, visibility: e.target.value }))}
+                        >
+                            {VISIBILITY_OPTIONS.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <select
+                            className="prof-modal-input"
+                            value={managed.commentPolicy}
+                            onChange={e => setManaged(m => ({ ...m, commentPolicy: e.target.value }))}
+                        >
+                            {COMMENT_POLICY_OPTIONS.map(({ value, label }) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        {manageError && <p className="prof-modal-error">{manageError}</p>}
+                        <div className="prof-modal-actions">
+                            <button className="prof-modal-delete prof-modal-unpublish" onClick={unpublishManaged}>Unpublish</button>
+                            <button className="prof-modal-cancel" onClick={() => setManaged(null)}>Cancel</button>
+                            <button className="prof-modal-save" onClick={saveManaged} disabled={!managed.title.trim()}>Save</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* ── Delete account confirmation ───────────────────────────────── */}
+            {deleting && (
+                <div className="prof-modal-backdrop" onClick={() => setDeleting(false)}>
+                    <div className="prof-modal" onClick={e => e.stopPropagation()}>
+                        <h2 className="prof-modal-title">Delete your account?</h2>
+                        <p className="prof-data-note">
+                            Your profile and published entries are hidden right away. After 14 days your
+                            journals, entries, images and audio are deleted for good, and your comments on
+                            other entries show as "deleted user". Sign in before then to cancel.
+                        </p>
+                        <p className="prof-data-note">Download an archive first if you want to keep a copy.</p>
+                        <input
+                            className="prof-modal-input"
+                            value={deleteConfirm}
+                            onChange={e => setDeleteConfirm(e.target.value)}
+                            placeholder={`Type ${profile.username} to confirm`}
+                            autoFocus
+                        />
+                        {deleteError && <p className="prof-modal-error">{deleteError}</p>}
+                        <div className="prof-modal-actions">
+                            <button className="prof-modal-cancel" onClick={() => setDeleting(false)}>Cancel</button>
+                            <button
+                                className="prof-modal-delete"
+                                onClick={confirmDeletion}
+                                disabled={deleteConfirm !== profile.username}
+                            >
+                                Delete account
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
         </div >
     );
 }
@@ -0,0 +1,134 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as fabric from 'fabric';
+import {
+    CANVAS_W, CANVAS_H, CANVAS_BG,
+    createPageRect, normalizeCanvasJSON, restoreCustomProps,
+} from './journalCanvas';
+
+const PREVIEW_SCALE = 0.25;
+
+// SQLite timestamps are UTC without a zone marker
+const fmtTime = (d) => {
+    const dt = new Date(`${d.replace(' ', 'T')}Z`);
+    return dt.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+// Side panel listing a page's saved revisions, with a preview and restore
+export default function RevisionHistory({ pageId, onRestored, onClose }) {
+    const previewRef = useRef(null);
+    const [revisions, setRevisions] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [previewJSON, setPreviewJSON] = useState(null);
+    const [restoring, setRestoring] = useState(false);
+
+    // ── Fetch revision list ─────────────────────────────────────────────────────
+    useEffect(() => {
+        fetch(`/api/pages/${pageId}/revisions`, { credentials: 'include' })
+            .then(r => (r.ok ? r.json() : { revisions: [] }))
+            .then(d => setRevisions(d.revisions))
+            .catch(() => setRevisions([]));
+    }, [pageId]);
+
+    // ── Fetch the selected revision ─────────────────────────────────────────────
+    useEffect(() => {
+        if (!selected) return;
+        let cancelled = false;
+        fetch(`/api/pages/${pageId}/revisions/${selected}`, { credentials: 'include' })
+            .then(r => (r.ok ? r.json() : null))
+            .then(d => { if (!cancelled && d) setPreviewJSON(d.canvasJSON); })
+            .catch(() => { });
+        return () => { cancelled = true; };
+    }, [pageId, selected]);
+
+    // ── Render the preview at thumbnail scale ───────────────────────────────────
+    useEffect(() => {
+        if (!previewJSON) return;
+        const canvas = new fabric.StaticCanvas(previewRef.current, {
+            width: CANVAS_W * PREVIEW_SCALE,
+            height: CANVAS_H * PREVIEW_SCALE,
+            backgroundColor: CANVAS_BG,
+        });
+        canvas.setZoom(PREVIEW_SCALE);
+
+        const parsed = normalizeCanvasJSON(previewJSON?.objects ? previewJSON : { objects: [] });
+        canvas.loadFromJSON(parsed)
+            .then(() => {
+                if (canvas.__isDisposed) return;
+                restoreCustomProps(canvas, parsed);
+                const page = createPageRect();
+                canvas.add(page);
+                canvas.sendObjectToBack(page);
+                canvas.set('backgroundColor', CANVAS_BG);
+                canvas.requestRenderAll();
+            })
+            .catch(err => console.warn('Revision preview failed:', err.message));
+
+        return () => {
+            canvas.__isDisposed = true;
+            canvas.dispose();
+        };
+    }, [previewJSON]);
+
+    const restore = async () => {
+        if (!selected || restoring) return;
+        setRestoring(true);
+        try {
+            const res = await fetch(`/api/pages/${pageId}/revisions/${selected}/restore`, {
+                method: 'POST', credentials: 'include',
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            onRestored();
+        } catch (err) {
+            console.error('Restore failed:', err);
+            alert('Failed to restore this version. Please try again.');
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    // ── Render ──────────────────────────────────────────────────────────────────
+    return (
+        <div className="history-panel" onMouseDown={(e) => e.stopPropagation()}>
+            <div className="history-header">
+                <span className="sidebar-title">History</span>
+                <button className="history-close" onClick={onClose} title="Close history">✕</button>
+            </div>
+
+            {revisions === null ? (
+                <div className="history-empty"><div className="spinner" style={{ borderTopColor: '#e8642b' }} /></div>
+            ) : revisions.length === 0 ? (
+                <p className="history-empty">No saved versions yet.</p>
+            ) : (
+                <ul className="history-list">
+                    {revisions.map((r, i) => (
+                        <li key={r.id}>
+                            <button
+                                className={`history-item ${selected === r.id ? 'history-item-active' : ''}`}
+                                onClick={() => setSelected(r.id)}
+                            >
+                                <span className="history-time">{fmtTime(r.updatedAt)}</span>
+                                <span className="history-meta">
+                                    {r.objectCount} {r.objectCount === 1 ? 'object' : 'objects'}
+                                    {i === 0 && ' · current'}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {selected && (
+                <div className="history-preview">
+                    <canvas ref={previewRef} />
+                    <button
+                        className="history-restore-btn"
+                        onClick={restore}
+                        disabled={restoring || selected === revisions?.[0]?.id}
+                    >
+                        {restoring ? 'Restoring...' : 'Restore this version'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,326 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from './AuthContext';
+import bookPageSvg from './assets/bookPage.svg';
+import poentryLogo from './assets/iconography/poentrylogo.svg';
+
+// Mirrors MAX_COLLECTION_NAME and MAX_COLLECTION_DESCRIPTION in server.js
+const MAX_COLLECTION_NAME = 60;
+const MAX_COLLECTION_DESCRIPTION = 500;
+
+function EntryCard({ entry, onOpen, children }) {
+    return (
+        <div className="prof-entry-card" onClick={onOpen}>
+            <div className="prof-entry-book">
+                <img src={bookPageSvg} alt="" className="prof-entry-svg" />
+                {entry.thumbnail && <img src={entry.thumbnail} alt={entry.title} className="prof-entry-thumb" />}
+            </div>
+            <span className="topic-entry-title">{entry.title}</span>
+            <span className="topic-entry-author">@{entry.username}</span>
+            {/* Controls act on the card without opening the entry */}
+            <div className="saved-card-actions" onClick={e => e.stopPropagation()}>{children}</div>
+        </div>
+    );
+}
+
+// The viewer's bookmarks, and the collections they've sorted them into. With
+// ?collection=:id it opens on that collection, where entries can be reordered.
+export default function SavedPage() {
+    const navigate = useNavigate();
+    const [params, setParams] = useSearchParams();
+    const collectionId = params.get('collection');
+    const { user } = useAuth();
+
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [hasMore, setHasMore] = useState(false);
+    const [collections, setCollections] = useState([]);
+    const [opened, setOpened] = useState(null); // { id, collection, entries } for ?collection=, or { id, missing: true }
+    const [editing, setEditing] = useState(null); // { id?, name, description, visibility, error } in the dialog
+    const [loading, setLoading] = useState(true);
+
+    const loadCollections = () => fetch('/api/collections', { credentials: 'include' })
+        .then(r => r.json())
+        .then(data => setCollections(data.collections || []));
+
+    useEffect(() => {
+        Promise.all([
+            fetch('/api/bookmarks', { credentials: 'include' }).then(r => r.json()),
+            fetch('/api/collections', { credentials: 'include' }).then(r => r.json()),
+        ]).then(([saved, data]) => {
+            setEntries(saved.entries || []);
+            setTotal(saved.total || 0);
+            setHasMore(!!saved.hasMore);
+            setCollections(data.collections || []);
+            setLoading(false);
+        }).catch(() => setLoading(false));
+    }, []);
+
+    useEffect(() => {
+        if (!collectionId) return;
+        let cancelled = false;
+        fetch(`/api/collections/${collectionId}`, { credentials: 'include' })
+            .then(r => (r.ok ? r.json() : null))
+            .then(data => { if (!cancelled) setOpened(data ? { ...data, id: collectionId } : { id: collectionId, missing: true }); });
+        return () => { cancelled = true; };
+    }, [collectionId]);
+
+    const openedNow = collectionId && opened?.id === collectionId; // not still showing the last one
+    const current = openedNow && !opened.missing ? opened : null;
+    const openCollection = (id) => setParams(id ? { collection: String(id) } : {});
+
+    const loadMore = async () => {
+        const res = await fetch(`/api/bookmarks?offset=${entries.length}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        setEntries(prev => [...prev, ...data.entries]);
+        setHasMore(data.hasMore);
+    };
+
+    // Unsaving also takes the entry out of every collection
+    const unsave = async (entry) => {
+        const res = await fetch(`/api/entries/${entry.id}/bookmark`, { method: 'POST', credentials: 'include' });
+        if (!res.ok || (await res.json()).bookmarked) return;
+        setEntries(prev => prev.filter(e => e.id !== entry.id));
+        setTotal(t => t - 1);
+        loadCollections();
+    };
+
+    const addToCollection = async (entry, id) => {
+        const res = await fetch(`/api/collections/${id}/entries`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ entryId: entry.id }),
+        });
+        if (!res.ok) return;
+        setEntries(prev => prev.map(e => (e.id === entry.id ? { ...e, collectionIds: [...e.collectionIds, id] } : e)));
+        loadCollections();
+    };
+
+    const removeFromCollection = async (entry) => {
+        const { id } = current.collection;
+        const res = await fetch(`/api/collections/${id}/entries/${entry.id}`, { method: 'DELETE', credentials: 'include' });
+        if (!res.ok) return;
+        setOpened(o => ({ ...o, entries: o.entries.filter(e => e.id !== entry.id) }));
+        setEntries(prev => prev.map(e => (e.id === entry.id ? { ...e, collectionIds: e.collectionIds.filter(c => c !== id) } : e)));
+        loadCollections();
+    };
+
+    // Swaps an entry with its neighbour; the server keeps anything hidden from us after these
+    const move = async (index, delta) => {
+        const order = [...current.entries];
+        [order[index], order[index + delta]] = [order[index + delta], order[index]];
+        setOpened(o => ({ ...o, entries: order }));
+        await fetch(`/api/collections/${current.collection.id}/order`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ entryIds: order.map(e => e.id) }),
+        });
+    };
+
+    const saveCollection = async () => {
+        const { id, name, description, visibility } = editing;
+        const res = await fetch(id ? `/api/collections/${id}` : '/api/collections', {
+            method: id ? 'PATCH' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ name, description, visibility }),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+            setEditing(ed => ({ ...ed, error: data.error || 'Failed to save collection' }));
+            return;
+        }
+        setEditing(null);
+        loadCollections();
+        if (id) setOpened(o => ({ ...o, collection: data }));
+        else openCollection(data.id);
+    };
+
+    const deleteCollection = async () => {
+        if (!window.confirm(`Delete “${current.collection.name}”? The entries in it stay saved.`)) return;
+        const { id } = current.collection;
+        const res = await fetch(`/api/collections/${id}`, { method: 'DELETE', credentials: 'include' });
+        if (!res.ok) return;
+        setEntries(prev => prev.map(e => ({ ...e, collectionIds: e.collectionIds.filter(c => c !== id) })));
+        openCollection(null);
+        loadCollections();
+    };
+
+    const copyLink = () => {
+        const url = `${window.location.origin}/collections/${current.collection.id}`;
+        navigator.clipboard?.writeText(url).then(() => alert('Link copied!')).catch(() => { });
+    };
+
+    return (
+        <div className="profile-page">
+            <header className="disc-header">
+                <img src={poentryLogo} alt="Poentry Logo" className="main-logo" />
+                <div className="disc-header-actions">
+                    <button className="disc-new-entry-btn" onClick={() => navigate('/discover')}>
+                        ← Back to Explore
+                    </button>
+                </div>
+            </header>
+
+            {loading ? (
+                <div className="disc-empty-state">
+                    <div className="spinner" style={{ borderTopColor: '#e8642b' }} />
+                </div>
+            ) : (
+                <div className="topic-body saved-body">
+                    {/* ── Collections ── */}
+                    <nav className="saved-nav">
+                        <button
+                            className={`saved-nav-item ${!collectionId ? 'saved-nav-active' : ''}`}
+                            onClick={() => openCollection(null)}
+                        >
+                            All saved <span className="topic-count">{total}</span>
+                        </button>
+                        {collections.map(c => (
+                            <button
+                                key={c.id}
+                                className={`saved-nav-item ${collectionId === String(c.id) ? 'saved-nav-active' : ''}`}
+                                onClick={() => openCollection(c.id)}
+                            >
+                                {c.visibility === 'private' && '🔒 '}{c.name} <span className="topic-count">{c.entryCount}</span>
+                            </button>
+                        ))}
+                        <button
+                            className="disc-tag-link"
+                            onClick={() => setEditing({ name: '', description: '', visibility: 'private', error: '' })}
+                        >
+                            + New collection
+                        </button>
+                    </nav>
+
+                    <div className="saved-main">
+                        {!collectionId ? (
+                            <>
+                                <div className="topic-heading">
+                                    <h1 className="topic-title">Saved</h1>
+                                    <span className="topic-count">{total} {total === 1 ? 'entry' : 'entries'}</span>
+                                </div>
+                                <div className="prof-entry-grid">
+                                    {entries.length === 0 ? (
+                                        <p className="prof-no-entries">Bookmark entries in Explore to find them here.</p>
+                                    ) : (
+                                        entries.map(e => (
+                                            <EntryCard key={e.id} entry={e} onOpen={() => navigate(`/journal?view=${e.id}`)}>
+                                                {/* other people's unlisted entries can't be listed in a collection */}
+                                                {(e.visibility !== 'unlisted' || e.userId === user?.id) &&
+                                                    collections.some(c => !e.collectionIds.includes(c.id)) && (
+                                                    <select
+                                                        className="saved-card-select"
+                                                        value=""
+                                                        onChange={ev => addToCollection(e, Number(ev.target.value))}
+                                                    >
+                                                        <option value="" disabled>+ Collection</option>
+                                                        {collections.filter(c => !e.collectionIds.includes(c.id)).map(c => (
+                                                            <option key={c.id} value={c.id}>{c.name}</option>
+                                                        ))}
+                                                    </select>
+                                                )}
+                                                <button className="saved-card-btn" onClick={() => unsave(e)} title="Remove from saved">✕</button>
+                                            </EntryCard>
+                                        ))
+                                    )}
+                                </div>
+                                {hasMore && <button className="notif-more" onClick={loadMore}>More saved entries</button>}
+                            </>
+                        ) : !openedNow ? (
+                            <div className="spinner" style={{ borderTopColor: '#e8642b' }} />
+                        ) : !current ? (
+                            <p className="prof-no-entries">Collection not found</p>
+                        ) : (
+                            <>
+                                <div className="topic-heading">
+                                    <h1 className="topic-title">{current.collection.name}</h1>
+                                    <span className="topic-count">
+                                        {current.collection.visibility === 'public' ? 'Public' : '🔒 Private'}
+                                    </span>
+                                    <button
+                                        className="disc-tag-link"
+                                        onClick={() => setEditing({ ...current.collection, error: '' })}
+                                    >
+                                        Edit
+                                    </button>
+                                    {current.collection.visibility === 'public' && (
+                                        <>
+                                            <button className="disc-tag-link" onClick={() => navigate(`/collections/${current.collection.id}`)}>
+                                                View anthology →
+                                            </button>
+                                            <button className="disc-tag-link" onClick={copyLink}>Copy link</button>
+                                        </>
+                                    )}
+                                    <button className="disc-tag-link saved-delete" onClick={deleteCollection}>Delete</button>
+                                </div>
+                                {current.collection.description && <p className="saved-description">{current.collection.description}</p>}
+                                <div className="prof-entry-grid">
+                                    {current.entries.length === 0 ? (
+                                        <p className="prof-no-entries">Add saved entries to this collection from All saved.</p>
+                                    ) : (
+                                        current.entries.map((e, i) => (
+                                            <EntryCard key={e.id} entry={e} onOpen={() => navigate(`/journal?view=${e.id}`)}>
+                                                <button className="saved-card-btn" onClick={() => move(i, -1)} disabled={i === 0} title="Move earlier">←</button>
+                                                <button
+                                                    className="saved-card-btn"
+                                                    onClick={() => move(i, 1)}
+                                                    disabled={i === current.entries.length - 1}
+                                                    title="Move later"
+                                                >
+                                                    →
+                                                </button>
+                                                <button className="saved-card-btn" onClick={() => removeFromCollection(e)} title="Remove from collection">✕</button>
+                                            </EntryCard>
+                                        ))
+                                    )}
+                                </div>
+                            </>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {/* ── New / edit collection ── */}
+            {editing && (
+                <div className="prof-modal-backdrop" onClick={() => setEditing(null)}>
+                    <div className="prof-modal" onClick={e => e.stopPropagation()}>
+                        <h2 className="prof-modal-title">{editing.id ? 'Edit collection' : 'New collection'}</h2>
+                        <input
+                            className="prof-modal-input"
+                            value={editing.name}
+                            maxLength={MAX_COLLECTION_NAME}
+                            onChange={e => setEditing(ed => ({ ...ed, name: e.target.value }))}
+                            placeholder="Name"
+                            autoFocus
+                        />
+                        <textarea
+                            className="prof-modal-input"
+                            value={editing.description}
+                            maxLength={MAX_COLLECTION_DESCRIPTION}
+                            onChange={e => setEditing(ed => ({ ...ed, description: e.target.value }))}
+                            placeholder="What ties these entries together?"
+                            rows={3}
+                        />
+                        <select
+                            className="prof-modal-input"
+                            value={editing.visibility}
+                            onChange={e => setEditing(ed => ({ ...ed, visibility: e.target.value }))}
+                        >
+                            <option value="private">Private — only you</option>
+                            <option value="public">Public — anyone with the link, and on your profile</option>
+                        </select>
+                        {editing.error && <p className="prof-modal-error">{editing.error}</p>}
+                        <div className="prof-modal-actions">
+                            <button className="prof-modal-cancel" onClick={() => setEditing(null)}>Cancel</button>
+                            <button className="prof-modal-save" onClick={saveCollection} disabled={!editing.name.trim()}>Save</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+
+// Side panel listing a page's co-authors. The owner invites and removes them;
+// a co-author can leave the page.
+export default function SharePanel({ pageId, isOwner, currentUserId, onLeft, onClose }) {
+    const [collaborators, setCollaborators] = useState(null);
+    const [username, setUsername] = useState('');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    // ── Fetch collaborator list ─────────────────────────────────────────────────
+    useEffect(() => {
+        fetch(`/api/pages/${pageId}/collaborators`, { credentials: 'include' })
+            .then(r => (r.ok ? r.json() : { collaborators: [] }))
+            .then(d => setCollaborators(d.collaborators))
+            .catch(() => setCollaborators([]));
+    }, [pageId]);
+
+    const invite = async (e) => {
+        e.preventDefault();
+        const name = username.trim();
+        if (!name || busy) return;
+        setBusy(true);
+        setError('');
+        try {
+            const res = await fetch(`/api/pages/${pageId}/collaborators`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ username: name }),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Invite failed');
+            setCollaborators(data.collaborators);
+            setUsername('');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const remove = async (userId) => {
+        const leaving = userId === currentUserId;
+        if (leaving && !window.confirm('Leave this page? You will need a new invite to edit it again.')) return;
+        try {
+            const res = await fetch(`/api/pages/${pageId}/collaborators/${userId}`, {
+                method: 'DELETE', credentials: 'include',
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            if (leaving) {
+                onLeft();
+                return;
+            }
+            setCollaborators((await res.json()).collaborators);
+        } catch (err) {
+            console.error('Remove collaborator failed:', err);
+        }
+    };
+
+    // ── Render ──────────────────────────────────────────────────────────────────
+    return (
+        <div className="history-panel share-panel" onMouseDown={(e) => e.stopPropagation()}>
+            <div className="history-header">
+                <span className="sidebar-title">Co-authors</span>
+                <button className="history-close" onClick={onClose} title="Close">✕</button>
+            </div>
+
+            {isOwner && (
+                <form className="share-invite" onSubmit={invite}>
+                    <input
+                        type="text"
+                        value={username}
+                        onChange={e => setUsername(e.target.value)}
+                        placeholder="@username"
+                        className="share-input"
+                    />
+                    <button type="submit" className="history-restore-btn share-invite-btn" disabled={busy || !username.trim()}>
+                        Invite
+                    </button>
+                </form>
+            )}
+            {error && <p className="share-error">{error}</p>}
+
+            {collaborators === null ? (
+                <div className="history-empty"><div className="spinner" style={{ borderTopColor: '#e8642b' }} /></div>
+            ) : collaborators.length === 0 ? (
+                <p className="history-empty">Only you can edit this page.</p>
+            ) : (
+                <ul className="history-list">
+                    {collaborators.map(c => (
+                        <li key={c.id} className="share-item">
+                            {c.avatarUrl && <img src={c.avatarUrl} alt="" className="journal-avatar" />}
+                            <span className="history-time">@{c.username || c.displayName}</span>
+                            {(isOwner || c.id === currentUserId) && (
+                                <button
+                                    className="history-close"
+                                    onClick={() => remove(c.id)}
+                                    title={c.id === currentUserId ? 'Leave page' : 'Remove co-author'}
+                                >
+                                    {c.id === currentUserId ? 'Leave' : '✕'}
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
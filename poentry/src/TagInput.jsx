@@ -0,0 +1,112 @@
+import React, { useRef, useState } from 'react';
+
+// Mirror MAX_TAGS, MAX_TAG_LENGTH and normalizeTag in server.js
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+function normalizeTag(value) {
+  return value
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+}
+
+// Tag chips plus an input that suggests tags already in use. Enter, comma or
+// picking a suggestion adds a tag; Backspace on an empty input removes the last.
+export default function TagInput({ tags, onChange }) {
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const suggestTimer = useRef(null);
+
+  const add = (value) => {
+    const tag = normalizeTag(value);
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) onChange([...tags, tag]);
+    setText('');
+    setSuggestions([]);
+  };
+
+  const type = (value) => {
+    if (value.endsWith(',')) { add(value.slice(0, -1)); return; }
+    setText(value);
+    clearTimeout(suggestTimer.current);
+    const prefix = normalizeTag(value);
+    if (!prefix) { setSuggestions([]); return; }
+    suggestTimer.current = setTimeout(() => {
+      fetch(`/api/tags?q=${encodeURIComponent(prefix)}`, { credentials: 'include' })
+        .then(r => r.json())
+        .then(({ tags: found }) => setSuggestions((found || []).filter(t => !tags.includes(t.name))))
+        .catch(() => setSuggestions([]));
+    }, 200);
+  };
+
+  return (
+    <div style={{ position: 'relative', marginBottom: '16px' }}>
+      <div style={{
+        display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center',
+        padding: '6px 10px', borderRadius: '8px', border: '1px solid #ddd', minHeight: '42px',
+      }}>
+        {tags.map(tag => (
+          <span key={tag} style={{
+            display: 'inline-flex', alignItems: 'center', gap: '4px',
+            padding: '3px 8px', borderRadius: '12px', background: '#fff5f0',
+            border: '1px solid #e8642b', color: '#c24f1c', fontSize: '0.8rem', fontWeight: 600,
+          }}>
+            #{tag}
+            <button
+              onClick={() => onChange(tags.filter(t => t !== tag))}
+              title={`Remove #${tag}`}
+              style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#c24f1c', padding: 0, fontSize: '0.85rem' }}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {tags.length < MAX_TAGS && (
+          <input
+            type="text"
+            value={text}
+            onChange={e => type(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === 'Enter') { e.preventDefault(); add(text); }
+              if (e.key === 'Backspace' && !text && tags.length) onChange(tags.slice(0, -1));
+            }}
+            onBlur={() => { if (text) add(text); }}
+            placeholder={tags.length ? '' : 'travel, poetry, road-trip...'}
+            style={{
+              flex: 1, minWidth: '120px', border: 'none', outline: 'none',
+              fontSize: '0.9rem', fontFamily: 'var(--font-sans)', padding: '4px 0',
+            }}
+          />
+        )}
+      </div>
+      {suggestions.length > 0 && (
+        <div style={{
+          position: 'absolute', top: '100%', left: 0, right: 0, zIndex: 10, marginTop: '4px',
+          background: '#fff', border: '1px solid #ddd', borderRadius: '8px',
+          boxShadow: '0 4px 16px rgba(0,0,0,0.15)', overflow: 'hidden',
+        }}>
+          {suggestions.map(s => (
+            <button
+              key={s.name}
+              // Fires before the input's blur, which would add the half-typed text instead
+              onMouseDown={e => { e.preventDefault(); add(s.name); }}
+              style={{
+                display: 'flex', justifyContent: 'space-between', width: '100%',
+                padding: '8px 12px', border: 'none', background: '#fff', cursor: 'pointer',
+                fontSize: '0.85rem', fontFamily: 'var(--font-sans)', textAlign: 'left',
+              }}
+            >
+              <span>#{s.name}</span>
+              <span style={{ color: '#999' }}>{s.uses}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
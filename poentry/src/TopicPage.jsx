@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import bookPageSvg from './assets/bookPage.svg';
+import poentryLogo from './assets/iconography/poentrylogo.svg';
+
+// Every entry filed under one tag that the viewer can see, newest first
+export default function TopicPage() {
+    const { tag } = useParams();
+    const navigate = useNavigate();
+    const [topic, setTopic] = useState(null); // { tag, entryCount }
+    const [entries, setEntries] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+
+    const topicUrl = `/api/tags/${encodeURIComponent(tag)}`;
+
+    useEffect(() => {
+        let cancelled = false;
+        fetch(topicUrl, { credentials: 'include' })
+            .then(r => (r.ok ? r.json() : null))
+            .then(data => {
+                if (cancelled) return;
+                setTopic(data && { tag: data.tag, entryCount: data.entryCount });
+                setEntries(data?.entries || []);
+                setHasMore(!!data?.hasMore);
+                setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [topicUrl]);
+
+    const loadMore = async () => {
+        const res = await fetch(`${topicUrl}?offset=${entries.length}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        setEntries(prev => [...prev, ...data.entries]);
+        setHasMore(data.hasMore);
+    };
+
+    return (
+        <div className="profile-page">
+            <header className="disc-header">
+                <img src={poentryLogo} alt="Poentry Logo" className="main-logo" />
+                <div className="disc-header-actions">
+                    <button className="disc-new-entry-btn" onClick={() => navigate('/discover')}>
+                        ← Back to Explore
+                    </button>
+                </div>
+            </header>
+
+            {loading ? (
+                <div className="disc-empty-state">
+                    <div className="spinner" style={{ borderTopColor: '#e8642b' }} />
+                </div>
+            ) : !topic ? (
+                <div className="disc-empty-state">
+                    <h2>Tag not found</h2>
+                </div>
+            ) : (
+                <div className="topic-body">
+                    <div className="topic-heading">
+                        <h1 className="topic-title">#{topic.tag}</h1>
+                        <span className="topic-count">
+                            {topic.entryCount} {topic.entryCount === 1 ? 'entry' : 'entries'}
+                        </span>
+                        {topic.entryCount > 0 && (
+                            <button
+                                className="disc-tag-link"
+                                onClick={() => navigate(`/discover?tag=${encodeURIComponent(topic.tag)}`)}
+                            >
+                                Browse in Explore →
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="prof-entry-grid">
+                        {entries.length === 0 ? (
+                            <p className="prof-no-entries">Nothing is tagged #{topic.tag} yet.</p>
+                        ) : (
+                            entries.map(e => (
+                                <div key={e.id} className="prof-entry-card" onClick={() => navigate(`/journal?view=${e.id}`)}>
+                                    <div className="prof-entry-book">
+                                        <img src={bookPageSvg} alt="" className="prof-entry-svg" />
+                                        {e.thumbnail && (
+                                            <img src={e.thumbnail} alt={e.title} className="prof-entry-thumb" />
+                                        )}
+                                    </div>
+                                    <span className="topic-entry-title">{e.title}</span>
+                                    <span className="topic-entry-author">@{e.username}</span>
+                                </div>
+                            ))
+                        )}
+                    </div>
+                    {hasMore && <button className="notif-more" onClick={loadMore}>More entries</button>}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,422 @@
+import * as fabric from 'fabric';
+import { ensureObjectId, restoreObjectProps, serializeObject } from './journalCanvas';
+
+// ── Live collaboration for the editor canvas ──────────────────────────────────
+// Connects the canvas to its page's room on the server (/api/collab; the merge
+// rules are in collab.js next to server.js). Local edits are found by diffing
+// each object's JSON against a shadow of what the room last heard from us, so
+// every edit path — drags, typing, undo/redo, z-order — is picked up wherever
+// the editor would otherwise save: call sync() there.
+const SYNC_DELAY = 80; // ms between diffs while editing
+const CURSOR_INTERVAL = 50; // ms between cursor updates
+const RECONNECT_DELAYS = [500, 1000, 2000, 5000, 10000];
+const ORDER_KEY = '#order'; // pending key for the stacking order
+const WHOLE_KEY = '#object'; // pending key for an add / remove
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// hooks:
+//   isMuted()         — true while the editor is loading a page
+//   onReset(doc, rev) — replace the canvas with the room's copy (async)
+//   onSaved(revision) — the room wrote the page; saves now build on revision
+//   onStatus(status)  — 'connecting' | 'live' | 'offline' | 'closed'
+//   onPeers(peers)    — the other people on the page: [{ id, username, color, ... }]
+//   attachAudio(obj)  — a peer placed an audio player
+//   detachAudio(obj)  — a peer removed one
+export function createCanvasCollab(canvas, pageId, hooks = {}) {
+  let ws = null;
+  let live = false;
+  let disposed = false;
+  let attempt = 0;
+  let retryTimer = null;
+  let syncTimer = null;
+  let applying = false;
+
+  // What the room has from us: objectId → JSON, plus the stacking order
+  const shadow = new Map();
+  let shadowOrder = [];
+
+  // Unacknowledged ops: opId → [[objectId, key]], counted per object and key
+  const inflight = new Map();
+  const pending = new Map();
+  let nextOpId = 1;
+
+  // Remote messages are applied one at a time; adds load images asynchronously
+  let queue = Promise.resolve();
+  let queued = 0;
+
+  const peers = new Map();
+  let lastCursorAt = 0;
+
+  const setStatus = (status) => hooks.onStatus?.(status);
+  const notifyPeers = () => hooks.onPeers?.([...peers.values()]);
+
+  const send = (message) => {
+    if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const pageObjects = () => canvas.getObjects().filter(o => !o._isPageBg);
+  const objectsById = () => new Map(pageObjects().map(o => [o.objectId, o]));
+  const pageOffset = () => (canvas.getObjects()[0]?._isPageBg ? 1 : 0);
+
+  // ── Pending bookkeeping ───────────────────────────────────────────────────
+  const isPending = (id, key) => {
+    const keys = pending.get(id);
+    return !!keys && (keys.has(key) || keys.has(WHOLE_KEY));
+  };
+
+  const sendOp = (op, id, keys) => {
+    const opId = nextOpId++;
+    const entries = keys.map(key => [id, key]);
+    entries.forEach(([objectId, key]) => {
+      if (!pending.has(objectId)) pending.set(objectId, new Map());
+      const counts = pending.get(objectId);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    inflight.set(opId, entries);
+    send({ type: 'op', opId, op });
+  };
+
+  const settle = (opId) => {
+    (inflight.get(opId) || []).forEach(([id, key]) => {
+      const counts = pending.get(id);
+      if (!counts) return;
+      if (counts.get(key) > 1) counts.set(key, counts.get(key) - 1);
+      else counts.delete(key);
+      if (counts.size === 0) pending.delete(id);
+    });
+    inflight.delete(opId);
+  };
+
+  // ── Local changes → ops ───────────────────────────────────────────────────
+  const resetShadow = () => {
+    shadow.clear();
+    pageObjects().forEach(obj => shadow.set(ensureObjectId(obj), serializeObject(obj)));
+    shadowOrder = [...shadow.keys()];
+  };
+
+  const flush = () => {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+    if (!live || hooks.isMuted?.()) return;
+    if (applying || queued > 0) {
+      sync();
+      return;
+    }
+
+    const objects = pageObjects();
+    const seen = new Set();
+    objects.forEach((obj, index) => {
+      const id = ensureObjectId(obj);
+      seen.add(id);
+      const json = serializeObject(obj);
+      const before = shadow.get(id);
+      if (!before) {
+        sendOp({ kind: 'add', id, object: json, index }, id, [WHOLE_KEY]);
+        shadow.set(id, json);
+        return;
+      }
+      const props = {};
+      Object.keys(json).forEach((key) => {
+        if (!sameValue(json[key], before[key])) props[key] = json[key];
+      });
+      const keys = Object.keys(props);
+      if (keys.length === 0) return;
+      sendOp({ kind: 'modify', id, props }, id, keys);
+      shadow.set(id, { ...before, ...props });
+    });
+
+    [...shadow.keys()].forEach((id) => {
+      if (seen.has(id)) return;
+      sendOp({ kind: 'remove', id }, id, [WHOLE_KEY]);
+      shadow.delete(id);
+    });
+
+    // Adds and removes carry their own position; only a real reshuffle of the
+    // objects both sides know about is sent as an order op
+    const order = objects.map(o => o.objectId);
+    const known = new Set(shadowOrder);
+    if (!sameValue(order.filter(id => known.has(id)), shadowOrder.filter(id => seen.has(id)))) {
+      sendOp({ kind: 'order', ids: order }, ORDER_KEY, [ORDER_KEY]);
+    }
+    shadowOrder = order;
+  };
+
+  const sync = () => {
+    if (!live || syncTimer) return;
+    syncTimer = setTimeout(flush, SYNC_DELAY);
+  };
+
+  // ── Remote ops → canvas ───────────────────────────────────────────────────
+  const mute = (fn) => {
+    applying = true;
+    try {
+      return fn();
+    } finally {
+      applying = false;
+    }
+  };
+
+  const applyOrder = (ids) => {
+    const objects = objectsById();
+    const offset = pageOffset();
+    let index = 0;
+    ids.forEach((id) => {
+      const obj = objects.get(id);
+      if (obj) canvas.moveObjectTo(obj, offset + index++);
+    });
+  };
+
+  const applyProps = async (obj, props) => {
+    const { src, styles, ...rest } = props;
+    // Coordinates inside a multi-selection are relative to it; let it go first
+    if (obj.group?.type === 'activeselection') canvas.discardActiveObject();
+    if (src !== undefined && obj.setSrc) await obj.setSrc(src, { crossOrigin: 'anonymous' });
+    mute(() => {
+      obj.set(rest);
+      if (styles !== undefined) obj.styles = JSON.parse(JSON.stringify(styles));
+      if (obj.type === 'textbox') {
+        if (obj._clearCache) obj._clearCache();
+        obj.dirty = true;
+        obj.initDimensions();
+      }
+      obj.setCoords();
+    });
+  };
+
+  const applyRemote = async ({ kind, id, ...op }) => {
+    const objects = objectsById();
+    if (kind === 'add') {
+      if (objects.has(id) || shadow.has(id)) return;
+      const [obj] = await fabric.util.enlivenObjects([op.object]);
+      if (disposed) return;
+      restoreObjectProps(obj, op.object);
+      const index = Math.min(op.index, pageObjects().length);
+      mute(() => canvas.insertAt(pageOffset() + index, obj));
+      if (obj._isAudio) hooks.attachAudio?.(obj);
+      shadow.set(id, op.object);
+      shadowOrder.splice(Math.min(op.index, shadowOrder.length), 0, id);
+    } else if (kind === 'modify') {
+      const obj = objects.get(id);
+      if (!obj) return;
+      // Our own unacknowledged edits to these props are sequenced after this one
+      const props = Object.fromEntries(Object.entries(op.props).filter(([key]) => !isPending(id, key)));
+      if (Object.keys(props).length === 0) return;
+      await applyProps(obj, props);
+      shadow.set(id, { ...shadow.get(id), ...props });
+    } else if (kind === 'remove') {
+      const obj = objects.get(id);
+      shadow.delete(id);
+      shadowOrder = shadowOrder.filter(other => other !== id);
+      if (!obj) return;
+      if (obj.isEditing) obj.exitEditing();
+      if (canvas.getActiveObjects().includes(obj)) canvas.discardActiveObject();
+      if (obj._isAudio) hooks.detachAudio?.(obj);
+      mute(() => canvas.remove(obj));
+    } else if (kind === 'order') {
+      if (isPending(ORDER_KEY, ORDER_KEY)) return;
+      mute(() => applyOrder(op.ids));
+      shadowOrder = op.ids.filter(other => shadow.has(other));
+    }
+    canvas.requestRenderAll();
+  };
+
+  const reset = async (doc, revision) => {
+    inflight.clear();
+    pending.clear();
+    await hooks.onReset?.(doc, revision);
+    if (disposed) return;
+    resetShadow();
+  };
+
+  const handleMessage = async (msg) => {
+    switch (msg.type) {
+      case 'welcome':
+        attempt = 0;
+        peers.clear();
+        msg.peers.forEach(p => peers.set(p.id, p));
+        notifyPeers();
+        await reset(msg.doc, msg.revision);
+        if (disposed) return;
+        live = true;
+        setStatus('live');
+        break;
+      case 'reset':
+        await reset(msg.doc, msg.revision);
+        break;
+      case 'saved':
+        hooks.onSaved?.(msg.revision);
+        break;
+      case 'op':
+        await applyRemote(msg.op);
+        break;
+      case 'ack':
+        settle(msg.opId);
+        // The room completes order ops with objects we hadn't seen yet
+        if (msg.op?.kind === 'order' && !isPending(ORDER_KEY, ORDER_KEY)) {
+          mute(() => applyOrder(msg.op.ids));
+          shadowOrder = msg.op.ids.filter(id => shadow.has(id));
+          canvas.requestRenderAll();
+        }
+        // An add racing a peer's add lands where the room put it
+        if (msg.op?.kind === 'add' && !isPending(ORDER_KEY, ORDER_KEY)) {
+          const obj = objectsById().get(msg.op.id);
+          if (obj) {
+            mute(() => canvas.moveObjectTo(obj, pageOffset() + Math.min(msg.op.index, pageObjects().length - 1)));
+            shadowOrder = pageObjects().map(o => o.objectId).filter(id => shadow.has(id));
+            canvas.requestRenderAll();
+          }
+        }
+        break;
+      case 'reject':
+        settle(msg.opId);
+        console.warn(`Collaboration op rejected (${msg.reason})`);
+        break;
+      case 'peer-joined':
+        peers.set(msg.peer.id, msg.peer);
+        notifyPeers();
+        break;
+      case 'peer-left':
+        peers.delete(msg.peerId);
+        notifyPeers();
+        canvas.requestRenderAll();
+        break;
+      case 'cursor':
+      case 'selection': {
+        const peer = peers.get(msg.peerId);
+        if (!peer) return;
+        if (msg.type === 'cursor') peer.cursor = msg.cursor;
+        else peer.selection = msg.ids;
+        canvas.requestRenderAll();
+        break;
+      }
+    }
+  };
+
+  const enqueue = (msg) => {
+    queued++;
+    queue = queue
+      .then(() => (disposed ? null : handleMessage(msg)))
+      .catch(err => console.error('Collaboration update failed:', err))
+      .finally(() => { queued--; });
+  };
+
+  // ── Connection ────────────────────────────────────────────────────────────
+  const connect = () => {
+    retryTimer = null;
+    setStatus('connecting');
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    const socket = new WebSocket(`${protocol}://${window.location.host}/api/collab?page=${pageId}`);
+    ws = socket;
+    socket.onmessage = (e) => {
+      try {
+        enqueue(JSON.parse(e.data));
+      } catch {
+        // not ours
+      }
+    };
+    socket.onclose = (e) => {
+      if (ws !== socket) return;
+      ws = null;
+      live = false;
+      inflight.clear();
+      pending.clear();
+      peers.clear();
+      notifyPeers();
+      canvas.requestRenderAll();
+      // 4403: no longer a collaborator, 4404: page deleted
+      if (disposed || e.code === 4403 || e.code === 4404) {
+        setStatus('closed');
+        return;
+      }
+      setStatus('offline');
+      retryTimer = setTimeout(connect, RECONNECT_DELAYS[Math.min(attempt++, RECONNECT_DELAYS.length - 1)]);
+    };
+  };
+
+  // ── Presence ──────────────────────────────────────────────────────────────
+  const onMouseMove = (opt) => {
+    const now = Date.now();
+    if (!live || now - lastCursorAt < CURSOR_INTERVAL) return;
+    lastCursorAt = now;
+    const { x, y } = opt.scenePoint ?? canvas.getScenePoint(opt.e);
+    send({ type: 'cursor', cursor: { x: Math.round(x), y: Math.round(y) } });
+  };
+
+  const onMouseLeave = () => send({ type: 'cursor', cursor: null });
+
+  const onSelection = () => {
+    send({ type: 'selection', ids: canvas.getActiveObjects().map(o => o.objectId).filter(Boolean) });
+  };
+
+  // Peers' selections and cursors are painted over the page after each render
+  const drawPeers = ({ ctx }) => {
+    if (peers.size === 0) return;
+    const objects = objectsById();
+    ctx.save();
+    ctx.font = 'bold 11px sans-serif';
+    peers.forEach((peer) => {
+      ctx.strokeStyle = peer.color;
+      ctx.fillStyle = peer.color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      peer.selection?.forEach((id) => {
+        const obj = objects.get(id);
+        if (!obj) return;
+        const r = obj.getBoundingRect();
+        ctx.strokeRect(r.left - 4, r.top - 4, r.width + 8, r.height + 8);
+      });
+      ctx.setLineDash([]);
+      if (peer.cursor) {
+        const { x, y } = peer.cursor;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, y + 16);
+        ctx.lineTo(x + 4.5, y + 12);
+        ctx.lineTo(x + 11, y + 12);
+        ctx.closePath();
+        ctx.fill();
+        const label = `@${peer.username}`;
+        const w = ctx.measureText(label).width + 10;
+        ctx.fillRect(x + 10, y + 16, w, 17);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(label, x + 15, y + 28);
+      }
+    });
+    ctx.restore();
+  };
+
+  canvas.on('mouse:move', onMouseMove);
+  canvas.on('selection:created', onSelection);
+  canvas.on('selection:updated', onSelection);
+  canvas.on('selection:cleared', onSelection);
+  canvas.on('after:render', drawPeers);
+  canvas.upperCanvasEl?.addEventListener('mouseleave', onMouseLeave);
+  connect();
+
+  // Sends what's left, then leaves the room
+  const dispose = () => {
+    flush();
+    disposed = true;
+    live = false;
+    clearTimeout(syncTimer);
+    clearTimeout(retryTimer);
+    canvas.off('mouse:move', onMouseMove);
+    canvas.off('selection:created', onSelection);
+    canvas.off('selection:updated', onSelection);
+    canvas.off('selection:cleared', onSelection);
+    canvas.off('after:render', drawPeers);
+    canvas.upperCanvasEl?.removeEventListener('mouseleave', onMouseLeave);
+    ws?.close(1000);
+    ws = null;
+    peers.clear();
+  };
+
+  return {
+    sync,
+    flush,
+    dispose,
+    isLive: () => live,
+    isApplying: () => applying,
+  };
+}
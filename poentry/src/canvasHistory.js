@@ -0,0 +1,208 @@
+import * as fabric from 'fabric';
+
+// ── Undo / redo for the editor canvas ─────────────────────────────────────────
+// Every edit is recorded as a command with undo() and redo(). Commands hold the
+// live Fabric objects, so a history is only valid for the page it was recorded
+// on; the editor clears it whenever a page is (re)loaded.
+const HISTORY_LIMIT = 100;
+
+// Properties a text command restores besides the text and per-char styles
+const TEXT_PROPS = [
+  'fontFamily', 'fontSize', 'fontWeight', 'fontStyle',
+  'underline', 'linethrough', 'textAlign', 'width', '_lockedWidth',
+];
+
+// Objects affected by transforming `obj` (an ActiveSelection moves its children)
+function transformTargets(obj) {
+  return obj?.type === 'activeselection' ? obj.getObjects() : [obj];
+}
+
+// Absolute transform of an object, valid even while it sits in an ActiveSelection
+function snapshotTransform(obj) {
+  return { matrix: obj.calcTransformMatrix(), width: obj.width, lockedWidth: obj._lockedWidth };
+}
+
+function applyTransform(obj, snap) {
+  // Textbox resizes bake into width, so restore that before repositioning
+  if (obj.type === 'textbox') {
+    obj.set({ width: snap.width });
+    obj._lockedWidth = snap.lockedWidth;
+    obj.initDimensions();
+  }
+  fabric.util.applyTransformToObject(obj, snap.matrix);
+  obj.setCoords();
+}
+
+export function snapshotText(tb) {
+  const snap = { text: tb.text, styles: JSON.parse(JSON.stringify(tb.styles || {})) };
+  TEXT_PROPS.forEach((p) => { snap[p] = tb[p]; });
+  return snap;
+}
+
+function applyText(tb, snap) {
+  const { text, styles, ...props } = snap;
+  tb.set({ ...props, text });
+  tb.styles = JSON.parse(JSON.stringify(styles));
+  if (tb._clearCache) tb._clearCache();
+  tb.dirty = true;
+  tb.initDimensions();
+  tb.setCoords();
+}
+
+const sameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// hooks:
+//   isMuted()              — true while the editor is loading a page
+//   detachAudio(obj) → url — drop an audio object's HTML overlay
+//   attachAudio(obj, url)  — bring it back
+//   onReplay()             — an undo/redo changed the canvas (save it)
+//   onChange({ canUndo, canRedo })
+export function createCanvasHistory(canvas, hooks = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  let replaying = false;
+  let pendingTransform = null;
+  let editSession = null;
+
+  const muted = () => replaying || !!hooks.isMuted?.();
+  const notify = () => hooks.onChange?.({ canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 });
+
+  const push = (command) => {
+    undoStack.push(command);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+    notify();
+  };
+
+  const replay = (fn) => {
+    replaying = true;
+    try {
+      fn();
+    } finally {
+      replaying = false;
+    }
+    canvas.requestRenderAll();
+  };
+
+  // ── Adding / removing objects ─────────────────────────────────────────────
+  // Entries remember each object's stack index so it comes back at the same depth
+  const insertEntries = (entries) => {
+    [...entries].sort((a, b) => a.index - b.index).forEach((entry) => {
+      canvas.insertAt(entry.index, entry.obj);
+      if (entry.obj._isAudio) hooks.attachAudio?.(entry.obj, entry.audioUrl);
+    });
+  };
+
+  const removeEntries = (entries) => {
+    entries.forEach((entry) => {
+      if (entry.obj._isAudio) entry.audioUrl = hooks.detachAudio?.(entry.obj);
+      canvas.remove(entry.obj);
+    });
+  };
+
+  const onAdded = ({ target }) => {
+    if (muted() || !target || target._isPageBg) return;
+    const entries = [{ obj: target, index: canvas.getObjects().indexOf(target) }];
+    push({ undo: () => removeEntries(entries), redo: () => insertEntries(entries) });
+  };
+
+  // Removes objects as one undoable step (Delete / Backspace)
+  const remove = (objects) => {
+    const targets = objects.filter(o => !o._isPageBg);
+    if (!targets.length) return;
+    // Leave the selection first so objects keep their absolute coordinates
+    canvas.discardActiveObject();
+    const entries = targets.map(obj => ({ obj, index: canvas.getObjects().indexOf(obj) }));
+    replay(() => removeEntries(entries));
+    push({ undo: () => insertEntries(entries), redo: () => removeEntries(entries) });
+  };
+
+  // ── Moving / scaling / rotating ───────────────────────────────────────────
+  const captureTransform = (obj) => {
+    const targets = transformTargets(obj);
+    return { source: obj, targets, before: targets.map(snapshotTransform) };
+  };
+
+  const commitTransform = ({ targets, before }) => {
+    const after = targets.map(snapshotTransform);
+    if (sameSnapshot(before, after)) return;
+    const restore = snaps => () => targets.forEach((o, i) => applyTransform(o, snaps[i]));
+    push({ undo: restore(before), redo: restore(after) });
+  };
+
+  const onBeforeTransform = ({ transform }) => {
+    if (muted() || !transform?.target) return;
+    pendingTransform = captureTransform(transform.target);
+  };
+
+  // Only mouse-driven transforms carry `transform`; keyboard nudges and text
+  // edits record themselves
+  const onModified = ({ target, transform }) => {
+    if (!transform || pendingTransform?.source !== target) return;
+    commitTransform(pendingTransform);
+    pendingTransform = null;
+  };
+
+  const onMouseUp = () => { pendingTransform = null; };
+
+  // ── Stacking order ────────────────────────────────────────────────────────
+  const reorder = (obj, change) => {
+    const from = canvas.getObjects().indexOf(obj);
+    change();
+    const to = canvas.getObjects().indexOf(obj);
+    if (from === to) return;
+    push({ undo: () => canvas.moveObjectTo(obj, from), redo: () => canvas.moveObjectTo(obj, to) });
+  };
+
+  // ── Text ──────────────────────────────────────────────────────────────────
+  // A whole editing session (typing plus any per-character styling) is one step
+  const recordText = (tb, before) => {
+    const after = snapshotText(tb);
+    if (sameSnapshot(before, after)) return;
+    push({ undo: () => applyText(tb, before), redo: () => applyText(tb, after) });
+  };
+
+  const onEditingEntered = ({ target }) => {
+    if (muted()) return;
+    editSession = { target, before: snapshotText(target) };
+  };
+
+  const onEditingExited = ({ target }) => {
+    if (editSession?.target === target) recordText(target, editSession.before);
+    editSession = null;
+  };
+
+  // ── Undo / redo ───────────────────────────────────────────────────────────
+  const step = (from, to, run) => {
+    // Finish an in-progress text edit so it lands on the stack first
+    const active = canvas.getActiveObject();
+    if (active?.isEditing) active.exitEditing();
+    const command = from.pop();
+    if (!command) return;
+    canvas.discardActiveObject();
+    replay(() => run(command));
+    to.push(command);
+    notify();
+    hooks.onReplay?.();
+  };
+
+  const undo = () => step(undoStack, redoStack, c => c.undo());
+  const redo = () => step(redoStack, undoStack, c => c.redo());
+
+  const clear = () => {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    pendingTransform = null;
+    editSession = null;
+    notify();
+  };
+
+  canvas.on('object:added', onAdded);
+  canvas.on('before:transform', onBeforeTransform);
+  canvas.on('object:modified', onModified);
+  canvas.on('mouse:up', onMouseUp);
+  canvas.on('text:editing:entered', onEditingEntered);
+  canvas.on('text:editing:exited', onEditingExited);
+
+  return { undo, redo, clear, remove, reorder, captureTransform, commitTransform, recordText };
+}
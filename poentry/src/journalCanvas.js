@@ -0,0 +1,226 @@
+import * as fabric from 'fabric';
+
+// ── Page & Grid Configuration ──────────────────────────────────────────────────
+// Shared by the editor (DigitalJournal) and the read-only viewer (JournalViewer)
+// so a published page renders exactly the way its author laid it out.
+export const PAGE_W = 8.5 * 180;
+export const PAGE_H = 11 * 180;
+export const PAGE_MARGIN = 40; // px margin around page
+export const GRID_SIZE = 30;
+export const DOT_SIZE = 1.5;
+export const CANVAS_W = PAGE_W - PAGE_MARGIN * 14;
+export const CANVAS_H = PAGE_H + PAGE_MARGIN * 2;
+export const CANVAS_BG = '#e8e8e8';
+// A sticky note left on a published page, in page px (mirrors server.js, which
+// keeps the whole note on the page)
+export const NOTE_W = 180;
+export const NOTE_H = 100;
+
+// ── Page background rect (non-interactive, always at back) ────────────────────
+export function createPageRect() {
+  // Create a dot-pattern tile for the page fill
+  const dotTile = document.createElement('canvas');
+  dotTile.width = GRID_SIZE;
+  dotTile.height = GRID_SIZE;
+  const dCtx = dotTile.getContext('2d');
+  dCtx.fillStyle = '#fffff5';
+  dCtx.fillRect(0, 0, GRID_SIZE, GRID_SIZE);
+  dCtx.fillStyle = '#cccccc';
+  dCtx.beginPath();
+  dCtx.arc(GRID_SIZE / 2, GRID_SIZE / 2, DOT_SIZE, 0, Math.PI * 2);
+  dCtx.fill();
+
+  return new fabric.Rect({
+    left: PAGE_MARGIN,
+    top: PAGE_MARGIN,
+    width: PAGE_W,
+    height: PAGE_H,
+    fill: new fabric.Pattern({ source: dotTile, repeat: 'repeat' }),
+    selectable: false,
+    evented: false,
+    hasControls: false,
+    hoverCursor: 'default',
+    shadow: new fabric.Shadow({ color: 'rgba(0,0,0,0.15)', blur: 12, offsetX: 2, offsetY: 4 }),
+    _isPageBg: true,
+  });
+}
+
+// ── initDimensions override helper — applied to every textbox ─────────────────
+// Applied both to newly created textboxes AND to textboxes loaded from saved
+// JSON, so wrapping stays locked to the width the author dragged out.
+export function applyTextboxOverrides(tb) {
+  tb._lockedWidth = tb._lockedWidth || tb.width;
+  const _origInit = tb.initDimensions.bind(tb);
+  tb.initDimensions = function () {
+    const savedTop = this.top;
+    if (this.isEditing && this._lockedWidth !== undefined) {
+      this.width = this._lockedWidth;
+      _origInit();
+      this.width = this._lockedWidth;
+    } else {
+      _origInit();
+      this._lockedWidth = this.width;
+    }
+    this.top = savedTop;
+  };
+}
+
+// ── Saved JSON → loadable JSON ────────────────────────────────────────────────
+// Drops stored page rects (we always draw a fresh one) and migrates element
+// coordinates saved against an older page origin.
+export function normalizeCanvasJSON(canvasJSON) {
+  const parsed = typeof canvasJSON === 'string' ? JSON.parse(canvasJSON) : canvasJSON;
+  if (!parsed?.objects) return parsed;
+
+  let oldPageLeft = null;
+  let oldPageTop = null;
+  parsed.objects = parsed.objects.filter((o) => {
+    const isPageRect = o._isPageBg || (
+      o.type && o.type.toLowerCase() === 'rect' &&
+      !o._isAudio &&
+      !o.selectable && !o.evented
+    );
+    if (isPageRect) {
+      if (oldPageLeft === null) {
+        oldPageLeft = o.left;
+        oldPageTop = o.top;
+      }
+      return false;
+    }
+    return true;
+  });
+
+  if (oldPageLeft !== null && oldPageLeft !== PAGE_MARGIN) {
+    const dx = PAGE_MARGIN - oldPageLeft;
+    const dy = PAGE_MARGIN - (oldPageTop ?? PAGE_MARGIN);
+    parsed.objects.forEach((o) => {
+      if (o.left !== undefined) o.left += dx;
+      if (o.top !== undefined) o.top += dy;
+    });
+  }
+
+  return parsed;
+}
+
+// ── Canvas → saveable JSON ────────────────────────────────────────────────────
+// Fabric v7 doesn't reliably pass custom properties down through canvas.toJSON(),
+// so we serialize each object and attach the necessary metadata ourselves. The
+// page background rect is left out; it is always recreated on load.
+const LAYOUT_PROPS = ['left', 'top', 'angle', 'scaleX', 'scaleY', 'skewX', 'skewY', 'flipX', 'flipY'];
+
+export function serializeObject(obj) {
+  // Objects in a multi-selection hold coordinates relative to it; save them as
+  // they'll be once the selection is dropped
+  const inSelection = obj.group?.type === 'activeselection';
+  const layout = inSelection ? Object.fromEntries(LAYOUT_PROPS.map(p => [p, obj[p]])) : null;
+  if (inSelection) fabric.util.addTransformToObject(obj, obj.group.calcOwnMatrix());
+  const o = obj.toJSON ? obj.toJSON() : obj.toObject();
+  if (inSelection) obj.set(layout);
+
+  if (obj._isPageBg) o._isPageBg = true;
+  if (obj._isAudio) {
+    o._isAudio = true;
+    o.audioId = obj.audioId;
+    o._overlayId = obj._overlayId;
+  }
+  if (obj.objectId !== undefined) o.objectId = obj.objectId;
+  if (obj.imageId !== undefined) o.imageId = obj.imageId;
+  if (obj.splitByGrapheme !== undefined) o.splitByGrapheme = obj.splitByGrapheme;
+  if (obj._lockedWidth !== undefined) o._lockedWidth = obj._lockedWidth;
+
+  return o;
+}
+
+export function serializeCanvas(canvas) {
+  const json = canvas.toJSON();
+  json.objects = canvas.getObjects().filter(obj => !obj._isPageBg).map(serializeObject);
+  return json;
+}
+
+// Stable identity for live collaboration, which addresses objects by id
+export function ensureObjectId(obj) {
+  if (!obj.objectId && !obj._isPageBg) obj.objectId = crypto.randomUUID();
+  return obj.objectId;
+}
+
+// Three-way merge by objectId for a save that raced another tab. Each object
+// comes from whichever side changed it since `base` (ours if both did); one
+// side deleting it wins unless the other side edited it. Objects keep their
+// order from `theirs`, with the ones only we have stacked on top.
+export function mergeCanvasJSON(base, mine, theirs) {
+  const byId = (doc) => new Map((doc?.objects ?? []).map(o => [o.objectId, o]));
+  const baseById = byId(base);
+  const mineById = byId(mine);
+  const theirsById = byId(theirs);
+  const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+  const pick = (id) => {
+    const ours = mineById.get(id);
+    const before = baseById.get(id);
+    if (!changed(ours, before)) return theirsById.get(id);
+    if (ours) return ours;
+    return changed(theirsById.get(id), before) ? theirsById.get(id) : undefined;
+  };
+
+  const ids = [...theirsById.keys(), ...[...mineById.keys()].filter(id => !theirsById.has(id))];
+  return { ...mine, objects: ids.map(pick).filter(Boolean) };
+}
+
+// Published entries hold either a single canvas or a whole journal as
+// { pages: [canvas, ...] }; this always returns the list of page canvases.
+export function entryPages(canvasJSON) {
+  const parsed = typeof canvasJSON === 'string' ? JSON.parse(canvasJSON) : canvasJSON;
+  if (!parsed) return [];
+  return Array.isArray(parsed.pages) ? parsed.pages : [parsed];
+}
+
+// ── Library images ────────────────────────────────────────────────────────────
+// Image objects carry the `imageId` of their image-library entry; the `src`
+// saved beside it is only a fallback for images since deleted from the library.
+// Call before loadFromJSON with the owner's library ({ id: url }).
+export function applyLibraryImages(parsed, urlsById) {
+  parsed?.objects?.forEach((o) => {
+    if (o.imageId !== undefined && urlsById[o.imageId]) o.src = urlsById[o.imageId];
+  });
+  return parsed;
+}
+
+// ── Restore custom props after loadFromJSON ───────────────────────────────────
+// Fabric v7 drops our custom properties on load, so re-attach them from the
+// source JSON (objects are loaded in order). Returns the audio placeholders.
+export function restoreObjectProps(obj, sourceData) {
+  if (sourceData && sourceData._isAudio) {
+    obj._isAudio = true;
+    obj.audioId = sourceData.audioId;
+    obj._overlayId = sourceData._overlayId;
+  }
+  if (sourceData && sourceData.objectId !== undefined) obj.objectId = sourceData.objectId;
+  if (sourceData && sourceData.imageId !== undefined) obj.imageId = sourceData.imageId;
+  if (obj.type === 'textbox') applyTextboxOverrides(obj);
+}
+
+export function restoreCustomProps(canvas, parsed) {
+  const loadedAudios = [];
+  canvas.getObjects().forEach((obj, i) => {
+    restoreObjectProps(obj, parsed.objects[i]);
+    if (obj._isAudio && obj.audioId) loadedAudios.push(obj);
+  });
+  return loadedAudios;
+}
+
+// ── Audio overlays ────────────────────────────────────────────────────────────
+// Sync HTML audio overlays to exactly match Fabric object boundaries
+export function syncAudioOverlays(canvas) {
+  canvas.getObjects().forEach(o => {
+    if (o._isAudio) {
+      const el = document.getElementById(`audio-container-${o._overlayId}`);
+      if (el) {
+        const rect = o.getBoundingRect();
+        el.style.left = `${rect.left}px`;
+        el.style.top = `${rect.top}px`;
+        el.style.width = `${rect.width}px`;
+        el.style.height = `${rect.height}px`;
+      }
+    }
+  });
+}
@@ -0,0 +1,71 @@
+// ── Offline drafts ────────────────────────────────────────────────────────────
+// The editor writes the working copy of a page to IndexedDB on every change,
+// so nothing is lost when the network drops or the tab closes. A draft lives
+// until the server has a save of it; pages with a draft are what the editor
+// replays on reconnect. Each draft carries the version it was edited from
+// ({ revision, json }) so the replay can detect that the page moved on.
+//
+//   { pageId, userId, canvasJSON, base: { revision, json }, savedAt }
+const DB_NAME = 'poentry-offline';
+const DB_VERSION = 1;
+const DRAFTS = 'drafts';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(DRAFTS, { keyPath: 'pageId' });
+        store.createIndex('userId', 'userId');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // A browser without storage (private mode) just has no drafts
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Runs fn(store) in one transaction; resolves with the request's result
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DRAFTS, mode);
+    const req = fn(tx.objectStore(DRAFTS));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function putDraft(draft) {
+  return withStore('readwrite', store => store.put(draft));
+}
+
+export function getDraft(pageId) {
+  return withStore('readonly', store => store.get(pageId));
+}
+
+export function listDrafts(userId) {
+  return withStore('readonly', store => store.index('userId').getAll(userId));
+}
+
+// Drops a page's draft once it's saved — unless it was rewritten after the
+// copy that was saved (savedAt tells them apart)
+export function deleteDraft(pageId, savedAt) {
+  return withStore('readwrite', (store) => {
+    const req = store.get(pageId);
+    req.onsuccess = () => {
+      if (req.result && (savedAt === undefined || req.result.savedAt === savedAt)) store.delete(pageId);
+    };
+    return req;
+  });
+}
+
+// Signing out leaves nothing of the account on this device
+export function clearDrafts() {
+  return withStore('readwrite', store => store.clear());
+}
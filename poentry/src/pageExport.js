@@ -0,0 +1,222 @@
+import * as fabric from 'fabric';
+import {
+  PAGE_W, PAGE_H, PAGE_MARGIN,
+  createPageRect, normalizeCanvasJSON, restoreCustomProps,
+} from './journalCanvas';
+
+// ── Page export ───────────────────────────────────────────────────────────────
+// Renders saved page canvases off screen, cropped to the page itself, and turns
+// them into downloads: PNG at a chosen scale, vector SVG, or a PDF with one
+// Letter/A4 sheet per page. Audio players are HTML overlays in the app, so
+// exports draw a labeled placeholder where each one sits.
+export const EXPORT_FORMATS = [
+  { value: 'png', label: 'PNG image' },
+  { value: 'svg', label: 'SVG (vector)' },
+  { value: 'pdf', label: 'PDF (print)' },
+];
+export const PNG_SCALES = [1, 2, 3];
+export const PAPER_SIZES = {
+  letter: { label: 'Letter', width: 8.5, height: 11 }, // inches
+  a4: { label: 'A4', width: 8.27, height: 11.69 },
+};
+const PDF_DPI = 300;
+const PDF_MARGIN = 0.25; // inches of paper left around the page
+const JPEG_QUALITY = 0.92;
+
+// Stands in for an audio player: a card with a note and, for published
+// entries, where to listen
+function audioPlaceholder(obj, link) {
+  const width = obj.width * obj.scaleX;
+  const height = obj.height * obj.scaleY;
+  const card = new fabric.Rect({
+    width, height, rx: 8, ry: 8,
+    fill: '#f4f1ea', stroke: '#d6d0c4', strokeWidth: 1,
+    originX: 'center', originY: 'center',
+  });
+  const label = new fabric.Textbox(link ? `♪ Audio clip — listen at ${link}` : '♪ Audio clip', {
+    width: width - 24,
+    fontSize: Math.min(16, height * 0.3),
+    fontFamily: 'DM Sans',
+    fill: '#555',
+    textAlign: 'center',
+    originX: 'center', originY: 'center',
+  });
+  return new fabric.Group([card, label], {
+    left: obj.left, top: obj.top, angle: obj.angle,
+    originX: obj.originX, originY: obj.originY,
+  });
+}
+
+// Loads one page into a StaticCanvas that shows just the page: the page
+// background is drawn fresh (dot pattern, no drop shadow) and audio is swapped
+// for placeholders. Dispose of it when done.
+async function renderPage(canvasJSON, { audioLink } = {}) {
+  const canvas = new fabric.StaticCanvas(document.createElement('canvas'), {
+    width: PAGE_W,
+    height: PAGE_H,
+    enableRetinaScaling: false,
+    renderOnAddRemove: false,
+  });
+  canvas.setViewportTransform([1, 0, 0, 1, -PAGE_MARGIN, -PAGE_MARGIN]);
+
+  const parsed = normalizeCanvasJSON(structuredClone(canvasJSON?.objects ? canvasJSON : { objects: [] }));
+  await canvas.loadFromJSON(parsed);
+  restoreCustomProps(canvas, parsed);
+
+  canvas.getObjects().forEach((obj, i) => {
+    if (!obj._isAudio) return;
+    canvas.remove(obj);
+    canvas.insertAt(i, audioPlaceholder(obj, audioLink));
+  });
+
+  const page = createPageRect();
+  page.set({ shadow: null });
+  canvas.insertAt(0, page);
+  canvas.set('backgroundColor', '#ffffff');
+  canvas.renderAll();
+  return canvas;
+}
+
+const canvasToBlob = (el, type, quality) => new Promise((resolve, reject) => {
+  el.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the page'))), type, quality);
+});
+
+export async function exportPNG(canvasJSON, { scale = 1, audioLink } = {}) {
+  const canvas = await renderPage(canvasJSON, { audioLink });
+  try {
+    return await canvasToBlob(canvas.toCanvasElement(scale), 'image/png');
+  } finally {
+    canvas.dispose();
+  }
+}
+
+// The page at 1× as a PNG data URL (a published entry's thumbnail)
+export async function pageDataURL(canvasJSON) {
+  const canvas = await renderPage(canvasJSON);
+  try {
+    return canvas.toDataURL({ format: 'png' });
+  } finally {
+    canvas.dispose();
+  }
+}
+
+// Image sources point at the app's media store, which needs a session; inline
+// them so the file opens anywhere
+async function inlineImages(canvas, svg) {
+  const srcs = [...new Set(canvas.getObjects().filter(o => o.type === 'image').map(o => o.getSrc()))];
+  for (const src of srcs) {
+    if (!src || src.startsWith('data:')) continue;
+    try {
+      const blob = await fetch(src, { credentials: 'include' }).then(r => (r.ok ? r.blob() : Promise.reject()));
+      const dataUrl = await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsDataURL(blob);
+      });
+      svg = svg.split(`"${src}"`).join(`"${dataUrl}"`);
+    } catch {
+      // Leave the link; the image shows wherever the viewer is signed in
+    }
+  }
+  return svg;
+}
+
+export async function exportSVG(canvasJSON, { audioLink } = {}) {
+  const canvas = await renderPage(canvasJSON, { audioLink });
+  try {
+    const svg = await inlineImages(canvas, canvas.toSVG());
+    return new Blob([svg], { type: 'image/svg+xml' });
+  } finally {
+    canvas.dispose();
+  }
+}
+
+// ── PDF ───────────────────────────────────────────────────────────────────────
+// A minimal PDF 1.4 writer: each sheet holds one JPEG of the page, centered
+// inside the margins at PDF_DPI.
+function buildPdf(sheets, paper) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, ...parts) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    parts.forEach(write);
+    write('\nendobj\n');
+  };
+
+  const pageW = paper.width * 72; // points
+  const pageH = paper.height * 72;
+  const kids = sheets.map((_, i) => `${3 + i * 3} 0 R`).join(' ');
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${kids}] /Count ${sheets.length} >>`);
+  sheets.forEach((sheet, i) => {
+    const [pageId, contentId, imageId] = [3 + i * 3, 4 + i * 3, 5 + i * 3];
+    const fit = Math.min((pageW - PDF_MARGIN * 144) / PAGE_W, (pageH - PDF_MARGIN * 144) / PAGE_H);
+    const w = PAGE_W * fit;
+    const h = PAGE_H * fit;
+    const draw = `q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${((pageW - w) / 2).toFixed(2)} ${((pageH - h) / 2).toFixed(2)} cm /Im0 Do Q`;
+    object(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageW.toFixed(2)} ${pageH.toFixed(2)}] `,
+      `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+    );
+    object(contentId, `<< /Length ${draw.length} >>\nstream\n${draw}\nendstream`);
+    object(
+      imageId,
+      `<< /Type /XObject /Subtype /Image /Width ${sheet.width} /Height ${sheet.height} `,
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${sheet.jpeg.length} >>\nstream\n`,
+      sheet.jpeg,
+      '\nendstream',
+    );
+  });
+
+  const count = 3 + sheets.length * 3;
+  const xref = length;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// One sheet per page canvas, in order
+export async function exportPDF(pageJSONs, { paper = 'letter', audioLink } = {}) {
+  const size = PAPER_SIZES[paper] ?? PAPER_SIZES.letter;
+  const fitInches = Math.min((size.width - PDF_MARGIN * 2) / PAGE_W, (size.height - PDF_MARGIN * 2) / PAGE_H);
+  const multiplier = fitInches * PDF_DPI;
+  const sheets = [];
+  for (const canvasJSON of pageJSONs) {
+    const canvas = await renderPage(canvasJSON, { audioLink });
+    try {
+      const el = canvas.toCanvasElement(multiplier);
+      const blob = await canvasToBlob(el, 'image/jpeg', JPEG_QUALITY);
+      sheets.push({ jpeg: new Uint8Array(await blob.arrayBuffer()), width: el.width, height: el.height });
+    } finally {
+      canvas.dispose();
+    }
+  }
+  return buildPdf(sheets, size);
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "My Trip, page 2" → my-trip-page-2
+export const exportFilename = (title, ext) =>
+  `${(title || 'journal-page').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'journal-page'}.${ext}`;
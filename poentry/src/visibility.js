@@ -0,0 +1,15 @@
+// ── Entry visibility choices (mirrors VISIBILITIES in server.js) ──────────────
+// Shared by the editor's publish dialog and the profile's entry settings.
+export const VISIBILITY_OPTIONS = [
+  { value: 'public', label: '🌐 Public', color: '#e8642b', tint: '#fff5f0' },
+  { value: 'friends', label: '👥 Friends', color: '#7c6aef', tint: '#f5f0ff' },
+  { value: 'unlisted', label: '🔗 Unlisted', color: '#2b8ae8', tint: '#f0f7ff' },
+  { value: 'private', label: '🔒 Private', color: '#555', tint: '#f3f3f3' },
+];
+
+// Who may leave sticky notes on an entry (mirrors COMMENT_POLICIES in server.js)
+export const COMMENT_POLICY_OPTIONS = [
+  { value: 'everyone', label: '💬 Anyone can leave notes' },
+  { value: 'followers', label: '👥 Followers only' },
+  { value: 'off', label: '🚫 Notes off' },
+];
@@ -0,0 +1,272 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+import { createZipWriter, openZip, ZipError } from '../zip.js';
+import { cleanUp, createUser, db, dir, signIn } from './helpers.js';
+
+after(cleanUp);
+
+const png = (background) => sharp({ create: { width: 8, height: 8, channels: 3, background } }).png().toBuffer();
+
+// Writes files (name → string or bytes) to a zip in the test directory
+async function writeZip(name, files) {
+    const file = path.join(dir, name);
+    const out = fs.createWriteStream(file);
+    const zip = createZipWriter(out);
+    for (const [entry, data] of Object.entries(files)) await zip.add(entry, data, { compress: typeof data === 'string' });
+    await zip.finish();
+    await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    return file;
+}
+
+function readZip(file) {
+    const zip = openZip(file);
+    try {
+        return Object.fromEntries(zip.names().map(name => [name, zip.read(name)]));
+    } finally {
+        zip.close();
+    }
+}
+
+const binary = (res, done) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks)));
+};
+
+async function exportAccount(agent) {
+    const res = await agent.get('/api/account/export').buffer(true).parse(binary).expect(200);
+    const file = path.join(dir, `export-${Date.now()}.zip`);
+    fs.writeFileSync(file, res.body);
+    return readZip(file);
+}
+
+// The archive's files as JSON where they are JSON, with `change` applied
+function editArchive(files, change) {
+    const json = Object.fromEntries(Object.entries(files).map(([name, bytes]) => (
+        [name, name.endsWith('.json') ? JSON.parse(bytes.toString()) : bytes]
+    )));
+    change(json);
+    return Object.fromEntries(Object.entries(json).map(([name, value]) => (
+        [name, Buffer.isBuffer(value) ? value : JSON.stringify(value)]
+    )));
+}
+
+const importArchive = (agent, file) => agent.post('/api/account/import')
+    .attach('archive', file, { contentType: 'application/zip' });
+
+let accounts = 0;
+async function freshAccount() {
+    const name = `importer${++accounts}`;
+    const id = createUser(name);
+    return { id, name, agent: await signIn(id) };
+}
+
+describe('account archives', () => {
+    let writer, archive;
+
+    before(async () => {
+        const writerId = createUser('writer');
+        writer = await signIn(writerId);
+        const image = await writer.post('/api/images')
+            .attach('image', await png('#e8642b'), { filename: 'sunset.png', contentType: 'image/png' })
+            .expect(200);
+        const { body: { journals } } = await writer.get('/api/journals').expect(200);
+        const { body: { pages } } = await writer.get(`/api/journals/${journals[0].id}`).expect(200);
+        const canvasJSON = { objects: [{ type: 'Image', imageId: image.body.id, src: image.body.url, left: 10, top: 20 }] };
+        await writer.put(`/api/pages/${pages[0].id}`).send({ canvasJSON }).expect(200);
+        const entry = await writer.post('/api/entries/publish')
+            .send({ canvasJSON, title: 'Sunset', visibility: 'public' })
+            .expect(200);
+        await writer.post(`/api/entries/${entry.body.id}/comments`).send({ content: 'my own note' }).expect(200);
+        await writer.post(`/api/entries/${entry.body.id}/like`).expect(200);
+        archive = await exportAccount(writer);
+    });
+
+    it('come back whole in a fresh account', async () => {
+        const { id, agent } = await freshAccount();
+        const file = await writeZip('round-trip.zip', archive);
+        const res = await importArchive(agent, file).expect(200);
+        assert.equal(res.body.imported.journals, 1);
+        assert.equal(res.body.imported.images, 1);
+        assert.equal(res.body.imported.entries, 1);
+        assert.equal(res.body.imported.comments, 1);
+        assert.equal(res.body.imported.likes, 1);
+
+        const { body: { images } } = await agent.get('/api/images').expect(200);
+        assert.equal(images.length, 1);
+        const { body: { journals } } = await agent.get('/api/journals').expect(200);
+        const { body: { pages } } = await agent.get(`/api/journals/${journals[0].id}`).expect(200);
+        const { body: page } = await agent.get(`/api/pages/${pages[0].id}`).expect(200);
+        const [object] = page.canvasJSON.objects;
+        assert.equal(object.imageId, images[0].id);
+        assert.match(object.src, /^\/api\/media\/[0-9a-f]{64}$/);
+        await agent.get(object.src).expect(200).expect('Content-Type', 'image/webp');
+
+        const entry = db.prepare('SELECT id, title FROM published_entries WHERE user_id = ?').get(id);
+        assert.equal(entry.title, 'Sunset');
+        const { body: { comments } } = await agent.get(`/api/entries/${entry.id}/comments`).expect(200);
+        assert.deepEqual(comments.map(c => c.content), ['my own note']);
+
+        // and only a fresh account can take one
+        const again = await importArchive(agent, file).expect(409);
+        assert.match(again.body.error, /new, empty account/);
+    });
+
+    it('re-encode their images and leave out files that are not images', async () => {
+        const { id, agent } = await freshAccount();
+        const script = Buffer.from('<script>alert(1)</script>');
+        const tagged = await sharp(await png('#7c6aef')).withMetadata({ exif: { IFD0: { Copyright: 'where I live' } } }).png().toBuffer();
+        const files = editArchive(archive, (a) => {
+            const [image] = a['images.json'];
+            a[image.file] = script;
+            a['media/tagged.png'] = tagged;
+            a['manifest.json'].media.push({ hash: 'tagged', file: 'media/tagged.png', mimeType: 'image/png', size: tagged.length });
+            a['images.json'].push({ ...image, id: image.id + 1, file: 'media/tagged.png', thumbnail: null });
+        });
+        const res = await importArchive(agent, await writeZip('tampered-media.zip', files)).expect(200);
+        assert.equal(res.body.imported.images, 1);
+
+        const media = db.prepare('SELECT hash, mime_type FROM media WHERE user_id = ?').all(id);
+        const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+        assert.ok(!media.some(m => m.hash === sha256(script) || m.hash === sha256(tagged)));
+        const { body: { images: [image] } } = await agent.get('/api/images').expect(200);
+        const stored = await agent.get(image.url).buffer(true).parse(binary).expect(200);
+        const meta = await sharp(stored.body).metadata();
+        assert.equal(meta.format, 'webp');
+        assert.equal(meta.exif, undefined);
+    });
+
+    it('store profile images kept as files of their own like any other image', async () => {
+        const { id, agent } = await freshAccount();
+        const avatar = await png('#1fa67a');
+        const files = editArchive(archive, (a) => {
+            a['profile.json'].avatar = { file: 'profile/avatar.png', mimeType: 'image/png' };
+            a['profile.json'].banner = { file: 'profile/banner.png', mimeType: 'image/png' };
+            a['profile/avatar.png'] = avatar;
+            a['profile/banner.png'] = Buffer.from('<svg onload="alert(1)"/>');
+        });
+        await importArchive(agent, await writeZip('profile-images.zip', files)).expect(200);
+
+        const user = db.prepare('SELECT custom_avatar, banner_url FROM users WHERE id = ?').get(id);
+        assert.match(user.custom_avatar, /^\/api\/media\/[0-9a-f]{64}$/);
+        const stored = await agent.get(user.custom_avatar).buffer(true).parse(binary).expect(200);
+        assert.equal((await sharp(stored.body).metadata()).format, 'webp');
+        assert.equal(user.banner_url, '');
+    });
+
+    it('store images embedded in canvases as a page save would', async () => {
+        const { id, agent } = await freshAccount();
+        const embedded = `data:image/png;base64,${(await png('#2b8ae8')).toString('base64')}`;
+        const files = editArchive(archive, (a) => {
+            const [entry] = a['entries.json'];
+            a[entry.canvas].objects.push({ type: 'Image', src: embedded });
+        });
+        await importArchive(agent, await writeZip('embedded.zip', files)).expect(200);
+        const entry = db.prepare('SELECT canvas_json FROM published_entries WHERE user_id = ?').get(id);
+        const [, image] = JSON.parse(entry.canvas_json).objects;
+        assert.match(image.src, /^\/api\/media\/[0-9a-f]{64}$/);
+        assert.ok(!entry.canvas_json.includes('data:'));
+    });
+
+    it('are refused when a canvas embeds anything but an image', async () => {
+        const { id, agent } = await freshAccount();
+        const files = editArchive(archive, (a) => {
+            const page = a['journals.json'][0].pages[0];
+            a[page.canvas].objects.push({ type: 'Image', src: 'data:text/html,<script>alert(1)</script>' });
+        });
+        const res = await importArchive(agent, await writeZip('embedded-html.zip', files)).expect(415);
+        assert.match(res.body.error, /Embedded images must be/);
+        assert.equal(db.prepare('SELECT COUNT(*) AS n FROM published_entries WHERE user_id = ?').get(id).n, 0);
+    });
+});
+
+describe('zip reader', () => {
+    const files = { 'notes.txt': 'a line of verse\n'.repeat(100), 'image.png': Buffer.from([0x89, 0x50, 0x4e, 0x47]) };
+    let file;
+
+    before(async () => {
+        file = await writeZip('reader.zip', files);
+    });
+
+    // A copy of the archive with `change` applied to its bytes
+    const altered = (name, change) => {
+        const bytes = fs.readFileSync(file);
+        const copy = path.join(dir, name);
+        fs.writeFileSync(copy, change(Buffer.from(bytes)));
+        return copy;
+    };
+    const centralHeader = (bytes) => bytes.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+
+    it('reads back what the writer wrote, stored or deflated', () => {
+        const read = readZip(file);
+        assert.equal(read['notes.txt'].toString(), files['notes.txt']);
+        assert.deepEqual(read['image.png'], files['image.png']);
+    });
+
+    it('refuses a truncated archive', () => {
+        const cut = altered('truncated.zip', bytes => bytes.subarray(0, bytes.length - 30));
+        assert.throws(() => openZip(cut), (err) => err instanceof ZipError && err.message === 'Not a zip archive');
+
+        // an entry said to run past the end of the file
+        const overrun = altered('overrun.zip', (bytes) => {
+            bytes.writeUInt32LE(bytes.length, centralHeader(bytes) + 20);
+            return bytes;
+        });
+        const zip = openZip(overrun);
+        try {
+            assert.throws(() => zip.read('notes.txt'), { message: 'Archive is truncated' });
+        } finally {
+            zip.close();
+        }
+    });
+
+    it('refuses an entry larger than allowed before inflating it', () => {
+        const zip = openZip(file, { maxEntryBytes: 100 });
+        try {
+            assert.throws(() => zip.read('notes.txt'), { message: 'notes.txt is too large' });
+            assert.deepEqual(zip.read('image.png'), files['image.png']);
+        } finally {
+            zip.close();
+        }
+    });
+
+    it('refuses an encrypted entry', () => {
+        const encrypted = altered('encrypted.zip', (bytes) => {
+            const at = centralHeader(bytes);
+            bytes.writeUInt16LE(bytes.readUInt16LE(at + 8) | 0x1, at + 8);
+            return bytes;
+        });
+        const zip = openZip(encrypted);
+        try {
+            assert.throws(() => zip.read('notes.txt'), { message: 'notes.txt is encrypted' });
+        } finally {
+            zip.close();
+        }
+    });
+
+    it('refuses an entry whose bytes fail their checksum', () => {
+        const damaged = altered('damaged.zip', (bytes) => {
+            const at = bytes.indexOf(files['image.png']);
+            bytes[at + 1] ^= 0xff;
+            return bytes;
+        });
+        const zip = openZip(damaged);
+        try {
+            assert.throws(() => zip.read('image.png'), { message: 'Corrupt entry: image.png' });
+        } finally {
+            zip.close();
+        }
+    });
+
+    it('reports a broken archive as a 400 on import', async () => {
+        const { agent } = await freshAccount();
+        const cut = altered('truncated-import.zip', bytes => bytes.subarray(0, bytes.length - 30));
+        const res = await importArchive(agent, cut).expect(400);
+        assert.ok(res.body.error);
+    });
+});
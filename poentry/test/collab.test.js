@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoomState, validateOp } from '../collab.js';
+
+const rect = (objectId, props = {}) => ({ type: 'Rect', objectId, left: 0, top: 0, ...props });
+
+// Two clients on one page, the way the server runs it: each client writes its
+// ops against the page as it last saw it, the room applies them in the order
+// they arrive, and both clients replay everything the room relays.
+function twoClients(objects) {
+    const doc = { objects };
+    const room = createRoomState(structuredClone(doc));
+    const clients = [createRoomState(structuredClone(doc)), createRoomState(structuredClone(doc))];
+    const arrive = (op) => {
+        const error = validateOp(op);
+        if (error) return { rejected: error };
+        const result = room.apply(structuredClone(op));
+        if (result.op) clients.forEach(c => c.apply(structuredClone(result.op)));
+        return result;
+    };
+    return { room, clients, arrive };
+}
+
+const objectById = (state, id) => state.doc.objects.find(o => o.objectId === id);
+
+function assertConverged({ room, clients }) {
+    for (const client of clients) assert.deepEqual(client.doc, room.doc);
+}
+
+describe('collab conflict rules', () => {
+    it('keeps concurrent edits to different props of one object', () => {
+        const page = twoClients([rect('a')]);
+        assert.ok(page.arrive({ kind: 'modify', id: 'a', props: { left: 10 } }).op);
+        assert.ok(page.arrive({ kind: 'modify', id: 'a', props: { fill: 'red' } }).op);
+        assert.deepEqual(objectById(page.room, 'a'), rect('a', { left: 10, fill: 'red' }));
+        assertConverged(page);
+    });
+
+    it('lets the later edit win when both change the same prop', () => {
+        const page = twoClients([rect('a')]);
+        page.arrive({ kind: 'modify', id: 'a', props: { top: 20 } });
+        page.arrive({ kind: 'modify', id: 'a', props: { top: 30 } });
+        assert.equal(objectById(page.room, 'a').top, 30);
+        assertConverged(page);
+    });
+
+    it('drops a modify that arrives after the object was removed', () => {
+        const page = twoClients([rect('a'), rect('b')]);
+        assert.ok(page.arrive({ kind: 'remove', id: 'a' }).op);
+        assert.deepEqual(page.arrive({ kind: 'modify', id: 'a', props: { left: 99 } }), { rejected: 'missing' });
+        assert.deepEqual(page.room.doc.objects.map(o => o.objectId), ['b']);
+        assertConverged(page);
+    });
+
+    it('rejects a second add with an id that already exists', () => {
+        const page = twoClients([]);
+        assert.ok(page.arrive({ kind: 'add', id: 'n', object: rect('n', { fill: 'blue' }) }).op);
+        assert.deepEqual(page.arrive({ kind: 'add', id: 'n', object: rect('n', { fill: 'green' }) }), { rejected: 'exists' });
+        assert.equal(objectById(page.room, 'n').fill, 'blue');
+        assertConverged(page);
+    });
+
+    it('clamps the index an add asks for', () => {
+        const page = twoClients([rect('a')]);
+        assert.equal(page.arrive({ kind: 'add', id: 'n', index: 5, object: rect('n') }).op.index, 1);
+        assert.equal(page.arrive({ kind: 'add', id: 'm', index: -3, object: rect('m') }).op.index, 0);
+        assert.deepEqual(page.room.doc.objects.map(o => o.objectId), ['m', 'a', 'n']);
+        assertConverged(page);
+    });
+
+    it('keeps objects added concurrently on top of a reorder that does not list them', () => {
+        const page = twoClients([rect('a'), rect('b')]);
+        page.arrive({ kind: 'add', id: 'n', object: rect('n') });
+        // the second client reorders what it had seen before the add reached it
+        const result = page.arrive({ kind: 'order', ids: ['b', 'a'] });
+        assert.deepEqual(result.op.ids, ['b', 'a', 'n']);
+        assertConverged(page);
+    });
+});
+
+describe('validateOp', () => {
+    it('accepts embedded images the server re-encodes, and URLs', () => {
+        const png = 'data:image/png;base64,iVBORw0KGgo=';
+        assert.equal(validateOp({ kind: 'add', id: 'i', object: { objectId: 'i', type: 'Image', src: png } }), null);
+        assert.equal(validateOp({ kind: 'modify', id: 'i', props: { src: '/api/media/abc' } }), null);
+    });
+
+    it('rejects any other src', () => {
+        const bad = [
+            'data:text/html,<script>alert(1)</script>',
+            'data:image/svg+xml;base64,PHN2Zz4=',
+            'data:image/png,%E0%A4%A',
+            42,
+            null,
+        ];
+        for (const src of bad) {
+            assert.equal(validateOp({ kind: 'modify', id: 'i', props: { src } }), 'Invalid image source');
+            assert.equal(
+                validateOp({ kind: 'add', id: 'g', object: { objectId: 'g', type: 'Group', objects: [{ type: 'Image', src }] } }),
+                'Invalid image source'
+            );
+        }
+    });
+
+    it('rejects ops without the shape their kind needs', () => {
+        assert.equal(validateOp({ kind: 'paint' }), 'Unknown op');
+        assert.equal(validateOp({ kind: 'modify', props: {} }), 'Missing object id');
+        assert.equal(validateOp({ kind: 'add', id: 'a', object: { objectId: 'b' } }), 'add needs the object');
+        assert.equal(validateOp({ kind: 'modify', id: 'a', props: { objectId: 'b' } }), 'modify needs props');
+        assert.equal(validateOp({ kind: 'order', ids: ['a', 3] }), 'order needs ids');
+    });
+});
@@ -0,0 +1,60 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanUp, createEntry, db, createUser, signIn } from './helpers.js';
+
+after(cleanUp);
+
+describe('unlisted entries in collections', () => {
+    let author, collector, reader, unlisted, publicEntry;
+
+    before(async () => {
+        const authorId = createUser('author');
+        const collectorId = createUser('collector');
+        const readerId = createUser('reader');
+        unlisted = createEntry(authorId, 'unlisted', { title: 'By link only' });
+        publicEntry = createEntry(authorId, 'public', { title: 'For everyone' });
+        [author, collector, reader] = await Promise.all([signIn(authorId), signIn(collectorId), signIn(readerId)]);
+    });
+
+    const createCollection = async (agent) => {
+        const res = await agent.post('/api/collections').send({ name: 'Favourites', visibility: 'public' }).expect(201);
+        return res.body.id;
+    };
+
+    it("can't be collected by anyone but their author", async () => {
+        const id = await createCollection(collector);
+        // anyone with the link can still save it
+        await collector.post(`/api/entries/${unlisted}/bookmark`).expect(200);
+        const res = await collector.post(`/api/collections/${id}/entries`).send({ entryId: unlisted }).expect(400);
+        assert.equal(res.body.error, 'This entry can only be listed by its author');
+
+        await collector.post(`/api/entries/${publicEntry}/bookmark`).expect(200);
+        await collector.post(`/api/collections/${id}/entries`).send({ entryId: publicEntry }).expect(201);
+    });
+
+    it('are left out of collections listed to anyone but their author', async () => {
+        // one collected before unlisted entries were refused
+        const id = await createCollection(collector);
+        db.prepare('INSERT INTO collection_entries (collection_id, entry_id, position) VALUES (?, ?, 0), (?, ?, 1)')
+            .run(id, unlisted, id, publicEntry);
+
+        for (const agent of [collector, reader]) {
+            const res = await agent.get(`/api/collections/${id}`).expect(200);
+            assert.deepEqual(res.body.entries.map(e => e.title), ['For everyone']);
+            assert.equal(res.body.collection.entryCount, 1);
+        }
+        const profile = await reader.get('/api/profile/collector').expect(200);
+        assert.equal(profile.body.collections.find(c => c.id === id).entryCount, 1);
+    });
+
+    it("are listed in their author's own collections", async () => {
+        const id = await createCollection(author);
+        await author.post(`/api/entries/${unlisted}/bookmark`).expect(200);
+        await author.post(`/api/collections/${id}/entries`).send({ entryId: unlisted }).expect(201);
+
+        const own = await author.get(`/api/collections/${id}`).expect(200);
+        assert.deepEqual(own.body.entries.map(e => e.title), ['By link only']);
+        const seen = await reader.get(`/api/collections/${id}`).expect(200);
+        assert.deepEqual(seen.body.entries, []);
+    });
+});
@@ -0,0 +1,134 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import request from 'supertest';
+import { app, cleanUp, createEntry, createUser, follow, signIn } from './helpers.js';
+
+after(cleanUp);
+
+describe('friends-only entries', () => {
+    let author, follower, stranger, friendsEntry, publicEntry;
+
+    before(async () => {
+        const authorId = createUser('author');
+        const followerId = createUser('follower');
+        const strangerId = createUser('stranger');
+        follow(followerId, authorId);
+        friendsEntry = createEntry(authorId, 'friends');
+        publicEntry = createEntry(authorId, 'public');
+        [author, follower, stranger] = await Promise.all([signIn(authorId), signIn(followerId), signIn(strangerId)]);
+    });
+
+    it('are shown to their author', async () => {
+        await author.get(`/api/entries/${friendsEntry}`).expect(200);
+    });
+
+    it('are shown to followers', async () => {
+        const res = await follower.get(`/api/entries/${friendsEntry}`).expect(200);
+        assert.equal(res.body.visibility, 'friends');
+    });
+
+    it('are reported missing to anyone else', async () => {
+        const res = await stranger.get(`/api/entries/${friendsEntry}`).expect(404);
+        assert.equal(res.body.error, 'Entry not found');
+        // the same answer as for an entry that doesn't exist
+        await stranger.get('/api/entries/999999').expect(404);
+        await stranger.get(`/api/entries/${publicEntry}`).expect(200);
+    });
+
+    it('need a signed-in viewer', async () => {
+        await request(app).get(`/api/entries/${friendsEntry}`).expect(401);
+    });
+});
+
+describe('every read path', () => {
+    let agents, entries, audioId;
+
+    // Who may open an entry of each visibility
+    const allowed = {
+        public: ['author', 'follower', 'stranger'],
+        friends: ['author', 'follower'],
+        unlisted: ['author', 'follower', 'stranger'],
+        private: ['author'],
+    };
+    const viewers = ['author', 'follower', 'stranger'];
+
+    before(async () => {
+        const authorId = createUser('poet');
+        const followerId = createUser('reader');
+        const strangerId = createUser('passerby');
+        follow(followerId, authorId);
+        const [author, follower, stranger] = await Promise.all([signIn(authorId), signIn(followerId), signIn(strangerId)]);
+        agents = { author, follower, stranger };
+
+        entries = {};
+        for (const visibility of Object.keys(allowed)) {
+            const res = await author.post('/api/entries/publish')
+                .send({ canvasJSON: { objects: [] }, title: `Nocturne ${visibility}`, visibility })
+                .expect(200);
+            entries[visibility] = res.body.id;
+        }
+        const audio = await author.post('/api/audio')
+            .attach('audio', Buffer.from('ID3'), { filename: 'rain.mp3', contentType: 'audio/mpeg' })
+            .expect(200);
+        audioId = audio.body.id;
+    });
+
+    // Each guarded route, as a request for the entry
+    const routes = {
+        'the entry': (agent, id) => agent.get(`/api/entries/${id}`),
+        'its notes': (agent, id) => agent.get(`/api/entries/${id}/comments`),
+        'posting a note': (agent, id) => agent.post(`/api/entries/${id}/comments`).send({ content: 'lovely' }),
+        'liking it': (agent, id) => agent.post(`/api/entries/${id}/like`),
+        'saving it': (agent, id) => agent.post(`/api/entries/${id}/bookmark`),
+        'its audio': (agent, id) => agent.get(`/api/entries/${id}/audio/${audioId}`),
+    };
+
+    for (const [route, send] of Object.entries(routes)) {
+        it(`lets only those who may open an entry reach ${route}`, async () => {
+            for (const [visibility, viewersAllowed] of Object.entries(allowed)) {
+                for (const viewer of viewers) {
+                    const res = await send(agents[viewer], entries[visibility]);
+                    if (viewersAllowed.includes(viewer)) {
+                        assert.equal(res.status, 200, `${viewer} on a ${visibility} entry`);
+                    } else {
+                        assert.equal(res.status, 404, `${viewer} on a ${visibility} entry`);
+                        assert.equal(res.body.error, 'Entry not found');
+                    }
+                }
+            }
+        });
+    }
+
+    const titles = (res) => res.body.entries.map(e => e.title).filter(t => t.startsWith('Nocturne')).sort();
+
+    it('lists only public entries in the public feed', async () => {
+        for (const viewer of viewers) {
+            const res = await agents[viewer].get('/api/entries?filter=public').expect(200);
+            assert.deepEqual(titles(res), ['Nocturne public']);
+        }
+    });
+
+    it("lists friends-only entries in followers' friends feed, and nothing unlisted or private", async () => {
+        assert.deepEqual(titles(await agents.follower.get('/api/entries?filter=friends').expect(200)), ['Nocturne friends', 'Nocturne public']);
+        assert.deepEqual(titles(await agents.stranger.get('/api/entries?filter=friends').expect(200)), []);
+    });
+
+    it('finds only the entries each viewer may see listed', async () => {
+        const found = async (viewer) => titles(await agents[viewer].get('/api/entries/search?q=nocturne').expect(200));
+        assert.deepEqual(await found('author'), ['Nocturne friends', 'Nocturne public']);
+        assert.deepEqual(await found('follower'), ['Nocturne friends', 'Nocturne public']);
+        assert.deepEqual(await found('stranger'), ['Nocturne public']);
+    });
+
+    it('shows a pinned entry on the profile only to those it is listed to', async () => {
+        for (const visibility of ['public', 'friends', 'unlisted']) {
+            await agents.author.post(`/api/profile/pin/${entries[visibility]}`).expect(200);
+        }
+        const pinned = async (agent) => (await agent.get('/api/profile/poet').expect(200)).body.pinned.map(p => p.title).sort();
+        assert.deepEqual(await pinned(agents.author), ['Nocturne friends', 'Nocturne public', 'Nocturne unlisted']);
+        assert.deepEqual(await pinned(agents.follower), ['Nocturne friends', 'Nocturne public']);
+        assert.deepEqual(await pinned(agents.stranger), ['Nocturne public']);
+        assert.deepEqual(await pinned(request(app)), ['Nocturne public']);
+    });
+});
@@ -0,0 +1,105 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanUp, createEntry, createUser, db, signIn } from './helpers.js';
+
+after(cleanUp);
+
+const titles = (res) => res.body.entries.map(e => e.title);
+const withCursor = (cursor) => `&cursor=${encodeURIComponent(cursor)}`;
+
+describe('newest-first feed cursors', () => {
+    let reader, authorId, ids;
+
+    before(async () => {
+        authorId = createUser('author');
+        reader = await signIn(createUser('reader'));
+        ids = {};
+        for (let day = 1; day <= 6; day++) {
+            ids[`E${day}`] = createEntry(authorId, 'public', { title: `E${day}`, createdAt: `2026-01-0${day} 12:00:00` });
+        }
+    });
+
+    it('page on to older entries, whatever is published in between', async () => {
+        const first = await reader.get('/api/entries?filter=public&limit=2').expect(200);
+        assert.deepEqual(titles(first), ['E6', 'E5']);
+        createEntry(authorId, 'public', { title: 'E7', createdAt: '2026-01-07 12:00:00' });
+
+        const second = await reader.get(`/api/entries?filter=public&limit=2${withCursor(first.body.nextCursor)}`).expect(200);
+        assert.deepEqual(titles(second), ['E4', 'E3']);
+        const third = await reader.get(`/api/entries?filter=public&limit=2${withCursor(second.body.nextCursor)}`).expect(200);
+        assert.deepEqual(titles(third), ['E2', 'E1']);
+        const last = await reader.get(`/api/entries?filter=public&limit=2${withCursor(third.body.nextCursor)}`).expect(200);
+        assert.deepEqual(titles(last), []);
+        assert.equal(last.body.nextCursor, null);
+        db.prepare('DELETE FROM published_entries WHERE title = ?').run('E7');
+    });
+
+    it('page back to newer entries from one opened in place, up to ones published since', async () => {
+        const opened = await reader.get(`/api/entries?filter=public&limit=2&around=${ids.E3}`).expect(200);
+        assert.deepEqual(titles(opened), ['E4', 'E3', 'E2']);
+        createEntry(authorId, 'public', { title: 'E7', createdAt: '2026-01-07 12:00:00' });
+
+        const newer = await reader.get(`/api/entries?filter=public&limit=2${withCursor(opened.body.prevCursor)}`).expect(200);
+        assert.deepEqual(titles(newer), ['E6', 'E5']);
+        const newest = await reader.get(`/api/entries?filter=public&limit=2${withCursor(newer.body.prevCursor)}`).expect(200);
+        assert.deepEqual(titles(newest), ['E7']);
+        assert.equal(newest.body.prevCursor, null);
+
+        const older = await reader.get(`/api/entries?filter=public&limit=2${withCursor(opened.body.nextCursor)}`).expect(200);
+        assert.deepEqual(titles(older), ['E1']);
+    });
+
+    it('refuse a cursor that is not one of theirs', async () => {
+        const res = await reader.get('/api/entries?filter=public&cursor=not-a-cursor').expect(400);
+        assert.equal(res.body.error, 'Invalid cursor');
+    });
+});
+
+describe('ranked feed cursors', () => {
+    let reader, other, authorId, likers;
+
+    before(async () => {
+        db.prepare('DELETE FROM published_entries').run(); // the newest-first feed's
+        authorId = createUser('poet');
+        reader = await signIn(createUser('ranked-reader'));
+        other = await signIn(createUser('other-reader'));
+        likers = await Promise.all(['l1', 'l2', 'l3'].map(name => signIn(createUser(name))));
+    });
+
+    // Likes are toggles: a second like takes the first back
+    const like = (entryId, agents) => Promise.all(agents.map(agent => agent.post(`/api/entries/${entryId}/like`).expect(200)));
+
+    it('page through the ranking as it stood on the first page', async () => {
+        const a = createEntry(authorId, 'public', { title: 'A' });
+        const b = createEntry(authorId, 'public', { title: 'B' });
+        const c = createEntry(authorId, 'public', { title: 'C' });
+        await like(a, likers);
+        await like(b, likers.slice(0, 2));
+
+        const first = await reader.get('/api/entries?filter=popular&limit=2').expect(200);
+        assert.deepEqual(titles(first), ['A', 'B']);
+
+        // A's likes are taken back, C overtakes both, and a new entry comes in
+        await like(a, likers);
+        await like(c, likers);
+        createEntry(authorId, 'public', { title: 'D' });
+
+        const second = await reader.get(`/api/entries?filter=popular&limit=2${withCursor(first.body.nextCursor)}`).expect(200);
+        assert.deepEqual(titles(second), ['C']);
+        assert.equal(second.body.nextCursor, null);
+
+        const fresh = await reader.get('/api/entries?filter=popular&limit=2').expect(200);
+        assert.deepEqual(titles(fresh), ['C', 'B']);
+    });
+
+    it("are the viewer's own, and expire", async () => {
+        const first = await reader.get('/api/entries?filter=popular&limit=1').expect(200);
+        const cursor = withCursor(first.body.nextCursor);
+        const res = await other.get(`/api/entries?filter=popular&limit=1${cursor}`).expect(410);
+        assert.equal(res.body.error, 'This feed has expired; reload it');
+
+        await reader.get(`/api/entries?filter=popular&limit=1${cursor}`).expect(200);
+        db.prepare("UPDATE feed_snapshots SET created_at = datetime('now', '-1 day')").run();
+        await reader.get(`/api/entries?filter=popular&limit=1${cursor}`).expect(410);
+    });
+});
@@ -0,0 +1,50 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import Database from 'better-sqlite3';
+import express from 'express';
+import request from 'supertest';
+
+// server.js keeps its databases (and, unless told otherwise, its media) in the
+// working directory, so each test file runs it in a directory of its own
+export const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'poentry-test-'));
+process.chdir(dir);
+export const { app, sessionMiddleware } = await import('../server.js');
+export const db = new Database(path.join(dir, 'poentry.db'));
+
+export function cleanUp() {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+export function createUser(username) {
+    return db.prepare('INSERT INTO users (google_id, username) VALUES (?, ?)').run(`test-${username}`, username).lastInsertRowid;
+}
+
+export function createEntry(userId, visibility, fields = {}) {
+    const { title = 'Untitled', createdAt = null } = fields;
+    return db.prepare(`
+        INSERT INTO published_entries (user_id, canvas_json, visibility, title, created_at)
+        VALUES (?, '{"pages":[]}', ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `).run(userId, visibility, title, createdAt).lastInsertRowid;
+}
+
+export function follow(followerId, followingId) {
+    db.prepare('INSERT INTO follows (follower_id, following_id) VALUES (?, ?)').run(followerId, followingId);
+}
+
+// An agent signed in as the user: the session is set up front, so the app's
+// own session middleware finds it already loaded
+export async function signIn(userId) {
+    const front = express();
+    front.use(sessionMiddleware);
+    front.post('/test/sign-in', (req, res) => {
+        req.session.userId = userId;
+        res.end();
+    });
+    front.use(app);
+    const agent = request.agent(front);
+    await agent.post('/test/sign-in').expect(200);
+    return agent;
+}
@@ -0,0 +1,42 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanUp, createEntry, createUser, db, signIn } from './helpers.js';
+
+after(cleanUp);
+
+describe('replies', () => {
+    let author, starter, replier, latecomer, latecomerId, entry;
+
+    before(async () => {
+        const authorId = createUser('author');
+        const starterId = createUser('starter');
+        const replierId = createUser('replier');
+        latecomerId = createUser('latecomer');
+        entry = createEntry(authorId, 'public');
+        [author, starter, replier, latecomer] = await Promise.all([authorId, starterId, replierId, latecomerId].map(signIn));
+    });
+
+    const post = (agent, body) => agent.post(`/api/entries/${entry}/comments`).send(body);
+
+    it('join the thread of the note at its top', async () => {
+        const note = await post(starter, { content: 'first' }).expect(200);
+        const reply = await post(replier, { content: 'second', parentId: note.body.id }).expect(200);
+        const answer = await post(latecomer, { content: 'third', parentId: reply.body.id }).expect(200);
+        assert.equal(answer.body.parentId, note.body.id);
+    });
+
+    it("can't be added to a thread whose note was hidden, even through one of its replies", async () => {
+        const note = await post(starter, { content: 'out of line' }).expect(200);
+        const reply = await post(replier, { content: 'agreed', parentId: note.body.id }).expect(200);
+        await author.post(`/api/entries/${entry}/comments/${note.body.id}/hide`).expect(200);
+
+        const res = await post(latecomer, { content: 'what happened?', parentId: reply.body.id }).expect(404);
+        assert.equal(res.body.error, 'Comment not found');
+        await post(latecomer, { content: 'what happened?', parentId: note.body.id }).expect(404);
+        const notified = db.prepare("SELECT COUNT(*) AS n FROM notifications WHERE actor_id = ? AND type = 'reply'").get(latecomerId);
+        assert.equal(notified.n, 1); // from the first test only
+
+        // the entry's author still sees the thread, and can answer in it
+        await post(author, { content: 'settled', parentId: reply.body.id }).expect(200);
+    });
+});
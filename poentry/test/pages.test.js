@@ -0,0 +1,51 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanUp, createUser, signIn } from './helpers.js';
+
+after(cleanUp);
+
+describe('page saves', () => {
+    let writer, pageId;
+
+    before(async () => {
+        writer = await signIn(createUser('writer'));
+        const { body: { journals } } = await writer.get('/api/journals').expect(200);
+        const { body: { pages } } = await writer.get(`/api/journals/${journals[0].id}`).expect(200);
+        pageId = pages[0].id;
+    });
+
+    const text = (value) => ({ objects: [{ type: 'Textbox', text: value, left: 0, top: 0 }] });
+    const save = (canvasJSON, baseRevision) => writer.put(`/api/pages/${pageId}`).send({ canvasJSON, baseRevision });
+
+    it('go through when made from the latest revision', async () => {
+        const { body: page } = await writer.get(`/api/pages/${pageId}`).expect(200);
+        const saved = await save(text('one'), page.revision).expect(200);
+        assert.equal(saved.body.revision, page.revision + 1);
+        const next = await save(text('two'), saved.body.revision).expect(200);
+        assert.equal(next.body.revision, page.revision + 2);
+    });
+
+    it('are refused with the current version when made from a stale revision', async () => {
+        const { body: page } = await writer.get(`/api/pages/${pageId}`).expect(200);
+        // another tab saves first
+        await save(text('from the other tab'), page.revision).expect(200);
+
+        const res = await save(text('from this tab'), page.revision).expect(409);
+        assert.equal(res.body.error, 'This page was changed somewhere else');
+        assert.equal(res.body.revision, page.revision + 1);
+        assert.equal(res.body.canvasJSON.objects[0].text, 'from the other tab');
+        const { body: current } = await writer.get(`/api/pages/${pageId}`).expect(200);
+        assert.equal(current.canvasJSON.objects[0].text, 'from the other tab');
+    });
+
+    it('without a baseRevision always go through', async () => {
+        const { body: page } = await writer.get(`/api/pages/${pageId}`).expect(200);
+        await save(text('overwritten'), page.revision - 1).expect(409);
+        await save(text('overwritten')).expect(200);
+    });
+
+    it('need an integer baseRevision', async () => {
+        const res = await save(text('x'), '3').expect(400);
+        assert.equal(res.body.error, 'baseRevision must be an integer');
+    });
+});
@@ -1,14 +1,36 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes the build's file list to sw-precache.js, which the service worker
+// (public/sw.js) loads and caches up front so the app opens offline even on
+// routes that were never visited online
+function precacheManifest() {
+  return {
+    name: 'poentry-precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle)
+        .filter(fileName => fileName.startsWith('assets/'))
+        .map(fileName => `/${fileName}`)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw-precache.js',
+        source: `self.PRECACHE = ${JSON.stringify(files, null, 2)};\n`,
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   server: {
     proxy: {
       '/api': {
         target: 'http://localhost:3001',
         changeOrigin: true,
+        ws: true, // live collaboration socket at /api/collab
       },
     },
   },
@@ -0,0 +1,198 @@
+import fs from 'node:fs';
+import zlib from 'node:zlib';
+import { Buffer } from 'node:buffer';
+
+// ── Zip archives ───────────────────────────────────────────────────────────────
+// Just enough of the zip format for account archives: the writer streams
+// entries out one at a time (stored, or deflated when asked), the reader looks
+// entries up in the central directory of a file on disk and inflates them on
+// demand. No zip64, so an archive holds at most 65535 entries and 4 GB; no
+// encryption, no multi-disk.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const UTF8_NAMES = 0x0800; // general purpose flag: names are UTF-8
+const STORE = 0;
+const DEFLATE = 8;
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+export class ZipError extends Error { }
+
+// MS-DOS date & time fields, in local time as zip tools expect
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// Writes a zip to `stream`; each add() resolves once its bytes are flushed, so
+// a large export never sits in memory as a whole.
+export function createZipWriter(stream) {
+    const entries = [];
+    const names = new Set();
+    let offset = 0;
+
+    const write = (chunk) => new Promise((resolve, reject) => {
+        stream.write(chunk, err => (err ? reject(err) : resolve()));
+        offset += chunk.length;
+    });
+
+    async function add(name, data, { compress = false, date = new Date() } = {}) {
+        if (names.has(name)) throw new ZipError(`Duplicate archive entry: ${name}`);
+        if (entries.length >= MAX_ENTRIES) throw new ZipError('Too many files for one archive');
+        const bytes = typeof data === 'string' ? Buffer.from(data) : data;
+        const body = compress ? zlib.deflateRawSync(bytes) : bytes;
+        if (offset + body.length > MAX_SIZE) throw new ZipError('Archive is too large');
+
+        const nameBytes = Buffer.from(name);
+        const { time, day } = dosDateTime(date);
+        const entry = {
+            nameBytes,
+            method: compress ? DEFLATE : STORE,
+            time,
+            day,
+            crc: zlib.crc32(bytes),
+            compressedSize: body.length,
+            size: bytes.length,
+            offset,
+        };
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER, 0);
+        header.writeUInt16LE(20, 4); // version needed: 2.0
+        header.writeUInt16LE(UTF8_NAMES, 6);
+        header.writeUInt16LE(entry.method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(day, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressedSize, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(nameBytes.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        names.add(name);
+        entries.push(entry);
+        await write(Buffer.concat([header, nameBytes]));
+        await write(body);
+    }
+
+    async function finish() {
+        const start = offset;
+        const central = entries.map((entry) => {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER, 0);
+            header.writeUInt16LE(0x0314, 4); // made by: Unix, 2.0
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(UTF8_NAMES, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.day, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.nameBytes.length, 28);
+            header.writeUInt32LE((0o100644 << 16) >>> 0, 38); // regular file, rw-r--r--
+            header.writeUInt32LE(entry.offset, 42);
+            return Buffer.concat([header, entry.nameBytes]);
+        });
+        const directory = Buffer.concat(central);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(directory.length, 12);
+        end.writeUInt32LE(start, 16);
+        await write(Buffer.concat([directory, end]));
+    }
+
+    return { add, finish };
+}
+
+function readAt(fd, position, length) {
+    const buf = Buffer.alloc(length);
+    const read = fs.readSync(fd, buf, 0, length, position);
+    if (read < length) throw new ZipError('Archive is truncated');
+    return buf;
+}
+
+// Opens a zip file for reading. read(name) returns an entry's bytes, or null if
+// the archive has no such entry; entries larger than `maxEntryBytes` are refused
+// before they are inflated. Call close() when done.
+export function openZip(filePath, { maxEntryBytes = 64 * 1024 * 1024 } = {}) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const { size } = fs.fstatSync(fd);
+        // The end record sits in the last 22 bytes, after a comment of up to 64 KB
+        const tailLength = Math.min(size, 22 + 0xffff);
+        const tail = readAt(fd, size - tailLength, tailLength);
+        let endAt = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+                endAt = i;
+                break;
+            }
+        }
+        if (endAt < 0) throw new ZipError('Not a zip archive');
+
+        const count = tail.readUInt16LE(endAt + 10);
+        const directorySize = tail.readUInt32LE(endAt + 12);
+        const directoryStart = tail.readUInt32LE(endAt + 16);
+        if (directoryStart === MAX_SIZE || directoryStart + directorySize > size) throw new ZipError('Unsupported zip archive');
+
+        const directory = readAt(fd, directoryStart, directorySize);
+        const entries = new Map();
+        let at = 0;
+        for (let i = 0; i < count; i++) {
+            if (at + 46 > directory.length || directory.readUInt32LE(at) !== CENTRAL_HEADER) {
+                throw new ZipError('Corrupt zip directory');
+            }
+            const nameLength = directory.readUInt16LE(at + 28);
+            const extraLength = directory.readUInt16LE(at + 30);
+            const commentLength = directory.readUInt16LE(at + 32);
+            const name = directory.toString('utf8', at + 46, at + 46 + nameLength);
+            entries.set(name, {
+                flags: directory.readUInt16LE(at + 8),
+                method: directory.readUInt16LE(at + 10),
+                crc: directory.readUInt32LE(at + 16),
+                compressedSize: directory.readUInt32LE(at + 20),
+                size: directory.readUInt32LE(at + 24),
+                offset: directory.readUInt32LE(at + 42),
+            });
+            at += 46 + nameLength + extraLength + commentLength;
+        }
+
+        const read = (name) => {
+            const entry = entries.get(name);
+            if (!entry) return null;
+            if (entry.flags & 0x1) throw new ZipError(`${name} is encrypted`);
+            if (entry.size > maxEntryBytes) throw new ZipError(`${name} is too large`);
+            if (entry.method !== STORE && entry.method !== DEFLATE) throw new ZipError(`${name} uses an unsupported compression method`);
+
+            const header = readAt(fd, entry.offset, 30);
+            if (header.readUInt32LE(0) !== LOCAL_HEADER) throw new ZipError(`Corrupt entry: ${name}`);
+            const dataStart = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+            const body = readAt(fd, dataStart, entry.compressedSize);
+
+            let bytes = body;
+            if (entry.method === DEFLATE) {
+                try {
+                    bytes = zlib.inflateRawSync(body, { maxOutputLength: Math.max(entry.size, 1) });
+                } catch {
+                    throw new ZipError(`Corrupt entry: ${name}`);
+                }
+            }
+            if (bytes.length !== entry.size || zlib.crc32(bytes) !== entry.crc) throw new ZipError(`Corrupt entry: ${name}`);
+            return bytes;
+        };
+
+        return {
+            names: () => [...entries.keys()],
+            read,
+            close: () => fs.closeSync(fd),
+        };
+    } catch (err) {
+        fs.closeSync(fd);
+        throw err;
+    }
+}